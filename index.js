@@ -4,23 +4,70 @@ require("dotenv").config();
 
 // Import routes and middleware
 const indexRoutes = require("./routes/index");
+const lookupRoutes = require("./routes/lookups");
+const pollRoutes = require("./routes/polls");
+const giveawayRoutes = require("./routes/giveaways");
+const eventSubRoutes = require("./routes/eventsub");
+const eventRoutes = require("./routes/events");
+const chatRoutes = require("./routes/chat");
+const moderationRoutes = require("./routes/moderation");
+const channelPointRoutes = require("./routes/channelPoints");
+const authRoutes = require("./routes/auth");
+const adminRoutes = require("./routes/admin");
 const {
   notFoundHandler,
   errorHandler,
   unauthorizedHandler,
 } = require("./middleware/errorHandler");
+const { selectAccount } = require("./middleware/account");
+const {
+  authenticateApiKey,
+  rejectInvalidApiKey,
+  getCorsOptions,
+} = require("./middleware/apiKeys");
+const { rateLimit, getTrustProxy } = require("./middleware/rateLimit");
+const { conditionalGet } = require("./middleware/conditional");
 const { startServerWithPortFinding } = require("./utils/serverUtils");
+const { checkEncryptionKey } = require("./utils/tokenCrypto");
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
+// Behind a proxy, use the client IP it forwards to rate limit clients without API key
+if (getTrustProxy() !== undefined) {
+  app.set("trust proxy", getTrustProxy());
+}
+
 // Middleware
-app.use(cors());
-app.use(express.json());
+app.use(cors(getCorsOptions()));
+app.use(
+  express.json({
+    // Keep the raw body, EventSub webhook signatures are computed over it
+    verify: (req, _res, buf) => {
+      req.rawBody = buf;
+    },
+  })
+);
 app.use(express.urlencoded({ extended: true }));
+app.use(authenticateApiKey);
+// Invalid keys are rejected after the rate limiter, which counts them against the client IP
+app.use(rateLimit());
+app.use(rejectInvalidApiKey);
+app.use(selectAccount);
+app.use(conditionalGet);
 
 // Routes
 app.use("/", indexRoutes);
+app.use("/", lookupRoutes);
+app.use("/", pollRoutes);
+app.use("/giveaways", giveawayRoutes);
+app.use("/eventsub", eventSubRoutes);
+app.use("/events", eventRoutes);
+app.use("/chat", chatRoutes);
+app.use("/moderation", moderationRoutes);
+app.use("/channel-points", channelPointRoutes);
+app.use("/auth", authRoutes);
+app.use("/admin", adminRoutes);
 
 // Error handling middleware
 app.use("*", notFoundHandler);
@@ -30,6 +77,9 @@ app.use(errorHandler);
 // Start server with automatic port detection
 (async () => {
   try {
+    // Refuse to start in production without a safe key for the stored tokens
+    checkEncryptionKey();
+
     const actualPort = await startServerWithPortFinding(app, PORT);
     console.log(`✅ Server successfully started on port ${actualPort}`);
   } catch (error) {
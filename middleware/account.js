@@ -0,0 +1,52 @@
+const { tokenManager } = require("../utils/tokenStorage");
+const { hasRole } = require("../utils/apiKeys");
+const { isApiAuthEnabled } = require("./apiKeys");
+const { createHttpError } = require("./errorHandler");
+
+// Header selecting the Twitch account a request acts as
+const ACCOUNT_HEADER = "X-Twitch-Account";
+
+// Role required to act as an account other than the default one
+const ACCOUNT_SELECTION_ROLE = "admin";
+
+/**
+ * Account selection middleware
+ * Reads the X-Twitch-Account header or the account query parameter (user ID or login)
+ * and runs the rest of the request acting as that account. Without either, the default
+ * account is used. Only admin keys can select another account than the default one.
+ */
+const selectAccount = (req, _res, next) => {
+  const requested = req.get(ACCOUNT_HEADER) || req.query.account;
+
+  if (!requested) {
+    req.account = tokenManager.getTokens();
+    return next();
+  }
+
+  const account = tokenManager.findAccount(requested);
+
+  if (!account) {
+    return next(createHttpError(404, `Twitch account not found: ${requested}`));
+  }
+
+  if (
+    account.user_id !== tokenManager.defaultUserId &&
+    isApiAuthEnabled() &&
+    !hasRole(req.apiKey?.role, ACCOUNT_SELECTION_ROLE)
+  ) {
+    return next(
+      createHttpError(
+        403,
+        `Selecting another account than the default one requires the ${ACCOUNT_SELECTION_ROLE} role`
+      )
+    );
+  }
+
+  req.account = account;
+  tokenManager.runAs(account.user_id, next);
+};
+
+module.exports = {
+  ACCOUNT_HEADER,
+  selectAccount,
+};
@@ -0,0 +1,121 @@
+const { apiKeyManager, hasRole } = require("../utils/apiKeys");
+const { createHttpError } = require("./errorHandler");
+
+// Header carrying the API key; Authorization is left to Twitch tokens (see POST /validate)
+const API_KEY_HEADER = "X-API-Key";
+
+/**
+ * Tells whether API keys are enforced, set API_AUTH=off to disable them during development
+ * @returns {boolean}
+ */
+const isApiAuthEnabled = () =>
+  (process.env.API_AUTH || "on").toLowerCase() !== "off";
+
+/**
+ * API key authentication middleware
+ * Reads the X-API-Key header or the api_key query parameter (for EventSource, which can't
+ * send headers) and sets req.apiKey to the matching key. Requests without a key continue
+ * anonymously, routes decide with requireRole whether they need one.
+ * An invalid key is only rejected by rejectInvalidApiKey, so the rate limiter mounted in between
+ * counts the attempt against the client IP.
+ */
+const authenticateApiKey = async (req, _res, next) => {
+  try {
+    const key = req.get(API_KEY_HEADER) || req.query.api_key;
+    req.apiKey = null;
+    req.apiKeyError = null;
+
+    if (!key) return next();
+
+    req.apiKey = await apiKeyManager.authenticate(key);
+    if (!req.apiKey) {
+      req.apiKeyError = createHttpError(401, "Invalid or revoked API key");
+    }
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Rejects the requests whose API key authenticateApiKey didn't find, with a 401
+ * Mounted after the rate limiter, so guessing keys is rate limited like anonymous requests
+ */
+const rejectInvalidApiKey = (req, _res, next) =>
+  next(req.apiKeyError || undefined);
+
+/**
+ * Restricts a route to API keys with at least the given role
+ * Anonymous requests get a 401 and keys with a lower role a 403
+ * @param {string} role - "read-only", "moderator" or "admin"
+ * @returns {Function} Express middleware
+ */
+const requireRole = (role) => (req, _res, next) => {
+  if (!isApiAuthEnabled()) return next();
+
+  if (!req.apiKey) {
+    return next(
+      createHttpError(
+        401,
+        `An API key is required, send it in the ${API_KEY_HEADER} header`
+      )
+    );
+  }
+  if (!hasRole(req.apiKey.role, role)) {
+    return next(
+      createHttpError(403, `This route requires the ${role} role or higher`)
+    );
+  }
+  next();
+};
+
+/**
+ * Builds the CORS options from CORS_ORIGINS
+ * Without it every origin is allowed, with it only the listed origins (comma-separated)
+ * @returns {Object} Options for the cors middleware
+ */
+const getCorsOptions = () => {
+  const origins = (process.env.CORS_ORIGINS || "")
+    .split(",")
+    .map((origin) => origin.trim().replace(/\/$/, ""))
+    .filter(Boolean);
+
+  if (origins.length === 0) return {};
+
+  return {
+    origin: (origin, callback) =>
+      // Requests without Origin (curl, server to server) aren't cross-origin
+      callback(null, !origin || origins.includes(origin)),
+  };
+};
+
+/**
+ * Warns at startup when routes can't be used because no API key exists yet
+ * @async
+ * @returns {Promise<void>}
+ */
+const checkApiKeys = async () => {
+  if (!isApiAuthEnabled()) {
+    console.log(
+      "⚠️  API_AUTH is off, every route can be used without an API key"
+    );
+    return;
+  }
+
+  if (!(await apiKeyManager.hasKeys())) {
+    console.log(
+      "\n⚠️  No API keys yet, protected routes answer 401. Create an admin key with:"
+    );
+    console.log("\tnode scripts/apiKeys.js create admin");
+  }
+};
+
+module.exports = {
+  API_KEY_HEADER,
+  isApiAuthEnabled,
+  authenticateApiKey,
+  rejectInvalidApiKey,
+  requireRole,
+  getCorsOptions,
+  checkApiKeys,
+};
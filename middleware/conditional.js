@@ -0,0 +1,73 @@
+const crypto = require("crypto");
+
+// Maximum number of URLs whose Last-Modified date is remembered
+const MAX_TRACKED_RESPONSES = 1000;
+
+// Last response of each URL: { etag, lastModified }, oldest first
+const lastResponses = new Map();
+
+/**
+ * Computes the ETag of a response envelope
+ * Only data is hashed: the timestamp changes on every response while the content doesn't
+ * @param {Object} body - Response envelope
+ * @returns {string} Weak ETag
+ */
+const getEnvelopeEtag = (body) =>
+  `W/"${crypto
+    .createHash("sha1")
+    .update(JSON.stringify(body.data))
+    .digest("base64url")}"`;
+
+/**
+ * Returns the date the content of a URL last changed, remembering it for the next requests
+ * @param {string} key - URL and account of the request
+ * @param {string} etag - ETag of the current content
+ * @returns {Date}
+ */
+const getLastModified = (key, etag) => {
+  const previous = lastResponses.get(key);
+  // HTTP dates have a one second precision
+  const lastModified =
+    previous?.etag === etag
+      ? previous.lastModified
+      : new Date(Math.floor(Date.now() / 1000) * 1000);
+
+  lastResponses.delete(key);
+  lastResponses.set(key, { etag, lastModified });
+  if (lastResponses.size > MAX_TRACKED_RESPONSES) {
+    lastResponses.delete(lastResponses.keys().next().value);
+  }
+  return lastModified;
+};
+
+/**
+ * Conditional GET middleware
+ * Sets ETag and Last-Modified on successful GET responses using the { status, data, timestamp }
+ * envelope, from their data only. Express then answers 304 Not Modified to requests whose
+ * If-None-Match or If-Modified-Since match, so overlays can poll without downloading unchanged data.
+ */
+const conditionalGet = (req, res, next) => {
+  if (req.method !== "GET" && req.method !== "HEAD") return next();
+
+  const json = res.json.bind(res);
+  res.json = (body) => {
+    if (res.statusCode === 200 && body && "data" in body) {
+      const etag = getEnvelopeEtag(body);
+      const key = `${req.account?.user_id || ""}:${req.originalUrl}`;
+
+      res.set({
+        ETag: etag,
+        "Last-Modified": getLastModified(key, etag).toUTCString(),
+        // Cached copies must be revalidated, which is what the 304 makes cheap
+        "Cache-Control": "private, no-cache",
+      });
+    }
+    return json(body);
+  };
+  next();
+};
+
+module.exports = {
+  getEnvelopeEtag,
+  conditionalGet,
+};
@@ -1,3 +1,15 @@
+/**
+ * Creates an error carrying an HTTP status code for the error handler
+ * @param {number} statusCode - HTTP status code to respond with
+ * @param {string} message - Error message sent to the client
+ * @returns {Error} The error with its statusCode set
+ */
+const createHttpError = (statusCode, message) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
 /**
  * 404 handler - Handles not found routes
  */
@@ -32,15 +44,23 @@ const errorHandler = (err, _req, res, _next) => {
   const statusCode = err.statusCode || err.status || 500;
   const message = err.message || "Something went wrong!";
 
+  // Let clients know when they can retry after a rate limit
+  if (err.retryAfter) {
+    res.set("Retry-After", String(err.retryAfter));
+  }
+
   res.status(statusCode).json({
     success: false,
     error: message,
+    // Extra fields describing the error, like the scopes missing for a 403
+    ...(err.details && { details: err.details }),
     timestamp: new Date().toISOString(),
     ...(process.env.NODE_ENV === "development" && { stack: err.stack }),
   });
 };
 
 module.exports = {
+  createHttpError,
   notFoundHandler,
   unauthorizedHandler,
   errorHandler,
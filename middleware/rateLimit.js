@@ -0,0 +1,187 @@
+const { createRateLimitStore } = require("../utils/rateLimitStores");
+
+// Limits of the wrapper routes as "<requests>/<seconds>", or "off"
+// Routes match by path prefix, the longest match wins and "default" applies to the rest
+// RATE_LIMITS overrides them, e.g. RATE_LIMITS="/random-chatter=5/60,default=60/60"
+const DEFAULT_RATE_LIMITS = {
+  default: "120/60",
+  "/health": "600/60",
+  "/validate": "30/60",
+  "/random-chatter": "10/60",
+  "/chat": "20/30",
+  "/moderation": "30/30",
+  "/admin": "30/60",
+  // Called by Twitch, which retries failed deliveries
+  "/eventsub/webhook": "off",
+};
+
+// Rate limit store shared by every limited route, created with the first limiter
+let rateLimitStore = null;
+
+/**
+ * Parses a "<requests>/<seconds>" limit into a token bucket
+ * The bucket holds up to requests tokens (the allowed burst) and refills them over seconds
+ * @param {string} route - Route of the limit, for error messages
+ * @param {string} value - Limit, or "off"
+ * @returns {Object|null} { requests, seconds, capacity, refillPerMs }, or null if off
+ * @throws {Error} Throws on an invalid limit
+ */
+const parseRateLimit = (route, value) => {
+  if (value.trim().toLowerCase() === "off") return null;
+
+  const match = value.trim().match(/^(\d+)\/(\d+)$/);
+  if (!match || Number(match[1]) < 1 || Number(match[2]) < 1) {
+    throw new Error(
+      `Invalid rate limit for ${route}: ${value}. Use "<requests>/<seconds>" or "off".`
+    );
+  }
+
+  const requests = Number(match[1]);
+  const seconds = Number(match[2]);
+  return {
+    requests,
+    seconds,
+    capacity: requests,
+    refillPerMs: requests / (seconds * 1000),
+  };
+};
+
+/**
+ * Returns the rate limit of every route, the defaults merged with RATE_LIMITS
+ * @returns {Object} Limits keyed by route, null for routes without limit
+ * @throws {Error} Throws on an invalid RATE_LIMITS entry
+ */
+const getRateLimits = () => {
+  const limits = { ...DEFAULT_RATE_LIMITS };
+
+  (process.env.RATE_LIMITS || "")
+    .split(",")
+    .map((entry) => entry.trim())
+    .filter(Boolean)
+    .forEach((entry) => {
+      const separator = entry.indexOf("=");
+      if (separator < 1) {
+        throw new Error(
+          `Invalid RATE_LIMITS entry: ${entry}. Use "<route>=<requests>/<seconds>".`
+        );
+      }
+      limits[entry.slice(0, separator).trim()] = entry.slice(separator + 1);
+    });
+
+  return Object.fromEntries(
+    Object.entries(limits).map(([route, value]) => [
+      route,
+      parseRateLimit(route, value),
+    ])
+  );
+};
+
+/**
+ * Finds the route limiting a request path, the longest matching prefix or "default"
+ * @param {Object} limits - Limits keyed by route
+ * @param {string} path - Request path
+ * @returns {string}
+ */
+const findRateLimitRoute = (limits, path) =>
+  Object.keys(limits)
+    .filter(
+      (route) =>
+        route !== "default" && (path === route || path.startsWith(`${route}/`))
+    )
+    .sort((a, b) => b.length - a.length)[0] || "default";
+
+/**
+ * Identifies the client of a request: its API key, or its IP without one
+ * Behind a proxy, set TRUST_PROXY so req.ip is the client and not the proxy
+ * @param {Object} req - Express request
+ * @returns {string}
+ */
+const getClientId = (req) =>
+  req.apiKey ? `key:${req.apiKey.id}` : `ip:${req.ip}`;
+
+/**
+ * Parses TRUST_PROXY into the Express "trust proxy" setting
+ * "true", a number of proxies, or addresses and subnets (e.g. "loopback")
+ * @returns {boolean|number|string|undefined} undefined when TRUST_PROXY isn't set
+ */
+const getTrustProxy = () => {
+  const value = process.env.TRUST_PROXY;
+  if (!value) return undefined;
+  if (value === "true" || value === "false") return value === "true";
+  return /^\d+$/.test(value) ? Number(value) : value;
+};
+
+/**
+ * Rate limiting middleware
+ * Gives every client (API key, or IP without one) a token bucket per route, sets the
+ * RateLimit-* headers on every limited response and answers 429 once the bucket is empty.
+ * If the store fails, requests are let through rather than taking the API down.
+ * @returns {Function} Express middleware
+ * @throws {Error} Throws on an invalid RATE_LIMITS or RATE_LIMIT_STORE value
+ */
+const rateLimit = () => {
+  const limits = getRateLimits();
+  rateLimitStore = rateLimitStore || createRateLimitStore();
+
+  return async (req, res, next) => {
+    const route = findRateLimitRoute(limits, req.path);
+    const limit = limits[route];
+    if (!limit) return next();
+
+    let result;
+    try {
+      result = await rateLimitStore.consume(
+        `${route}:${getClientId(req)}`,
+        limit
+      );
+    } catch (error) {
+      console.error("❌ Rate limit store error:", error.message);
+      return next();
+    }
+
+    const remaining = Math.floor(result.tokens);
+    const secondsUntil = (tokens) =>
+      Math.ceil(Math.max(0, tokens) / limit.refillPerMs / 1000);
+
+    res.set({
+      "RateLimit-Policy": `${limit.requests};w=${limit.seconds}`,
+      "RateLimit-Limit": String(limit.requests),
+      "RateLimit-Remaining": String(remaining),
+      // Seconds until the bucket is full again
+      "RateLimit-Reset": String(secondsUntil(limit.capacity - result.tokens)),
+    });
+
+    if (result.allowed) return next();
+
+    const retryAfter = Math.max(1, secondsUntil(1 - result.tokens));
+    res.set("Retry-After", String(retryAfter));
+    res.status(429).json({
+      status: "Error",
+      data: {
+        error: `Too many requests, retry in ${retryAfter} second${
+          retryAfter > 1 ? "s" : ""
+        }`,
+        limit: limit.requests,
+        window_seconds: limit.seconds,
+        remaining: 0,
+        retry_after: retryAfter,
+      },
+      timestamp: new Date().toISOString(),
+    });
+  };
+};
+
+/**
+ * Closes the connection of the rate limit store, if it has one
+ */
+const closeRateLimitStore = () => {
+  rateLimitStore?.close();
+};
+
+module.exports = {
+  DEFAULT_RATE_LIMITS,
+  getRateLimits,
+  getTrustProxy,
+  rateLimit,
+  closeRateLimitStore,
+};
@@ -0,0 +1,161 @@
+const { tokenManager } = require("../utils/tokenStorage");
+const { createHttpError } = require("./errorHandler");
+
+// Scope requirements declared by the routes, checked against every account at startup
+const routeScopes = [];
+
+/**
+ * Returns the scopes granted to a token record as a list
+ * Records store the scopes returned by Twitch, or the TWITCH_SCOPES string for older records
+ * @param {Object} tokens - Token record
+ * @returns {Array<string>}
+ */
+const getGrantedScopes = (tokens) =>
+  []
+    .concat(tokens?.scopes || [])
+    .flatMap((scope) => scope.split(" "))
+    .filter(Boolean);
+
+/**
+ * Returns the scopes of a list that a token record wasn't granted
+ * @param {Object} tokens - Token record
+ * @param {Array<string>} scopes - Required scopes
+ * @returns {Array<string>}
+ */
+const getMissingScopes = (tokens, scopes) => {
+  const granted = getGrantedScopes(tokens);
+  return scopes.filter((scope) => !granted.includes(scope));
+};
+
+/**
+ * Builds the ways to re-authorize an account with the scopes it misses
+ * The requested scopes keep the ones already granted, so nothing is lost
+ * @param {Object} tokens - Token record
+ * @param {Array<string>} missingScopes - Scopes to add
+ * @returns {Object} { scopes, login_url, device_url }
+ */
+const getReauthorization = (tokens, missingScopes) => {
+  const scopes = [
+    ...new Set([...getGrantedScopes(tokens), ...missingScopes]),
+  ].join(" ");
+  const query = new URLSearchParams({ scopes });
+
+  return {
+    scopes,
+    login_url: `/auth/login?${query}&force_verify=true`,
+    device_url: `/auth/device?${query}`,
+  };
+};
+
+/**
+ * Creates the 403 error of a request whose account misses scopes
+ * @param {Object} tokens - Token record of the acting account
+ * @param {Array<string>} missingScopes - Missing scopes
+ * @returns {Error}
+ */
+const createMissingScopeError = (tokens, missingScopes) => {
+  const error = createHttpError(
+    403,
+    `Missing Twitch scope${
+      missingScopes.length > 1 ? "s" : ""
+    }: ${missingScopes.join(", ")}. Re-authorize ${
+      tokens?.login || "the account"
+    } with these scopes.`
+  );
+  error.details = {
+    missing_scopes: missingScopes,
+    reauthorize: getReauthorization(tokens, missingScopes),
+  };
+  return error;
+};
+
+/**
+ * Declares the scopes a route needs and enforces them on the acting account
+ * Requests of an account without them get a 403 naming the missing scopes. Requests without
+ * an account are let through, the Helix client answers them (app token or 503).
+ *
+ * @param {string} route - Route name used in the startup report (e.g. "GET /random-chatter")
+ * @param {Array<string>} scopes - Scopes always required
+ * @param {Object} [conditional] - Extra scopes required when a boolean query or body flag is set,
+ * keyed by the flag name (e.g. { followersOnly: ["moderator:read:followers"] })
+ * @returns {Function} Express middleware
+ */
+const requireScopes = (route, scopes, conditional = {}) => {
+  routeScopes.push({ route, scopes, conditional });
+
+  return (req, _res, next) => {
+    const tokens = tokenManager.getTokens();
+    if (!tokens) return next();
+
+    const required = [...scopes];
+    Object.entries(conditional).forEach(([flag, flagScopes]) => {
+      const value = req.query[flag] ?? req.body?.[flag];
+      if (value === true || value === "true" || value === "1") {
+        required.push(...flagScopes);
+      }
+    });
+
+    const missingScopes = getMissingScopes(tokens, required);
+    if (missingScopes.length > 0) {
+      return next(createMissingScopeError(tokens, missingScopes));
+    }
+    next();
+  };
+};
+
+/**
+ * Compares the scopes of every account with the scopes declared by the routes
+ * @returns {Array<Object>} Per account: { user_id, login, missing: [{ route, scopes, flag }] }
+ */
+const getScopeReport = () =>
+  tokenManager.listAccounts().map((tokens) => ({
+    user_id: tokens.user_id,
+    login: tokens.login,
+    missing: routeScopes.flatMap(({ route, scopes, conditional }) =>
+      [
+        { route, scopes: getMissingScopes(tokens, scopes), flag: null },
+        ...Object.entries(conditional).map(([flag, flagScopes]) => ({
+          route,
+          scopes: getMissingScopes(tokens, flagScopes),
+          flag,
+        })),
+      ].filter((item) => item.scopes.length > 0)
+    ),
+  }));
+
+/**
+ * Logs the routes each account can't use for lack of scopes, with how to re-authorize it
+ * Meant to run at startup, once the accounts are restored
+ */
+const checkRouteScopes = () => {
+  getScopeReport().forEach(({ user_id, login, missing }) => {
+    if (missing.length === 0) return;
+
+    console.log(
+      `\n⚠️  Account ${login} is missing scopes used by some routes:`
+    );
+    missing.forEach(({ route, scopes, flag }) =>
+      console.log(
+        `\t🔒  ${route}${flag ? ` (${flag})` : ""}: ${scopes.join(", ")}`
+      )
+    );
+
+    const { login_url, device_url } = getReauthorization(
+      tokenManager.getTokens(user_id),
+      [...new Set(missing.flatMap(({ scopes }) => scopes))]
+    );
+    console.log(
+      `\t🔑  Re-authorize with POST ${login_url} (a login link) or POST ${device_url}`
+    );
+  });
+};
+
+module.exports = {
+  getGrantedScopes,
+  getMissingScopes,
+  getReauthorization,
+  createMissingScopeError,
+  requireScopes,
+  getScopeReport,
+  checkRouteScopes,
+};
@@ -0,0 +1,68 @@
+const express = require("express");
+const { apiKeyManager } = require("../utils/apiKeys");
+const { requireRole } = require("../middleware/apiKeys");
+
+const router = express.Router();
+
+// Every admin route requires an admin API key
+router.use(requireRole("admin"));
+
+// Lists the API keys, without the keys themselves
+router.get("/keys", async (_req, res, next) => {
+  try {
+    const keys = await apiKeyManager.list();
+
+    res.json({
+      status: "OK",
+      data: {
+        keys: keys,
+      },
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Issues an API key
+// - role: "read-only", "moderator" or "admin" (required)
+// - name: optional description of who uses the key
+// The key is only returned here, store it safely
+router.post("/keys", async (req, res, next) => {
+  try {
+    const { key, record } = await apiKeyManager.issue({
+      role: req.body.role,
+      name: req.body.name,
+    });
+
+    res.status(201).json({
+      status: "OK",
+      data: {
+        key: key,
+        api_key: record,
+      },
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Revokes an API key, it stays listed with its revoked_at date
+router.delete("/keys/:id", async (req, res, next) => {
+  try {
+    const record = await apiKeyManager.revoke(req.params.id);
+
+    res.json({
+      status: "OK",
+      data: {
+        api_key: record,
+      },
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,185 @@
+const express = require("express");
+const {
+  createLoginLink,
+  openLoginLink,
+  exchangeAuthorizationCode,
+  startDeviceAuthorization,
+  cancelDeviceAuthorization,
+  getAuthStatus,
+} = require("./twitch");
+const { createHttpError } = require("../middleware/errorHandler");
+const {
+  getGrantedScopes,
+  getReauthorization,
+  getScopeReport,
+} = require("../middleware/scopes");
+const { requireRole } = require("../middleware/apiKeys");
+
+const router = express.Router();
+
+/**
+ * Returns the URL of the callback route, which must be registered in the Twitch application
+ * Uses TWITCH_REDIRECT_URI, or the host the request was sent to
+ * @param {Object} req - Express request
+ * @returns {string}
+ */
+const getRedirectUri = (req) =>
+  process.env.TWITCH_REDIRECT_URI ||
+  `${req.protocol}://${req.get("host")}/auth/callback`;
+
+// Reports the authentication state: authorized accounts and the last device flow
+// The device flow status is "pending" until the code is entered, then "authorized",
+// or "denied", "expired", "cancelled" or "failed" if it wasn't completed
+router.get("/status", requireRole("admin"), (_req, res) => {
+  res.json({
+    status: "OK",
+    data: getAuthStatus(),
+    timestamp: new Date().toISOString(),
+  });
+});
+
+// Starts a device flow, or returns the one still pending
+// - scopes: space-separated scopes to request, in the query or body (default: TWITCH_SCOPES)
+// Visit verification_uri and enter user_code, then follow GET /auth/status
+router.post("/device", requireRole("admin"), async (req, res, next) => {
+  try {
+    await startDeviceAuthorization({
+      scopes: req.query.scopes || req.body?.scopes || undefined,
+    });
+
+    res.status(202).json({
+      status: "OK",
+      data: getAuthStatus().device,
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Cancels the pending device flow
+router.delete("/device", requireRole("admin"), (_req, res, next) => {
+  try {
+    if (!cancelDeviceAuthorization()) {
+      throw createHttpError(404, "No pending device authorization");
+    }
+
+    res.json({
+      status: "OK",
+      data: getAuthStatus().device,
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Reports the scopes of the acting account and the routes it can't use without more scopes
+// Includes the URLs to re-authorize it with the missing scopes, keeping the granted ones
+router.get("/scopes", requireRole("read-only"), (req, res, next) => {
+  try {
+    if (!req.account) {
+      throw createHttpError(
+        503,
+        "Twitch is not authenticated yet. Authorize an account with POST /auth/device."
+      );
+    }
+
+    const { missing } = getScopeReport().find(
+      (report) => report.user_id === req.account.user_id
+    );
+    const missingScopes = [...new Set(missing.flatMap((item) => item.scopes))];
+
+    res.json({
+      status: "OK",
+      data: {
+        login: req.account.login,
+        granted_scopes: getGrantedScopes(req.account),
+        missing,
+        reauthorize:
+          missingScopes.length > 0
+            ? getReauthorization(req.account, missingScopes)
+            : null,
+      },
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Creates a login link for the authorization code flow, to share with the person logging in
+// The link works once and without API key, for 10 minutes
+// - scopes: space-separated scopes to request, in the query or body (default: TWITCH_SCOPES)
+// - force_verify: ask the user to authorize again even if already done
+router.post("/login", requireRole("admin"), (req, res, next) => {
+  try {
+    const { state, expiresAt } = createLoginLink({
+      redirectUri: getRedirectUri(req),
+      scopes: req.query.scopes || req.body?.scopes || undefined,
+      forceVerify:
+        String(req.query.force_verify || req.body?.force_verify) === "true",
+      startedBy: req.apiKey?.id || null,
+    });
+    const loginUrl = new URL("/auth/login", getRedirectUri(req));
+    loginUrl.searchParams.set("state", state);
+
+    res.status(201).json({
+      status: "OK",
+      data: {
+        login_url: loginUrl.toString(),
+        expires_at: new Date(expiresAt).toISOString(),
+      },
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Opens a login link created with POST /auth/login, redirecting the user to Twitch
+router.get("/login", (req, res, next) => {
+  try {
+    res.redirect(openLoginLink(String(req.query.state || "")));
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Completes the authorization code flow
+// Twitch redirects here with the code and state, or with an error if the user denied access
+// No API key is sent by Twitch: only the states of opened login links are accepted
+// The authorized account is stored and can be selected with X-Twitch-Account
+router.get("/callback", async (req, res, next) => {
+  try {
+    const { code, state, error, error_description } = req.query;
+
+    if (error) {
+      throw createHttpError(
+        403,
+        `Authorization denied: ${error_description || error}`
+      );
+    }
+    if (!code || !state) {
+      throw createHttpError(400, "code and state are required.");
+    }
+
+    const account = await exchangeAuthorizationCode({ code, state });
+
+    res.json({
+      status: "OK",
+      data: {
+        account: {
+          user_id: account.user_id,
+          login: account.login,
+          scopes: account.scopes,
+        },
+      },
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,259 @@
+const express = require("express");
+const {
+  listRewards,
+  createReward,
+  updateReward,
+  deleteReward,
+  redemptionQueue,
+} = require("../utils/channelPoints");
+const { createHttpError } = require("../middleware/errorHandler");
+const { requireRole } = require("../middleware/apiKeys");
+const { requireScopes } = require("../middleware/scopes");
+
+const router = express.Router();
+
+const REDEMPTION_STATUSES = ["pending", "fulfilled", "canceled", "unknown"];
+
+// Every change to rewards and redemptions needs the broadcaster's channel:manage:redemptions scope
+const manageRedemptions = (route) =>
+  requireScopes(route, ["channel:manage:redemptions"]);
+
+// Lists the custom rewards of the channel
+// - manageable: true to only list the rewards created by this application, the only ones
+//   it can update, delete or process redemptions of
+// Needs channel:read:redemptions or channel:manage:redemptions, Twitch answers 403 without either
+router.get("/rewards", requireRole("read-only"), async (req, res, next) => {
+  try {
+    const rewards = await listRewards({
+      onlyManageable: req.query.manageable === "true",
+    });
+
+    res.json({
+      status: "OK",
+      data: {
+        rewards: rewards,
+      },
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Creates a custom reward
+// - title and cost (required), prompt, background_color, is_user_input_required, limits and
+//   cooldowns, same fields as Helix
+router.post(
+  "/rewards",
+  requireRole("moderator"),
+  manageRedemptions("POST /channel-points/rewards"),
+  async (req, res, next) => {
+    try {
+      const reward = await createReward(req.body);
+
+      res.status(201).json({
+        status: "OK",
+        data: {
+          reward: reward,
+        },
+        timestamp: new Date().toISOString(),
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Updates a custom reward, only the fields sent are changed
+router.patch(
+  "/rewards/:id",
+  requireRole("moderator"),
+  manageRedemptions("PATCH /channel-points/rewards"),
+  async (req, res, next) => {
+    try {
+      const reward = await updateReward(req.params.id, req.body);
+
+      res.json({
+        status: "OK",
+        data: {
+          reward: reward,
+        },
+        timestamp: new Date().toISOString(),
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Pauses a custom reward, viewers see it but can't redeem it
+router.post(
+  "/rewards/:id/pause",
+  requireRole("moderator"),
+  manageRedemptions("POST /channel-points/rewards/:id/pause"),
+  async (req, res, next) => {
+    try {
+      const reward = await updateReward(req.params.id, { is_paused: true });
+
+      res.json({
+        status: "OK",
+        data: {
+          reward: reward,
+        },
+        timestamp: new Date().toISOString(),
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Resumes a paused custom reward
+router.post(
+  "/rewards/:id/resume",
+  requireRole("moderator"),
+  manageRedemptions("POST /channel-points/rewards/:id/resume"),
+  async (req, res, next) => {
+    try {
+      const reward = await updateReward(req.params.id, { is_paused: false });
+
+      res.json({
+        status: "OK",
+        data: {
+          reward: reward,
+        },
+        timestamp: new Date().toISOString(),
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Deletes a custom reward, Twitch refunds its pending redemptions
+router.delete(
+  "/rewards/:id",
+  requireRole("moderator"),
+  manageRedemptions("DELETE /channel-points/rewards"),
+  async (req, res, next) => {
+    try {
+      await deleteReward(req.params.id);
+
+      res.json({
+        status: "OK",
+        data: {
+          deleted: { id: req.params.id },
+        },
+        timestamp: new Date().toISOString(),
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Lists the redemption queue of the channel, oldest first
+// - reward_id: only redemptions of this reward
+// - status: "pending" (default), or "fulfilled", "canceled" and "unknown" for the last resolved ones
+router.get("/redemptions", requireRole("read-only"), async (req, res, next) => {
+  try {
+    const status = req.query.status || "pending";
+
+    if (!REDEMPTION_STATUSES.includes(status)) {
+      throw createHttpError(
+        400,
+        `Invalid status value: ${status}. Valid options are: ${REDEMPTION_STATUSES.join(
+          ", "
+        )}.`
+      );
+    }
+
+    const redemptions = await redemptionQueue.list({
+      rewardId: req.query.reward_id,
+      status,
+    });
+
+    res.json({
+      status: "OK",
+      data: {
+        redemptions: redemptions,
+      },
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Adds the unfulfilled redemptions missed while the server or EventSub was down,
+// and drops the queued ones already resolved from the Twitch dashboard
+router.post(
+  "/redemptions/sync",
+  requireRole("moderator"),
+  manageRedemptions("POST /channel-points/redemptions/sync"),
+  async (_req, res, next) => {
+    try {
+      const result = await redemptionQueue.sync();
+
+      res.json({
+        status: "OK",
+        data: result,
+        timestamp: new Date().toISOString(),
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Marks a pending redemption as fulfilled and removes it from the queue
+router.post(
+  "/redemptions/:id/fulfill",
+  requireRole("moderator"),
+  manageRedemptions("POST /channel-points/redemptions/:id/fulfill"),
+  async (req, res, next) => {
+    try {
+      const redemption = await redemptionQueue.resolve(
+        req.params.id,
+        "fulfilled"
+      );
+
+      res.json({
+        status: "OK",
+        data: {
+          redemption: redemption,
+        },
+        timestamp: new Date().toISOString(),
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Cancels a pending redemption, refunding its points, and removes it from the queue
+router.post(
+  "/redemptions/:id/cancel",
+  requireRole("moderator"),
+  manageRedemptions("POST /channel-points/redemptions/:id/cancel"),
+  async (req, res, next) => {
+    try {
+      const redemption = await redemptionQueue.resolve(
+        req.params.id,
+        "canceled"
+      );
+
+      res.json({
+        status: "OK",
+        data: {
+          redemption: redemption,
+        },
+        timestamp: new Date().toISOString(),
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,44 @@
+const express = require("express");
+const { chatClient } = require("../utils/chatClient");
+const { createHttpError } = require("../middleware/errorHandler");
+const { requireRole } = require("../middleware/apiKeys");
+
+const router = express.Router();
+
+// Sends a chat message
+// - message: text to send (required, max 500 characters)
+// - channel: channel login to send to (default: the first joined channel)
+// - reply_parent_message_id: optional ID of the message to reply to
+// The message is queued and the response is sent once it leaves the queue
+router.post("/messages", requireRole("moderator"), async (req, res, next) => {
+  try {
+    if (chatClient.stopped) {
+      throw createHttpError(
+        503,
+        "Chat is not configured, set TWITCH_CHAT_CHANNELS in environment variables."
+      );
+    }
+    if (!chatClient.connected) {
+      throw createHttpError(503, "Chat is not connected, try again later.");
+    }
+
+    const { message, reply_parent_message_id } = req.body;
+    const channel = req.body.channel || [...chatClient.channels][0];
+
+    const sent = await chatClient.say(channel, message, {
+      replyTo: reply_parent_message_id,
+    });
+
+    res.json({
+      status: "OK",
+      data: {
+        message: sent,
+      },
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
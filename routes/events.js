@@ -0,0 +1,40 @@
+const express = require("express");
+const { eventStream } = require("../utils/eventStream");
+const { requireRole } = require("../middleware/apiKeys");
+
+const router = express.Router();
+
+// Streams channel events as Server-Sent Events
+// - topics: optional comma-separated topics or subscription types to receive (default: all)
+// - Last-Event-ID header (or lastEventId query parameter): replays the buffered events missed since that ID
+router.get("/", requireRole("read-only"), (req, res) => {
+  const topics = (req.query.topics || "")
+    .split(",")
+    .map((topic) => topic.trim())
+    .filter(Boolean);
+  const lastEventId = parseInt(
+    req.headers["last-event-id"] || req.query.lastEventId,
+    10
+  );
+
+  res.set({
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+    // Disable response buffering on nginx-like proxies
+    "X-Accel-Buffering": "no",
+  });
+  res.flushHeaders();
+
+  // Ask browsers to wait 3 seconds before reconnecting
+  res.write("retry: 3000\n\n");
+
+  const removeClient = eventStream.addClient(res, {
+    topics,
+    lastEventId: Number.isNaN(lastEventId) ? null : lastEventId,
+  });
+
+  req.on("close", removeClient);
+});
+
+module.exports = router;
@@ -0,0 +1,186 @@
+const express = require("express");
+const { eventSubWebhook } = require("../utils/eventSubWebhook");
+const { helixClient } = require("../utils/helixClient");
+const {
+  EVENTSUB_TOPICS,
+  buildSubscriptions,
+} = require("../utils/eventSubTopics");
+const { createHttpError } = require("../middleware/errorHandler");
+const { requireRole } = require("../middleware/apiKeys");
+const { getConfiguredChannelIds } = require("./twitch");
+
+const router = express.Router();
+
+// EventSub webhook callback
+// - Answers the webhook_callback_verification challenge
+// - Rejects requests with an invalid signature or an expired timestamp (403)
+// - Acknowledges duplicated message IDs without dispatching them again
+router.post("/webhook", (req, res, next) => {
+  try {
+    if (!eventSubWebhook.getSecret()) {
+      throw createHttpError(
+        503,
+        "TWITCH_EVENTSUB_SECRET must be set in environment variables to receive webhooks."
+      );
+    }
+
+    const messageId = req.headers["twitch-eventsub-message-id"];
+    const timestamp = req.headers["twitch-eventsub-message-timestamp"];
+    const messageType = req.headers["twitch-eventsub-message-type"];
+
+    if (!eventSubWebhook.verifySignature(req.headers, req.rawBody)) {
+      throw createHttpError(403, "Invalid EventSub message signature");
+    }
+
+    if (eventSubWebhook.isExpired(timestamp)) {
+      throw createHttpError(403, "EventSub message timestamp is too old");
+    }
+
+    if (eventSubWebhook.isDuplicate(messageId)) {
+      console.log(`ℹ️  Duplicated EventSub message ignored: ${messageId}`);
+      return res.status(204).end();
+    }
+
+    if (messageType === "webhook_callback_verification") {
+      console.log(
+        `✅  EventSub webhook verified for ${req.body.subscription.type}`
+      );
+      return res.status(200).type("text/plain").send(req.body.challenge);
+    }
+
+    eventSubWebhook.dispatch(req.headers, req.body);
+    res.status(204).end();
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Lists the webhook subscriptions of the application
+// - status, type: optional filters (only one of them, as Twitch requires)
+// - cursor: optional pagination cursor
+router.get(
+  "/subscriptions",
+  requireRole("read-only"),
+  async (req, res, next) => {
+    try {
+      const response = await helixClient.get(
+        "/eventsub/subscriptions",
+        {
+          ...(req.query.status && { status: req.query.status }),
+          ...(req.query.type && { type: req.query.type }),
+          ...(req.query.cursor && { after: req.query.cursor }),
+        },
+        { tokenType: "app" }
+      );
+
+      res.json({
+        status: "OK",
+        data: {
+          subscriptions: response.data.data,
+          total: response.data.total,
+          total_cost: response.data.total_cost,
+          max_total_cost: response.data.max_total_cost,
+          pagination: {
+            cursor: response.data.pagination?.cursor || null,
+          },
+        },
+        timestamp: new Date().toISOString(),
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Creates webhook subscriptions pointing to TWITCH_EVENTSUB_CALLBACK_URL
+// - topic: one of the EventSub topics (e.g. "follows"), may create several subscriptions
+// - or type, version and condition for any other subscription type
+router.post("/subscriptions", requireRole("admin"), async (req, res, next) => {
+  try {
+    const callback = process.env.TWITCH_EVENTSUB_CALLBACK_URL;
+    const secret = eventSubWebhook.getSecret();
+
+    if (!callback || !secret) {
+      throw createHttpError(
+        503,
+        "TWITCH_EVENTSUB_CALLBACK_URL and TWITCH_EVENTSUB_SECRET must be set in environment variables."
+      );
+    }
+
+    const { topic, type, version = "1", condition } = req.body;
+    let subscriptions;
+
+    if (topic) {
+      if (!EVENTSUB_TOPICS[topic]) {
+        throw createHttpError(
+          400,
+          `Invalid topic value: ${topic}. Valid options are: ${Object.keys(
+            EVENTSUB_TOPICS
+          ).join(", ")}.`
+        );
+      }
+      subscriptions = buildSubscriptions(
+        [topic],
+        await getConfiguredChannelIds()
+      );
+    } else if (type && condition) {
+      subscriptions = [{ type, version, condition }];
+    } else {
+      throw createHttpError(
+        400,
+        "Either a topic or a type and condition are required."
+      );
+    }
+
+    const created = [];
+    for (const subscription of subscriptions) {
+      const response = await helixClient.post(
+        "/eventsub/subscriptions",
+        {
+          ...subscription,
+          transport: { method: "webhook", callback, secret },
+        },
+        null,
+        { tokenType: "app" }
+      );
+      created.push(...response.data.data);
+    }
+
+    res.status(202).json({
+      status: "OK",
+      data: {
+        subscriptions: created,
+      },
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Deletes a webhook subscription
+router.delete(
+  "/subscriptions/:id",
+  requireRole("admin"),
+  async (req, res, next) => {
+    try {
+      await helixClient.delete(
+        "/eventsub/subscriptions",
+        { id: req.params.id },
+        { tokenType: "app" }
+      );
+
+      res.json({
+        status: "OK",
+        data: {
+          deleted: req.params.id,
+        },
+        timestamp: new Date().toISOString(),
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+module.exports = router;
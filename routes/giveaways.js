@@ -0,0 +1,198 @@
+const express = require("express");
+const { giveawayManager } = require("../utils/giveaways");
+const { createHttpError } = require("../middleware/errorHandler");
+const { requireRole } = require("../middleware/apiKeys");
+
+const router = express.Router();
+
+// Maximum number of winners that can be drawn in a single call
+const MAX_GIVEAWAY_DRAW = 100;
+
+// Lists every giveaway without their entrants and draws
+router.get("/", requireRole("read-only"), async (_req, res, next) => {
+  try {
+    const giveaways = await giveawayManager.list();
+
+    res.json({
+      status: "OK",
+      data: {
+        giveaways: giveaways.map(({ entrants, draws, ...giveaway }) => ({
+          ...giveaway,
+          entrants_count: entrants.length,
+          draws_count: draws.length,
+        })),
+      },
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Creates a giveaway
+// - title: giveaway title (required)
+// - mode: "entries" (users enter via keyword or API) or "chatters" (draws from the chatters list)
+// - keyword: optional chat keyword to enter (e.g. "!join")
+// - filters: optional draw filters, same as /random-chatter
+router.post("/", requireRole("moderator"), async (req, res, next) => {
+  try {
+    const giveaway = await giveawayManager.create(req.body);
+
+    res.status(201).json({
+      status: "OK",
+      data: {
+        giveaway: giveaway,
+      },
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Gets a giveaway with its entrants, winners and full draw history
+router.get("/:id", requireRole("read-only"), async (req, res, next) => {
+  try {
+    const giveaway = await giveawayManager.get(req.params.id);
+
+    res.json({
+      status: "OK",
+      data: {
+        giveaway: giveaway,
+      },
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Opens the giveaway entries
+router.post("/:id/open", requireRole("moderator"), async (req, res, next) => {
+  try {
+    const giveaway = await giveawayManager.open(req.params.id);
+
+    res.json({
+      status: "OK",
+      data: {
+        giveaway: giveaway,
+      },
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Closes the giveaway entries
+router.post("/:id/close", requireRole("moderator"), async (req, res, next) => {
+  try {
+    const giveaway = await giveawayManager.close(req.params.id);
+
+    res.json({
+      status: "OK",
+      data: {
+        giveaway: giveaway,
+      },
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Enters a user in the giveaway
+// - user_id, user_login: Twitch identity of the entrant (required)
+// - user_name: optional display name
+router.post(
+  "/:id/entries",
+  requireRole("moderator"),
+  async (req, res, next) => {
+    try {
+      const { entrant, created } = await giveawayManager.enter(
+        req.params.id,
+        req.body
+      );
+
+      res.status(created ? 201 : 200).json({
+        status: "OK",
+        data: {
+          entrant: entrant,
+          created: created,
+        },
+        timestamp: new Date().toISOString(),
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Draws winners with a recorded seed
+// - count: number of winners to draw (default: 1, max: 100)
+router.post("/:id/draw", requireRole("moderator"), async (req, res, next) => {
+  try {
+    const count = req.body.count ? parseInt(req.body.count, 10) : 1;
+
+    if (!Number.isInteger(count) || count < 1 || count > MAX_GIVEAWAY_DRAW) {
+      throw createHttpError(
+        400,
+        `Invalid count value: ${req.body.count}. It must be between 1 and ${MAX_GIVEAWAY_DRAW}.`
+      );
+    }
+
+    const draw = await giveawayManager.draw(req.params.id, count);
+
+    res.json({
+      status: "OK",
+      data: {
+        draw: draw,
+      },
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Replaces winners with new ones, previous winners can't be drawn again
+// - user_ids: optional list of winners to replace (default: every current winner)
+router.post("/:id/reroll", requireRole("moderator"), async (req, res, next) => {
+  try {
+    const draw = await giveawayManager.reroll(req.params.id, req.body.user_ids);
+
+    res.json({
+      status: "OK",
+      data: {
+        draw: draw,
+      },
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Replays a recorded draw from its seed to prove the winners were fairly drawn
+router.get(
+  "/:id/draws/:drawId/verify",
+  requireRole("read-only"),
+  async (req, res, next) => {
+    try {
+      const verification = await giveawayManager.verify(
+        req.params.id,
+        req.params.drawId
+      );
+
+      res.json({
+        status: "OK",
+        data: verification,
+        timestamp: new Date().toISOString(),
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+module.exports = router;
@@ -1,8 +1,33 @@
 const express = require("express");
 const { name, version } = require("../package.json");
+const { createHttpError } = require("../middleware/errorHandler");
+const { requireScopes } = require("../middleware/scopes");
+const { requireRole } = require("../middleware/apiKeys");
+const { helixCache } = require("../utils/helixCache");
 
 const router = express.Router();
 
+// Maximum number of winners that can be drawn in a single call
+const MAX_CHATTER_DRAW = 100;
+
+/**
+ * Parses a boolean query string flag ("true" or "1")
+ * @param {string} value - Query string value
+ * @returns {boolean}
+ */
+const parseBooleanQuery = (value) => value === "true" || value === "1";
+
+/**
+ * Parses a comma-separated query string list
+ * @param {string} value - Query string value
+ * @returns {Array<string>}
+ */
+const parseListQuery = (value) =>
+  (value || "")
+    .split(",")
+    .map((item) => item.trim())
+    .filter(Boolean);
+
 // Base route
 router.get("/", (_req, res) => {
   res.json({
@@ -15,12 +40,13 @@ router.get("/", (_req, res) => {
   });
 });
 
-// Health check endpoint
+// Health check endpoint, with the Helix cache statistics
 router.get("/health", (_req, res) => {
   res.json({
     status: "OK",
     data: {
       uptime: process.uptime(),
+      cache: helixCache.getStats(),
     },
     timestamp: new Date().toISOString(),
   });
@@ -28,8 +54,8 @@ router.get("/health", (_req, res) => {
 
 // Validates a Twitch access token
 // - Uses provided token from request body or Authorization header
-// - Falls back to global token if no token provided
-router.post("/validate", async (req, res, next) => {
+// - Falls back to the acting account token if no token provided
+router.post("/validate", requireRole("moderator"), async (req, res, next) => {
   try {
     const { validateToken } = require("./twitch");
 
@@ -69,61 +95,145 @@ router.post("/validate", async (req, res, next) => {
   }
 });
 
-// Gets a random chatter from the Twitch channel
-router.get("/random-chatter", async (_req, res, next) => {
-  try {
-    const { getRandomChatter } = require("./twitch");
-    const choosenChatter = await getRandomChatter();
+// Draws random chatters from the Twitch channel filtering by:
+// - count: number of unique winners to draw (default: 1, max: 100)
+// - excludeBroadcaster / excludeBots: skip the broadcaster and known chat bots
+// - exclude: comma-separated list of logins to skip
+// - followersOnly / subscribersOnly: require the winners to follow or be subscribed to the channel
+router.get(
+  "/random-chatter",
+  requireRole("moderator"),
+  requireScopes("GET /random-chatter", ["moderator:read:chatters"], {
+    followersOnly: ["moderator:read:followers"],
+    subscribersOnly: ["channel:read:subscriptions"],
+  }),
+  async (req, res, next) => {
+    try {
+      const { getRandomChatter } = require("./twitch");
+      const count = req.query.count ? parseInt(req.query.count, 10) : 1;
+
+      if (!Number.isInteger(count) || count < 1 || count > MAX_CHATTER_DRAW) {
+        throw createHttpError(
+          400,
+          `Invalid count value: ${req.query.count}. It must be between 1 and ${MAX_CHATTER_DRAW}.`
+        );
+      }
 
-    if (!choosenChatter) {
-      return res.status(204).json({
+      const winners = await getRandomChatter({
+        count,
+        excludeBroadcaster: parseBooleanQuery(req.query.excludeBroadcaster),
+        excludeBots: parseBooleanQuery(req.query.excludeBots),
+        exclude: parseListQuery(req.query.exclude),
+        followersOnly: parseBooleanQuery(req.query.followersOnly),
+        subscribersOnly: parseBooleanQuery(req.query.subscribersOnly),
+      });
+
+      if (!winners) {
+        return res.status(204).json({
+          status: "OK",
+          data: null,
+          timestamp: new Date().toISOString(),
+        });
+      }
+
+      res.json({
         status: "OK",
-        data: null,
+        data: {
+          user: winners[0].user_name,
+          winners: winners,
+        },
         timestamp: new Date().toISOString(),
       });
+    } catch (error) {
+      next(error);
     }
-
-    res.json({
-      status: "OK",
-      data: {
-        user: choosenChatter,
-      },
-      timestamp: new Date().toISOString(),
-    });
-  } catch (error) {
-    next(error);
   }
-});
+);
 
 // Gets clips from a Twitch channel filtering by:
 // - an optional tag that represents a date range like "today", "week", "month", "year", "all" (by default "year")
-// - an optional limit on the number of clips to return (default: 10)
-router.get("/clips/:fromTag?/:limit?", async (req, res, next) => {
-  try {
-    const { getClips } = require("./twitch");
-    const fromTag = req.params.fromTag || "year";
-    const limit = parseInt(req.params.limit, 10) || 10;
+// - an optional limit on the number of clips to return (default: 10, max: 100)
+// Query parameters (all optional):
+// - started_at / ended_at: explicit ISO 8601 date range, overrides the fromTag preset
+// - game_id: only keep clips of this game
+// - cursor: pagination cursor returned by a previous call
+// - broadcaster: broadcaster login, overrides TWITCH_BROADCASTER_ID
+// - sort: "views", "date" or "duration", with order "asc" or "desc" (default: "desc")
+router.get(
+  "/clips/:fromTag?/:limit?",
+  requireRole("read-only"),
+  async (req, res, next) => {
+    try {
+      const { getClips } = require("./twitch");
+      const fromTag = req.params.fromTag || "year";
+      const limit = req.params.limit || req.query.limit || 10;
+
+      const { clips, cursor } = await getClips({
+        fromTag,
+        limit,
+        startedAt: req.query.started_at,
+        endedAt: req.query.ended_at,
+        gameId: req.query.game_id,
+        cursor: req.query.cursor,
+        broadcaster: req.query.broadcaster,
+        sort: req.query.sort,
+        order: req.query.order,
+      });
 
-    const clips = await getClips(fromTag, limit);
+      if (clips.length === 0 && !cursor) {
+        return res.status(204).json({
+          status: "OK",
+          data: null,
+          timestamp: new Date().toISOString(),
+        });
+      }
 
-    if (!clips || clips.length === 0) {
-      return res.status(204).json({
+      res.json({
         status: "OK",
-        data: null,
+        data: {
+          clips: clips,
+          pagination: {
+            cursor: cursor,
+          },
+        },
         timestamp: new Date().toISOString(),
       });
+    } catch (error) {
+      next(error);
     }
+  }
+);
 
-    res.json({
-      status: "OK",
-      data: {
-        clips: clips,
-      },
-      timestamp: new Date().toISOString(),
-    });
-  } catch (error) {
-    next(error);
+// Clips the broadcaster's live stream, answering once Twitch has processed the clip
+// - has_delay: true to clip what viewers see with the stream delay (default: false)
+// - timeout: seconds to wait for the clip to be processed (default: 15, max: 60)
+// Both are read from the body or the query string
+router.post(
+  "/clips",
+  requireRole("moderator"),
+  requireScopes("POST /clips", ["clips:edit"]),
+  async (req, res, next) => {
+    try {
+      const { createClip } = require("./twitch");
+      const options = { ...req.query, ...req.body };
+
+      const clip = await createClip({
+        hasDelay:
+          options.has_delay === true || parseBooleanQuery(options.has_delay),
+        timeout: options.timeout,
+      });
+
+      res.status(201).json({
+        status: "OK",
+        data: {
+          clips: [clip],
+        },
+        timestamp: new Date().toISOString(),
+      });
+    } catch (error) {
+      next(error);
+    }
   }
-});
+);
 
 module.exports = router;
@@ -0,0 +1,88 @@
+const express = require("express");
+const { requireRole } = require("../middleware/apiKeys");
+
+const router = express.Router();
+
+/**
+ * Parses user IDs or logins from the query, comma-separated or repeated (?login=a,b&login=c)
+ * @param {string|Array<string>} value - Query string value
+ * @returns {Array<string>}
+ */
+const parseUserListQuery = (value) =>
+  []
+    .concat(value || [])
+    .flatMap((item) => item.split(","))
+    .map((item) => item.trim())
+    .filter(Boolean);
+
+// Looks up Twitch users, at most 100 ids and logins together
+// - id: user IDs, comma-separated or repeated
+// - login: login names, comma-separated or repeated
+// IDs and logins that don't exist are listed in not_found
+router.get("/users", requireRole("read-only"), async (req, res, next) => {
+  try {
+    const { getUsers } = require("./twitch");
+    const { users, not_found } = await getUsers({
+      ids: parseUserListQuery(req.query.id),
+      logins: parseUserListQuery(req.query.login),
+    });
+
+    res.json({
+      status: "OK",
+      data: {
+        users: users,
+        not_found: not_found,
+      },
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Gets the information of a channel (title, game, language, tags) by broadcaster ID or login
+router.get(
+  "/channels/:id",
+  requireRole("read-only"),
+  async (req, res, next) => {
+    try {
+      const { getChannel } = require("./twitch");
+      const channel = await getChannel(req.params.id);
+
+      res.json({
+        status: "OK",
+        data: {
+          channel: channel,
+        },
+        timestamp: new Date().toISOString(),
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Gets the live status of channels, with the viewer count and uptime of live ones
+// - id / login: channels to check, like /users (default: the acting channel)
+router.get("/streams", requireRole("read-only"), async (req, res, next) => {
+  try {
+    const { getStreams } = require("./twitch");
+    const { streams, not_found } = await getStreams({
+      ids: parseUserListQuery(req.query.id),
+      logins: parseUserListQuery(req.query.login),
+    });
+
+    res.json({
+      status: "OK",
+      data: {
+        streams: streams,
+        not_found: not_found,
+      },
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
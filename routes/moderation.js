@@ -0,0 +1,425 @@
+const express = require("express");
+const {
+  resolveTarget,
+  validateBanOptions,
+  validateChatSettings,
+  banUser,
+  unbanUser,
+  deleteChatMessage,
+  getChatSettings,
+  updateChatSettings,
+  getShieldMode,
+  setShieldMode,
+  runBulkAction,
+  moderationAudit,
+} = require("../utils/moderation");
+const { chatFilter, filterDecisions } = require("../utils/chatFilters");
+const { createHttpError } = require("../middleware/errorHandler");
+const { requireRole } = require("../middleware/apiKeys");
+const { requireScopes } = require("../middleware/scopes");
+
+const router = express.Router();
+
+// Maximum number of audit entries returned at once
+const MAX_AUDIT_LIMIT = 500;
+
+/**
+ * Describes who triggered a request, as recorded in the audit log
+ * @param {Object} req - Express request
+ * @returns {Object} { api_key, ip, account }
+ */
+const getActor = (req) => ({
+  api_key: req.apiKey
+    ? { id: req.apiKey.id, name: req.apiKey.name, role: req.apiKey.role }
+    : null,
+  ip: req.ip,
+  account: req.account
+    ? { user_id: req.account.user_id, login: req.account.login }
+    : null,
+});
+
+/**
+ * Parses a user given in the URL, either a user ID or a login
+ * @param {string} user - Route parameter
+ * @returns {Object} { user_id } or { login }
+ */
+const parseUserParam = (user) =>
+  /^\d+$/.test(user) ? { user_id: user } : { login: user };
+
+// Bans a user from the chat
+// - user_id or login: user to ban (required)
+// - reason: optional reason shown to the other moderators
+router.post(
+  "/bans",
+  requireRole("moderator"),
+  requireScopes("POST /moderation/bans", ["moderator:manage:banned_users"]),
+  async (req, res, next) => {
+    try {
+      const { reason } = validateBanOptions({ reason: req.body.reason });
+      const target = await resolveTarget(req.body);
+      const ban = await moderationAudit.track(
+        { action: "ban", actor: getActor(req), target, details: { reason } },
+        () => banUser(target.user_id, { reason })
+      );
+
+      res.json({
+        status: "OK",
+        data: {
+          ban: ban,
+        },
+        timestamp: new Date().toISOString(),
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Removes the ban or timeout of a user, given by user ID or login
+router.delete(
+  "/bans/:user",
+  requireRole("moderator"),
+  requireScopes("DELETE /moderation/bans", ["moderator:manage:banned_users"]),
+  async (req, res, next) => {
+    try {
+      const target = await resolveTarget(parseUserParam(req.params.user));
+      await moderationAudit.track(
+        { action: "unban", actor: getActor(req), target },
+        () => unbanUser(target.user_id)
+      );
+
+      res.json({
+        status: "OK",
+        data: {
+          unbanned: target,
+        },
+        timestamp: new Date().toISOString(),
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Times a user out
+// - user_id or login: user to time out (required)
+// - duration: timeout in seconds, from 1 to 1209600 (two weeks) (required)
+// - reason: optional reason shown to the other moderators
+router.post(
+  "/timeouts",
+  requireRole("moderator"),
+  requireScopes("POST /moderation/timeouts", ["moderator:manage:banned_users"]),
+  async (req, res, next) => {
+    try {
+      if (!req.body.duration) {
+        throw createHttpError(400, "A duration in seconds is required.");
+      }
+
+      const { duration, reason } = validateBanOptions(req.body);
+      const target = await resolveTarget(req.body);
+      const timeout = await moderationAudit.track(
+        {
+          action: "timeout",
+          actor: getActor(req),
+          target,
+          details: { duration, reason },
+        },
+        () => banUser(target.user_id, { duration, reason })
+      );
+
+      res.json({
+        status: "OK",
+        data: {
+          timeout: timeout,
+        },
+        timestamp: new Date().toISOString(),
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Deletes a chat message by its ID (the message_id of chat events)
+router.delete(
+  "/messages/:messageId",
+  requireRole("moderator"),
+  requireScopes("DELETE /moderation/messages", [
+    "moderator:manage:chat_messages",
+  ]),
+  async (req, res, next) => {
+    try {
+      const target = { message_id: req.params.messageId };
+      await moderationAudit.track(
+        { action: "delete_message", actor: getActor(req), target },
+        () => deleteChatMessage(target.message_id)
+      );
+
+      res.json({
+        status: "OK",
+        data: {
+          deleted: target,
+        },
+        timestamp: new Date().toISOString(),
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Gets the chat settings of the channel
+router.get(
+  "/chat-settings",
+  requireRole("read-only"),
+  async (_req, res, next) => {
+    try {
+      const settings = await getChatSettings();
+
+      res.json({
+        status: "OK",
+        data: {
+          settings: settings,
+        },
+        timestamp: new Date().toISOString(),
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Updates the chat settings of the channel, only the fields sent are changed
+// - slow_mode / slow_mode_wait_time: slow mode and seconds between messages (3 to 120)
+// - follower_mode / follower_mode_duration: follower-only mode and minutes of following required
+// - emote_mode, subscriber_mode, unique_chat_mode: emote-only, subscriber-only and unique chat
+// - non_moderator_chat_delay / non_moderator_chat_delay_duration: chat delay (2, 4 or 6 seconds)
+router.patch(
+  "/chat-settings",
+  requireRole("moderator"),
+  requireScopes("PATCH /moderation/chat-settings", [
+    "moderator:manage:chat_settings",
+  ]),
+  async (req, res, next) => {
+    try {
+      const changes = validateChatSettings(req.body);
+      const settings = await moderationAudit.track(
+        {
+          action: "update_chat_settings",
+          actor: getActor(req),
+          details: changes,
+        },
+        () => updateChatSettings(changes)
+      );
+
+      res.json({
+        status: "OK",
+        data: {
+          settings: settings,
+        },
+        timestamp: new Date().toISOString(),
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Gets the shield mode status of the channel
+// Needs moderator:read:shield_mode or moderator:manage:shield_mode, Twitch answers 403 without either
+router.get(
+  "/shield-mode",
+  requireRole("read-only"),
+  async (_req, res, next) => {
+    try {
+      const shieldMode = await getShieldMode();
+
+      res.json({
+        status: "OK",
+        data: {
+          shield_mode: shieldMode,
+        },
+        timestamp: new Date().toISOString(),
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Activates or deactivates shield mode
+// - is_active: true to activate it, false to deactivate it (required)
+router.put(
+  "/shield-mode",
+  requireRole("moderator"),
+  requireScopes("PUT /moderation/shield-mode", [
+    "moderator:manage:shield_mode",
+  ]),
+  async (req, res, next) => {
+    try {
+      const isActive = req.body.is_active;
+      if (typeof isActive !== "boolean") {
+        throw createHttpError(400, "is_active must be true or false.");
+      }
+
+      const shieldMode = await moderationAudit.track(
+        {
+          action: "shield_mode",
+          actor: getActor(req),
+          details: { is_active: isActive },
+        },
+        () => setShieldMode(isActive)
+      );
+
+      res.json({
+        status: "OK",
+        data: {
+          shield_mode: shieldMode,
+        },
+        timestamp: new Date().toISOString(),
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Bans, times out or unbans up to 100 users at once, e.g. to clean up after a hate raid
+// - action: "ban", "timeout" or "unban" (required)
+// - targets: user IDs, logins or { user_id } / { login } objects (required)
+// - duration: timeout in seconds (required for "timeout")
+// - reason: optional reason shown to the other moderators
+// Every user gets its own result, a failure doesn't stop the others
+router.post(
+  "/bulk",
+  requireRole("moderator"),
+  requireScopes("POST /moderation/bulk", ["moderator:manage:banned_users"]),
+  async (req, res, next) => {
+    try {
+      const result = await runBulkAction(req.body, getActor(req));
+
+      res.json({
+        status: "OK",
+        data: result,
+        timestamp: new Date().toISOString(),
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Lists the moderation actions taken through the wrapper, most recent first
+// - action: only this action (ban, timeout, unban, delete_message, update_chat_settings, shield_mode)
+// - user: only actions targeting this user ID or login
+// - api_key_id: only actions triggered with this API key
+// - limit: number of entries (default: 50, max: 500)
+router.get("/audit", requireRole("moderator"), async (req, res, next) => {
+  try {
+    const limit = req.query.limit ? parseInt(req.query.limit, 10) : 50;
+
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_AUDIT_LIMIT) {
+      throw createHttpError(
+        400,
+        `Invalid limit value: ${req.query.limit}. It must be between 1 and ${MAX_AUDIT_LIMIT}.`
+      );
+    }
+
+    const entries = await moderationAudit.list({
+      action: req.query.action,
+      user: req.query.user,
+      apiKeyId: req.query.api_key_id,
+      limit,
+    });
+
+    res.json({
+      status: "OK",
+      data: {
+        entries: entries,
+      },
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Lists the chat filter rules loaded from the filters file
+router.get("/filters", requireRole("moderator"), (_req, res) => {
+  res.json({
+    status: "OK",
+    data: chatFilter.describe(),
+    timestamp: new Date().toISOString(),
+  });
+});
+
+// Tells which chat filter rule a message would fire, without acting on it
+// - text: message to check (required)
+// - badges: author badges, to check exemptions (e.g. { "subscriber": "12" })
+// - user_login: author login, to check user exemptions
+// - emotes: emote positions ({ id, start, end }), for emote and caps rules
+// Repeat rules only see the message itself, they never fire here
+router.post("/filters/test", requireRole("moderator"), (req, res, next) => {
+  try {
+    const { text, badges = {}, user_login = null, emotes = [] } = req.body;
+    if (typeof text !== "string" || !text) {
+      throw createHttpError(400, "A message text is required.");
+    }
+
+    const match = chatFilter.evaluate({ text, badges, user_login, emotes });
+
+    res.json({
+      status: "OK",
+      data: {
+        allowed: !match,
+        rule: match ? match.rule.name : null,
+        type: match ? match.rule.type : null,
+        detail: match ? match.detail : null,
+      },
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Lists the chat filter decisions, most recent first
+// - rule: only decisions of this rule
+// - action: only decisions with this action (warn, delete, timeout, ban)
+// - user: only decisions about this user ID or login
+// - limit: number of decisions (default: 50, max: 500)
+router.get(
+  "/filters/decisions",
+  requireRole("moderator"),
+  async (req, res, next) => {
+    try {
+      const limit = req.query.limit ? parseInt(req.query.limit, 10) : 50;
+
+      if (!Number.isInteger(limit) || limit < 1 || limit > MAX_AUDIT_LIMIT) {
+        throw createHttpError(
+          400,
+          `Invalid limit value: ${req.query.limit}. It must be between 1 and ${MAX_AUDIT_LIMIT}.`
+        );
+      }
+
+      const decisions = await filterDecisions.list({
+        rule: req.query.rule,
+        action: req.query.action,
+        user: req.query.user,
+        limit,
+      });
+
+      res.json({
+        status: "OK",
+        data: {
+          decisions: decisions,
+        },
+        timestamp: new Date().toISOString(),
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,281 @@
+const express = require("express");
+const {
+  listPolls,
+  getPoll,
+  createPoll,
+  endPoll,
+  listPredictions,
+  getPrediction,
+  createPrediction,
+  updatePrediction,
+} = require("../utils/polls");
+const { requireRole } = require("../middleware/apiKeys");
+const { requireScopes } = require("../middleware/scopes");
+
+const router = express.Router();
+
+/**
+ * Reads the list options of /polls and /predictions from the query
+ * @param {Object} query - Express query
+ * @returns {Object} { ids, first, cursor }
+ */
+const parseListQuery = ({ id, first, cursor }) => ({
+  ids: []
+    .concat(id || [])
+    .flatMap((item) => item.split(","))
+    .filter(Boolean),
+  first: first || 20,
+  cursor,
+});
+
+// Lists the polls of the channel with their results, most recent first
+// - id: only these polls, comma-separated or repeated
+// - first: page size (default: 20, max: 25)
+// - cursor: pagination cursor from a previous response
+// Needs channel:read:polls or channel:manage:polls, Twitch answers 403 without either
+router.get("/polls", requireRole("read-only"), async (req, res, next) => {
+  try {
+    const { polls, cursor } = await listPolls(parseListQuery(req.query));
+
+    res.json({
+      status: "OK",
+      data: {
+        polls: polls,
+        cursor: cursor,
+      },
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Gets a poll with its results, "current" is the latest poll
+router.get("/polls/:id", requireRole("read-only"), async (req, res, next) => {
+  try {
+    const poll = await getPoll(req.params.id);
+
+    res.json({
+      status: "OK",
+      data: {
+        poll: poll,
+      },
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Starts a poll
+// - title: question, at most 60 characters (required)
+// - choices: 2 to 5 choice titles, at most 25 characters each (required)
+// - duration: seconds the poll runs, from 15 to 1800 (required)
+// - channel_points_per_vote: optional, lets viewers buy extra votes with channel points
+router.post(
+  "/polls",
+  requireRole("moderator"),
+  requireScopes("POST /polls", ["channel:manage:polls"]),
+  async (req, res, next) => {
+    try {
+      const poll = await createPoll(req.body);
+
+      res.status(201).json({
+        status: "OK",
+        data: {
+          poll: poll,
+        },
+        timestamp: new Date().toISOString(),
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Ends a poll early and keeps its results visible in chat, "current" is the latest poll
+router.post(
+  "/polls/:id/end",
+  requireRole("moderator"),
+  requireScopes("POST /polls/:id/end", ["channel:manage:polls"]),
+  async (req, res, next) => {
+    try {
+      const poll = await endPoll(req.params.id, "TERMINATED");
+
+      res.json({
+        status: "OK",
+        data: {
+          poll: poll,
+        },
+        timestamp: new Date().toISOString(),
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Ends a poll and hides it from chat, "current" is the latest poll
+router.post(
+  "/polls/:id/archive",
+  requireRole("moderator"),
+  requireScopes("POST /polls/:id/archive", ["channel:manage:polls"]),
+  async (req, res, next) => {
+    try {
+      const poll = await endPoll(req.params.id, "ARCHIVED");
+
+      res.json({
+        status: "OK",
+        data: {
+          poll: poll,
+        },
+        timestamp: new Date().toISOString(),
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Lists the predictions of the channel with their results, most recent first
+// - id, first, cursor: same as /polls
+// Needs channel:read:predictions or channel:manage:predictions, Twitch answers 403 without either
+router.get("/predictions", requireRole("read-only"), async (req, res, next) => {
+  try {
+    const { predictions, cursor } = await listPredictions(
+      parseListQuery(req.query)
+    );
+
+    res.json({
+      status: "OK",
+      data: {
+        predictions: predictions,
+        cursor: cursor,
+      },
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Gets a prediction with its results, "current" is the latest prediction
+router.get(
+  "/predictions/:id",
+  requireRole("read-only"),
+  async (req, res, next) => {
+    try {
+      const prediction = await getPrediction(req.params.id);
+
+      res.json({
+        status: "OK",
+        data: {
+          prediction: prediction,
+        },
+        timestamp: new Date().toISOString(),
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Starts a prediction
+// - title: question, at most 45 characters (required)
+// - outcomes: 2 to 10 outcome titles, at most 25 characters each (required)
+// - prediction_window: seconds viewers can predict, from 30 to 1800 (required)
+router.post(
+  "/predictions",
+  requireRole("moderator"),
+  requireScopes("POST /predictions", ["channel:manage:predictions"]),
+  async (req, res, next) => {
+    try {
+      const prediction = await createPrediction(req.body);
+
+      res.status(201).json({
+        status: "OK",
+        data: {
+          prediction: prediction,
+        },
+        timestamp: new Date().toISOString(),
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Locks a prediction, viewers can't predict anymore, "current" is the latest prediction
+router.post(
+  "/predictions/:id/lock",
+  requireRole("moderator"),
+  requireScopes("POST /predictions/:id/lock", ["channel:manage:predictions"]),
+  async (req, res, next) => {
+    try {
+      const prediction = await updatePrediction(req.params.id, "LOCKED");
+
+      res.json({
+        status: "OK",
+        data: {
+          prediction: prediction,
+        },
+        timestamp: new Date().toISOString(),
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Resolves a prediction and pays out the winners, "current" is the latest prediction
+// - winning_outcome_id: ID of the winning outcome
+// - outcome: or its title or position (1 for the first outcome), handier from a Stream Deck
+router.post(
+  "/predictions/:id/resolve",
+  requireRole("moderator"),
+  requireScopes("POST /predictions/:id/resolve", [
+    "channel:manage:predictions",
+  ]),
+  async (req, res, next) => {
+    try {
+      const prediction = await updatePrediction(req.params.id, "RESOLVED", {
+        id: req.body.winning_outcome_id,
+        outcome: req.body.outcome ?? req.query.outcome,
+      });
+
+      res.json({
+        status: "OK",
+        data: {
+          prediction: prediction,
+        },
+        timestamp: new Date().toISOString(),
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Cancels a prediction and refunds every viewer, "current" is the latest prediction
+router.post(
+  "/predictions/:id/cancel",
+  requireRole("moderator"),
+  requireScopes("POST /predictions/:id/cancel", ["channel:manage:predictions"]),
+  async (req, res, next) => {
+    try {
+      const prediction = await updatePrediction(req.params.id, "CANCELED");
+
+      res.json({
+        status: "OK",
+        data: {
+          prediction: prediction,
+        },
+        timestamp: new Date().toISOString(),
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+module.exports = router;
@@ -1,83 +1,586 @@
 const axios = require("axios");
-const { tokenManager } = require("../utils/tokenStorage");
+const crypto = require("crypto");
+const { tokenManager, needsRefresh } = require("../utils/tokenStorage");
+const { helixClient } = require("../utils/helixClient");
+const { helixCache } = require("../utils/helixCache");
+const { createHttpError } = require("../middleware/errorHandler");
+
+// Timeout handles of the scheduled token refreshes, keyed by account user ID
+const keepAliveTimeouts = new Map();
+
+// Delay before retrying a token refresh that failed because Twitch or the network was down
+const REFRESH_RETRY_MS = 60 * 1000;
+
+// Cached app access token from the client credentials grant
+let appAccessToken = null;
+
+// Ways to authorize the first account when none is stored (TWITCH_AUTH_FLOW)
+// - device: device code flow, the code is shown in the console
+// - code: authorization code flow, someone visits /auth/login
+// - app: no account, only the app access token of the client credentials grant
+const AUTH_FLOWS = ["device", "code", "app"];
+
+// Authorization code flows started with /auth/login, keyed by their state
+const pendingAuthorizations = new Map();
+
+// Time a user has to complete the authorization code flow
+const AUTHORIZATION_TTL_MS = 10 * 60 * 1000;
+
+// Last device flow started by the server, reported by GET /auth/status
+let deviceAuthorization = null;
+
+// Resolution of TWITCH_BROADCASTER_ID and TWITCH_MODERATOR_ID, which may be login names
+let configuredChannelIds = null;
+
+// Polling interval when Twitch doesn't send one, and the increase asked by slow_down (RFC 8628)
+const DEFAULT_DEVICE_POLL_INTERVAL = 5;
+const SLOW_DOWN_INCREMENT = 5;
+
+// Device flow states reported for each DeviceAuthorizationError code
+const DEVICE_ERROR_STATUSES = {
+  access_denied: "denied",
+  expired_token: "expired",
+  cancelled: "cancelled",
+};
+
+/**
+ * Error raised when a device flow ends without tokens
+ * Its code tells why: "access_denied", "expired_token", "cancelled", or the error returned by Twitch
+ */
+class DeviceAuthorizationError extends Error {
+  constructor(message, code) {
+    super(message);
+    this.name = "DeviceAuthorizationError";
+    this.code = code;
+  }
+}
+
+// Logins of common chat bots excluded from draws when requested
+const DEFAULT_KNOWN_BOTS = [
+  "nightbot",
+  "streamelements",
+  "streamlabs",
+  "moobot",
+  "fossabot",
+  "wizebot",
+  "sery_bot",
+  "soundalerts",
+  "commanderroot",
+];
+
+// Maximum number of users Helix looks up in a single request
+const MAX_LOOKUP_USERS = 100;
+
+// Clip fields available for server-side sorting
+const CLIP_SORT_FIELDS = {
+  views: (clip) => clip.view_count,
+  date: (clip) => new Date(clip.created_at).getTime(),
+  duration: (clip) => clip.duration,
+};
+
+// Maximum number of clips Twitch returns per page
+const MAX_CLIPS_LIMIT = 100;
+
+// Clips did not exist before this date, used as started_at when only ended_at is given
+const CLIPS_EPOCH = "2016-01-01T00:00:00Z";
+
+// Twitch considers a clip failed when Get Clips doesn't return it within 15 seconds
+const CLIP_PROCESSING_TIMEOUT_SECONDS = 15;
+const MAX_CLIP_PROCESSING_TIMEOUT_SECONDS = 60;
+const CLIP_POLL_INTERVAL_MS = 1000;
 
 /**
  * Manages the complete Twitch login authentication flow.
  *
- * This function orchestrates the OAuth device flow authentication process for Twitch API access.
- * It handles user code generation, token polling, and keeps the authentication alive.
- * If any step fails, the process exits with an error.
+ * This function orchestrates the OAuth authentication process for Twitch API access.
+ * Every stored account is restored first; the flow set in TWITCH_AUTH_FLOW only runs when none
+ * of them is usable. The device flow handles user code generation and token polling; with the
+ * authorization code flow the login URL is logged and accounts are added through /auth/callback.
+ * Either way the authentication is kept alive.
+ * If any step fails, the server keeps running unauthenticated: Twitch routes answer 503 until
+ * an account is authorized with POST /auth/device or /auth/login.
  *
  * @async
  * @function manageTwitchLogin
- * @returns {Promise<void>} A promise that resolves when authentication is complete
- * @throws {Error} Throws an error if any step in the authentication process fails
+ * @returns {Promise<void>} A promise that resolves when authentication is complete or has failed
  *
  * @requires axios - HTTP client for making requests
  * @requires process.env.TWITCH_CLIENT_ID - Twitch application client ID from environment variables
  * @requires process.env.TWITCH_SCOPES - Space-separated list of OAuth scopes from environment variables
+ * @requires process.env.TWITCH_AUTH_FLOW - "device" (default), "code" or "app"
  */
 async function manageTwitchLogin() {
   try {
     console.log("\n🔐 Starting Twitch API authentication...");
 
-    // try to load existing tokens from storage
-    const existingTokens = await tokenManager.initialize();
-
-    if (existingTokens && !tokenManager.needsRefresh()) {
-      console.log("✅ Found existing tokens from storage, validating...");
+    // try to load existing tokens of every account from storage
+    const storedAccounts = await tokenManager.initialize();
 
-      // Validate the existing token with Twitch API
-      const validationResult = await validateToken(existingTokens.access_token);
-
-      if (validationResult.valid) {
-        console.log("✅ Token validation successful, using existing tokens");
-        global.twitchAccessToken = existingTokens;
-        manageKeepAlive(existingTokens);
-        return;
-      } else {
-        console.log("❌ Token validation failed:", validationResult.error);
-        console.log(
-          "🗑️ Clearing invalid tokens and starting new authentication..."
-        );
-        tokenManager.clearTokens();
-        // Continue with the authentication flow below
-      }
+    for (const storedTokens of storedAccounts) {
+      await restoreAccount(storedTokens);
     }
 
-    // If no valid tokens, start authentication process
-    if (existingTokens && tokenManager.needsRefresh()) {
-      console.log("🔄 Tokens need refresh, attempting to refresh...");
-      try {
-        const refreshedTokens = await refreshAccessToken(
-          existingTokens.refresh_token
-        );
-        tokenManager.setTokens(refreshedTokens);
-        global.twitchAccessToken = refreshedTokens;
-        manageKeepAlive(refreshedTokens);
-        return;
-      } catch (refreshError) {
-        console.log("⚠️ Token refresh failed, starting new authentication...");
-      }
+    if (tokenManager.listAccounts().length > 0) {
+      return;
     }
 
-    // Complete authentication process
-    const userCodeData = await getUserCode();
-    logUserCode(userCodeData);
+    const authFlow = getAuthFlow();
+
+    if (authFlow === "code") {
+      console.log(
+        "\n📋  No Twitch account authorized yet, create a login link with an admin key:"
+      );
+      console.log(
+        `\t🌐  curl -X POST -H "X-API-Key: <admin key>" ${getLoginUrl()}`
+      );
+      return;
+    }
 
-    const accessToken = await pollForAccessToken(userCodeData);
-    logAccessToken(accessToken);
+    if (authFlow === "app") {
+      console.log(
+        "\n🔑  No Twitch account authorized, using the app access token only"
+      );
+      return;
+    }
 
-    // Save tokens securely
-    tokenManager.setTokens(accessToken);
-    global.twitchAccessToken = accessToken;
+    // Complete authentication process, tokens are saved once authorized
+    const authorization = await startDeviceAuthorization();
+    const account = await authorization.completion;
 
-    manageKeepAlive(accessToken);
+    if (!account) {
+      throw new Error(authorization.error);
+    }
   } catch (error) {
     console.log("\n❌ AUTHENTICATION FAILED");
     console.log(`⚠️ Error: ${error.message}`);
-    console.log("🛑 Server will shut down...");
-    process.exit(1);
+    console.log(
+      "⚠️ Server keeps running unauthenticated, authorize an account with POST /auth/device"
+    );
+  }
+}
+
+/**
+ * Authorizes a new account with the device flow
+ * Shows the user code, waits for the user to authorize it and identifies the account of the token
+ *
+ * @async
+ * @function authorizeDevice
+ * @returns {Promise<Object>} Token data including the user_id and login of the account
+ * @throws {DeviceAuthorizationError} Throws if the user denies access or the code expires
+ */
+async function authorizeDevice() {
+  const userCodeData = await getUserCode();
+  logUserCode(userCodeData);
+
+  return completeDeviceAuthorization(userCodeData);
+}
+
+/**
+ * Waits for the user to authorize a device code and identifies the account of the token
+ *
+ * @async
+ * @function completeDeviceAuthorization
+ * @param {Object} userCodeData - Device code data from Twitch API
+ * @param {Object} [options] - Polling options
+ * @param {AbortSignal} [options.signal] - Cancels the authorization
+ * @returns {Promise<Object>} Token data including the user_id and login of the account
+ * @throws {DeviceAuthorizationError} Throws if the user denies access, the code expires or it is cancelled
+ */
+async function completeDeviceAuthorization(userCodeData, { signal } = {}) {
+  const accessToken = await pollForAccessToken(userCodeData, { signal });
+  const validationResult = await validateToken(accessToken.access_token);
+
+  if (!validationResult.valid) {
+    throw new Error(validationResult.error);
+  }
+
+  logAccessToken(accessToken);
+  return {
+    ...accessToken,
+    user_id: validationResult.user_id,
+    login: validationResult.login,
+  };
+}
+
+/**
+ * Starts a device flow in the background, or returns the one still pending
+ * The authorization is stored once the user enters the code. Its state is reported by
+ * getAuthStatus while it runs, so the code can be read over HTTP instead of the console.
+ *
+ * A device flow with other scopes replaces the pending one, which is how accounts are
+ * re-authorized with the scopes they miss.
+ *
+ * @async
+ * @function startDeviceAuthorization
+ * @param {Object} [options] - Authorization options
+ * @param {string} [options.scopes] - Space-separated scopes (default: TWITCH_SCOPES)
+ * @returns {Promise<Object>} The device authorization, with a completion promise resolving to
+ * the stored token record, or null if the authorization was denied, expired, cancelled or failed
+ * @throws {Error} Throws an error if the device code can't be obtained
+ */
+const startDeviceAuthorization = async ({
+  scopes = process.env.TWITCH_SCOPES,
+} = {}) => {
+  if (
+    deviceAuthorization?.status === "pending" &&
+    Date.parse(deviceAuthorization.expires_at) > Date.now()
+  ) {
+    if (deviceAuthorization.scopes === scopes) return deviceAuthorization;
+    cancelDeviceAuthorization();
+  }
+
+  const userCodeData = await getUserCode(scopes);
+  logUserCode(userCodeData);
+
+  const authorization = {
+    status: "pending",
+    scopes,
+    verification_uri: userCodeData.verification_uri,
+    user_code: userCodeData.user_code,
+    expires_at: new Date(
+      Date.now() + userCodeData.expires_in * 1000
+    ).toISOString(),
+    account: null,
+    error: null,
+    controller: new AbortController(),
+  };
+
+  authorization.completion = completeDeviceAuthorization(userCodeData, {
+    signal: authorization.controller.signal,
+  })
+    .then(async (accessToken) => {
+      const record = await manageKeepAlive(accessToken);
+      authorization.status = "authorized";
+      authorization.account = { user_id: record.user_id, login: record.login };
+      return record;
+    })
+    .catch((error) => {
+      authorization.status = DEVICE_ERROR_STATUSES[error.code] || "failed";
+      authorization.error = error.message;
+      return null;
+    });
+
+  deviceAuthorization = authorization;
+  return authorization;
+};
+
+/**
+ * Cancels the pending device flow, if any
+ * @function cancelDeviceAuthorization
+ * @returns {boolean} True if a pending device flow was cancelled
+ */
+const cancelDeviceAuthorization = () => {
+  if (deviceAuthorization?.status !== "pending") return false;
+
+  deviceAuthorization.controller.abort();
+  return true;
+};
+
+/**
+ * Returns the public state of a device authorization
+ * @param {Object|null} authorization - Device authorization
+ * @returns {Object|null}
+ */
+const toDeviceStatus = (authorization) =>
+  authorization && {
+    status:
+      authorization.status === "pending" &&
+      Date.parse(authorization.expires_at) <= Date.now()
+        ? "expired"
+        : authorization.status,
+    verification_uri: authorization.verification_uri,
+    user_code: authorization.user_code,
+    expires_at: authorization.expires_at,
+    account: authorization.account,
+    error: authorization.error,
+  };
+
+/**
+ * Reports the authentication state of the server
+ * @function getAuthStatus
+ * @returns {Object} { authenticated, flow, default_account, accounts, app_token, device }
+ */
+const getAuthStatus = () => {
+  const accounts = tokenManager.listAccounts().map((tokens) => ({
+    user_id: tokens.user_id,
+    login: tokens.login,
+    scopes: tokens.scopes,
+    expires_at: new Date(tokens.expires_at).toISOString(),
+  }));
+
+  return {
+    authenticated: accounts.length > 0,
+    flow: process.env.TWITCH_AUTH_FLOW || "device",
+    default_account:
+      accounts.find((account) => account.user_id === tokenManager.defaultUserId)
+        ?.login || null,
+    accounts,
+    app_token: Boolean(process.env.TWITCH_CLIENT_SECRET),
+    device: toDeviceStatus(deviceAuthorization),
+  };
+};
+
+/**
+ * Returns the flow used to authorize the first account, from TWITCH_AUTH_FLOW
+ * @function getAuthFlow
+ * @returns {string} One of AUTH_FLOWS
+ * @throws {Error} Throws on an unknown TWITCH_AUTH_FLOW value
+ */
+const getAuthFlow = () => {
+  const authFlow = (process.env.TWITCH_AUTH_FLOW || "device").toLowerCase();
+
+  if (!AUTH_FLOWS.includes(authFlow)) {
+    throw new Error(
+      `Invalid TWITCH_AUTH_FLOW value: ${authFlow}. Valid options are: ${AUTH_FLOWS.join(
+        ", "
+      )}.`
+    );
+  }
+  return authFlow;
+};
+
+/**
+ * Returns the URL of the /auth/login route that creates and opens login links
+ * Derived from TWITCH_REDIRECT_URI, or the local server when it isn't set
+ * @function getLoginUrl
+ * @returns {string}
+ */
+const getLoginUrl = () => {
+  const redirectUri =
+    process.env.TWITCH_REDIRECT_URI ||
+    `http://localhost:${process.env.PORT || 3000}/auth/callback`;
+
+  return new URL("/auth/login", redirectUri).toString();
+};
+
+/**
+ * Starts an authorization code flow with PKCE, for a login link
+ * Creates the state and code verifier of the flow. The link carrying the state is opened once
+ * with openLoginLink, and the flow must be completed within AUTHORIZATION_TTL_MS.
+ *
+ * @function createLoginLink
+ * @param {Object} options - Authorization options
+ * @param {string} options.redirectUri - URL of the /auth/callback route, registered in the Twitch application
+ * @param {string} [options.scopes] - Space-separated scopes (default: TWITCH_SCOPES)
+ * @param {boolean} [options.forceVerify=false] - Ask the user to authorize again even if already done
+ * @param {string|null} [options.startedBy=null] - ID of the API key that created the link, logged when the flow completes
+ * @returns {Object} { state, expiresAt }
+ * @throws {Error} Throws if TWITCH_CLIENT_SECRET is not set
+ */
+const createLoginLink = ({
+  redirectUri,
+  scopes = process.env.TWITCH_SCOPES,
+  forceVerify = false,
+  startedBy = null,
+}) => {
+  if (!process.env.TWITCH_CLIENT_SECRET) {
+    throw createHttpError(
+      503,
+      "TWITCH_CLIENT_SECRET must be set in environment variables to use the authorization code flow."
+    );
+  }
+
+  // Forget flows that were never completed
+  const now = Date.now();
+  pendingAuthorizations.forEach((authorization, state) => {
+    if (authorization.expiresAt < now) pendingAuthorizations.delete(state);
+  });
+
+  const state = crypto.randomBytes(16).toString("hex");
+  const expiresAt = now + AUTHORIZATION_TTL_MS;
+
+  pendingAuthorizations.set(state, {
+    codeVerifier: crypto.randomBytes(32).toString("base64url"),
+    redirectUri,
+    scopes: scopes || "",
+    forceVerify,
+    startedBy,
+    opened: false,
+    expiresAt,
+  });
+
+  return { state, expiresAt };
+};
+
+/**
+ * Opens a login link created with createLoginLink
+ * Each link can only be opened once, the browser is then sent to Twitch.
+ *
+ * @function openLoginLink
+ * @param {string} state - State of the login link
+ * @returns {string} The Twitch authorization URL to redirect the user to
+ * @throws {Error} Throws a 400 error if the link is unknown, expired or already used
+ */
+const openLoginLink = (state) => {
+  const authorization = pendingAuthorizations.get(state);
+
+  if (
+    !authorization ||
+    authorization.opened ||
+    authorization.expiresAt < Date.now()
+  ) {
+    throw createHttpError(
+      400,
+      "Invalid, expired or already used login link. Ask an admin for a new one."
+    );
+  }
+  authorization.opened = true;
+
+  const params = new URLSearchParams({
+    client_id: process.env.TWITCH_CLIENT_ID,
+    redirect_uri: authorization.redirectUri,
+    response_type: "code",
+    scope: authorization.scopes,
+    state,
+    code_challenge: crypto
+      .createHash("sha256")
+      .update(authorization.codeVerifier)
+      .digest("base64url"),
+    code_challenge_method: "S256",
+    ...(authorization.forceVerify && { force_verify: "true" }),
+  });
+
+  return `https://id.twitch.tv/oauth2/authorize?${params}`;
+};
+
+/**
+ * Completes an authorization code flow started with a login link
+ * Checks the state, exchanges the code for tokens and adds the account they belong to.
+ * Each state can only be used once.
+ *
+ * @async
+ * @function exchangeAuthorizationCode
+ * @param {Object} params - Callback query parameters
+ * @param {string} params.code - Authorization code returned by Twitch
+ * @param {string} params.state - State returned by Twitch
+ * @returns {Promise<Object>} The stored token record of the account
+ * @throws {Error} Throws a 400 error if the state is unknown, expired or its link was never opened, or the exchange fails
+ */
+const exchangeAuthorizationCode = async ({ code, state }) => {
+  const authorization = pendingAuthorizations.get(state);
+  pendingAuthorizations.delete(state);
+
+  if (
+    !authorization ||
+    !authorization.opened ||
+    authorization.expiresAt < Date.now()
+  ) {
+    throw createHttpError(
+      400,
+      "Invalid or expired authorization state, please log in again."
+    );
+  }
+
+  let accessToken;
+  try {
+    const formData = new URLSearchParams({
+      client_id: process.env.TWITCH_CLIENT_ID,
+      client_secret: process.env.TWITCH_CLIENT_SECRET,
+      code,
+      code_verifier: authorization.codeVerifier,
+      grant_type: "authorization_code",
+      redirect_uri: authorization.redirectUri,
+    });
+
+    const response = await axios.post(
+      "https://id.twitch.tv/oauth2/token",
+      formData,
+      { headers: { "Content-Type": "application/x-www-form-urlencoded" } }
+    );
+    accessToken = response.data;
+  } catch (error) {
+    console.error(
+      "\n❌  Error exchanging authorization code:",
+      error.response?.data || error.message
+    );
+    throw createHttpError(
+      400,
+      `Authorization code exchange failed: ${
+        error.response?.data?.message || error.message
+      }`
+    );
+  }
+
+  const validationResult = await validateToken(accessToken.access_token);
+  if (!validationResult.valid) {
+    throw createHttpError(401, validationResult.error);
+  }
+
+  const record = await manageKeepAlive(accessToken, {
+    user_id: validationResult.user_id,
+    login: validationResult.login,
+  });
+  await tokenManager.whenSaved();
+
+  console.log(
+    `✅  Account ${record.login} authorized with the login flow${
+      authorization.startedBy
+        ? ` (link created by API key ${authorization.startedBy})`
+        : ""
+    }`
+  );
+  return record;
+};
+
+/**
+ * Restores a stored account, validating its token or refreshing it when needed
+ * Accounts whose refresh token is rejected by Twitch are removed. When the refresh fails
+ * for another reason (network error, Twitch 5xx), the account is kept and refreshed later.
+ *
+ * @async
+ * @function restoreAccount
+ * @param {Object} storedTokens - Stored token record
+ * @returns {Promise<boolean>} True if the account is ready to use
+ */
+async function restoreAccount(storedTokens) {
+  const account =
+    storedTokens.login || storedTokens.user_id || "stored account";
+
+  if (!needsRefresh(storedTokens)) {
+    console.log(`✅ Found existing tokens for ${account}, validating...`);
+
+    // Validate the existing token with Twitch API
+    const validationResult = await validateToken(storedTokens.access_token);
+
+    if (validationResult.valid) {
+      console.log(
+        `✅ Token validation successful for ${validationResult.login}`
+      );
+      await manageKeepAlive({
+        ...storedTokens,
+        expires_in: validationResult.expires_in,
+        scopes: validationResult.scopes,
+        user_id: validationResult.user_id,
+        login: validationResult.login,
+      });
+      return true;
+    }
+
+    console.log("❌ Token validation failed:", validationResult.error);
+  }
+
+  console.log(`🔄 Tokens of ${account} need refresh, attempting to refresh...`);
+  try {
+    await refreshAccount(storedTokens);
+    return true;
+  } catch (refreshError) {
+    if (!isRefreshTokenRejected(refreshError)) {
+      console.log(
+        `⚠️ Token refresh failed, keeping ${account} and retrying in ${
+          REFRESH_RETRY_MS / 1000
+        } seconds...`
+      );
+      if (storedTokens.user_id) {
+        scheduleRefresh(storedTokens, REFRESH_RETRY_MS);
+      }
+      return false;
+    }
+
+    console.log(`⚠️ Token refresh failed, removing ${account}...`);
+    if (storedTokens.user_id) {
+      tokenManager.removeAccount(storedTokens.user_id);
+    }
+    return false;
   }
 }
 
@@ -89,12 +592,14 @@ async function manageTwitchLogin() {
  *
  * @async
  * @function getUserCode
+ * @param {string} [scopes] - Space-separated scopes to request (default: TWITCH_SCOPES)
  * @returns {Promise<Object>} A promise that resolves to the response data containing:
  *   - device_code: The device verification code
  *   - user_code: The user verification code to be displayed to the user
  *   - verification_uri: The URI where the user should go to authorize the device
  *   - expires_in: The lifetime in seconds of the device_code and user_code
  *   - interval: The minimum amount of time in seconds that the app should wait between polling requests
+ *   - scopes: The requested scopes, sent again when polling for the token
  * @throws {Error} Throws an error if the request fails or if there's a network issue
  *
  * @requires axios - HTTP client for making requests
@@ -110,12 +615,12 @@ async function manageTwitchLogin() {
  *   console.error('Failed to get user code:', error);
  * }
  */
-const getUserCode = async () => {
+const getUserCode = async (scopes = process.env.TWITCH_SCOPES) => {
   try {
     // Create form data for form-urlencoded request
     const formData = new URLSearchParams();
     formData.append("client_id", process.env.TWITCH_CLIENT_ID);
-    formData.append("scopes", process.env.TWITCH_SCOPES);
+    formData.append("scopes", scopes);
 
     const response = await axios.post(
       "https://id.twitch.tv/oauth2/device",
@@ -127,7 +632,7 @@ const getUserCode = async () => {
       }
     );
 
-    return response.data;
+    return { ...response.data, scopes };
   } catch (error) {
     console.error(
       "\n❌ Error obtaining device code:",
@@ -161,20 +666,56 @@ function logUserCode(userCodeData) {
 }
 
 /**
- * Polls for access token after user authorization
+ * Waits the given amount of milliseconds, unless the signal is aborted first
+ * @param {number} ms - Milliseconds to wait
+ * @param {AbortSignal} [signal] - Signal that cancels the wait
+ * @returns {Promise<void>}
+ * @throws {DeviceAuthorizationError} Throws when the signal is aborted
+ */
+const waitForPoll = (ms, signal) =>
+  new Promise((resolve, reject) => {
+    const cancelled = () =>
+      new DeviceAuthorizationError(
+        "Device authorization was cancelled",
+        "cancelled"
+      );
+
+    if (signal?.aborted) return reject(cancelled());
+
+    const timeout = setTimeout(() => {
+      signal?.removeEventListener("abort", onAbort);
+      resolve();
+    }, ms);
+    const onAbort = () => {
+      clearTimeout(timeout);
+      reject(cancelled());
+    };
+    signal?.addEventListener("abort", onAbort, { once: true });
+  });
+
+/**
+ * Polls for access token after user authorization, following RFC 8628
+ * - Waits the interval given by Twitch between requests, 5 more seconds after each slow_down
+ * - Keeps polling while the authorization is pending, or on network errors
+ * - Stops as soon as the user denies access or the device code expires
  * @param {Object} userCodeData - Device code data from Twitch API
- * @returns {Promise<string>} Access token
+ * @param {Object} [options] - Polling options
+ * @param {AbortSignal} [options.signal] - Cancels the polling
+ * @returns {Promise<Object>} Access token data
+ * @throws {DeviceAuthorizationError} Throws with code "access_denied", "expired_token", "cancelled",
+ * or the error returned by Twitch for any other failure
  */
-const pollForAccessToken = async (userCodeData) => {
-  const pollInterval = 2000; // Poll every 2 seconds
-  const maxAttempts = 100; // Maximum number of polling attempts
-  let attempts = 0;
+const pollForAccessToken = async (userCodeData, { signal } = {}) => {
+  let interval = userCodeData.interval || DEFAULT_DEVICE_POLL_INTERVAL;
+  const expiresAt = Date.now() + userCodeData.expires_in * 1000;
+
+  while (Date.now() + interval * 1000 < expiresAt) {
+    await waitForPoll(interval * 1000, signal);
 
-  while (attempts < maxAttempts) {
     try {
       const formData = new URLSearchParams({
         client_id: process.env.TWITCH_CLIENT_ID,
-        scopes: process.env.TWITCH_SCOPES,
+        scopes: userCodeData.scopes || process.env.TWITCH_SCOPES,
         device_code: userCodeData.device_code,
         grant_type: "urn:ietf:params:oauth:grant-type:device_code",
       });
@@ -182,19 +723,61 @@ const pollForAccessToken = async (userCodeData) => {
       const response = await axios.post(
         "https://id.twitch.tv/oauth2/token",
         formData,
-        { headers: { "Content-Type": "application/x-www-form-urlencoded" } }
+        {
+          headers: { "Content-Type": "application/x-www-form-urlencoded" },
+          signal,
+        }
       );
 
       return response.data;
     } catch (error) {
-      attempts++;
-      // Increase polling interval as requested by API
-      await new Promise((resolve) => setTimeout(resolve, pollInterval * 2));
+      if (signal?.aborted) {
+        throw new DeviceAuthorizationError(
+          "Device authorization was cancelled",
+          "cancelled"
+        );
+      }
+
+      // Network errors are transient, keep polling
+      if (!error.response) continue;
+
+      // Twitch sends the RFC 8628 error code in message, other servers in error
+      const errorCode = String(
+        error.response.data?.error || error.response.data?.message || ""
+      ).toLowerCase();
+
+      switch (errorCode) {
+        case "authorization_pending":
+          break;
+        case "slow_down":
+          interval += SLOW_DOWN_INCREMENT;
+          console.log(
+            `⏳  Twitch asked to slow down, polling every ${interval}s`
+          );
+          break;
+        case "access_denied":
+          throw new DeviceAuthorizationError(
+            "The user denied the authorization request",
+            "access_denied"
+          );
+        case "expired_token":
+        case "invalid device code":
+          throw new DeviceAuthorizationError(
+            "The device code expired before the user authorized it",
+            "expired_token"
+          );
+        default:
+          throw new DeviceAuthorizationError(
+            `Device authorization failed: ${errorCode || error.message}`,
+            errorCode || "unknown_error"
+          );
+      }
     }
   }
 
-  throw new Error(
-    "Authorization timeout: User did not authorize within the time limit"
+  throw new DeviceAuthorizationError(
+    "The device code expired before the user authorized it",
+    "expired_token"
   );
 };
 
@@ -219,14 +802,16 @@ function logAccessToken(accessToken) {
 /**
  * Manages the automatic refresh of Twitch access tokens to keep them alive.
  *
- * This function stores the provided access token globally and sets up a timeout
+ * This function stores the provided access token for its account and sets up a timeout
  * to automatically refresh the token before it expires. The refresh is scheduled
  * to occur 10 seconds before the token's expiration time to ensure continuity.
+ * Each account has its own timer; any previously scheduled refresh of the same account is cancelled.
  *
  * @param {Object} accessToken - The Twitch access token object
  * @param {string} accessToken.refresh_token - The refresh token used to obtain a new access token
  * @param {number} accessToken.expires_in - The token expiration time in seconds
- * @returns {void}
+ * @param {Object} [account] - Account the token belongs to ({ user_id, login }), validated from the token if unknown
+ * @returns {Promise<Object>} The stored token record
  *
  * @example
  * const tokenData = {
@@ -234,32 +819,100 @@ function logAccessToken(accessToken) {
  *   refresh_token: 'def456',
  *   expires_in: 3600
  * };
- * manageKeepAlive(tokenData);
+ * await manageKeepAlive(tokenData);
  */
-async function manageKeepAlive(accessToken) {
-  // Update tokens in the manager and globally
-  tokenManager.setTokens(accessToken);
-  global.twitchAccessToken = accessToken;
+async function manageKeepAlive(accessToken, account = accessToken) {
+  let { user_id: userId, login } = account;
 
-  setTimeout(async () => {
-    try {
-      console.log("\n🔄  Token refresh scheduled - refreshing access token...");
-      const newAccessToken = await refreshAccessToken(
-        accessToken.refresh_token
-      );
-      manageKeepAlive(newAccessToken);
-    } catch (error) {
-      console.error("❌  Error refreshing access token:", error);
-      // If an error occurs, clear tokens and retry authentication
-      tokenManager.clearTokens();
-      setTimeout(() => {
-        console.log("🔄 Retrying authentication...");
-        manageTwitchLogin();
-      }, 5000); // Retry in 5 seconds
+  if (!userId) {
+    const validationResult = await validateToken(accessToken.access_token);
+    if (!validationResult.valid) {
+      throw new Error(validationResult.error);
     }
-  }, (accessToken.expires_in - 10) * 1000); // Refresh 10 seconds before expiration
+    userId = validationResult.user_id;
+    login = validationResult.login;
+  }
+
+  // Update tokens of the account in the manager
+  const tokens = tokenManager.setTokens({
+    ...accessToken,
+    user_id: userId,
+    login,
+  });
+
+  // Refresh 10 seconds before expiration
+  scheduleRefresh(tokens, (accessToken.expires_in - 10) * 1000);
+
+  return tokens;
+}
+
+/**
+ * Tells whether a token refresh failed because Twitch rejected the refresh token
+ * Only then is the account unusable; network errors and Twitch 5xx are worth retrying.
+ * @function isRefreshTokenRejected
+ * @param {Error} error - Error thrown by refreshAccount
+ * @returns {boolean}
+ */
+const isRefreshTokenRejected = (error) =>
+  [400, 401].includes(error.response?.status);
+
+/**
+ * Schedules the refresh of the tokens of an account, replacing the one scheduled before
+ * @function scheduleRefresh
+ * @param {Object} tokens - Token record of the account
+ * @param {number} delay - Time before the refresh, in milliseconds
+ */
+function scheduleRefresh(tokens, delay) {
+  const { user_id: userId, login } = tokens;
+
+  clearTimeout(keepAliveTimeouts.get(userId));
+  keepAliveTimeouts.set(
+    userId,
+    setTimeout(async () => {
+      try {
+        console.log(
+          `\n🔄  Token refresh scheduled - refreshing access token of ${login}...`
+        );
+        await refreshAccount(tokens);
+      } catch (error) {
+        console.error(`❌  Error refreshing access token of ${login}:`, error);
+
+        if (!isRefreshTokenRejected(error)) {
+          console.log(
+            `🔄 Retrying the refresh of ${login} in ${
+              REFRESH_RETRY_MS / 1000
+            } seconds...`
+          );
+          scheduleRefresh(tokens, REFRESH_RETRY_MS);
+          return;
+        }
+
+        // The refresh token was rejected, drop the account and authenticate again when none is left
+        keepAliveTimeouts.delete(userId);
+        tokenManager.removeAccount(userId);
+        if (tokenManager.listAccounts().length === 0) {
+          setTimeout(() => {
+            console.log("🔄 Retrying authentication...");
+            manageTwitchLogin();
+          }, 5000); // Retry in 5 seconds
+        }
+      }
+    }, delay)
+  );
 }
 
+/**
+ * Removes an account and cancels its scheduled token refresh
+ * @function removeAccount
+ * @param {string} userId - Twitch user ID of the account
+ * @returns {boolean} True if the account existed
+ */
+const removeAccount = (userId) => {
+  clearTimeout(keepAliveTimeouts.get(userId));
+  keepAliveTimeouts.delete(userId);
+  return tokenManager.removeAccount(userId);
+};
+
 /**
  * Refreshes a Twitch OAuth2 access token using a refresh token
  * @async
@@ -268,7 +921,7 @@ async function manageKeepAlive(accessToken) {
  * @returns {Promise<Object>} Promise that resolves to the response data containing the new access token and related information
  * @throws {Error} Throws an error if the token refresh request fails
  * @description Makes a POST request to Twitch's OAuth2 token endpoint to refresh an expired access token.
- * Requires TWITCH_CLIENT_ID environment variable to be set.
+ * Requires TWITCH_CLIENT_ID environment variable to be set, and TWITCH_CLIENT_SECRET for confidential clients.
  */
 const refreshAccessToken = async (refreshToken) => {
   try {
@@ -278,6 +931,11 @@ const refreshAccessToken = async (refreshToken) => {
       refresh_token: refreshToken,
     });
 
+    // Confidential clients, required by the authorization code flow, refresh with their secret
+    if (process.env.TWITCH_CLIENT_SECRET) {
+      formData.append("client_secret", process.env.TWITCH_CLIENT_SECRET);
+    }
+
     const response = await axios.post(
       "https://id.twitch.tv/oauth2/token",
       formData,
@@ -295,21 +953,139 @@ const refreshAccessToken = async (refreshToken) => {
   }
 };
 
+/**
+ * Refreshes the tokens of an account and keeps them alive
+ * @async
+ * @function refreshAccount
+ * @param {Object} tokens - Current token record of the account
+ * @returns {Promise<Object>} Promise that resolves to the new token record
+ * @throws {Error} Throws an error if the token refresh fails
+ * @description Runs under the refresh lock of the account, so server instances sharing the token
+ * storage never use the same refresh token twice. If another instance refreshed the tokens while
+ * this one waited for the lock, its tokens are reused instead of refreshing again.
+ */
+const refreshAccount = (tokens) =>
+  tokenManager.withRefreshLock(tokens.user_id || "legacy", async (stored) => {
+    if (
+      stored &&
+      stored.access_token !== tokens.access_token &&
+      !needsRefresh(stored)
+    ) {
+      console.log(
+        `🔄  Tokens of ${stored.login} were refreshed by another instance.`
+      );
+      return manageKeepAlive(
+        {
+          ...stored,
+          expires_in: Math.floor((stored.expires_at - Date.now()) / 1000),
+        },
+        stored
+      );
+    }
+
+    const newAccessToken = await refreshAccessToken(
+      (stored || tokens).refresh_token
+    );
+    const record = await manageKeepAlive(newAccessToken, tokens);
+
+    // Store the new tokens before releasing the lock to the next instance
+    await tokenManager.whenSaved();
+    return record;
+  });
+
+/**
+ * Refreshes the session token of an account on demand
+ * @async
+ * @function refreshSession
+ * @param {string} [userId] - Twitch user ID of the account (default: the acting account)
+ * @returns {Promise<Object>} Promise that resolves to the new token data
+ * @throws {Error} Throws an error if there is no refresh token or the refresh fails
+ * @description Used by the Helix client when Twitch rejects the access token with a 401.
+ * The new token is stored and the keep-alive timer is rescheduled from it.
+ */
+const refreshSession = async (userId = tokenManager.getActingUserId()) => {
+  const tokens = tokenManager.getTokens(userId);
+
+  if (!tokens?.refresh_token) {
+    throw new Error("No refresh token available. Please authenticate first.");
+  }
+
+  return refreshAccount(tokens);
+};
+
+/**
+ * Returns an app access token obtained with the client credentials grant
+ * @async
+ * @function getAppAccessToken
+ * @param {boolean} [forceRefresh=false] - Ignore the cached token and request a new one
+ * @returns {Promise<string>} Promise that resolves to the app access token
+ * @throws {Error} Throws an error if TWITCH_CLIENT_SECRET is not set or the request fails
+ * @description App access tokens are used for endpoints that act on behalf of the application,
+ * like EventSub webhook subscriptions, and for public endpoints when no account is authorized.
+ * The token is cached until one minute before it expires.
+ */
+const getAppAccessToken = async (forceRefresh = false) => {
+  if (
+    !forceRefresh &&
+    appAccessToken &&
+    Date.now() < appAccessToken.expires_at - 60 * 1000
+  ) {
+    return appAccessToken.access_token;
+  }
+
+  if (!process.env.TWITCH_CLIENT_SECRET) {
+    throw new Error(
+      "TWITCH_CLIENT_SECRET must be set in environment variables to use an app access token."
+    );
+  }
+
+  try {
+    const formData = new URLSearchParams({
+      client_id: process.env.TWITCH_CLIENT_ID,
+      client_secret: process.env.TWITCH_CLIENT_SECRET,
+      grant_type: "client_credentials",
+    });
+
+    const response = await axios.post(
+      "https://id.twitch.tv/oauth2/token",
+      formData,
+      { headers: { "Content-Type": "application/x-www-form-urlencoded" } }
+    );
+
+    appAccessToken = {
+      access_token: response.data.access_token,
+      expires_at: Date.now() + response.data.expires_in * 1000,
+    };
+
+    console.log("🔑  App access token obtained successfully.");
+    return appAccessToken.access_token;
+  } catch (error) {
+    console.error(
+      "\n❌  Error obtaining app access token:",
+      error.response?.data || error.message
+    );
+    throw error;
+  }
+};
+
 /**
  * Validates a Twitch access token with the Twitch API
  * @async
  * @function validateToken
- * @param {string} [token] - Optional token to validate. If not provided, uses the stored token.
+ * @param {string} [token] - Optional token to validate. If not provided, uses the token of the acting account.
  * @returns {Promise<Object>} Promise that resolves to validation result with token information
  * @throws {Error} Throws an error if the token validation fails
  */
 validateToken = async (token = null) => {
   try {
-    // Use provided token or fallback to global token
-    const tokenToValidate = token || global.twitchAccessToken?.access_token;
+    // Use provided token or fallback to the acting account token
+    const tokenToValidate = token || tokenManager.getTokens()?.access_token;
 
     if (!tokenToValidate) {
-      throw new Error("No token provided and no global token available.");
+      throw createHttpError(
+        503,
+        "No token provided and no account token available."
+      );
     }
 
     // Validate token with Twitch API
@@ -343,93 +1119,598 @@ validateToken = async (token = null) => {
       error: `Token validation failed from twitch: ${
         error.response?.data?.message || error.message
       }`,
-      status: error.response?.status || 500,
+      status: error.response?.status || error.statusCode || 500,
     };
   }
 };
 
 /**
- * Fetches a random chatter from the Twitch channel chatters list
+ * Resolves a user ID setting that may be given as a login name
  * @async
- * @function getRandomChatter
- * @param {string} [cursor] - Optional pagination cursor for fetching next page of results
- * @param {number} [choosenChatterIndex] - Index of the chosen chatter
- * @param {number} [lastChatterIndex] - Index of the last fetched chatter
- * @returns {Promise<string|null>} The username of the randomly selected chatter or null if not found
- * @throws {Error} Throws error if API request fails or authentication is invalid
+ * @param {string} name - Env variable holding the user ID or login
+ * @returns {Promise<string|undefined>} The user ID, or undefined if the variable isn't set
+ * @throws {Error} Throws if the login can't be resolved
  */
-getRandomChatter = async (cursor, choosenChatterIndex, lastChatterIndex) => {
+const resolveUserIdSetting = async (name) => {
+  const value = process.env[name]?.trim();
+  if (!value || /^\d+$/.test(value)) return value || undefined;
+
   try {
-    if (!global.twitchAccessToken) {
-      throw new Error("No access token available. Please authenticate first.");
-    }
+    return await getUserIdByLogin(value);
+  } catch (error) {
+    const resolveError = new Error(
+      `${name} ${value} can't be resolved to a user ID: ${error.message}`
+    );
+    // An unknown login is a configuration error, not a missing resource
+    resolveError.statusCode =
+      error.statusCode === 404 ? 500 : error.statusCode || 500;
+    throw resolveError;
+  }
+};
 
-    const broadcasterId = process.env.TWITCH_BROADCASTER_ID;
-    const moderatorId = process.env.TWITCH_MODERATOR_ID;
+/**
+ * Returns the IDs of TWITCH_BROADCASTER_ID and TWITCH_MODERATOR_ID, resolving login names once
+ * Resolving needs Twitch, so a failed resolution is retried on the next call
+ * @function getConfiguredChannelIds
+ * @returns {Promise<Object>} { broadcasterId, moderatorId }
+ */
+const getConfiguredChannelIds = () => {
+  if (!configuredChannelIds) {
+    configuredChannelIds = Promise.all([
+      resolveUserIdSetting("TWITCH_BROADCASTER_ID"),
+      resolveUserIdSetting("TWITCH_MODERATOR_ID"),
+    ]).then(([broadcasterId, moderatorId]) => ({ broadcasterId, moderatorId }));
 
-    if (!broadcasterId || !moderatorId) {
-      throw new Error(
-        "TWITCH_BROADCASTER_ID and TWITCH_MODERATOR_ID must be set in environment variables."
+    configuredChannelIds.catch(() => {
+      configuredChannelIds = null;
+    });
+  }
+  return configuredChannelIds;
+};
+
+/**
+ * Resolves the configured channel at startup, logging the IDs of login names
+ * The server keeps running if it fails, the resolution is retried on first use
+ * @async
+ * @function checkChannelIds
+ * @returns {Promise<void>}
+ */
+const checkChannelIds = async () => {
+  try {
+    const { broadcasterId, moderatorId } = await getConfiguredChannelIds();
+
+    [
+      ["TWITCH_BROADCASTER_ID", broadcasterId],
+      ["TWITCH_MODERATOR_ID", moderatorId],
+    ]
+      .filter(([name, id]) => id && process.env[name].trim() !== id)
+      .forEach(([name, id]) =>
+        console.log(`🔎  ${name} ${process.env[name].trim()} resolved to ${id}`)
       );
-    }
+  } catch (error) {
+    console.log(`⚠️  ${error.message}. It will be retried on first use.`);
+  }
+};
 
-    const response = await axios.get(
-      `https://api.twitch.tv/helix/chat/chatters?broadcaster_id=${broadcasterId}&moderator_id=${moderatorId}&first=1000` +
-        (cursor ? `&after=${cursor}` : ""),
-      {
-        headers: {
-          Authorization: `Bearer ${global.twitchAccessToken.access_token}`,
-          "Client-Id": process.env.TWITCH_CLIENT_ID,
-        },
-      }
+/**
+ * Returns the channel the acting account works on
+ * An account selected for the request acts on its own channel, as broadcaster and moderator.
+ * Otherwise TWITCH_BROADCASTER_ID and TWITCH_MODERATOR_ID are used, as user IDs or login names.
+ * @async
+ * @function getChannelIds
+ * @returns {Promise<Object>} { broadcasterId, moderatorId }
+ */
+const getChannelIds = async () => {
+  const selectedUserId = tokenManager.getSelectedUserId();
+
+  if (selectedUserId) {
+    return { broadcasterId: selectedUserId, moderatorId: selectedUserId };
+  }
+
+  return getConfiguredChannelIds();
+};
+
+/**
+ * Fetches every chatter of the Twitch channel walking all pagination cursors
+ * @async
+ * @function getAllChatters
+ * @param {Object} [options] - Chatters options
+ * @param {string} [options.broadcasterId] - Channel to list, e.g. the room of a chat command (default: the acting channel, see getChannelIds)
+ * @returns {Promise<Array>} Promise that resolves to the list of unique chatters ({ user_id, user_login, user_name })
+ * @throws {Error} Throws error if API request fails or authentication is invalid
+ */
+const getAllChatters = async ({ broadcasterId: channelId } = {}) => {
+  const actingIds = await getChannelIds();
+  const broadcasterId = channelId || actingIds.broadcasterId;
+  const { moderatorId } = actingIds;
+
+  if (!broadcasterId || !moderatorId) {
+    throw new Error(
+      "TWITCH_BROADCASTER_ID and TWITCH_MODERATOR_ID must be set in environment variables."
     );
+  }
+
+  // Keyed by user_id, chatters may shift between pages while walking the cursors
+  const chatters = new Map();
+  let cursor = null;
+
+  do {
+    const response = await helixClient.get("/chat/chatters", {
+      broadcaster_id: broadcasterId,
+      moderator_id: moderatorId,
+      first: 1000,
+      ...(cursor && { after: cursor }),
+    });
+
+    response.data.data.forEach((chatter) =>
+      chatters.set(chatter.user_id, chatter)
+    );
+    cursor = response.data.pagination?.cursor;
+  } while (cursor);
+
+  return [...chatters.values()];
+};
+
+/**
+ * Returns the logins of the known chat bots to exclude from draws
+ * Defaults to DEFAULT_KNOWN_BOTS, extended with the comma-separated TWITCH_KNOWN_BOTS env variable
+ * @returns {Set<string>} Lowercased bot logins
+ */
+const getKnownBots = () => {
+  const extraBots = (process.env.TWITCH_KNOWN_BOTS || "")
+    .split(",")
+    .map((bot) => bot.trim().toLowerCase())
+    .filter(Boolean);
+
+  return new Set([...DEFAULT_KNOWN_BOTS, ...extraBots]);
+};
+
+/**
+ * Checks whether a user follows the broadcaster channel
+ * Requires the moderator:read:followers scope
+ * @async
+ * @param {string} userId - Twitch user ID to check
+ * @returns {Promise<boolean>} True if the user follows the channel
+ */
+const isFollower = async (userId) => {
+  const { broadcasterId } = await getChannelIds();
+  const response = await helixClient.get("/channels/followers", {
+    broadcaster_id: broadcasterId,
+    user_id: userId,
+  });
+
+  return response.data.data.length > 0;
+};
+
+/**
+ * Returns which of the given users are subscribed to the broadcaster channel
+ * Requires the channel:read:subscriptions scope on the broadcaster token
+ * @async
+ * @param {Array<string>} userIds - Twitch user IDs to check (max 100)
+ * @returns {Promise<Set<string>>} IDs of the subscribed users
+ */
+const getSubscribedUserIds = async (userIds) => {
+  // Repeated user_id params are required, so build the query by hand
+  const { broadcasterId } = await getChannelIds();
+  const params = new URLSearchParams({
+    broadcaster_id: broadcasterId,
+  });
+  userIds.forEach((userId) => params.append("user_id", userId));
 
-    const chatters = response.data;
-    const chattersCount = chatters.total;
+  const response = await helixClient.get("/subscriptions", params);
 
-    if (chattersCount === 0) {
+  return new Set(
+    response.data.data.map((subscription) => subscription.user_id)
+  );
+};
+
+/**
+ * Shuffles a copy of the array with an unbiased Fisher-Yates shuffle
+ * @param {Array} items - Items to shuffle
+ * @param {Function} randomInt - Returns a uniform integer in [0, max)
+ * @returns {Array} The shuffled copy
+ */
+const shuffle = (items, randomInt) => {
+  const shuffled = [...items];
+
+  for (let i = shuffled.length - 1; i > 0; i--) {
+    const j = randomInt(i + 1);
+    [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+  }
+
+  return shuffled;
+};
+
+/**
+ * Draws unique random chatters from the Twitch channel chatters list
+ * @async
+ * @function getRandomChatter
+ * @param {Object} [options] - Draw options
+ * @param {number} [options.count=1] - Number of unique winners to draw
+ * @param {boolean} [options.excludeBroadcaster=false] - Exclude the broadcaster from the draw
+ * @param {string} [options.broadcasterId] - Channel whose chatters are drawn, and broadcaster excluded by excludeBroadcaster (default: the acting channel, see getChannelIds)
+ * @param {boolean} [options.excludeBots=false] - Exclude known chat bots from the draw
+ * @param {Array<string>} [options.exclude=[]] - Logins to exclude from the draw
+ * @param {boolean} [options.followersOnly=false] - Only draw users that follow the channel
+ * @param {boolean} [options.subscribersOnly=false] - Only draw users subscribed to the channel
+ * @param {Function} [options.randomInt] - Returns a uniform integer in [0, max), defaults to crypto.randomInt
+ * @param {Array} [options.chatters] - Pool to draw from instead of the current chatters list
+ * @param {Function} [options.onIneligible] - Called with each shuffled candidate rejected by the follower/subscriber checks
+ * @returns {Promise<Array|null>} The drawn chatters ({ user_id, user_login, user_name }) or null if nobody is eligible
+ * @throws {Error} Throws error if API request fails or authentication is invalid
+ * @description Every chatter is fetched first so each one has the same chance. Cheap filters are applied
+ * to the whole pool, then the pool is shuffled and follower/subscriber requirements are checked in
+ * shuffled order until enough winners are found, which keeps the draw uniform over eligible users.
+ */
+getRandomChatter = async ({
+  count = 1,
+  excludeBroadcaster = false,
+  broadcasterId,
+  excludeBots = false,
+  exclude = [],
+  followersOnly = false,
+  subscribersOnly = false,
+  randomInt = crypto.randomInt,
+  chatters = null,
+  onIneligible = () => {},
+} = {}) => {
+  try {
+    const pool =
+      chatters ||
+      (await getAllChatters({ broadcasterId: broadcasterId || undefined }));
+
+    if (pool.length === 0) {
       console.log("No chatters found in the channel.");
       return null;
     }
 
-    if (!choosenChatterIndex)
-      choosenChatterIndex = Math.floor(Math.random() * chattersCount);
+    // A draw replay passes the recorded broadcaster, even when it was null
+    const excludedBroadcasterId = !excludeBroadcaster
+      ? null
+      : broadcasterId !== undefined
+      ? broadcasterId
+      : (await getChannelIds()).broadcasterId;
 
-    if (choosenChatterIndex > 1000 && choosenChatterIndex > lastChatterIndex) {
-      lastChatterIndex += 1000;
+    const excludedLogins = new Set(exclude.map((login) => login.toLowerCase()));
+    if (excludeBots) {
+      getKnownBots().forEach((bot) => excludedLogins.add(bot));
+    }
 
-      return getRandomChatter(
-        chatters.pagination.cursor,
-        choosenChatterIndex,
-        lastChatterIndex
-      );
+    const candidates = shuffle(
+      pool.filter(
+        (chatter) =>
+          !excludedLogins.has(chatter.user_login.toLowerCase()) &&
+          chatter.user_id !== excludedBroadcasterId
+      ),
+      randomInt
+    );
+
+    const winners = [];
+
+    // Check candidates in batches of 100, the max accepted by Get Broadcaster Subscriptions
+    for (let i = 0; i < candidates.length && winners.length < count; i += 100) {
+      const batch = candidates.slice(i, i + 100);
+      const subscribedIds = subscribersOnly
+        ? await getSubscribedUserIds(batch.map((chatter) => chatter.user_id))
+        : null;
+
+      for (const chatter of batch) {
+        if (winners.length >= count) break;
+        if (
+          (subscribedIds && !subscribedIds.has(chatter.user_id)) ||
+          (followersOnly && !(await isFollower(chatter.user_id)))
+        ) {
+          onIneligible(chatter);
+          continue;
+        }
+
+        winners.push(chatter);
+      }
     }
 
-    return chatters.data[choosenChatterIndex].user_name;
+    if (winners.length === 0) {
+      console.log("No eligible chatters found in the channel.");
+      return null;
+    }
+
+    return winners;
   } catch (error) {
     console.error(
       "❌  Error fetching chatters:",
       error.response?.data || error.message
     );
+    throw error;
+  }
+};
+
+/**
+ * Resolves a Twitch login name to its user ID
+ * @async
+ * @function getUserIdByLogin
+ * @param {string} login - Twitch login name
+ * @returns {Promise<string>} The user ID
+ * @throws {Error} Throws a 404 error if the login does not exist
+ */
+const getUserIdByLogin = async (login) => {
+  const response = await helixClient.get("/users", {
+    login: login.toLowerCase(),
+  });
+  const user = response.data.data[0];
+
+  if (!user) {
+    throw createHttpError(404, `Twitch user not found: ${login}`);
+  }
+  return user.id;
+};
+
+/**
+ * Builds the query of a batch lookup by user IDs and logins
+ * @param {Object} users - Users to look up
+ * @param {Array<string>} [users.ids=[]] - User IDs
+ * @param {Array<string>} [users.logins=[]] - Login names
+ * @param {string} idParam - Name of the ID parameter ("id" or "user_id")
+ * @param {string} loginParam - Name of the login parameter ("login" or "user_login")
+ * @returns {URLSearchParams}
+ * @throws {Error} Throws a 400 error without users or with more than MAX_LOOKUP_USERS
+ */
+const buildUserLookupParams = (
+  { ids = [], logins = [] },
+  idParam,
+  loginParam
+) => {
+  const count = ids.length + logins.length;
+
+  if (count === 0) {
+    throw createHttpError(400, "At least one id or login is required.");
+  }
+  if (count > MAX_LOOKUP_USERS) {
+    throw createHttpError(
+      400,
+      `Too many users: ${count}. At most ${MAX_LOOKUP_USERS} ids and logins can be looked up at once.`
+    );
+  }
+
+  const params = new URLSearchParams();
+  ids.forEach((id) => params.append(idParam, id));
+  logins.forEach((login) => params.append(loginParam, login.toLowerCase()));
+  return params;
+};
+
+/**
+ * Fetches Twitch users by ID and login
+ * @async
+ * @function getUsers
+ * @param {Object} users - Users to look up, at most 100 IDs and logins together
+ * @param {Array<string>} [users.ids=[]] - User IDs
+ * @param {Array<string>} [users.logins=[]] - Login names
+ * @returns {Promise<Object>} { users, not_found } with the Helix users and the IDs and logins that don't exist
+ * @throws {Error} Throws a 400 error without users or with too many of them
+ */
+const getUsers = async ({ ids = [], logins = [] }) => {
+  const params = buildUserLookupParams({ ids, logins }, "id", "login");
+  const response = await helixClient.get("/users", params);
+  const users = response.data.data;
+
+  const notFound = [
+    ...ids.filter((id) => !users.some((user) => user.id === id)),
+    ...logins.filter(
+      (login) => !users.some((user) => user.login === login.toLowerCase())
+    ),
+  ];
+
+  return { users, not_found: notFound };
+};
+
+/**
+ * Fetches the information of a channel: title, game, language and tags
+ * @async
+ * @function getChannel
+ * @param {string} channel - Broadcaster user ID or login name
+ * @returns {Promise<Object>} The Helix channel information
+ * @throws {Error} Throws a 404 error if the channel doesn't exist
+ */
+const getChannel = async (channel) => {
+  const broadcasterId = /^\d+$/.test(channel)
+    ? channel
+    : await getUserIdByLogin(channel);
+
+  const response = await helixClient.get("/channels", {
+    broadcaster_id: broadcasterId,
+  });
+  const information = response.data.data[0];
+
+  if (!information) {
+    throw createHttpError(404, `Twitch channel not found: ${channel}`);
   }
+  return information;
+};
+
+/**
+ * Fetches the live status of channels
+ * Helix only returns live streams, offline channels are filled in from their user
+ * @async
+ * @function getStreams
+ * @param {Object} [channels] - Channels to check, at most 100 IDs and logins together
+ * (default: the acting channel, see getChannelIds)
+ * @param {Array<string>} [channels.ids=[]] - User IDs
+ * @param {Array<string>} [channels.logins=[]] - Login names
+ * @returns {Promise<Object>} { streams, not_found }, each stream with live, started_at and uptime_seconds
+ * @description The uptime is computed at the time Twitch answered, like the viewer count, so cached
+ * answers don't change between two polls.
+ */
+const getStreams = async ({ ids = [], logins = [] } = {}) => {
+  if (ids.length === 0 && logins.length === 0) {
+    const { broadcasterId } = await getChannelIds();
+    if (!broadcasterId) {
+      throw createHttpError(
+        400,
+        "At least one id or login is required when TWITCH_BROADCASTER_ID isn't set."
+      );
+    }
+    ids = [broadcasterId];
+  }
+
+  const params = buildUserLookupParams(
+    { ids, logins },
+    "user_id",
+    "user_login"
+  );
+  params.append("first", MAX_LOOKUP_USERS);
+  const response = await helixClient.get("/streams", params);
+  const answeredAt = Date.parse(response.cache?.stored_at) || Date.now();
+
+  const live = response.data.data.map((stream) => ({
+    live: true,
+    ...stream,
+    uptime_seconds: Math.max(
+      0,
+      Math.floor((answeredAt - Date.parse(stream.started_at)) / 1000)
+    ),
+  }));
+
+  const isLive = (userId) => live.some((stream) => stream.user_id === userId);
+  const offlineIds = ids.filter((id) => !isLive(id));
+  const offlineLogins = logins.filter(
+    (login) => !live.some((stream) => stream.user_login === login.toLowerCase())
+  );
+
+  const offline =
+    offlineIds.length + offlineLogins.length > 0
+      ? await getUsers({ ids: offlineIds, logins: offlineLogins })
+      : { users: [], not_found: [] };
+
+  return {
+    streams: [
+      ...live,
+      ...offline.users
+        // A login and an ID may name the same channel
+        .filter((user) => !isLive(user.id))
+        .map((user) => ({
+          live: false,
+          user_id: user.id,
+          user_login: user.login,
+          user_name: user.display_name,
+          started_at: null,
+          uptime_seconds: null,
+        })),
+    ],
+    not_found: offline.not_found,
+  };
+};
+
+/**
+ * Returns the started_at date of a date range preset
+ * @param {string} fromTag - Preset name ("today", "week", "month", "year", "all")
+ * @returns {Date|null} The start date, or null for "all"
+ * @throws {Error} Throws a 400 error if the preset is unknown
+ */
+const getFromTagStartDate = (fromTag) => {
+  const now = new Date();
+
+  switch (fromTag.toLowerCase()) {
+    case "today":
+      return new Date(now.getFullYear(), now.getMonth(), now.getDate());
+    case "week":
+      return new Date(now.getFullYear(), now.getMonth(), now.getDate() - 7);
+    case "month":
+      return new Date(now.getFullYear(), now.getMonth() - 1, now.getDate());
+    case "year":
+      return new Date(now.getFullYear() - 1, now.getMonth(), now.getDate());
+    case "all":
+      return null; // No date filter
+    default:
+      throw createHttpError(
+        400,
+        `Invalid fromTag value: ${fromTag}. Valid options are: today, week, month, year, all.`
+      );
+  }
+};
+
+/**
+ * Parses an ISO 8601 date parameter
+ * @param {string} value - Date string
+ * @param {string} name - Parameter name, used in the error message
+ * @returns {Date|null} The parsed date, or null if no value was given
+ * @throws {Error} Throws a 400 error if the value is not a valid date
+ */
+const parseDateParam = (value, name) => {
+  if (!value) return null;
+
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw createHttpError(
+      400,
+      `Invalid ${name} value: ${value}. It must be an ISO 8601 date.`
+    );
+  }
+  return date;
 };
 
 /**
  * Fetches clips from a Twitch channel
  * @async
  * @function getClips
- * @param {string} [fromTag] - Optional tag representing the date range (default: "year")
- * @param {number} [limit] - Optional limit on the number of clips to return (default: 10, max 100)
- * @returns {Promise<Array>} Promise that resolves to an array of clip objects
+ * @param {Object} [options] - Clip query options
+ * @param {string} [options.fromTag="year"] - Date range preset, ignored when startedAt is given
+ * @param {number|string} [options.limit=10] - Number of clips to return, between 1 and 100
+ * @param {string} [options.startedAt] - ISO 8601 start of the date range
+ * @param {string} [options.endedAt] - ISO 8601 end of the date range (default: now)
+ * @param {string} [options.gameId] - Only keep clips of this game
+ * @param {string} [options.cursor] - Pagination cursor returned by a previous call
+ * @param {string} [options.broadcaster] - Broadcaster login, overrides TWITCH_BROADCASTER_ID
+ * @param {string} [options.broadcasterId] - Broadcaster user ID, e.g. the room of a chat command, overrides broadcaster
+ * @param {string} [options.sort] - Sort the page by "views", "date" or "duration"
+ * @param {string} [options.order="desc"] - Sort order, "asc" or "desc"
+ * @returns {Promise<Object>} Promise that resolves to { clips, cursor }
  * @throws {Error} Throws an error if the API request fails or authentication is invalid
+ * @description Twitch only filters clips by one of broadcaster, game or ID, so the game filter and the
+ * sorting are applied to each fetched page: a page may hold fewer clips than the limit while a cursor remains.
  */
-getClips = async (fromTag = "year", limit = 10) => {
+getClips = async ({
+  fromTag = "year",
+  limit = 10,
+  startedAt,
+  endedAt,
+  gameId,
+  cursor,
+  broadcaster,
+  broadcasterId: channelId,
+  sort,
+  order = "desc",
+} = {}) => {
   try {
-    if (!global.twitchAccessToken) {
-      throw new Error("No access token available. Please authenticate first.");
+    const clipLimit = Number(limit);
+
+    if (
+      !Number.isInteger(clipLimit) ||
+      clipLimit < 1 ||
+      clipLimit > MAX_CLIPS_LIMIT
+    ) {
+      throw createHttpError(
+        400,
+        `Invalid limit value: ${limit}. It must be between 1 and ${MAX_CLIPS_LIMIT}.`
+      );
+    }
+    if (sort && !CLIP_SORT_FIELDS[sort]) {
+      throw createHttpError(
+        400,
+        `Invalid sort value: ${sort}. Valid options are: ${Object.keys(
+          CLIP_SORT_FIELDS
+        ).join(", ")}.`
+      );
+    }
+    if (!["asc", "desc"].includes(order)) {
+      throw createHttpError(
+        400,
+        `Invalid order value: ${order}. Valid options are: asc, desc.`
+      );
     }
 
-    const broadcasterId = process.env.TWITCH_BROADCASTER_ID;
+    const broadcasterId =
+      channelId ||
+      (broadcaster
+        ? await getUserIdByLogin(broadcaster)
+        : (await getChannelIds()).broadcasterId);
 
     if (!broadcasterId) {
       throw new Error(
@@ -437,69 +1718,64 @@ getClips = async (fromTag = "year", limit = 10) => {
       );
     }
 
-    // Determine the started_at date based on fromTag
-    let startedAt = null;
-    const now = new Date();
-
-    switch (fromTag.toLowerCase()) {
-      case "today":
-        startedAt = new Date(now.getFullYear(), now.getMonth(), now.getDate());
-        break;
-      case "week":
-        startedAt = new Date(
-          now.getFullYear(),
-          now.getMonth(),
-          now.getDate() - 7
-        );
-        break;
-      case "month":
-        startedAt = new Date(
-          now.getFullYear(),
-          now.getMonth() - 1,
-          now.getDate()
-        );
-        break;
-      case "year":
-        startedAt = new Date(
-          now.getFullYear() - 1,
-          now.getMonth(),
-          now.getDate()
-        );
-        break;
-      case "all":
-        startedAt = null; // No date filter
-        break;
-      default:
-        throw new Error(
-          `Invalid fromTag value: ${fromTag}. Valid options are: today, week, month, year, all.`
-        );
+    // Explicit dates win over the fromTag preset
+    const startDate =
+      parseDateParam(startedAt, "started_at") ||
+      (endedAt ? null : getFromTagStartDate(fromTag));
+    const endDate = parseDateParam(endedAt, "ended_at");
+
+    if (startDate && endDate && startDate >= endDate) {
+      throw createHttpError(400, "started_at must be before ended_at.");
     }
 
     const params = new URLSearchParams({
       broadcaster_id: broadcasterId,
-      first: Math.min(limit, 100), // Twitch API max limit is 100
+      first: clipLimit,
     });
 
-    if (startedAt) {
-      params.append("started_at", startedAt.toISOString());
+    // Twitch defaults ended_at to one week after started_at, so always send it
+    if (startDate || endDate) {
+      params.append(
+        "started_at",
+        (startDate || new Date(CLIPS_EPOCH)).toISOString()
+      );
+      // Without ended_at, the current minute is used so repeated calls share the Helix cache
+      params.append(
+        "ended_at",
+        (
+          endDate || new Date(Math.floor(Date.now() / 60000) * 60000)
+        ).toISOString()
+      );
     }
 
-    const response = await axios.get("https://api.twitch.tv/helix/clips", {
-      headers: {
-        Authorization: `Bearer ${global.twitchAccessToken.access_token}`,
-        "Client-Id": process.env.TWITCH_CLIENT_ID,
-      },
-      params,
-    });
+    if (cursor) {
+      params.append("after", cursor);
+    }
+
+    const response = await helixClient.get("/clips", params);
 
-    const clips = response.data;
+    let clips = response.data.data;
 
-    if (!clips || clips.length === 0) {
+    if (gameId) {
+      clips = clips.filter((clip) => clip.game_id === gameId);
+    }
+
+    if (sort) {
+      const getValue = CLIP_SORT_FIELDS[sort];
+      const direction = order === "asc" ? 1 : -1;
+      clips = [...clips].sort(
+        (a, b) => (getValue(a) - getValue(b)) * direction
+      );
+    }
+
+    if (clips.length === 0) {
       console.log("No clips found.");
-      return null;
     }
 
-    return clips;
+    return {
+      clips,
+      cursor: response.data.pagination?.cursor || null,
+    };
   } catch (error) {
     console.error(
       "❌  Error fetching clips:",
@@ -509,10 +1785,101 @@ getClips = async (fromTag = "year", limit = 10) => {
   }
 };
 
+/**
+ * Creates a clip of the broadcaster's live stream and waits until Twitch has processed it
+ * Requires the clips:edit scope
+ * @async
+ * @param {Object} [options] - Clip options
+ * @param {boolean} [options.hasDelay=false] - Clip what viewers see with the stream delay, instead of the live feed
+ * @param {number} [options.timeout=15] - Seconds to wait for the clip to be processed, at most 60
+ * @param {string} [options.broadcasterId] - Channel to clip, e.g. the room of a chat command (default: the acting channel, see getChannelIds)
+ * @returns {Promise<Object>} The processed clip, as returned by getClips, plus its edit_url
+ * @throws {Error} Throws a 400 error on an invalid timeout, the Helix error if the clip can't be created
+ * (e.g. a 404 while the channel is offline), or a 504 error with the clip id and edit_url if it isn't
+ * processed in time
+ */
+const createClip = async ({
+  hasDelay = false,
+  timeout = CLIP_PROCESSING_TIMEOUT_SECONDS,
+  broadcasterId: channelId,
+} = {}) => {
+  const timeoutSeconds = Number(timeout);
+
+  if (
+    !Number.isInteger(timeoutSeconds) ||
+    timeoutSeconds < 1 ||
+    timeoutSeconds > MAX_CLIP_PROCESSING_TIMEOUT_SECONDS
+  ) {
+    throw createHttpError(
+      400,
+      `Invalid timeout value: ${timeout}. It must be between 1 and ${MAX_CLIP_PROCESSING_TIMEOUT_SECONDS} seconds.`
+    );
+  }
+
+  const broadcasterId = channelId || (await getChannelIds()).broadcasterId;
+
+  if (!broadcasterId) {
+    throw new Error(
+      "TWITCH_BROADCASTER_ID must be set in environment variables."
+    );
+  }
+
+  const response = await helixClient.post("/clips", null, {
+    broadcaster_id: broadcasterId,
+    has_delay: String(Boolean(hasDelay)),
+  });
+  const { id, edit_url } = response.data.data[0];
+  const deadline = Date.now() + timeoutSeconds * 1000;
+
+  // The clip is only returned by Get Clips once processed, bypass the cache while waiting for it
+  while (Date.now() < deadline) {
+    await new Promise((resolve) => setTimeout(resolve, CLIP_POLL_INTERVAL_MS));
+
+    const clips = await helixClient.get("/clips", { id }, { cache: false });
+    const clip = clips.data.data[0];
+
+    if (clip) {
+      // Cached clip lists don't include the new clip yet
+      helixCache.invalidate("/clips");
+      console.log(`🎬 Clip created: ${clip.url}`);
+      return { ...clip, edit_url };
+    }
+  }
+
+  const error = createHttpError(
+    504,
+    `Clip ${id} was not processed within ${timeoutSeconds} seconds, Twitch may have failed to create it.`
+  );
+  error.details = { id, edit_url };
+  throw error;
+};
+
 // Export functions for use in other modules
 module.exports = {
+  DeviceAuthorizationError,
   manageTwitchLogin,
+  authorizeDevice,
+  startDeviceAuthorization,
+  cancelDeviceAuthorization,
+  getAuthStatus,
+  getAuthFlow,
+  createLoginLink,
+  openLoginLink,
+  exchangeAuthorizationCode,
+  refreshSession,
+  removeAccount,
+  getAppAccessToken,
   validateToken,
+  getChannelIds,
+  getConfiguredChannelIds,
+  checkChannelIds,
+  getAllChatters,
+  getKnownBots,
   getRandomChatter,
+  getUserIdByLogin,
+  getUsers,
+  getChannel,
+  getStreams,
   getClips,
+  createClip,
 };
@@ -0,0 +1,106 @@
+/**
+ * Utilities script to manage the API keys of the wrapper
+ * Allows creating the first admin key, listing and revoking keys
+ */
+
+require("dotenv").config();
+const { API_KEY_ROLES, apiKeyManager } = require("../utils/apiKeys");
+
+async function main() {
+  const command = process.argv[2];
+
+  switch (command) {
+    case "create":
+      await createKey(process.argv[3], process.argv.slice(4).join(" "));
+      break;
+    case "list":
+      await listKeys();
+      break;
+    case "revoke":
+      await revokeKey(process.argv[3]);
+      break;
+    case "help":
+    default:
+      showHelp();
+      break;
+  }
+}
+
+async function createKey(role, name) {
+  console.log("🔑 CREATING API KEY");
+  console.log("===================");
+
+  try {
+    const { key, record } = await apiKeyManager.issue({ role, name });
+
+    console.log(`✅ ${record.role} key created (id ${record.id})`);
+    console.log("\n📝 Send it in the X-API-Key header:");
+    console.log(key);
+    console.log("\n⚠️  The key is not stored, it can't be shown again");
+    console.log("ℹ️  Running servers pick up the change within a second");
+  } catch (error) {
+    console.error("❌ Error creating API key:", error.message);
+  }
+}
+
+async function listKeys() {
+  console.log("🔑 API KEYS");
+  console.log("===========");
+
+  try {
+    const keys = await apiKeyManager.list();
+    if (keys.length === 0) {
+      console.log("❌ No API keys created");
+      return;
+    }
+
+    keys.forEach((record) => {
+      console.log(
+        `${record.revoked_at ? "🚫" : "✅"} ${record.id}  ${
+          record.prefix
+        }...  ${record.role.padEnd(10)} ${record.name || ""}`
+      );
+    });
+  } catch (error) {
+    console.error("❌ Error listing API keys:", error.message);
+  }
+}
+
+async function revokeKey(id) {
+  if (!id) {
+    console.log("❌ An API key ID is required");
+    return;
+  }
+
+  try {
+    const record = await apiKeyManager.revoke(id);
+    console.log(`✅ API key ${record.id} has been revoked`);
+    console.log("ℹ️  Running servers pick up the change within a second");
+  } catch (error) {
+    console.error("❌ Error revoking API key:", error.message);
+  }
+}
+
+function showHelp() {
+  console.log("🛠️  API KEY MANAGEMENT UTILITY");
+  console.log("=============================");
+  console.log("");
+  console.log("Available commands:");
+  console.log(
+    `  create <role> [name] - Create a key, role is one of: ${API_KEY_ROLES.join(
+      ", "
+    )}`
+  );
+  console.log(
+    "  list                 - List the keys, without the keys themselves"
+  );
+  console.log("  revoke <id>          - Revoke a key");
+  console.log("  help                 - Show this help message");
+  console.log("");
+  console.log("Examples:");
+  console.log("  node scripts/apiKeys.js create admin");
+  console.log('  node scripts/apiKeys.js create read-only "OBS overlay"');
+  console.log("  node scripts/apiKeys.js revoke 3f0c1a2b-...");
+}
+
+main().catch(console.error);
@@ -5,16 +5,27 @@
 
 const crypto = require("crypto");
 
-// Generate a 32-byte (256-bit) key for AES-256
-const encryptionKey = crypto.randomBytes(32).toString("hex");
+/**
+ * Generates a 32-byte (256-bit) key for AES-256
+ * @returns {string} The key in hex
+ */
+const generateEncryptionKey = () => crypto.randomBytes(32).toString("hex");
+
+if (require.main === module) {
+  const encryptionKey = generateEncryptionKey();
+
+  console.log("🔐 Generated encryption key:");
+  console.log("==================================");
+  console.log(encryptionKey);
+  console.log("==================================");
+  console.log("\n📝 Copy this key to your .env file:");
+  console.log(`ENCRYPTION_KEY=${encryptionKey}`);
+  console.log("\n⚠️  IMPORTANT: Keep this key secure and do not share it.");
+  console.log(
+    "   If you lose this key, you will not be able to decrypt stored tokens."
+  );
+}
 
-console.log("🔐 Generated encryption key:");
-console.log("==================================");
-console.log(encryptionKey);
-console.log("==================================");
-console.log("\n📝 Copy this key to your .env file:");
-console.log(`ENCRYPTION_KEY=${encryptionKey}`);
-console.log("\n⚠️  IMPORTANT: Keep this key secure and do not share it.");
-console.log(
-  "   If you lose this key, you will not be able to decrypt stored tokens."
-);
+module.exports = {
+  generateEncryptionKey,
+};
@@ -1,25 +1,49 @@
 /**
  * Utilities script to manage stored tokens
- * Allows viewing token status, clearing them, etc.
+ * Allows listing the stored accounts, inspecting or removing one of them, clearing them, etc.
  */
 
 require("dotenv").config();
 const {
-  tokenManager,
   loadTokens,
   deleteTokens,
+  updateTokens,
+  toTokenRecord,
+  getTokenBackend,
+  closeTokenBackend,
+  rotateTokens,
 } = require("../utils/tokenStorage");
+const { generateEncryptionKey } = require("./generateEncryptionKey");
 
 async function main() {
   const command = process.argv[2];
+  const account = process.argv[3];
 
   switch (command) {
     case "status":
       await showTokenStatus();
       break;
+    case "list":
+      await listAccounts();
+      break;
+    case "add":
+      await addAccount();
+      break;
+    case "inspect":
+      await inspectAccount(account);
+      break;
+    case "remove":
+      await removeAccount(account);
+      break;
     case "clear":
       await clearStoredTokens();
       break;
+    case "export":
+      await exportTokens();
+      break;
+    case "rotate":
+      await rotateEncryptionKey();
+      break;
     case "help":
     default:
       showHelp();
@@ -27,28 +51,60 @@ async function main() {
   }
 }
 
+/**
+ * Finds a stored account by user ID or login
+ * @param {Array<Object>} accounts - Stored token records
+ * @param {string} idOrLogin - Twitch user ID or login
+ * @returns {Object|undefined}
+ */
+function findAccount(accounts, idOrLogin) {
+  const value = String(idOrLogin).toLowerCase();
+  return accounts.find(
+    (tokens) => tokens.user_id === value || tokens.login === value
+  );
+}
+
+/**
+ * Logs the expiration details of a stored token record
+ * @param {Object} tokens - Stored token record
+ */
+function logTokenDetails(tokens) {
+  const expiresAt = new Date(tokens.expires_at);
+  const now = new Date();
+  const timeUntilExpiry = Math.max(0, expiresAt - now);
+  const minutesLeft = Math.floor(timeUntilExpiry / (1000 * 60));
+
+  console.log(`📅 Expires at: ${expiresAt.toLocaleString()}`);
+  console.log(`⏱️  Time remaining: ${minutesLeft} minutes`);
+  console.log(`🎯 Scopes: ${[].concat(tokens.scopes).join(" ")}`);
+  console.log(`💾 Saved at: ${new Date(tokens.saved_at).toLocaleString()}`);
+
+  if (timeUntilExpiry === 0) {
+    console.log("⚠️  Access token expired, it will be refreshed on next start");
+  } else if (timeUntilExpiry < 5 * 60 * 1000) {
+    // Less than 5 minutes
+    console.log("⚠️  WARNING: Tokens will expire soon!");
+  }
+}
+
 async function showTokenStatus() {
   console.log("📊 TOKEN STATUS REPORT");
   console.log("=====================");
 
   try {
-    const tokens = await loadTokens();
-    if (tokens) {
-      const expiresAt = new Date(tokens.expires_at);
-      const now = new Date();
-      const timeUntilExpiry = Math.max(0, expiresAt - now);
-      const minutesLeft = Math.floor(timeUntilExpiry / (1000 * 60));
-
-      console.log("✅ Tokens found and valid");
-      console.log(`📅 Expires at: ${expiresAt.toLocaleString()}`);
-      console.log(`⏱️  Time remaining: ${minutesLeft} minutes`);
-      console.log(`🎯 Scopes: ${tokens.scopes}`);
-      console.log(`💾 Saved at: ${new Date(tokens.saved_at).toLocaleString()}`);
-
-      if (timeUntilExpiry < 5 * 60 * 1000) {
-        // Less than 5 minutes
-        console.log("⚠️  WARNING: Tokens will expire soon!");
-      }
+    const { accounts, default_user_id } = await loadTokens();
+    if (accounts.length > 0) {
+      console.log(`✅ Tokens found for ${accounts.length} account(s)`);
+      accounts.forEach((tokens) => {
+        const isDefault = tokens.user_id === default_user_id;
+        console.log("");
+        console.log(
+          `👤 ${tokens.login || "unknown"} (${tokens.user_id || "no user ID"})${
+            isDefault ? " ⭐ default" : ""
+          }`
+        );
+        logTokenDetails(tokens);
+      });
     } else {
       console.log("❌ No valid tokens found");
     }
@@ -57,6 +113,122 @@ async function showTokenStatus() {
   }
 }
 
+async function listAccounts() {
+  console.log("👥 STORED ACCOUNTS");
+  console.log("==================");
+
+  try {
+    const { accounts, default_user_id } = await loadTokens();
+    if (accounts.length === 0) {
+      console.log("❌ No accounts stored");
+      return;
+    }
+
+    accounts.forEach((tokens) => {
+      const expired = Date.now() >= tokens.expires_at;
+      console.log(
+        `${tokens.user_id === default_user_id ? "⭐" : "  "} ${(
+          tokens.user_id || "-"
+        ).padEnd(12)} ${(tokens.login || "unknown").padEnd(25)} ${
+          expired ? "⚠️  expired" : "✅ valid"
+        }`
+      );
+    });
+  } catch (error) {
+    console.error("❌ Error listing accounts:", error.message);
+  }
+}
+
+async function addAccount() {
+  console.log("➕ ADDING ACCOUNT");
+  console.log("=================");
+
+  try {
+    // Required here so the other commands don't need the Twitch configuration
+    const { authorizeDevice } = require("../routes/twitch");
+    const tokenData = await authorizeDevice();
+
+    await updateTokens(({ accounts, default_user_id }) => ({
+      accounts: [
+        ...accounts.filter((tokens) => tokens.user_id !== tokenData.user_id),
+        toTokenRecord(tokenData),
+      ],
+      default_user_id: default_user_id || tokenData.user_id,
+    }));
+
+    console.log(`✅ Account ${tokenData.login} has been added`);
+    console.log("ℹ️  Restart the server for the change to take effect");
+  } catch (error) {
+    console.error("❌ Error adding account:", error.message);
+  }
+}
+
+async function inspectAccount(idOrLogin) {
+  if (!idOrLogin) {
+    console.log("❌ An account user ID or login is required");
+    return;
+  }
+
+  console.log(`🔍 ACCOUNT ${idOrLogin}`);
+  console.log("=".repeat(11 + idOrLogin.length));
+
+  try {
+    const { accounts, default_user_id } = await loadTokens();
+    const tokens = findAccount(accounts, idOrLogin);
+
+    if (!tokens) {
+      console.log("❌ Account not found");
+      return;
+    }
+
+    console.log(`👤 Login: ${tokens.login}`);
+    console.log(`🆔 User ID: ${tokens.user_id}`);
+    console.log(
+      `⭐ Default account: ${tokens.user_id === default_user_id ? "yes" : "no"}`
+    );
+    logTokenDetails(tokens);
+  } catch (error) {
+    console.error("❌ Error inspecting account:", error.message);
+  }
+}
+
+async function removeAccount(idOrLogin) {
+  if (!idOrLogin) {
+    console.log("❌ An account user ID or login is required");
+    return;
+  }
+
+  console.log(`🗑️  REMOVING ACCOUNT ${idOrLogin}`);
+  console.log("=".repeat(21 + idOrLogin.length));
+
+  try {
+    let tokens;
+    await updateTokens((store) => {
+      tokens = findAccount(store.accounts, idOrLogin);
+      if (!tokens) return store;
+
+      const remaining = store.accounts.filter((item) => item !== tokens);
+      return {
+        accounts: remaining,
+        default_user_id:
+          store.default_user_id === tokens.user_id
+            ? remaining[0]?.user_id || null
+            : store.default_user_id,
+      };
+    });
+
+    if (!tokens) {
+      console.log("❌ Account not found");
+      return;
+    }
+
+    console.log(`✅ Account ${tokens.login} has been removed`);
+    console.log("ℹ️  Restart the server for the change to take effect");
+  } catch (error) {
+    console.error("❌ Error removing account:", error.message);
+  }
+}
+
 async function clearStoredTokens() {
   console.log("🗑️  CLEARING STORED TOKENS");
   console.log("==========================");
@@ -70,18 +242,85 @@ async function clearStoredTokens() {
   }
 }
 
+async function exportTokens() {
+  try {
+    const encryptedData = await getTokenBackend().read();
+
+    if (!encryptedData) {
+      console.error("❌ No stored tokens found");
+      return;
+    }
+
+    // Printed alone so it can be piped into the TWITCH_TOKENS env variable
+    console.log(encryptedData);
+  } catch (error) {
+    console.error("❌ Error exporting tokens:", error.message);
+  }
+}
+
+async function rotateEncryptionKey() {
+  console.log("🔄 ROTATING ENCRYPTION KEY");
+  console.log("==========================");
+
+  try {
+    const encryptionKey = generateEncryptionKey();
+    const keyId = await rotateTokens(encryptionKey);
+
+    console.log(`✅ Stored tokens re-encrypted with the new key (id ${keyId})`);
+    console.log("\n📝 Replace the key in your .env file:");
+    console.log(`ENCRYPTION_KEY=${encryptionKey}`);
+
+    if (process.env.TOKEN_STORAGE === "env") {
+      console.log("\n📝 And the encrypted tokens:");
+      console.log(`TWITCH_TOKENS=${await getTokenBackend().read()}`);
+    }
+
+    console.log(
+      "\n⚠️  Servers still running with the old key can't read the tokens anymore, restart them with the new key."
+    );
+  } catch (error) {
+    console.error("❌ Error rotating encryption key:", error.message);
+    console.log("ℹ️  The stored tokens were not changed");
+  }
+}
+
 function showHelp() {
   console.log("🛠️  TOKEN MANAGEMENT UTILITY");
   console.log("============================");
   console.log("");
   console.log("Available commands:");
-  console.log("  status  - Show current token status");
-  console.log("  clear   - Clear stored tokens");
-  console.log("  help    - Show this help message");
+  console.log(
+    "  status            - Show current token status of every account"
+  );
+  console.log("  list              - List the stored accounts");
+  console.log(
+    "  add               - Authorize a new account with the device flow"
+  );
+  console.log(
+    "  inspect <account> - Show the tokens of an account (user ID or login)"
+  );
+  console.log("  remove <account>  - Remove an account (user ID or login)");
+  console.log("  clear             - Clear stored tokens of every account");
+  console.log(
+    "  export            - Print the encrypted tokens, for TOKEN_STORAGE=env"
+  );
+  console.log(
+    "  rotate            - Re-encrypt the stored tokens with a new encryption key"
+  );
+  console.log("  help              - Show this help message");
   console.log("");
   console.log("Examples:");
   console.log("  node scripts/tokenManager.js status");
+  console.log("  node scripts/tokenManager.js list");
+  console.log("  node scripts/tokenManager.js add");
+  console.log("  node scripts/tokenManager.js inspect twitchdev");
+  console.log("  node scripts/tokenManager.js remove 141981764");
   console.log("  node scripts/tokenManager.js clear");
+  console.log("  node scripts/tokenManager.js rotate");
+  console.log("  TOKEN_STORAGE=redis node scripts/tokenManager.js list");
 }
 
-main().catch(console.error);
+main()
+  .catch(console.error)
+  // Connections of shared backends would keep the script running
+  .finally(closeTokenBackend);
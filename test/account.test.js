@@ -0,0 +1,90 @@
+process.env.TOKEN_STORAGE = "memory";
+process.env.API_ADMIN_KEY = "admin-test-key";
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "account-"));
+process.env.API_KEYS_PATH = path.join(tmpDir, "api-keys.json");
+
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { once } = require("events");
+const express = require("express");
+const { tokenManager } = require("../utils/tokenStorage");
+const { apiKeyManager } = require("../utils/apiKeys");
+const { authenticateApiKey } = require("../middleware/apiKeys");
+const { selectAccount } = require("../middleware/account");
+const { errorHandler } = require("../middleware/errorHandler");
+const { silenceLogs } = require("./helpers/logs");
+
+silenceLogs();
+
+const account = (user_id, login) => ({
+  access_token: `token-${login}`,
+  refresh_token: `refresh-${login}`,
+  expires_in: 3600,
+  user_id,
+  login,
+});
+
+describe("account selection", () => {
+  let server;
+  let baseUrl;
+  let moderatorKey;
+
+  before(async () => {
+    tokenManager.setTokens(account("1", "mainchannel"));
+    tokenManager.setTokens(account("2", "otherchannel"));
+    ({ key: moderatorKey } = await apiKeyManager.issue({ role: "moderator" }));
+
+    const app = express();
+    app.use(authenticateApiKey);
+    app.use(selectAccount);
+    app.get("/acting", (_req, res) =>
+      res.json({ user_id: tokenManager.getActingUserId() })
+    );
+    app.use(errorHandler);
+
+    server = app.listen(0, "127.0.0.1");
+    await once(server, "listening");
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(() => {
+    server.close();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  /**
+   * Requests the acting account with an API key and a selected account
+   * @param {string} key - API key
+   * @param {string} [selected] - Value of the X-Twitch-Account header
+   * @returns {Promise<Response>}
+   */
+  const getActing = (key, selected) =>
+    fetch(`${baseUrl}/acting`, {
+      headers: {
+        "X-API-Key": key,
+        ...(selected ? { "X-Twitch-Account": selected } : {}),
+      },
+    });
+
+  it("lets any key act as the default account", async () => {
+    for (const selected of [undefined, "1", "mainchannel"]) {
+      const response = await getActing(moderatorKey, selected);
+      assert.equal(response.status, 200);
+      assert.equal((await response.json()).user_id, "1");
+    }
+  });
+
+  it("only lets admin keys select another account", async () => {
+    const refused = await getActing(moderatorKey, "otherchannel");
+    assert.equal(refused.status, 403);
+
+    const response = await getActing("admin-test-key", "otherchannel");
+    assert.equal(response.status, 200);
+    assert.equal((await response.json()).user_id, "2");
+  });
+});
@@ -0,0 +1,124 @@
+const { describe, it, beforeEach, after, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const { execFile } = require("child_process");
+const { promisify } = require("util");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { RELOAD_CHECK_INTERVAL_MS, apiKeyManager } = require("../utils/apiKeys");
+const { silenceLogs } = require("./helpers/logs");
+
+silenceLogs();
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "api-keys-"));
+
+/**
+ * Runs scripts/apiKeys.js on the test file, like an operator would next to a running server
+ * @param {...string} args - Command and its arguments
+ * @returns {Promise<string>} The script output
+ */
+const runCli = async (...args) => {
+  const { stdout } = await promisify(execFile)(process.execPath, [
+    path.join(__dirname, "..", "scripts", "apiKeys.js"),
+    ...args,
+  ]);
+  return stdout;
+};
+
+/**
+ * Lets the next request check the file again, as if RELOAD_CHECK_INTERVAL_MS had passed
+ */
+const expireReloadCheck = () => {
+  apiKeyManager.checkedAt -= RELOAD_CHECK_INTERVAL_MS;
+};
+
+const readFile = () =>
+  JSON.parse(fs.readFileSync(process.env.API_KEYS_PATH, "utf8"));
+
+after(() => fs.rmSync(tmpDir, { recursive: true, force: true }));
+
+describe("ApiKeyManager", () => {
+  beforeEach(() => {
+    process.env.API_KEYS_PATH = path.join(
+      tmpDir,
+      `keys-${Date.now()}-${Math.random()}.json`
+    );
+    apiKeyManager.keys = [];
+    apiKeyManager.isLoaded = false;
+    apiKeyManager.checkedAt = 0;
+  });
+
+  it("keeps the keys issued and revoked from the console", async () => {
+    const { key: serverKey, record } = await apiKeyManager.issue({
+      role: "read-only",
+      name: "overlay",
+    });
+    assert.equal((await apiKeyManager.authenticate(serverKey)).id, record.id);
+
+    const [consoleKey] = (await runCli("create", "moderator", "bot")).match(
+      /twk_\S+/
+    );
+    await runCli("revoke", record.id);
+    expireReloadCheck();
+
+    assert.equal(await apiKeyManager.authenticate(serverKey), null);
+    assert.equal(
+      (await apiKeyManager.authenticate(consoleKey)).role,
+      "moderator"
+    );
+
+    // Saving the last use of the console key keeps the revocation
+    await apiKeyManager.writeQueue;
+    const stored = readFile();
+    assert.equal(stored.length, 2);
+    assert.ok(stored.find((item) => item.id === record.id).revoked_at);
+    assert.ok(stored.find((item) => item.name === "bot").last_used_at);
+  });
+
+  it("never overwrites a file it can't parse", async () => {
+    fs.writeFileSync(process.env.API_KEYS_PATH, '[{"id": "truncated');
+
+    assert.equal(await apiKeyManager.hasKeys(), false);
+    await assert.rejects(apiKeyManager.issue({ role: "admin" }), SyntaxError);
+    assert.equal(
+      fs.readFileSync(process.env.API_KEYS_PATH, "utf8"),
+      '[{"id": "truncated'
+    );
+
+    // Fixing the file makes it usable again
+    fs.writeFileSync(process.env.API_KEYS_PATH, "[]");
+    expireReloadCheck();
+    const { key } = await apiKeyManager.issue({ role: "admin" });
+    assert.equal((await apiKeyManager.authenticate(key)).role, "admin");
+  });
+
+  it("loads the file once for concurrent requests", async () => {
+    await apiKeyManager.issue({ role: "admin" });
+    const readFileMock = mock.method(fs.promises, "readFile");
+
+    await Promise.all(Array.from({ length: 5 }, () => apiKeyManager.list()));
+    assert.equal(readFileMock.mock.callCount(), 1);
+    readFileMock.mock.restore();
+  });
+
+  it("checks the file for changes at most once per interval", async () => {
+    const { key } = await apiKeyManager.issue({ role: "admin" });
+    const statMock = mock.method(fs.promises, "stat");
+
+    await apiKeyManager.authenticate(key);
+    await apiKeyManager.authenticate(key);
+    assert.equal(statMock.mock.callCount(), 1);
+
+    expireReloadCheck();
+    await apiKeyManager.authenticate(key);
+    assert.equal(statMock.mock.callCount(), 2);
+    statMock.mock.restore();
+  });
+
+  it("refuses keys that aren't strings", async () => {
+    const { key } = await apiKeyManager.issue({ role: "admin" });
+
+    assert.equal(await apiKeyManager.authenticate([key, key]), null);
+    assert.equal(await apiKeyManager.authenticate({ key }), null);
+  });
+});
@@ -0,0 +1,108 @@
+process.env.TOKEN_STORAGE = "memory";
+process.env.API_ADMIN_KEY = "admin-test-key";
+process.env.TWITCH_CLIENT_ID = "client-id";
+process.env.TWITCH_CLIENT_SECRET = "client-secret";
+process.env.TWITCH_REDIRECT_URI = "http://localhost/auth/callback";
+
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { once } = require("events");
+const express = require("express");
+const authRoutes = require("../routes/auth");
+const {
+  authenticateApiKey,
+  rejectInvalidApiKey,
+} = require("../middleware/apiKeys");
+const { errorHandler } = require("../middleware/errorHandler");
+const { silenceLogs } = require("./helpers/logs");
+
+silenceLogs();
+
+describe("authorization code flow routes", () => {
+  let server;
+  let baseUrl;
+
+  before(async () => {
+    const app = express();
+    app.use(authenticateApiKey);
+    app.use(rejectInvalidApiKey);
+    app.use("/auth", authRoutes);
+    app.use(errorHandler);
+
+    server = app.listen(0, "127.0.0.1");
+    await once(server, "listening");
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(() => server.close());
+
+  /**
+   * Creates a login link as an admin
+   * @returns {Promise<URL>}
+   */
+  const createLoginLink = async () => {
+    const response = await fetch(
+      `${baseUrl}/auth/login?scopes=user:read:email`,
+      { method: "POST", headers: { "X-API-Key": "admin-test-key" } }
+    );
+    assert.equal(response.status, 201);
+    return new URL((await response.json()).data.login_url);
+  };
+
+  const openLink = (url) =>
+    fetch(`${baseUrl}${url.pathname}${url.search}`, { redirect: "manual" });
+
+  it("requires an admin key to create a login link", async () => {
+    const response = await fetch(`${baseUrl}/auth/login`, { method: "POST" });
+    assert.equal(response.status, 401);
+
+    const repeated = await fetch(
+      `${baseUrl}/auth/login?api_key=admin-test-key&api_key=admin-test-key`,
+      { method: "POST" }
+    );
+    assert.equal(repeated.status, 401);
+  });
+
+  it("sends the holder of a login link to Twitch, once", async () => {
+    const link = await createLoginLink();
+    assert.equal(link.pathname, "/auth/login");
+
+    const response = await openLink(link);
+    assert.equal(response.status, 302);
+    const location = new URL(response.headers.get("location"));
+    assert.equal(location.host, "id.twitch.tv");
+    assert.equal(
+      location.searchParams.get("state"),
+      link.searchParams.get("state")
+    );
+    assert.equal(location.searchParams.get("scope"), "user:read:email");
+    assert.equal(
+      location.searchParams.get("redirect_uri"),
+      "http://localhost/auth/callback"
+    );
+
+    assert.equal((await openLink(link)).status, 400);
+  });
+
+  it("refuses unknown login links", async () => {
+    const response = await fetch(`${baseUrl}/auth/login?state=guess`, {
+      redirect: "manual",
+    });
+    assert.equal(response.status, 400);
+  });
+
+  it("refuses callbacks with a state whose link wasn't opened", async () => {
+    const unknown = await fetch(
+      `${baseUrl}/auth/callback?code=code&state=${"0".repeat(32)}`
+    );
+    assert.equal(unknown.status, 400);
+
+    const link = await createLoginLink();
+    const unopened = await fetch(
+      `${baseUrl}/auth/callback?code=code&state=${link.searchParams.get(
+        "state"
+      )}`
+    );
+    assert.equal(unopened.status, 400);
+  });
+});
@@ -0,0 +1,293 @@
+process.env.TOKEN_STORAGE = "memory";
+
+const { describe, it, beforeEach, afterEach, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const { once } = require("events");
+const { WebSocketServer } = require("ws");
+const { ChatClient } = require("../utils/chatClient");
+const { tokenManager } = require("../utils/tokenStorage");
+const twitch = require("../routes/twitch");
+const { silenceLogs } = require("./helpers/logs");
+const { useFakeClock } = require("./helpers/clock");
+
+silenceLogs();
+
+const REPLY_ID = "b34ccfc7-4977-403a-8a94-33c6bac34fb8";
+
+/**
+ * Local TMI server: collects the lines of each connection and lets the test answer them
+ * @returns {Promise<Object>} { url, nextConnection, close }
+ */
+const startTmiServer = async () => {
+  const server = new WebSocketServer({ host: "127.0.0.1", port: 0 });
+  const connections = [];
+  const waiting = [];
+
+  server.on("connection", (socket) => {
+    const lines = [];
+    const readers = [];
+    const connection = {
+      socket,
+      lines,
+      send: (line) => socket.send(`${line}\r\n`),
+      // Resolves with the next line received from the client
+      nextLine: () =>
+        lines.length > 0
+          ? Promise.resolve(lines.shift())
+          : new Promise((resolve) => readers.push(resolve)),
+    };
+
+    socket.on("message", (data) =>
+      data
+        .toString()
+        .split("\r\n")
+        .filter(Boolean)
+        .forEach((line) =>
+          readers.length > 0 ? readers.shift()(line) : lines.push(line)
+        )
+    );
+    if (waiting.length > 0) waiting.shift()(connection);
+    else connections.push(connection);
+  });
+  await once(server, "listening");
+
+  return {
+    url: `ws://127.0.0.1:${server.address().port}`,
+    nextConnection: () =>
+      connections.length > 0
+        ? Promise.resolve(connections.shift())
+        : new Promise((resolve) => waiting.push(resolve)),
+    close: () => {
+      server.clients.forEach((socket) => socket.terminate());
+      return new Promise((resolve) => server.close(resolve));
+    },
+  };
+};
+
+/**
+ * Accepts a connection like Twitch: checks the handshake, then welcomes the bot
+ * @param {Object} server - TMI server
+ * @param {ChatClient} client - Client under test
+ * @returns {Promise<Object>} The connection, once the client has joined its channel
+ */
+const acceptConnection = async (server, client) => {
+  const connection = await server.nextConnection();
+
+  assert.equal(
+    await connection.nextLine(),
+    "CAP REQ :twitch.tv/tags twitch.tv/commands"
+  );
+  assert.equal(await connection.nextLine(), "PASS oauth:chat-token");
+  assert.equal(await connection.nextLine(), "NICK chatbot");
+
+  const connected = once(client, "connected");
+  connection.send(
+    ":tmi.twitch.tv CAP * ACK :twitch.tv/tags twitch.tv/commands"
+  );
+  connection.send(":tmi.twitch.tv 001 chatbot :Welcome, GLHF!");
+  await connected;
+  assert.equal(await connection.nextLine(), "JOIN #twitchdev");
+  return connection;
+};
+
+describe("ChatClient", () => {
+  let server;
+  let client;
+  let clock;
+
+  beforeEach(async () => {
+    server = await startTmiServer();
+    tokenManager.accounts.set("1", {
+      user_id: "1",
+      login: "chatbot",
+      access_token: "chat-token",
+    });
+    tokenManager.defaultUserId = "1";
+    mock.method(twitch, "validateToken", async () => ({
+      valid: true,
+      login: "chatbot",
+    }));
+    client = new ChatClient({ url: server.url });
+  });
+
+  afterEach(async () => {
+    // Real timers first, so the sockets can finish closing
+    clock?.reset();
+    clock = null;
+    client.stop();
+    await server.close();
+  });
+
+  it("authenticates with CAP, PASS and NICK, then joins its channels", async () => {
+    client.start(["#TwitchDev"]);
+    await acceptConnection(server, client);
+    assert.equal(client.connected, true);
+  });
+
+  it("answers PING with PONG", async () => {
+    client.start(["twitchdev"]);
+    const connection = await acceptConnection(server, client);
+
+    connection.send("PING :tmi.twitch.tv");
+    assert.equal(await connection.nextLine(), "PONG :tmi.twitch.tv");
+  });
+
+  it("parses PRIVMSG tags into chat messages", async () => {
+    client.start(["twitchdev"]);
+    const connection = await acceptConnection(server, client);
+
+    const received = once(client, "message");
+    connection.send(
+      "@badge-info=subscriber/8;badges=subscriber/6,vip/1;color=#0D4200;display-name=Viewer;" +
+        "emotes=25:0-4;id=b34ccfc7-4977-403a-8a94-33c6bac34fb8;mod=0;tmi-sent-ts=1703498400000;" +
+        "user-id=12826 :viewer!viewer@viewer.tmi.twitch.tv PRIVMSG #twitchdev :Kappa hello there"
+    );
+    const [message] = await received;
+
+    assert.equal(message.id, REPLY_ID);
+    assert.equal(message.channel, "twitchdev");
+    assert.equal(message.user_id, "12826");
+    assert.equal(message.user_login, "viewer");
+    assert.equal(message.user_name, "Viewer");
+    assert.equal(message.text, "Kappa hello there");
+    assert.deepEqual(message.badges, { subscriber: "6", vip: "1" });
+    assert.equal(message.timestamp, "2023-12-25T10:00:00.000Z");
+  });
+
+  it("reconnects and rejoins when Twitch sends RECONNECT", async () => {
+    client.start(["twitchdev"]);
+    const first = await acceptConnection(server, client);
+
+    const disconnected = once(client, "disconnected");
+    first.send(":tmi.twitch.tv RECONNECT");
+    await disconnected;
+
+    // The first reconnect waits 1 second
+    await acceptConnection(server, client);
+    assert.equal(client.connected, true);
+  });
+
+  it("sends replies with the reply-parent-msg-id tag", async () => {
+    client.start(["twitchdev"]);
+    const connection = await acceptConnection(server, client);
+
+    const sent = await client.say("twitchdev", "hi\r\nthere", {
+      replyTo: REPLY_ID,
+    });
+    assert.equal(sent.text, "hi there");
+    assert.equal(
+      await connection.nextLine(),
+      `@reply-parent-msg-id=${REPLY_ID} PRIVMSG #twitchdev :hi there`
+    );
+  });
+
+  it("rejects invalid messages and reply IDs with a 400", async () => {
+    client.start(["twitchdev"]);
+    await acceptConnection(server, client);
+
+    await assert.rejects(client.say("twitchdev", 5), { statusCode: 400 });
+    await assert.rejects(client.say("twitchdev", "  "), { statusCode: 400 });
+    await assert.rejects(client.say("twitchdev", "x".repeat(501)), {
+      statusCode: 400,
+    });
+    await assert.rejects(client.say("other", "hello"), { statusCode: 400 });
+    await assert.rejects(
+      client.say("twitchdev", "hello", {
+        replyTo: "x\r\nPRIVMSG #other :injected",
+      }),
+      { statusCode: 400 }
+    );
+  });
+
+  it("queues messages beyond 20 per 30 seconds", async () => {
+    client.start(["twitchdev"]);
+    const connection = await acceptConnection(server, client);
+    clock = useFakeClock();
+
+    const sent = [];
+    const messages = Array.from({ length: 21 }, (_, index) =>
+      client
+        .say("twitchdev", `message ${index + 1}`)
+        .then(() => sent.push(index + 1))
+    );
+    await Promise.all(messages.slice(0, 20));
+    assert.equal(sent.length, 20);
+
+    clock.tick(29999);
+    await new Promise((resolve) => setImmediate(resolve));
+    assert.equal(sent.length, 20);
+
+    clock.tick(1);
+    await messages[20];
+    assert.deepEqual(
+      sent,
+      Array.from({ length: 21 }, (_, index) => index + 1)
+    );
+
+    for (let index = 1; index <= 21; index++) {
+      assert.equal(
+        await connection.nextLine(),
+        `PRIVMSG #twitchdev :message ${index}`
+      );
+    }
+  });
+
+  it("keeps the limit of each channel separate", async () => {
+    client.start(["twitchdev"]);
+    const connection = await acceptConnection(server, client);
+    client.join("otherchannel");
+    assert.equal(await connection.nextLine(), "JOIN #otherchannel");
+    clock = useFakeClock();
+
+    await Promise.all(
+      Array.from({ length: 20 }, (_, index) =>
+        client.say("twitchdev", `message ${index + 1}`)
+      )
+    );
+    const queued = client.say("twitchdev", "message 21");
+    const other = await client.say("otherchannel", "hello");
+
+    assert.equal(other.channel, "otherchannel");
+    assert.equal(client.sendQueue.length, 1);
+
+    clock.tick(30000);
+    await queued;
+  });
+
+  it("rejects queued messages when the connection is lost", async () => {
+    client.start(["twitchdev"]);
+    const connection = await acceptConnection(server, client);
+
+    await Promise.all(
+      Array.from({ length: 20 }, (_, index) =>
+        client.say("twitchdev", `message ${index + 1}`)
+      )
+    );
+    const queued = client.say("twitchdev", "message 21");
+
+    connection.send(":tmi.twitch.tv RECONNECT");
+    await assert.rejects(queued, { statusCode: 503 });
+    await assert.rejects(client.say("twitchdev", "message 22"), {
+      statusCode: 503,
+    });
+  });
+
+  it("allows 100 messages per 30 seconds where the bot is a moderator", async () => {
+    client.start(["twitchdev"]);
+    const connection = await acceptConnection(server, client);
+
+    connection.send(
+      "@badges=moderator/1;mod=1 :tmi.twitch.tv USERSTATE #twitchdev"
+    );
+    while (!client.moderatedChannels.has("twitchdev")) {
+      await new Promise((resolve) => setImmediate(resolve));
+    }
+
+    await Promise.all(
+      Array.from({ length: 100 }, (_, index) =>
+        client.say("twitchdev", `message ${index + 1}`)
+      )
+    );
+    assert.equal(client.sentTimestamps.get("twitchdev").length, 100);
+  });
+});
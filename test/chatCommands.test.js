@@ -0,0 +1,180 @@
+process.env.TOKEN_STORAGE = "memory";
+process.env.TWITCH_BROADCASTER_ID = "141981764";
+process.env.TWITCH_MODERATOR_ID = "141981764";
+
+const { describe, it, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { EventEmitter } = require("events");
+const { CommandRouter } = require("../utils/chatCommands");
+const { mockHelix } = require("./helpers/helix");
+const { silenceLogs } = require("./helpers/logs");
+const { useFakeClock } = require("./helpers/clock");
+
+silenceLogs();
+
+/**
+ * Builds a chat message like the chat client does
+ * @param {string} text - Message text
+ * @param {Object} [author] - { user_id, user_name, badges, room_id }
+ * @returns {Object}
+ */
+const chatMessage = (
+  text,
+  {
+    user_id = "12826",
+    user_name = "Viewer",
+    badges = {},
+    room_id = "141981764",
+  } = {}
+) => ({
+  id: `message-${Math.random()}`,
+  text,
+  channel: "twitchdev",
+  user_id,
+  user_name,
+  badges,
+  tags: { "room-id": room_id },
+});
+
+describe("CommandRouter", () => {
+  let router;
+  let clock;
+
+  beforeEach(() => {
+    clock = useFakeClock();
+    router = new CommandRouter();
+    router.applyConfig({
+      commands: [
+        { name: "hug", response: "{user} hugs {1}! ({args} in {channel})" },
+        { name: "slow", response: "done", cooldown: { user: 120, global: 5 } },
+      ],
+    });
+  });
+
+  afterEach(() => clock.reset());
+
+  it("fills the placeholders of text responses", async () => {
+    assert.equal(
+      await router.handleMessage(chatMessage("!hug friend now")),
+      "Viewer hugs friend! (friend now in twitchdev)"
+    );
+  });
+
+  it("inserts chat input as is", async () => {
+    assert.equal(
+      await router.handleMessage(chatMessage("!hug $& $` $' {1}")),
+      "Viewer hugs $&! ($& $` $' {1} in twitchdev)"
+    );
+  });
+
+  it("applies the per-user and global cooldowns", async () => {
+    assert.equal(await router.handleMessage(chatMessage("!slow")), "done");
+    assert.equal(await router.handleMessage(chatMessage("!slow")), null);
+
+    // Another user waits for the global cooldown only
+    const other = chatMessage("!slow", { user_id: "1", user_name: "Other" });
+    assert.equal(await router.handleMessage(other), null);
+    clock.tick(5000);
+    assert.equal(await router.handleMessage(other), "done");
+  });
+
+  it("forgets cooldowns once the longer one is over", async () => {
+    for (let user = 1; user <= 50; user++) {
+      await router.handleMessage(
+        chatMessage("!hug", { user_id: String(user) })
+      );
+    }
+    await router.handleMessage(chatMessage("!slow"));
+
+    clock.tick(60000);
+    await router.handleMessage(chatMessage("!hug", { user_id: "51" }));
+
+    // The !hug entries are gone, !slow ones stay for their 120 seconds user cooldown
+    assert.deepEqual([...router.lastUsed.keys()].sort(), [
+      "twitchdev:slow",
+      "twitchdev:slow:12826",
+    ]);
+
+    clock.tick(120000);
+    await router.handleMessage(chatMessage("!hug", { user_id: "52" }));
+    assert.equal(router.lastUsed.size, 0);
+  });
+});
+
+describe("built-in commands", () => {
+  let router;
+  let calls;
+
+  beforeEach(() => {
+    router = new CommandRouter();
+    router.applyConfig({});
+    calls = mockHelix(({ url }) =>
+      url === "/clips"
+        ? {
+            data: [
+              {
+                id: "clip-1",
+                edit_url: "https://clips/edit",
+                title: "Clutch",
+                view_count: 7,
+                url: "https://clips",
+              },
+            ],
+          }
+        : {
+            data: [{ user_id: "7", user_login: "viewer", user_name: "Viewer" }],
+          }
+    );
+  });
+
+  it("acts on the channel the command was typed in", async () => {
+    const moderator = { badges: { moderator: "1" }, room_id: "12345" };
+
+    await router.handleMessage(chatMessage("!clip", moderator));
+    assert.equal(
+      await router.handleMessage(chatMessage("!pick", moderator)),
+      "🎉 @Viewer"
+    );
+    assert.deepEqual(
+      calls.map((call) =>
+        new URLSearchParams(call.params).get("broadcaster_id")
+      ),
+      ["12345", "12345"]
+    );
+  });
+
+  it("clips the channel !clipthat was typed in", async () => {
+    const reply = await router.handleMessage(
+      chatMessage("!clipthat", {
+        badges: { subscriber: "6" },
+        room_id: "12345",
+      })
+    );
+
+    assert.equal(reply, "🎬 Clipped! https://clips");
+    assert.equal(calls[0].method, "post");
+    assert.equal(calls[0].params.broadcaster_id, "12345");
+  });
+
+  it("ignores messages the chat filter acted on", async () => {
+    const chatClient = new EventEmitter();
+    const said = [];
+    chatClient.say = async (channel, text) => said.push(text);
+    const decisions = new Map();
+    const chatFilter = {
+      decisionFor: async (message) => decisions.get(message.id) || null,
+    };
+    router.attach(chatClient, { chatFilter });
+
+    const filtered = chatMessage("!clip");
+    decisions.set(filtered.id, { action: "delete" });
+    chatClient.emit("message", filtered);
+    chatClient.emit("message", chatMessage("!clip"));
+    while (said.length === 0) {
+      await new Promise((resolve) => setImmediate(resolve));
+    }
+
+    assert.equal(calls.length, 1);
+    assert.deepEqual(said, ["🎬 Clutch (7 views): https://clips"]);
+  });
+});
@@ -0,0 +1,267 @@
+process.env.TOKEN_STORAGE = "memory";
+process.env.TWITCH_BROADCASTER_ID = "141981764";
+
+const { describe, it, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { once } = require("events");
+const { WebSocketServer } = require("ws");
+const { EventSubWebSocket } = require("../utils/eventSubWebSocket");
+const { mockHelix } = require("./helpers/helix");
+const { silenceLogs } = require("./helpers/logs");
+
+silenceLogs();
+
+/**
+ * Local EventSub server framing messages like Twitch
+ * @returns {Promise<Object>} { url, nextSocket, close }
+ */
+const startEventSubServer = async () => {
+  const server = new WebSocketServer({ host: "127.0.0.1", port: 0 });
+  const sockets = [];
+  const waiting = [];
+
+  server.on("connection", (socket, request) => {
+    socket.path = request.url;
+    if (waiting.length > 0) waiting.shift()(socket);
+    else sockets.push(socket);
+  });
+  await once(server, "listening");
+
+  return {
+    url: `ws://127.0.0.1:${server.address().port}/ws`,
+    nextSocket: () =>
+      sockets.length > 0
+        ? Promise.resolve(sockets.shift())
+        : new Promise((resolve) => waiting.push(resolve)),
+    close: () => {
+      server.clients.forEach((socket) => socket.terminate());
+      return new Promise((resolve) => server.close(resolve));
+    },
+  };
+};
+
+/**
+ * Waits until a condition holds, checking it every 10 ms
+ * @param {Function} condition - Returns true once the expected state is reached
+ * @returns {Promise<void>}
+ */
+const waitFor = async (condition) => {
+  while (!condition()) {
+    await new Promise((resolve) => setTimeout(resolve, 10));
+  }
+};
+
+let messageCount = 0;
+
+/**
+ * Sends a frame with the metadata Twitch adds to every message
+ * @param {WebSocket} socket - Client socket
+ * @param {string} type - metadata.message_type
+ * @param {Object} payload - Message payload
+ * @param {Object} [metadata] - Extra metadata (message_id, subscription_type...)
+ */
+const send = (socket, type, payload, metadata = {}) =>
+  socket.send(
+    JSON.stringify({
+      metadata: {
+        message_id: `message-${++messageCount}`,
+        message_type: type,
+        message_timestamp: new Date().toISOString(),
+        ...metadata,
+      },
+      payload,
+    })
+  );
+
+const welcome = (socket, id, keepaliveSeconds = 10) =>
+  send(socket, "session_welcome", {
+    session: {
+      id,
+      status: "connected",
+      keepalive_timeout_seconds: keepaliveSeconds,
+      reconnect_url: null,
+    },
+  });
+
+const raid = (socket, messageId) =>
+  send(
+    socket,
+    "notification",
+    {
+      subscription: { type: "channel.raid", version: "1" },
+      event: { from_broadcaster_user_login: "raider", viewers: 42 },
+    },
+    {
+      message_id: messageId,
+      subscription_type: "channel.raid",
+      subscription_version: "1",
+    }
+  );
+
+describe("EventSubWebSocket", () => {
+  let server;
+  let client;
+  let calls;
+
+  beforeEach(async () => {
+    server = await startEventSubServer();
+    calls = mockHelix(({ method }) =>
+      method === "get" ? { data: [], pagination: {} } : { data: [{}] }
+    );
+    client = new EventSubWebSocket({
+      url: server.url,
+      topics: ["raids"],
+      keepaliveGraceMs: 0,
+    });
+  });
+
+  afterEach(async () => {
+    client.stop();
+    await server.close();
+  });
+
+  it("subscribes to the configured topics on welcome", async () => {
+    client.start();
+    const socket = await server.nextSocket();
+    welcome(socket, "session-1");
+
+    assert.equal((await once(client, "connected"))[0], "session-1");
+    await waitFor(() => calls.some((call) => call.method === "post"));
+
+    const post = calls.find((call) => call.method === "post");
+    assert.equal(post.url, "/eventsub/subscriptions");
+    assert.deepEqual(post.data, {
+      type: "channel.raid",
+      version: "1",
+      condition: { to_broadcaster_user_id: "141981764" },
+      transport: { method: "websocket", session_id: "session-1" },
+    });
+  });
+
+  it("subscribes again when the session only has another channel's subscription", async () => {
+    calls = mockHelix(({ method }) =>
+      method === "get"
+        ? {
+            data: [
+              {
+                type: "channel.raid",
+                version: "1",
+                status: "enabled",
+                condition: {
+                  from_broadcaster_user_id: "",
+                  to_broadcaster_user_id: "12826",
+                },
+                transport: { method: "websocket", session_id: "session-1" },
+              },
+            ],
+            pagination: {},
+          }
+        : { data: [{}] }
+    );
+    client.sessionId = "session-1";
+
+    await client.syncSubscriptions();
+
+    const posts = calls.filter((call) => call.method === "post");
+    assert.equal(posts.length, 1);
+    assert.deepEqual(posts[0].data.condition, {
+      to_broadcaster_user_id: "141981764",
+    });
+  });
+
+  it("reconnects when the keepalive times out", { timeout: 5000 }, async () => {
+    client.start();
+    const first = await server.nextSocket();
+    welcome(first, "session-1", 1);
+    await once(client, "connected");
+
+    // No keepalive is sent, the session is dropped after 1 second then reopened
+    const second = await server.nextSocket();
+    assert.equal(second.path, "/ws");
+    welcome(second, "session-2");
+    assert.equal((await once(client, "connected"))[0], "session-2");
+  });
+
+  it("hands the session over on session_reconnect", async () => {
+    client.start();
+    const first = await server.nextSocket();
+    welcome(first, "session-1");
+    await once(client, "connected");
+    await waitFor(() => calls.some((call) => call.method === "post"));
+    const subscriptions = calls.length;
+
+    send(first, "session_reconnect", {
+      session: {
+        id: "session-1",
+        status: "reconnecting",
+        reconnect_url: server.url.replace("/ws", "/reconnect"),
+      },
+    });
+    const second = await server.nextSocket();
+    assert.equal(second.path, "/reconnect");
+
+    const closed = once(first, "close");
+    welcome(second, "session-1");
+    await once(client, "connected");
+    await closed;
+
+    // Subscriptions carry over to the new socket, which now receives the events
+    const notification = once(client, "notification");
+    raid(second, "raid-1");
+    assert.equal((await notification)[0].id, "raid-1");
+    assert.equal(calls.length, subscriptions);
+  });
+
+  it("emits duplicated notifications once", async () => {
+    const received = [];
+    const ids = [];
+    client.on("channel.raid", (event) => received.push(event));
+    client.on("notification", ({ id }) => ids.push(id));
+    client.start();
+    const socket = await server.nextSocket();
+    welcome(socket, "session-1");
+    await once(client, "connected");
+
+    raid(socket, "raid-1");
+    raid(socket, "raid-1");
+    raid(socket, "raid-2");
+    await waitFor(() => ids.includes("raid-2"));
+
+    assert.deepEqual(ids, ["raid-1", "raid-2"]);
+    assert.equal(received.length, 2);
+    assert.deepEqual(received[0], {
+      from_broadcaster_user_login: "raider",
+      viewers: 42,
+    });
+  });
+
+  it("emits revocations", async () => {
+    client.start();
+    const socket = await server.nextSocket();
+    welcome(socket, "session-1");
+    await once(client, "connected");
+
+    send(socket, "revocation", {
+      subscription: {
+        id: "subscription-1",
+        type: "channel.raid",
+        status: "authorization_revoked",
+      },
+    });
+    const [subscription] = await once(client, "revocation");
+    assert.equal(subscription.status, "authorization_revoked");
+  });
+
+  it("drops frames without metadata", async () => {
+    client.start();
+    const socket = await server.nextSocket();
+    welcome(socket, "session-1");
+    await once(client, "connected");
+
+    socket.send(JSON.stringify({ payload: {} }));
+    socket.send("null");
+    const notification = once(client, "notification");
+    raid(socket, "raid-1");
+    assert.equal((await notification)[0].type, "channel.raid");
+  });
+});
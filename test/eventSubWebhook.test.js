@@ -0,0 +1,157 @@
+process.env.TOKEN_STORAGE = "memory";
+process.env.TWITCH_EVENTSUB_SECRET = "webhook-test-secret";
+
+const { describe, it, before, after, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { once } = require("events");
+const crypto = require("crypto");
+const express = require("express");
+const eventSubRoutes = require("../routes/eventsub");
+const { eventSubWebhook } = require("../utils/eventSubWebhook");
+const { errorHandler } = require("../middleware/errorHandler");
+const { silenceLogs } = require("./helpers/logs");
+
+silenceLogs();
+
+let messageCount = 0;
+
+/**
+ * Signs a body like Twitch does, over the message ID, timestamp and raw body
+ * @param {string} messageId - Twitch-Eventsub-Message-Id header
+ * @param {string} timestamp - Twitch-Eventsub-Message-Timestamp header
+ * @param {string} body - Raw request body
+ * @param {string} [secret] - Secret used to sign (default: TWITCH_EVENTSUB_SECRET)
+ * @returns {string} Twitch-Eventsub-Message-Signature header
+ */
+const sign = (
+  messageId,
+  timestamp,
+  body,
+  secret = process.env.TWITCH_EVENTSUB_SECRET
+) =>
+  "sha256=" +
+  crypto
+    .createHmac("sha256", secret)
+    .update(messageId + timestamp + body)
+    .digest("hex");
+
+const raid = {
+  subscription: { type: "channel.raid", version: "1", status: "enabled" },
+  event: { from_broadcaster_user_login: "raider", viewers: 42 },
+};
+
+describe("EventSub webhook", () => {
+  let server;
+  let baseUrl;
+
+  before(async () => {
+    const app = express();
+    app.use(
+      express.json({
+        verify: (req, _res, buf) => {
+          req.rawBody = buf;
+        },
+      })
+    );
+    app.use("/eventsub", eventSubRoutes);
+    app.use(errorHandler);
+
+    server = app.listen(0, "127.0.0.1");
+    await once(server, "listening");
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(() => server.close());
+
+  afterEach(() => eventSubWebhook.removeAllListeners());
+
+  /**
+   * Posts a webhook message, signed unless another signature is given
+   * @param {Object} payload - Message body
+   * @param {Object} [options] - Message options
+   * @param {string} [options.type] - Twitch-Eventsub-Message-Type header
+   * @param {string} [options.messageId] - Twitch-Eventsub-Message-Id header
+   * @param {Date} [options.sentAt] - Twitch-Eventsub-Message-Timestamp header
+   * @param {string} [options.secret] - Secret used to sign the message
+   * @returns {Promise<Response>}
+   */
+  const deliver = (
+    payload,
+    {
+      type = "notification",
+      messageId = `message-${++messageCount}`,
+      sentAt = new Date(),
+      secret,
+    } = {}
+  ) => {
+    const body = JSON.stringify(payload);
+    const timestamp = sentAt.toISOString();
+
+    return fetch(`${baseUrl}/eventsub/webhook`, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        "Twitch-Eventsub-Message-Id": messageId,
+        "Twitch-Eventsub-Message-Timestamp": timestamp,
+        "Twitch-Eventsub-Message-Type": type,
+        "Twitch-Eventsub-Message-Signature": sign(
+          messageId,
+          timestamp,
+          body,
+          secret
+        ),
+      },
+      body,
+    });
+  };
+
+  it("answers the verification challenge", async () => {
+    const response = await deliver(
+      { ...raid, challenge: "pogchamp-kappa-360noscope" },
+      { type: "webhook_callback_verification" }
+    );
+
+    assert.equal(response.status, 200);
+    assert.match(response.headers.get("content-type"), /^text\/plain/);
+    assert.equal(await response.text(), "pogchamp-kappa-360noscope");
+  });
+
+  it("dispatches notifications with a valid signature", async () => {
+    const notified = once(eventSubWebhook, "channel.raid");
+
+    const response = await deliver(raid);
+
+    assert.equal(response.status, 204);
+    assert.deepEqual((await notified)[0], raid.event);
+  });
+
+  it("rejects messages signed with another secret", async () => {
+    const notifications = [];
+    eventSubWebhook.on("notification", (item) => notifications.push(item));
+
+    const response = await deliver(raid, { secret: "someone-else" });
+
+    assert.equal(response.status, 403);
+    assert.equal(notifications.length, 0);
+  });
+
+  it("only accepts messages sent in the last 10 minutes", async () => {
+    const minutesAgo = (minutes) => new Date(Date.now() - minutes * 60 * 1000);
+
+    assert.equal((await deliver(raid, { sentAt: minutesAgo(11) })).status, 403);
+    assert.equal((await deliver(raid, { sentAt: minutesAgo(9) })).status, 204);
+  });
+
+  it("acknowledges duplicated deliveries without dispatching them again", async () => {
+    const notifications = [];
+    eventSubWebhook.on("notification", (item) => notifications.push(item));
+
+    const first = await deliver(raid, { messageId: "retried-message" });
+    const retry = await deliver(raid, { messageId: "retried-message" });
+
+    assert.equal(first.status, 204);
+    assert.equal(retry.status, 204);
+    assert.equal(notifications.length, 1);
+    assert.equal(notifications[0].id, "retried-message");
+  });
+});
@@ -0,0 +1,35 @@
+const { describe, it, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { giveawayManager } = require("../utils/giveaways");
+
+describe("GiveawayManager", () => {
+  beforeEach(() => {
+    // Nothing is read from or written to .giveaways.json, only invalid giveaways are created
+    giveawayManager.giveaways = [];
+    giveawayManager.isLoaded = true;
+  });
+
+  it("refuses keywords that aren't strings", async () => {
+    for (const keyword of [42, ["!join"], { word: "!join" }]) {
+      await assert.rejects(
+        giveawayManager.create({ title: "Sub giveaway", keyword }),
+        { statusCode: 400, message: "keyword must be a string." }
+      );
+    }
+  });
+
+  it("refuses excluded users that aren't logins", async () => {
+    for (const filters of [
+      null,
+      { exclude: "streamer" },
+      { exclude: ["streamer", 42] },
+      { exclude: [null] },
+    ]) {
+      await assert.rejects(
+        giveawayManager.create({ title: "Sub giveaway", filters }),
+        { statusCode: 400 }
+      );
+    }
+    assert.equal(giveawayManager.giveaways.length, 0);
+  });
+});
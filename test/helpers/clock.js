@@ -0,0 +1,30 @@
+const { mock } = require("node:test");
+
+/**
+ * Fakes setTimeout and Date.now, advanced together by tick()
+ * Date.now is mocked directly, mock.timers only fakes Date since Node 20.4
+ * @returns {Object} { tick(ms), reset() }
+ */
+const useFakeClock = () => {
+  let now = Date.now();
+  try {
+    mock.timers.enable({ apis: ["setTimeout"] });
+  } catch (error) {
+    // Before Node 20.4 the timers are passed as an array
+    mock.timers.enable(["setTimeout"]);
+  }
+  const dateNow = mock.method(Date, "now", () => now);
+
+  return {
+    tick: (ms) => {
+      now += ms;
+      mock.timers.tick(ms);
+    },
+    reset: () => {
+      mock.timers.reset();
+      dateNow.mock.restore();
+    },
+  };
+};
+
+module.exports = { useFakeClock };
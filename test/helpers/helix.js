@@ -0,0 +1,25 @@
+const { helixClient } = require("../../utils/helixClient");
+
+/**
+ * Answers the Helix requests of the shared client without reaching Twitch
+ * @param {Function} handler - Receives the axios config and returns the response data
+ * @returns {Array<Object>} Requests made, as { method, url, params, data }
+ */
+const mockHelix = (handler) => {
+  const calls = [];
+
+  helixClient.getAuthHeaders = async () => ({});
+  helixClient.http.request = async (config) => {
+    const call = {
+      method: config.method,
+      url: config.url,
+      params: config.params,
+      data: config.data,
+    };
+    calls.push(call);
+    return { status: 200, headers: {}, data: await handler(call) };
+  };
+  return calls;
+};
+
+module.exports = { mockHelix };
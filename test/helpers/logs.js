@@ -0,0 +1,11 @@
+const { mock } = require("node:test");
+
+/**
+ * Mutes the console logs of the modules under test, which would be mixed with the test report
+ */
+const silenceLogs = () =>
+  ["log", "warn", "error"].forEach((method) =>
+    mock.method(console, method, () => {})
+  );
+
+module.exports = { silenceLogs };
@@ -0,0 +1,58 @@
+process.env.TOKEN_STORAGE = "memory";
+process.env.TWITCH_BROADCASTER_ID = "141981764";
+process.env.TWITCH_MODERATOR_ID = "141981764";
+
+const { describe, it, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { unbanUser, runBulkAction } = require("../utils/moderation");
+const { mockHelix } = require("./helpers/helix");
+const { silenceLogs } = require("./helpers/logs");
+
+silenceLogs();
+
+describe("moderation actions", () => {
+  let calls;
+
+  beforeEach(() => {
+    calls = mockHelix(() => ({ data: [] }));
+  });
+
+  it("unbans in the given channel, like bans", async () => {
+    await unbanUser("12826", { broadcasterId: "98765" });
+    await unbanUser("12826");
+
+    assert.deepEqual(
+      calls.map((call) => [call.method, call.url, call.params]),
+      [
+        [
+          "delete",
+          "/moderation/bans",
+          {
+            broadcaster_id: "98765",
+            moderator_id: "141981764",
+            user_id: "12826",
+          },
+        ],
+        [
+          "delete",
+          "/moderation/bans",
+          {
+            broadcaster_id: "141981764",
+            moderator_id: "141981764",
+            user_id: "12826",
+          },
+        ],
+      ]
+    );
+  });
+
+  it("refuses bulk targets that aren't users with a 400", async () => {
+    for (const target of [null, ["12826"], true]) {
+      await assert.rejects(
+        runBulkAction({ action: "unban", targets: ["12826", target] }, {}),
+        { statusCode: 400, message: /^Invalid target at index 1\./ }
+      );
+    }
+    assert.equal(calls.length, 0);
+  });
+});
@@ -0,0 +1,52 @@
+process.env.API_ADMIN_KEY = "admin-test-key";
+process.env.RATE_LIMITS = "default=2/60";
+
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { once } = require("events");
+const express = require("express");
+const {
+  authenticateApiKey,
+  rejectInvalidApiKey,
+} = require("../middleware/apiKeys");
+const { rateLimit, closeRateLimitStore } = require("../middleware/rateLimit");
+const { errorHandler } = require("../middleware/errorHandler");
+const { silenceLogs } = require("./helpers/logs");
+
+silenceLogs();
+
+describe("rate limiting", () => {
+  let server;
+  let baseUrl;
+
+  before(async () => {
+    const app = express();
+    app.use(authenticateApiKey);
+    app.use(rateLimit());
+    app.use(rejectInvalidApiKey);
+    app.get("/ping", (_req, res) => res.json({ status: "OK" }));
+    app.use(errorHandler);
+
+    server = app.listen(0, "127.0.0.1");
+    await once(server, "listening");
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(() => {
+    server.close();
+    closeRateLimitStore();
+  });
+
+  const ping = (key) =>
+    fetch(`${baseUrl}/ping`, { headers: key ? { "X-API-Key": key } : {} });
+
+  it("counts invalid keys against the client IP", async () => {
+    assert.equal((await ping("guess-1")).status, 401);
+    assert.equal((await ping("guess-2")).status, 401);
+    assert.equal((await ping("guess-3")).status, 429);
+    assert.equal((await ping()).status, 429);
+
+    // Valid keys have their own bucket
+    assert.equal((await ping("admin-test-key")).status, 200);
+  });
+});
@@ -0,0 +1,252 @@
+process.env.ENCRYPTION_KEY = require("crypto").randomBytes(32).toString("hex");
+
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const {
+  FileTokenBackend,
+  SqliteTokenBackend,
+  RedisTokenBackend,
+  MemoryTokenBackend,
+} = require("../utils/tokenBackends");
+const { loadTokens, updateTokens } = require("../utils/tokenStorage");
+const { silenceLogs } = require("./helpers/logs");
+
+silenceLogs();
+
+/**
+ * In-memory stand-in of a Redis server, shared by the clients created with client()
+ * Supports the commands used by RedisTokenBackend: GET, SET (PX, NX), DEL and the lock scripts
+ */
+class FakeRedisServer {
+  constructor() {
+    this.entries = new Map();
+  }
+
+  lookup(key) {
+    const entry = this.entries.get(key);
+    if (entry && entry.expiresAt <= Date.now()) {
+      this.entries.delete(key);
+      return null;
+    }
+    return entry ? entry.value : null;
+  }
+
+  client() {
+    return {
+      get: async (key) => this.lookup(key),
+      set: async (key, value, ...options) => {
+        const px = options.indexOf("PX");
+        if (options.includes("NX") && this.lookup(key) !== null) return null;
+
+        this.entries.set(key, {
+          value,
+          expiresAt: px >= 0 ? Date.now() + options[px + 1] : Infinity,
+        });
+        return "OK";
+      },
+      del: async (key) => Number(this.entries.delete(key)),
+      // Only the lock release and extension scripts are sent by the backend
+      eval: async (script, _keyCount, key, token, ttlMs) => {
+        if (this.lookup(key) !== token) return 0;
+        if (script.includes("PEXPIRE")) {
+          this.entries.get(key).expiresAt = Date.now() + Number(ttlMs);
+          return 1;
+        }
+        return Number(this.entries.delete(key));
+      },
+      disconnect: () => {},
+    };
+  }
+}
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "token-backends-"));
+
+/**
+ * Each backend with a factory creating instances that share the same storage, like two servers would
+ */
+const BACKENDS = {
+  memory: () => {
+    const backend = new MemoryTokenBackend();
+    return () => backend;
+  },
+  file: () => {
+    const file = path.join(tmpDir, `tokens-${Date.now()}-${Math.random()}`);
+    return () => new FileTokenBackend({ file });
+  },
+  sqlite: () => {
+    const file = path.join(tmpDir, `tokens-${Date.now()}-${Math.random()}.db`);
+    return () => new SqliteTokenBackend({ file });
+  },
+  redis: () => {
+    const server = new FakeRedisServer();
+    return () => {
+      const backend = new RedisTokenBackend({ url: "redis://fake" });
+      backend.client = server.client();
+      return backend;
+    };
+  },
+};
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+const account = (userId) => ({
+  user_id: userId,
+  login: `user${userId}`,
+  access_token: `access-${userId}`,
+  refresh_token: `refresh-${userId}`,
+  expires_at: Date.now() + 3600 * 1000,
+});
+
+let hasSqlite = true;
+try {
+  require("better-sqlite3");
+} catch (error) {
+  hasSqlite = false;
+}
+
+after(() => fs.rmSync(tmpDir, { recursive: true, force: true }));
+
+Object.entries(BACKENDS).forEach(([name, setup]) => {
+  describe(
+    `${name} token backend`,
+    { skip: name === "sqlite" && !hasSqlite && "better-sqlite3 missing" },
+    () => {
+      let createInstance;
+
+      before(() => {
+        createInstance = setup();
+      });
+
+      it("reads, writes and removes the stored data", async () => {
+        const backend = createInstance();
+
+        assert.equal(await backend.read(), null);
+        await backend.write("first");
+        await backend.write("second");
+        assert.equal(await createInstance().read(), "second");
+        await backend.remove();
+        assert.equal(await backend.read(), null);
+        await backend.remove();
+      });
+
+      it("gives a lock to one holder at a time", async () => {
+        const first = createInstance();
+        const second = createInstance();
+
+        const token = await first.acquireLock("test", 30000);
+        assert.ok(token);
+        assert.equal(await second.acquireLock("test", 30000), null);
+
+        // Only the holder's token releases it
+        await second.releaseLock("test", "someone-else");
+        assert.equal(await second.acquireLock("test", 30000), null);
+        await first.releaseLock("test", token);
+
+        const next = await second.acquireLock("test", 30000);
+        assert.ok(next);
+        await second.releaseLock("test", next);
+      });
+
+      it("takes over expired locks", async () => {
+        const crashed = createInstance();
+        assert.ok(await crashed.acquireLock("expiring", 20));
+        await sleep(30);
+
+        const backend = createInstance();
+        const result = await backend.withLock("expiring", async () => "ran", {
+          timeoutMs: 1000,
+        });
+        assert.equal(result, "ran");
+      });
+
+      it("lets a single process take over an expired lock", async () => {
+        const crashed = createInstance();
+        assert.ok(await crashed.acquireLock("contended", 20));
+        await sleep(30);
+
+        const tokens = await Promise.all(
+          Array.from({ length: 4 }, async () => {
+            const backend = createInstance();
+            // The first attempt may only clear the expired lock
+            return (
+              (await backend.acquireLock("contended", 30000)) ||
+              backend.acquireLock("contended", 30000)
+            );
+          })
+        );
+        assert.equal(tokens.filter(Boolean).length, 1);
+      });
+
+      it("extends the lock while withLock runs", async () => {
+        const holder = createInstance();
+        let taken = null;
+
+        await holder.withLock(
+          "slow",
+          async () => {
+            // Several TTLs pass while the function runs
+            await sleep(200);
+            const other = createInstance();
+            taken =
+              (await other.acquireLock("slow", 60)) ||
+              (await other.acquireLock("slow", 60));
+          },
+          { ttlMs: 60 }
+        );
+        assert.equal(taken, null);
+        assert.ok(await createInstance().acquireLock("slow", 60));
+      });
+
+      it("runs withLock callers one at a time", async () => {
+        let running = 0;
+        let overlapped = false;
+
+        await Promise.all(
+          Array.from({ length: 4 }, () =>
+            createInstance().withLock("serial", async () => {
+              running++;
+              overlapped = overlapped || running > 1;
+              await sleep(10);
+              running--;
+            })
+          )
+        );
+        assert.equal(overlapped, false);
+      });
+
+      it("keeps every account written by concurrent updates", async () => {
+        const instances = [createInstance(), createInstance()];
+
+        await Promise.all(
+          Array.from({ length: 6 }, (_, index) =>
+            updateTokens(
+              ({ accounts, default_user_id }) => ({
+                accounts: [...accounts, account(String(index + 1))],
+                default_user_id: default_user_id || String(index + 1),
+              }),
+              instances[index % 2]
+            )
+          )
+        );
+
+        const { accounts } = await loadTokens(createInstance());
+        assert.deepEqual(accounts.map((item) => item.user_id).sort(), [
+          "1",
+          "2",
+          "3",
+          "4",
+          "5",
+          "6",
+        ]);
+        // Tokens are stored encrypted
+        assert.equal(
+          (await createInstance().read()).includes("access-1"),
+          false
+        );
+      });
+    }
+  );
+});
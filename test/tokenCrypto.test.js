@@ -0,0 +1,70 @@
+const crypto = require("crypto");
+
+// Earlier versions accepted keys longer than 64 hex characters and used their first 32 bytes
+const LEGACY_KEY = crypto.randomBytes(48).toString("hex");
+const PREVIOUS_KEY = crypto.randomBytes(32).toString("hex");
+process.env.ENCRYPTION_KEY = LEGACY_KEY;
+process.env.ENCRYPTION_KEY_PREVIOUS = PREVIOUS_KEY;
+
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  TokenDecryptionError,
+  encrypt,
+  decrypt,
+  needsReencryption,
+  createKey,
+} = require("../utils/tokenCrypto");
+const { silenceLogs } = require("./helpers/logs");
+
+silenceLogs();
+
+/**
+ * Encrypts like earlier versions did: AES-256-CBC with the first 32 bytes of the hex key
+ * @param {string} text - Text to encrypt
+ * @param {string} keyHex - Configured key
+ * @returns {string} "<iv>:<ciphertext>"
+ */
+const encryptLegacy = (text, keyHex) => {
+  const iv = crypto.randomBytes(16);
+  const key = Buffer.from(keyHex, "hex").subarray(0, 32);
+  const cipher = crypto.createCipheriv("aes-256-cbc", key, iv);
+  return `${iv.toString("hex")}:${
+    cipher.update(text, "utf8", "hex") + cipher.final("hex")
+  }`;
+};
+
+describe("tokenCrypto", () => {
+  it("decrypts legacy blobs of keys longer than 64 hex characters", () => {
+    const blob = encryptLegacy('{"access_token":"legacy"}', LEGACY_KEY);
+
+    assert.equal(decrypt(blob), '{"access_token":"legacy"}');
+    assert.equal(needsReencryption(blob), true);
+  });
+
+  it("decrypts legacy blobs of a previous key", () => {
+    const blob = encryptLegacy('{"access_token":"previous"}', PREVIOUS_KEY);
+    assert.equal(decrypt(blob), '{"access_token":"previous"}');
+  });
+
+  it("round-trips the current envelope", () => {
+    const blob = encrypt('{"access_token":"current"}');
+
+    assert.match(blob, /^v2:[0-9a-f]{8}:/);
+    assert.equal(decrypt(blob), '{"access_token":"current"}');
+    assert.equal(needsReencryption(blob), false);
+    assert.equal(
+      needsReencryption(encrypt("{}", createKey(PREVIOUS_KEY))),
+      true
+    );
+  });
+
+  it("refuses tampered envelopes and unknown keys", () => {
+    const blob = encrypt('{"access_token":"current"}');
+    const tampered = blob.slice(0, -2) + (blob.endsWith("00") ? "11" : "00");
+    const otherKey = createKey(crypto.randomBytes(32).toString("hex"));
+
+    assert.throws(() => decrypt(tampered), TokenDecryptionError);
+    assert.throws(() => decrypt(encrypt("{}", otherKey)), TokenDecryptionError);
+  });
+});
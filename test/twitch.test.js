@@ -0,0 +1,100 @@
+process.env.TOKEN_STORAGE = "memory";
+process.env.TWITCH_AUTH_FLOW = "app";
+process.env.TWITCH_CLIENT_ID = "client-id";
+
+const { describe, it, afterEach, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const { once } = require("events");
+const axios = require("axios");
+const { tokenManager } = require("../utils/tokenStorage");
+const {
+  manageTwitchLogin,
+  removeAccount,
+  getClips,
+} = require("../routes/twitch");
+const { silenceLogs } = require("./helpers/logs");
+const { useFakeClock } = require("./helpers/clock");
+
+silenceLogs();
+
+/**
+ * Builds the error axios throws for an answer of the token endpoint
+ * @param {number} status - HTTP status
+ * @returns {Error}
+ */
+const tokenEndpointError = (status) =>
+  Object.assign(new Error(`Request failed with status code ${status}`), {
+    response: { status, data: { status, message: "Refresh failed" } },
+  });
+
+describe("restoring stored accounts", () => {
+  let clock;
+
+  /**
+   * Stores an account whose access token must be refreshed before use
+   * @returns {Promise<void>}
+   */
+  const storeExpiringAccount = async () => {
+    tokenManager.setTokens({
+      access_token: "old-token",
+      refresh_token: "refresh-token",
+      expires_in: 60,
+      user_id: "141981764",
+      login: "twitchdev",
+    });
+    await tokenManager.whenSaved();
+  };
+
+  afterEach(() => {
+    removeAccount("141981764");
+    mock.restoreAll();
+    clock?.reset();
+    clock = null;
+  });
+
+  it("keeps an account when Twitch can't refresh it and retries later", async () => {
+    clock = useFakeClock();
+    await storeExpiringAccount();
+    mock.method(axios, "post", async () => {
+      throw tokenEndpointError(503);
+    });
+
+    await manageTwitchLogin();
+    assert.ok(tokenManager.findAccount("twitchdev"));
+
+    axios.post.mock.mockImplementation(async () => ({
+      data: {
+        access_token: "new-token",
+        refresh_token: "new-refresh-token",
+        expires_in: 14400,
+      },
+    }));
+    const updated = once(tokenManager, "tokensUpdated");
+    clock.tick(60 * 1000);
+
+    const [record] = await updated;
+    assert.equal(record.access_token, "new-token");
+    assert.equal(tokenManager.getTokens("141981764").access_token, "new-token");
+  });
+
+  it("removes an account whose refresh token is rejected", async () => {
+    await storeExpiringAccount();
+    mock.method(axios, "post", async () => {
+      throw tokenEndpointError(400);
+    });
+
+    await manageTwitchLogin();
+    assert.equal(tokenManager.findAccount("twitchdev"), null);
+  });
+});
+
+describe("getClips", () => {
+  it("refuses limits outside 1-100 with a 400 naming the parameter", async () => {
+    for (const limit of [0, 101, -5, 2.5, "ten"]) {
+      await assert.rejects(getClips({ limit, broadcasterId: "141981764" }), {
+        statusCode: 400,
+        message: `Invalid limit value: ${limit}. It must be between 1 and 100.`,
+      });
+    }
+  });
+});
@@ -0,0 +1,309 @@
+const fs = require("fs").promises;
+const crypto = require("crypto");
+const path = require("path");
+const { createHttpError } = require("../middleware/errorHandler");
+
+// File to store the API keys, next to the .tokens file
+const DEFAULT_API_KEYS_FILE = path.join(__dirname, "..", ".api-keys.json");
+
+// Roles from lowest to highest, each one can use the routes of the previous ones
+const API_KEY_ROLES = ["read-only", "moderator", "admin"];
+
+// Prefix of issued keys, so they are easy to spot in logs and secret scanners
+const API_KEY_PREFIX = "twk_";
+
+// Minimum time between two saves of the last use of a key
+const LAST_USED_SAVE_INTERVAL_MS = 60 * 1000;
+
+// Minimum time between two checks of the API keys file for changes made by another process
+const RELOAD_CHECK_INTERVAL_MS = 1000;
+
+/**
+ * Hashes an API key, only hashes are stored
+ * @param {string} key - API key
+ * @returns {string} SHA-256 hex digest
+ */
+const hashApiKey = (key) =>
+  crypto.createHash("sha256").update(key).digest("hex");
+
+/**
+ * Tells whether a role grants a required role
+ * @param {string} role - Role of the key
+ * @param {string} required - Role required by the route
+ * @returns {boolean}
+ */
+const hasRole = (role, required) =>
+  API_KEY_ROLES.indexOf(role) >= API_KEY_ROLES.indexOf(required);
+
+/**
+ * Keeps the public fields of a stored key, without its hash
+ * @param {Object} record - Stored key
+ * @returns {Object}
+ */
+const toPublicKey = ({ hash, ...record }) => record;
+
+/**
+ * Returns the API keys file path, API_KEYS_PATH or .api-keys.json in the project root
+ * @returns {string}
+ */
+const getApiKeysFile = () =>
+  process.env.API_KEYS_PATH
+    ? path.resolve(process.env.API_KEYS_PATH)
+    : DEFAULT_API_KEYS_FILE;
+
+/**
+ * Loads the stored API keys from disk
+ * @returns {Promise<Array>} - Stored keys or an empty list if not found
+ * @throws {Error} If the file can't be read or parsed, so it is never overwritten with an empty list
+ */
+async function loadApiKeys() {
+  try {
+    const keys = JSON.parse(await fs.readFile(getApiKeysFile(), "utf8"));
+    if (!Array.isArray(keys)) {
+      throw new Error(`${getApiKeysFile()} doesn't contain a list of keys`);
+    }
+    return keys;
+  } catch (error) {
+    if (error.code === "ENOENT") return [];
+    throw error;
+  }
+}
+
+/**
+ * Identifies the current version of the API keys file, to notice changes made by another process
+ * @returns {Promise<string|null>} Modification time and size, or null if the file doesn't exist
+ */
+async function getApiKeysVersion() {
+  try {
+    const { mtimeMs, size } = await fs.stat(getApiKeysFile());
+    return `${mtimeMs}:${size}`;
+  } catch (error) {
+    if (error.code === "ENOENT") return null;
+    throw error;
+  }
+}
+
+/**
+ * Saves the API keys to disk
+ * Writes to a temporary file first so a crash never leaves a truncated file
+ * @param {Array} keys - Keys to store
+ * @returns {Promise<void>}
+ */
+async function saveApiKeys(keys) {
+  const file = getApiKeysFile();
+  const tempFile = `${file}.tmp`;
+  await fs.writeFile(tempFile, JSON.stringify(keys, null, 2), {
+    encoding: "utf8",
+    mode: 0o600,
+  });
+  await fs.rename(tempFile, file);
+}
+
+/**
+ * Manages the API keys of the wrapper: issuing, revoking and authenticating them
+ * Keys are only shown when issued; the file keeps their SHA-256 hash.
+ * API_ADMIN_KEY, if set, is accepted as an admin key to bootstrap the first keys.
+ */
+class ApiKeyManager {
+  constructor() {
+    this.keys = [];
+    this.version = null;
+    this.checkedAt = 0;
+    this.isLoaded = false;
+    this.loading = null;
+    this.writeQueue = Promise.resolve();
+  }
+
+  async initialize() {
+    // Requests arriving together must all wait for the same load
+    this.loading =
+      this.loading ||
+      this.reload().finally(() => {
+        this.loading = null;
+      });
+    await this.loading;
+    return this.keys;
+  }
+
+  /**
+   * Loads the keys again when the file changed, e.g. after scripts/apiKeys.js issued or revoked one
+   * A file that can't be read keeps the keys loaded before, until it changes again.
+   * The file is checked at most once per RELOAD_CHECK_INTERVAL_MS, not on every request.
+   * @returns {Promise<void>}
+   */
+  async reload() {
+    if (
+      this.isLoaded &&
+      Date.now() - this.checkedAt < RELOAD_CHECK_INTERVAL_MS
+    ) {
+      return;
+    }
+    this.checkedAt = Date.now();
+
+    try {
+      const version = await getApiKeysVersion();
+      if (this.isLoaded && version === this.version) return;
+
+      this.version = version;
+      this.keys = await loadApiKeys();
+    } catch (error) {
+      console.error("❌ Error loading API keys:", error.message);
+    }
+    this.isLoaded = true;
+  }
+
+  /**
+   * Changes the stored keys, serializing concurrent writes
+   * The file is read again before each write and only the records touched by update change,
+   * so keys issued or revoked meanwhile by another process are kept. Nothing is written if the
+   * file can't be read.
+   * @param {Function} update - Changes the stored keys in place, returns false to skip the write
+   * @returns {Promise<Array>} The stored keys
+   */
+  modify(update) {
+    this.writeQueue = this.writeQueue
+      .catch(() => {})
+      .then(async () => {
+        const keys = await loadApiKeys();
+        if (update(keys) === false) return keys;
+
+        await saveApiKeys(keys);
+        this.keys = keys;
+        // Checked again on the next load, the file may have changed since the write
+        this.version = null;
+        return keys;
+      });
+    return this.writeQueue;
+  }
+
+  async list() {
+    await this.initialize();
+    return this.keys.map(toPublicKey);
+  }
+
+  /**
+   * Issues a new API key
+   * @param {Object} options - Key options
+   * @param {string} options.role - One of API_KEY_ROLES
+   * @param {string} [options.name] - Description of who uses the key
+   * @returns {Promise<Object>} { key, record }, the key itself is never shown again
+   */
+  async issue({ role, name }) {
+    if (!API_KEY_ROLES.includes(role)) {
+      throw createHttpError(
+        400,
+        `Invalid role: ${role}. Valid options are: ${API_KEY_ROLES.join(", ")}.`
+      );
+    }
+
+    const key = `${API_KEY_PREFIX}${crypto
+      .randomBytes(24)
+      .toString("base64url")}`;
+    const record = {
+      id: crypto.randomUUID(),
+      name: name || null,
+      role,
+      hash: hashApiKey(key),
+      prefix: key.slice(0, API_KEY_PREFIX.length + 4),
+      created_at: new Date().toISOString(),
+      last_used_at: null,
+      revoked_at: null,
+    };
+
+    await this.modify((keys) => {
+      keys.push(record);
+    });
+
+    return { key, record: toPublicKey(record) };
+  }
+
+  /**
+   * Revokes an API key, it stays listed for auditing
+   * @param {string} id - Key ID
+   * @returns {Promise<Object>} The revoked key
+   */
+  async revoke(id) {
+    let record;
+
+    await this.modify((keys) => {
+      record = keys.find((item) => item.id === id);
+
+      if (!record) {
+        throw createHttpError(404, `API key not found: ${id}`);
+      }
+      if (record.revoked_at) return false;
+
+      record.revoked_at = new Date().toISOString();
+    });
+    return toPublicKey(record);
+  }
+
+  /**
+   * Finds the active key matching a presented API key
+   * @param {string} key - API key sent by the client
+   * @returns {Promise<Object|null>} { id, name, role } of the key, or null if unknown, revoked or
+   * not a string (e.g. a query parameter sent twice)
+   */
+  async authenticate(key) {
+    if (typeof key !== "string") return null;
+
+    const hash = hashApiKey(key);
+    const adminKey = process.env.API_ADMIN_KEY;
+
+    if (
+      adminKey &&
+      crypto.timingSafeEqual(
+        Buffer.from(hash, "hex"),
+        Buffer.from(hashApiKey(adminKey), "hex")
+      )
+    ) {
+      return { id: "env", name: "API_ADMIN_KEY", role: "admin" };
+    }
+
+    await this.initialize();
+    const record = this.keys.find(
+      (item) => item.hash === hash && !item.revoked_at
+    );
+    if (!record) return null;
+
+    const lastUsed = Date.parse(record.last_used_at) || 0;
+    if (Date.now() - lastUsed > LAST_USED_SAVE_INTERVAL_MS) {
+      const lastUsedAt = new Date().toISOString();
+      record.last_used_at = lastUsedAt;
+      this.modify((keys) => {
+        const stored = keys.find((item) => item.id === record.id);
+        if (!stored || stored.last_used_at >= lastUsedAt) return false;
+        stored.last_used_at = lastUsedAt;
+      }).catch((error) =>
+        console.error("❌ Error saving API keys:", error.message)
+      );
+    }
+
+    return { id: record.id, name: record.name, role: record.role };
+  }
+
+  /**
+   * Tells whether any key can be used, stored or from API_ADMIN_KEY
+   * @returns {Promise<boolean>}
+   */
+  async hasKeys() {
+    await this.initialize();
+    return (
+      Boolean(process.env.API_ADMIN_KEY) ||
+      this.keys.some((record) => !record.revoked_at)
+    );
+  }
+}
+
+// Singleton instance of the API key manager
+const apiKeyManager = new ApiKeyManager();
+
+module.exports = {
+  API_KEY_ROLES,
+  RELOAD_CHECK_INTERVAL_MS,
+  hashApiKey,
+  hasRole,
+  loadApiKeys,
+  saveApiKeys,
+  apiKeyManager,
+};
@@ -0,0 +1,519 @@
+const fs = require("fs").promises;
+const path = require("path");
+const { helixClient } = require("./helixClient");
+const { eventSubWebSocket } = require("./eventSubWebSocket");
+const { eventSubWebhook } = require("./eventSubWebhook");
+const { createHttpError } = require("../middleware/errorHandler");
+
+// File to store the redemption queue, next to the .tokens file
+const REDEMPTIONS_FILE = path.join(__dirname, "..", ".redemptions.json");
+
+// Number of fulfilled and canceled redemptions kept, the oldest are dropped first
+const MAX_RESOLVED_REDEMPTIONS = 1000;
+
+// Fields of a custom reward that can be set, see POST /helix/channel_points/custom_rewards
+const REWARD_FIELDS = [
+  "title",
+  "prompt",
+  "cost",
+  "background_color",
+  "is_enabled",
+  "is_paused",
+  "is_user_input_required",
+  "is_max_per_stream_enabled",
+  "max_per_stream",
+  "is_max_per_user_per_stream_enabled",
+  "max_per_user_per_stream",
+  "is_global_cooldown_enabled",
+  "global_cooldown_seconds",
+  "should_redemptions_skip_request_queue",
+];
+
+const REDEMPTION_ADD_TYPE =
+  "channel.channel_points_custom_reward_redemption.add";
+const REDEMPTION_UPDATE_TYPE =
+  "channel.channel_points_custom_reward_redemption.update";
+
+/**
+ * Returns the broadcaster whose rewards are managed
+ * Rewards can only be managed with the broadcaster's own token
+ * @async
+ * @returns {Promise<string>} Broadcaster user ID
+ * @throws {Error} Throws if the channel isn't configured
+ */
+const getBroadcasterId = async () => {
+  // Required lazily to avoid a circular dependency with the Twitch routes
+  const { getChannelIds } = require("../routes/twitch");
+  const { broadcasterId } = await getChannelIds();
+
+  if (!broadcasterId) {
+    throw new Error(
+      "TWITCH_BROADCASTER_ID must be set in environment variables."
+    );
+  }
+  return broadcasterId;
+};
+
+/**
+ * Checks the fields of a reward to create or update
+ * @param {Object} fields - Reward fields
+ * @param {boolean} [creating=false] - Whether the title and cost are required
+ * @returns {Object} The fields
+ * @throws {Error} Throws a 400 error on unknown fields, a missing title or an invalid cost
+ */
+const validateRewardFields = (fields = {}, creating = false) => {
+  const names = Object.keys(fields);
+  const unknown = names.filter((name) => !REWARD_FIELDS.includes(name));
+
+  if (unknown.length > 0) {
+    throw createHttpError(
+      400,
+      `Invalid reward fields: ${unknown.join(
+        ", "
+      )}. Valid options are: ${REWARD_FIELDS.join(", ")}.`
+    );
+  }
+  if (names.length === 0) {
+    throw createHttpError(400, "At least one reward field is required.");
+  }
+  if (creating && !fields.title) {
+    throw createHttpError(400, "A reward title is required.");
+  }
+  if (
+    (creating || fields.cost !== undefined) &&
+    !(Number.isInteger(fields.cost) && fields.cost >= 1)
+  ) {
+    throw createHttpError(
+      400,
+      `Invalid cost value: ${fields.cost}. It must be a whole number of points of at least 1.`
+    );
+  }
+  return fields;
+};
+
+/**
+ * Lists the custom rewards of the channel
+ * Requires the channel:read:redemptions or channel:manage:redemptions scope
+ * @async
+ * @param {Object} [options] - List options
+ * @param {boolean} [options.onlyManageable=false] - Only rewards created by this application,
+ * the only ones it can update, delete or resolve redemptions of
+ * @returns {Promise<Array>} Custom rewards
+ */
+const listRewards = async ({ onlyManageable = false } = {}) => {
+  const response = await helixClient.get("/channel_points/custom_rewards", {
+    broadcaster_id: await getBroadcasterId(),
+    ...(onlyManageable && { only_manageable_rewards: true }),
+  });
+  return response.data.data;
+};
+
+/**
+ * Creates a custom reward
+ * Requires the channel:manage:redemptions scope
+ * @async
+ * @param {Object} fields - Fields of REWARD_FIELDS, title and cost are required
+ * @returns {Promise<Object>} The created reward
+ */
+const createReward = async (fields) => {
+  const response = await helixClient.post(
+    "/channel_points/custom_rewards",
+    validateRewardFields(fields, true),
+    { broadcaster_id: await getBroadcasterId() }
+  );
+  return response.data.data[0];
+};
+
+/**
+ * Updates a custom reward created by this application, only the given fields are changed
+ * Requires the channel:manage:redemptions scope
+ * @async
+ * @param {string} rewardId - Reward ID
+ * @param {Object} fields - Fields of REWARD_FIELDS
+ * @returns {Promise<Object>} The updated reward
+ */
+const updateReward = async (rewardId, fields) => {
+  const response = await helixClient.patch(
+    "/channel_points/custom_rewards",
+    validateRewardFields(fields),
+    { broadcaster_id: await getBroadcasterId(), id: rewardId }
+  );
+  return response.data.data[0];
+};
+
+/**
+ * Deletes a custom reward created by this application
+ * Twitch refunds its unfulfilled redemptions, so they are removed from the queue
+ * Requires the channel:manage:redemptions scope
+ * @async
+ * @param {string} rewardId - Reward ID
+ * @returns {Promise<void>}
+ */
+const deleteReward = async (rewardId) => {
+  await helixClient.delete("/channel_points/custom_rewards", {
+    broadcaster_id: await getBroadcasterId(),
+    id: rewardId,
+  });
+  await redemptionQueue.removeReward(rewardId);
+};
+
+/**
+ * Fetches every unfulfilled redemption of a reward, oldest first
+ * @async
+ * @param {string} rewardId - Reward ID
+ * @returns {Promise<Array>} Redemptions as returned by Helix
+ */
+const fetchUnfulfilledRedemptions = async (rewardId) => {
+  const broadcasterId = await getBroadcasterId();
+  const redemptions = [];
+  let cursor = null;
+
+  do {
+    const response = await helixClient.get(
+      "/channel_points/custom_rewards/redemptions",
+      {
+        broadcaster_id: broadcasterId,
+        reward_id: rewardId,
+        status: "UNFULFILLED",
+        sort: "OLDEST",
+        first: 50,
+        ...(cursor && { after: cursor }),
+      }
+    );
+    redemptions.push(...response.data.data);
+    cursor = response.data.pagination?.cursor || null;
+  } while (cursor);
+
+  return redemptions;
+};
+
+/**
+ * Marks redemptions of a reward as fulfilled, or canceled to refund their points
+ * Requires the channel:manage:redemptions scope
+ * @async
+ * @param {string} broadcasterId - Broadcaster of the reward
+ * @param {string} rewardId - Reward ID
+ * @param {Array<string>} redemptionIds - Redemption IDs, at most 50
+ * @param {string} status - "FULFILLED" or "CANCELED"
+ * @returns {Promise<Array>} The updated redemptions
+ */
+const updateRedemptionStatus = async (
+  broadcasterId,
+  rewardId,
+  redemptionIds,
+  status
+) => {
+  const params = new URLSearchParams({
+    broadcaster_id: broadcasterId,
+    reward_id: rewardId,
+  });
+  redemptionIds.forEach((id) => params.append("id", id));
+
+  const response = await helixClient.patch(
+    "/channel_points/custom_rewards/redemptions",
+    { status },
+    params
+  );
+  return response.data.data;
+};
+
+/**
+ * Normalizes a redemption from an EventSub event or a Helix response into a queue entry
+ * @param {Object} redemption - Redemption payload
+ * @returns {Object} Queue entry
+ */
+const toQueueEntry = (redemption) => ({
+  id: redemption.id,
+  broadcaster_id:
+    redemption.broadcaster_user_id || redemption.broadcaster_id || null,
+  reward: {
+    id: redemption.reward.id,
+    title: redemption.reward.title,
+    cost: redemption.reward.cost,
+    prompt: redemption.reward.prompt || "",
+  },
+  user_id: redemption.user_id,
+  user_login: redemption.user_login,
+  user_name: redemption.user_name,
+  user_input: redemption.user_input || "",
+  redeemed_at: redemption.redeemed_at,
+  status: "pending",
+});
+
+/**
+ * Loads the redemption queue from disk
+ * @returns {Promise<Object>} - Stored queue or an empty queue if not found
+ */
+async function loadRedemptions() {
+  try {
+    const data = await fs.readFile(REDEMPTIONS_FILE, "utf8");
+    return JSON.parse(data);
+  } catch (error) {
+    if (error.code !== "ENOENT") {
+      console.error("❌ Error loading redemptions:", error.message);
+    }
+    return { pending: [], resolved: [] };
+  }
+}
+
+/**
+ * Saves the redemption queue to disk
+ * Writes to a temporary file first so a crash never leaves a truncated queue
+ * @param {Object} queue - { pending, resolved }
+ * @returns {Promise<void>}
+ */
+async function saveRedemptions(queue) {
+  const tempFile = `${REDEMPTIONS_FILE}.tmp`;
+  await fs.writeFile(tempFile, JSON.stringify(queue, null, 2), "utf8");
+  await fs.rename(tempFile, REDEMPTIONS_FILE);
+}
+
+/**
+ * Queue of the channel point redemptions waiting to be processed, oldest first
+ * - Fed by EventSub redemption events, and synced from Helix to recover the ones
+ *   redeemed while the server was down
+ * - Persisted so an overlay can keep processing them in order across restarts
+ * - Fulfilling or canceling (refunding) a redemption updates it on Twitch first
+ */
+class RedemptionQueue {
+  constructor() {
+    this.pending = [];
+    this.resolved = [];
+    this.isLoaded = false;
+    this.loading = null;
+    this.writeQueue = Promise.resolve();
+  }
+
+  async initialize() {
+    if (!this.isLoaded) {
+      // Redemption events can arrive together, they must all wait for the same load
+      this.loading =
+        this.loading ||
+        loadRedemptions().then(({ pending = [], resolved = [] }) => {
+          this.pending = pending;
+          this.resolved = resolved;
+          this.isLoaded = true;
+        });
+      await this.loading;
+    }
+    return this.pending;
+  }
+
+  /**
+   * Persists the current queue, serializing concurrent writes
+   * @returns {Promise<void>}
+   */
+  persist() {
+    const snapshot = JSON.parse(
+      JSON.stringify({ pending: this.pending, resolved: this.resolved })
+    );
+    this.writeQueue = this.writeQueue
+      .catch(() => {})
+      .then(() => saveRedemptions(snapshot));
+    return this.writeQueue;
+  }
+
+  /**
+   * Adds redemptions that aren't queued or resolved yet, keeping the queue sorted by redemption date
+   * @async
+   * @param {Array<Object>} redemptions - Redemptions from EventSub or Helix
+   * @returns {Promise<number>} Number of redemptions added
+   */
+  async enqueue(redemptions) {
+    await this.initialize();
+    const known = new Set(
+      [...this.pending, ...this.resolved].map((entry) => entry.id)
+    );
+    const added = redemptions
+      .filter((redemption) => !known.has(redemption.id))
+      .map(toQueueEntry);
+
+    if (added.length === 0) return 0;
+
+    this.pending.push(...added);
+    this.pending.sort(
+      (a, b) => Date.parse(a.redeemed_at) - Date.parse(b.redeemed_at)
+    );
+    await this.persist();
+    return added.length;
+  }
+
+  /**
+   * Lists the pending redemptions of the acting channel, oldest first
+   * @async
+   * @param {Object} [filters] - List filters
+   * @param {string} [filters.rewardId] - Only redemptions of this reward
+   * @param {string} [filters.status="pending"] - "pending", "fulfilled" or "canceled"
+   * @returns {Promise<Array>}
+   */
+  async list({ rewardId, status = "pending" } = {}) {
+    await this.initialize();
+    const broadcasterId = await getBroadcasterId();
+    const entries =
+      status === "pending"
+        ? this.pending
+        : this.resolved.filter((entry) => entry.status === status);
+
+    return entries.filter(
+      (entry) =>
+        entry.broadcaster_id === broadcasterId &&
+        (!rewardId || entry.reward.id === rewardId)
+    );
+  }
+
+  /**
+   * Fulfills or cancels (refunds) a pending redemption on Twitch, then removes it from the queue
+   * @async
+   * @param {string} id - Redemption ID
+   * @param {string} status - "fulfilled" or "canceled"
+   * @returns {Promise<Object>} The resolved redemption
+   * @throws {Error} Throws a 404 error if the redemption isn't pending
+   */
+  async resolve(id, status) {
+    await this.initialize();
+    const entry = this.pending.find((item) => item.id === id);
+
+    if (!entry) {
+      throw createHttpError(404, `Pending redemption not found: ${id}`);
+    }
+
+    try {
+      await updateRedemptionStatus(
+        entry.broadcaster_id,
+        entry.reward.id,
+        [entry.id],
+        status.toUpperCase()
+      );
+    } catch (error) {
+      // Already resolved on Twitch (e.g. from the dashboard), it can't be processed here anymore
+      if (error.statusCode === 404) {
+        await this.markResolved([entry.id], "unknown");
+      }
+      throw error;
+    }
+
+    await this.markResolved([entry.id], status);
+    return this.resolved.find((item) => item.id === id);
+  }
+
+  /**
+   * Moves redemptions from the queue to the resolved history
+   * @async
+   * @param {Array<string>} ids - Redemption IDs
+   * @param {string} status - "fulfilled", "canceled" or "unknown"
+   * @returns {Promise<void>}
+   */
+  async markResolved(ids, status) {
+    await this.initialize();
+    const entries = this.pending.filter((entry) => ids.includes(entry.id));
+    if (entries.length === 0) return;
+
+    const resolvedAt = new Date().toISOString();
+    this.pending = this.pending.filter((entry) => !ids.includes(entry.id));
+    this.resolved.push(
+      ...entries.map((entry) => ({
+        ...entry,
+        status,
+        resolved_at: resolvedAt,
+      }))
+    );
+    if (this.resolved.length > MAX_RESOLVED_REDEMPTIONS) {
+      this.resolved.splice(0, this.resolved.length - MAX_RESOLVED_REDEMPTIONS);
+    }
+    await this.persist();
+  }
+
+  /**
+   * Removes the pending redemptions of a deleted reward
+   * @async
+   * @param {string} rewardId - Reward ID
+   * @returns {Promise<void>}
+   */
+  async removeReward(rewardId) {
+    await this.initialize();
+    await this.markResolved(
+      this.pending
+        .filter((entry) => entry.reward.id === rewardId)
+        .map((entry) => entry.id),
+      "canceled"
+    );
+  }
+
+  /**
+   * Adds the unfulfilled redemptions of every reward managed by this application
+   * Catches up with the redemptions made while the server or EventSub was down, and drops
+   * queued redemptions that were resolved elsewhere in the meantime
+   * @async
+   * @returns {Promise<Object>} { added, removed, pending }
+   */
+  async sync() {
+    await this.initialize();
+    const broadcasterId = await getBroadcasterId();
+    const rewards = await listRewards({ onlyManageable: true });
+    const unfulfilled = (
+      await Promise.all(
+        rewards.map((reward) => fetchUnfulfilledRedemptions(reward.id))
+      )
+    ).flat();
+
+    const added = await this.enqueue(unfulfilled);
+
+    // Only rewards managed by this application can be checked
+    const open = new Set(unfulfilled.map((redemption) => redemption.id));
+    const managed = new Set(rewards.map((reward) => reward.id));
+    const stale = this.pending
+      .filter(
+        (entry) =>
+          entry.broadcaster_id === broadcasterId &&
+          managed.has(entry.reward.id) &&
+          !open.has(entry.id)
+      )
+      .map((entry) => entry.id);
+    await this.markResolved(stale, "unknown");
+
+    return {
+      added,
+      removed: stale.length,
+      pending: (await this.list()).length,
+    };
+  }
+
+  /**
+   * Queues the redemptions notified by an event source (EventSub WebSocket or webhook)
+   * Redemptions of rewards that skip the request queue arrive already fulfilled and are ignored
+   * @param {EventEmitter} source - Emitter of "notification" events
+   */
+  attach(source) {
+    source.on("notification", ({ type, event }) => {
+      let task = null;
+
+      if (type === REDEMPTION_ADD_TYPE && event.status === "unfulfilled") {
+        task = this.enqueue([event]);
+      } else if (
+        type === REDEMPTION_UPDATE_TYPE &&
+        event.status !== "unfulfilled"
+      ) {
+        task = this.markResolved([event.id], event.status);
+      }
+
+      task?.catch((error) =>
+        console.error("❌ Error updating the redemption queue:", error.message)
+      );
+    });
+  }
+}
+
+// Singleton instance fed by every configured event source
+const redemptionQueue = new RedemptionQueue();
+redemptionQueue.attach(eventSubWebSocket);
+redemptionQueue.attach(eventSubWebhook);
+
+module.exports = {
+  REWARD_FIELDS,
+  listRewards,
+  createReward,
+  updateReward,
+  deleteReward,
+  updateRedemptionStatus,
+  redemptionQueue,
+};
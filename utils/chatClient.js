@@ -0,0 +1,406 @@
+const EventEmitter = require("events");
+const WebSocket = require("ws");
+const { parseIrcMessage, toChatMessage } = require("./ircParser");
+const { createHttpError } = require("../middleware/errorHandler");
+const { tokenManager } = require("./tokenStorage");
+
+const TMI_WS_URL = "wss://irc-ws.chat.twitch.tv:443";
+
+// Twitch chat limits: 20 messages per 30 seconds, 100 in channels where the bot is a moderator
+const MESSAGE_WINDOW_MS = 30 * 1000;
+const MESSAGE_LIMIT = 20;
+const MODERATOR_MESSAGE_LIMIT = 100;
+const MAX_MESSAGE_LENGTH = 500;
+
+// Chat message IDs are UUIDs, anything else could smuggle IRC commands into the reply tag
+const MESSAGE_ID_PATTERN =
+  /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Twitch sends a PING about every 5 minutes, a longer silence means a dead connection
+const SILENCE_TIMEOUT_MS = 6 * 60 * 1000;
+const MAX_RECONNECT_DELAY_MS = 60000;
+
+/**
+ * Normalizes a channel name to its lowercased login without "#"
+ * @param {string} channel - Channel name
+ * @returns {string}
+ */
+const normalizeChannel = (channel) =>
+  channel.trim().replace(/^#/, "").toLowerCase();
+
+/**
+ * Twitch chat client speaking IRC over WebSocket
+ * - Requests the tags and commands capabilities and parses IRCv3 tags
+ * - Answers PING messages and reconnects with backoff when the connection drops
+ * - Joins and parts channels, rejoining them after every reconnect
+ * - Sends messages through a queue respecting the per-30s message limits of each channel
+ *
+ * Emits "message" with every chat message (see toChatMessage), "connected" and "disconnected"
+ */
+class ChatClient extends EventEmitter {
+  constructor({ url } = {}) {
+    super();
+    this.url = url || process.env.TWITCH_CHAT_WS_URL || TMI_WS_URL;
+    this.ws = null;
+    this.login = null;
+    this.connected = false;
+    this.stopped = true;
+    this.channels = new Set();
+    this.moderatedChannels = new Set();
+    this.sendQueue = [];
+    // Send times of the last messages, keyed by channel
+    this.sentTimestamps = new Map();
+    this.queueTimeout = null;
+    this.silenceTimeout = null;
+    this.reconnectTimeout = null;
+    this.reconnectAttempts = 0;
+  }
+
+  /**
+   * Connects to chat and joins the given channels
+   * @param {Array<string>} [channels=[]] - Channels to join
+   */
+  start(channels = []) {
+    channels.forEach((channel) => this.channels.add(normalizeChannel(channel)));
+
+    if (!this.stopped) return;
+
+    this.stopped = false;
+    this.openSocket();
+  }
+
+  /**
+   * Disconnects from chat and rejects every queued message
+   */
+  stop() {
+    this.stopped = true;
+    this.connected = false;
+    clearTimeout(this.queueTimeout);
+    clearTimeout(this.silenceTimeout);
+    clearTimeout(this.reconnectTimeout);
+
+    if (this.ws) {
+      this.ws.close(1000);
+      this.ws = null;
+    }
+
+    this.rejectQueue("Chat client stopped");
+  }
+
+  /**
+   * Rejects every queued message with a 503, they would otherwise wait for a connection forever
+   * @param {string} reason - Error message
+   */
+  rejectQueue(reason) {
+    this.sendQueue
+      .splice(0)
+      .forEach(({ reject }) => reject(createHttpError(503, reason)));
+  }
+
+  /**
+   * Opens the WebSocket and authenticates with the token of the default account
+   * @async
+   */
+  async openSocket() {
+    // Required lazily to avoid a circular dependency with the Twitch routes
+    const { validateToken } = require("../routes/twitch");
+
+    const accessToken = tokenManager.getTokens(
+      tokenManager.defaultUserId
+    )?.access_token;
+    const validation = accessToken ? await validateToken(accessToken) : null;
+
+    if (this.stopped) return;
+
+    if (!validation?.valid) {
+      console.log("⚠️  No valid token available for chat");
+      this.scheduleReconnect();
+      return;
+    }
+
+    this.login = validation.login;
+    const ws = new WebSocket(this.url);
+    this.ws = ws;
+
+    ws.on("open", () => {
+      ws.send("CAP REQ :twitch.tv/tags twitch.tv/commands");
+      ws.send(`PASS oauth:${accessToken}`);
+      ws.send(`NICK ${this.login}`);
+    });
+
+    ws.on("message", (data) => {
+      if (ws !== this.ws) return;
+
+      this.resetSilenceTimeout();
+      data
+        .toString()
+        .split("\r\n")
+        .filter(Boolean)
+        .forEach((line) => this.handleLine(line));
+    });
+
+    ws.on("close", (code) => {
+      if (ws !== this.ws || this.stopped) return;
+
+      console.log(`⚠️  Chat connection closed (code ${code})`);
+      this.handleDisconnect();
+    });
+
+    ws.on("error", (error) => {
+      console.error("❌  Chat connection error:", error.message);
+    });
+  }
+
+  /**
+   * Drops the current connection state and schedules a reconnect
+   */
+  handleDisconnect() {
+    const ws = this.ws;
+    this.ws = null;
+    this.connected = false;
+    clearTimeout(this.silenceTimeout);
+    clearTimeout(this.queueTimeout);
+    if (ws) ws.terminate();
+    this.rejectQueue("Chat connection lost before the message was sent");
+
+    this.emit("disconnected");
+    this.scheduleReconnect();
+  }
+
+  /**
+   * Schedules a new connection with exponential backoff
+   */
+  scheduleReconnect() {
+    if (this.stopped) return;
+
+    const delay = Math.min(
+      1000 * 2 ** this.reconnectAttempts,
+      MAX_RECONNECT_DELAY_MS
+    );
+    this.reconnectAttempts++;
+
+    console.log(`🔄  Reconnecting to chat in ${delay / 1000}s...`);
+    clearTimeout(this.reconnectTimeout);
+    this.reconnectTimeout = setTimeout(() => this.openSocket(), delay);
+  }
+
+  resetSilenceTimeout() {
+    clearTimeout(this.silenceTimeout);
+    this.silenceTimeout = setTimeout(() => {
+      console.log("⚠️  Chat connection went silent, reconnecting...");
+      this.handleDisconnect();
+    }, SILENCE_TIMEOUT_MS);
+  }
+
+  /**
+   * Writes a raw IRC line
+   * @param {string} line - IRC line without CRLF
+   */
+  sendRaw(line) {
+    if (this.ws && this.ws.readyState === WebSocket.OPEN) {
+      this.ws.send(line);
+    }
+  }
+
+  /**
+   * Handles a single IRC line received from Twitch
+   * @param {string} line - IRC line without CRLF
+   */
+  handleLine(line) {
+    const message = parseIrcMessage(line);
+    const channel = message.params[0]
+      ? normalizeChannel(message.params[0])
+      : null;
+
+    switch (message.command) {
+      case "PING":
+        this.sendRaw(`PONG :${message.trailing}`);
+        break;
+      case "001":
+        console.log(`✅  Connected to Twitch chat as ${this.login}`);
+        this.connected = true;
+        this.reconnectAttempts = 0;
+        this.channels.forEach((item) => this.sendRaw(`JOIN #${item}`));
+        this.emit("connected");
+        this.processQueue();
+        break;
+      case "RECONNECT":
+        console.log("🔄  Twitch asked to reconnect to chat");
+        this.handleDisconnect();
+        break;
+      case "JOIN":
+        if (message.nick === this.login) {
+          console.log(`💬  Joined chat #${channel}`);
+        }
+        break;
+      case "USERSTATE":
+        // The bot's own state in a channel tells whether the higher limit applies
+        if (message.tags.mod === "1" || channel === this.login) {
+          this.moderatedChannels.add(channel);
+        } else {
+          this.moderatedChannels.delete(channel);
+        }
+        break;
+      case "NOTICE":
+        console.log(`ℹ️  Chat notice: ${message.trailing}`);
+        if (message.trailing === "Login authentication failed") {
+          this.handleDisconnect();
+        }
+        break;
+      case "PRIVMSG":
+        this.emit("message", toChatMessage(message));
+        break;
+      default:
+        break;
+    }
+  }
+
+  /**
+   * Joins a channel
+   * @param {string} channel - Channel login
+   */
+  join(channel) {
+    const name = normalizeChannel(channel);
+    this.channels.add(name);
+    if (this.connected) this.sendRaw(`JOIN #${name}`);
+  }
+
+  /**
+   * Leaves a channel
+   * @param {string} channel - Channel login
+   */
+  part(channel) {
+    const name = normalizeChannel(channel);
+    this.channels.delete(name);
+    this.moderatedChannels.delete(name);
+    this.sentTimestamps.delete(name);
+    if (this.connected) this.sendRaw(`PART #${name}`);
+  }
+
+  /**
+   * Queues a chat message
+   * @param {string} channel - Channel login
+   * @param {string} text - Message text (max 500 characters)
+   * @param {Object} [options] - Message options
+   * @param {string} [options.replyTo] - ID of the message to reply to
+   * @returns {Promise<Object>} Resolves with { channel, text, sent_at } once the message is sent
+   * @throws {Error} Rejects with a 400 error on a missing or too long text, an invalid replyTo
+   * or a channel that isn't joined, and with a 503 error when chat isn't connected or the
+   * connection is lost before the message is sent
+   */
+  say(channel, text, { replyTo = null } = {}) {
+    const name = normalizeChannel(String(channel || ""));
+
+    if (typeof text !== "string" || !text.trim()) {
+      return Promise.reject(createHttpError(400, "A message is required."));
+    }
+    if (text.length > MAX_MESSAGE_LENGTH) {
+      return Promise.reject(
+        createHttpError(
+          400,
+          `Messages can't be longer than ${MAX_MESSAGE_LENGTH} characters.`
+        )
+      );
+    }
+    if (replyTo && !MESSAGE_ID_PATTERN.test(String(replyTo))) {
+      return Promise.reject(
+        createHttpError(
+          400,
+          `Invalid reply_parent_message_id value: ${replyTo}. It must be a chat message ID.`
+        )
+      );
+    }
+    if (!this.channels.has(name)) {
+      return Promise.reject(
+        createHttpError(400, `Chat channel not joined: ${name}`)
+      );
+    }
+    if (!this.connected) {
+      return Promise.reject(
+        createHttpError(503, "Chat is not connected, try again later.")
+      );
+    }
+
+    return new Promise((resolve, reject) => {
+      this.sendQueue.push({
+        channel: name,
+        // Line breaks would end the IRC command early
+        text: text.replace(/[\r\n]+/g, " "),
+        replyTo,
+        resolve,
+        reject,
+      });
+      this.processQueue();
+    });
+  }
+
+  /**
+   * Sends queued messages while the 30 seconds window of their channel allows it
+   * A channel at its limit keeps its messages in order without holding back the other channels.
+   */
+  processQueue() {
+    clearTimeout(this.queueTimeout);
+    if (!this.connected) return;
+
+    const now = Date.now();
+    const fullChannels = new Set();
+    let waitMs = null;
+
+    this.sendQueue = this.sendQueue.filter((next) => {
+      if (fullChannels.has(next.channel)) return true;
+
+      const sentTimestamps = (
+        this.sentTimestamps.get(next.channel) || []
+      ).filter((sentAt) => now - sentAt < MESSAGE_WINDOW_MS);
+      this.sentTimestamps.set(next.channel, sentTimestamps);
+
+      const limit = this.moderatedChannels.has(next.channel)
+        ? MODERATOR_MESSAGE_LIMIT
+        : MESSAGE_LIMIT;
+
+      if (sentTimestamps.length >= limit) {
+        const channelWaitMs =
+          sentTimestamps[sentTimestamps.length - limit] +
+          MESSAGE_WINDOW_MS -
+          now;
+        fullChannels.add(next.channel);
+        waitMs = Math.min(waitMs ?? channelWaitMs, channelWaitMs);
+        return true;
+      }
+
+      const tags = next.replyTo ? `@reply-parent-msg-id=${next.replyTo} ` : "";
+      this.sendRaw(`${tags}PRIVMSG #${next.channel} :${next.text}`);
+      sentTimestamps.push(now);
+      next.resolve({
+        channel: next.channel,
+        text: next.text,
+        sent_at: new Date(now).toISOString(),
+      });
+      return false;
+    });
+
+    if (waitMs !== null) {
+      this.queueTimeout = setTimeout(() => this.processQueue(), waitMs);
+    }
+  }
+}
+
+/**
+ * Returns the channels listed in the comma-separated TWITCH_CHAT_CHANNELS env variable
+ * @returns {Array<string>}
+ */
+const getConfiguredChannels = () =>
+  (process.env.TWITCH_CHAT_CHANNELS || "")
+    .split(",")
+    .map((channel) => channel.trim())
+    .filter(Boolean)
+    .map(normalizeChannel);
+
+// Singleton instance shared by every module reading or sending chat messages
+const chatClient = new ChatClient();
+
+module.exports = {
+  ChatClient,
+  chatClient,
+  getConfiguredChannels,
+};
@@ -0,0 +1,433 @@
+const fs = require("fs");
+const path = require("path");
+const YAML = require("yaml");
+
+const COMMAND_PREFIX = "!";
+
+// Default location of the commands config file, JSON or YAML
+const DEFAULT_COMMANDS_FILE = path.join(__dirname, "..", "commands.json");
+
+// Debounce for file watcher events, editors often write a file in several steps
+const RELOAD_DELAY_MS = 300;
+
+// Cooldowns that are over are forgotten at most this often
+const COOLDOWN_PRUNE_INTERVAL_MS = 60 * 1000;
+
+// Permission levels from lowest to highest
+const PERMISSION_LEVELS = [
+  "everyone",
+  "subscriber",
+  "vip",
+  "moderator",
+  "broadcaster",
+];
+
+/**
+ * Returns the highest permission level of a chat message author from its badges
+ * @param {Object} badges - Badge versions keyed by badge name
+ * @returns {string} One of PERMISSION_LEVELS
+ */
+const getPermissionLevel = (badges = {}) => {
+  if (badges.broadcaster) return "broadcaster";
+  if (badges.moderator) return "moderator";
+  if (badges.vip) return "vip";
+  if (badges.subscriber || badges.founder) return "subscriber";
+  return "everyone";
+};
+
+/**
+ * Tells whether a permission level grants a required level
+ * @param {string} level - Level of the user
+ * @param {string} required - Level required by the command
+ * @returns {boolean}
+ */
+const hasPermission = (level, required) =>
+  PERMISSION_LEVELS.indexOf(level) >= PERMISSION_LEVELS.indexOf(required);
+
+/**
+ * Splits command arguments on whitespace, keeping "double quoted" arguments together
+ * @param {string} text - Arguments text
+ * @returns {Array<string>}
+ */
+const parseArguments = (text) =>
+  (text.match(/"[^"]*"|\S+/g) || []).map((arg) =>
+    arg.startsWith('"') && arg.endsWith('"') && arg.length > 1
+      ? arg.slice(1, -1)
+      : arg
+  );
+
+/**
+ * Fills the placeholders of a text response
+ * Supports {user}, {channel}, {args} and positional {1}, {2}, ...
+ * Placeholders are filled in a single pass with function replacers, so chat input is inserted
+ * as is: "$&" isn't a replacement pattern and "{1}" in an argument isn't filled again
+ * @param {string} template - Response template
+ * @param {Object} context - Command context
+ * @returns {string}
+ */
+const renderResponse = (template, { message, args }) =>
+  template.replace(/\{(user|channel|args|\d+)\}/g, (_match, key) => {
+    if (key === "user") return message.user_name;
+    if (key === "channel") return message.channel;
+    if (key === "args") return args.join(" ");
+    return args[key - 1] || "";
+  });
+
+/**
+ * Returns the channel a chat message was sent in, from its room-id tag
+ * @param {Object} message - Chat message
+ * @returns {string|undefined} Broadcaster user ID, undefined to use the configured channel
+ */
+const getRoomId = (message) => message.tags?.["room-id"] || undefined;
+
+/**
+ * Commands available without any config, which the config file can override or disable
+ * They act on the channel the command was typed in
+ */
+const BUILTIN_COMMANDS = {
+  // !clip [today|week|month|year|all] - Shares the most viewed clip of the range
+  clip: {
+    permission: "everyone",
+    cooldown: { user: 30, global: 10 },
+    handler: async ({ message, args }) => {
+      const { getClips } = require("../routes/twitch");
+      const fromTag = args[0] || "week";
+      const { clips } = await getClips({
+        fromTag,
+        limit: 20,
+        sort: "views",
+        broadcasterId: getRoomId(message),
+      });
+
+      if (clips.length === 0) {
+        return `No clips found for "${fromTag}"`;
+      }
+      return `🎬 ${clips[0].title} (${clips[0].view_count} views): ${clips[0].url}`;
+    },
+  },
+  // !clipthat - Clips the live stream and shares the clip once Twitch has processed it
+  clipthat: {
+    permission: "subscriber",
+    cooldown: { user: 60, global: 30 },
+    handler: async ({ message }) => {
+      const { createClip } = require("../routes/twitch");
+
+      try {
+        const clip = await createClip({
+          hasDelay: true,
+          broadcasterId: getRoomId(message),
+        });
+        return `🎬 Clipped! ${clip.url}`;
+      } catch (error) {
+        // Twitch answers 404 while the channel is offline
+        if (error.statusCode === 404) return "The stream is offline";
+        throw error;
+      }
+    },
+  },
+  // !pick [count] - Draws random chatters, skipping the broadcaster and known bots
+  pick: {
+    permission: "moderator",
+    cooldown: { user: 0, global: 5 },
+    handler: async ({ message, args }) => {
+      const { getRandomChatter } = require("../routes/twitch");
+      const count = Math.min(Math.max(parseInt(args[0], 10) || 1, 1), 10);
+      const winners = await getRandomChatter({
+        count,
+        excludeBroadcaster: true,
+        broadcasterId: getRoomId(message),
+        excludeBots: true,
+      });
+
+      if (!winners) {
+        return "No eligible chatters found";
+      }
+      return `🎉 ${winners.map((winner) => `@${winner.user_name}`).join(", ")}`;
+    },
+  },
+};
+
+/**
+ * Routes chat messages to registered !commands
+ * - Commands have aliases, a required permission level and per-user/global cooldowns
+ * - Moderators and the broadcaster are not affected by cooldowns
+ * - Commands are defined in a JSON or YAML file, reloaded whenever it changes
+ */
+class CommandRouter {
+  constructor({ file } = {}) {
+    this.file = file || null;
+    this.commands = new Map();
+    this.aliases = new Map();
+    this.lastUsed = new Map();
+    this.lastPrunedAt = 0;
+    this.watcher = null;
+    this.reloadTimeout = null;
+  }
+
+  /**
+   * Registers a command, replacing any command with the same name
+   * @param {string} name - Command name without prefix
+   * @param {Object} definition - Command definition
+   * @param {Array<string>} [definition.aliases=[]] - Alternative names
+   * @param {string} [definition.permission="everyone"] - Minimum permission level
+   * @param {Object} [definition.cooldown] - Cooldowns in seconds ({ user, global })
+   * @param {Function} definition.handler - Receives { message, args, command } and returns the reply text, if any
+   */
+  register(
+    name,
+    { aliases = [], permission = "everyone", cooldown = {}, handler }
+  ) {
+    if (!PERMISSION_LEVELS.includes(permission)) {
+      throw new Error(
+        `Invalid permission for !${name}: ${permission}. Valid options are: ${PERMISSION_LEVELS.join(
+          ", "
+        )}.`
+      );
+    }
+
+    const command = {
+      name: name.toLowerCase(),
+      aliases: aliases.map((alias) => alias.toLowerCase()),
+      permission,
+      cooldown: { user: cooldown.user || 0, global: cooldown.global || 0 },
+      handler,
+    };
+
+    this.commands.set(command.name, command);
+    command.aliases.forEach((alias) => this.aliases.set(alias, command.name));
+  }
+
+  /**
+   * Finds a command by name or alias
+   * @param {string} name - Command name or alias
+   * @returns {Object|undefined}
+   */
+  find(name) {
+    const key = name.toLowerCase();
+    return this.commands.get(this.aliases.get(key) || key);
+  }
+
+  /**
+   * Replaces every command with the built-ins and the commands of a config object
+   * @param {Object} config - Parsed config ({ commands: [...] })
+   */
+  applyConfig(config = {}) {
+    const entries = config.commands || [];
+    const commands = this.commands;
+    const aliases = this.aliases;
+    this.commands = new Map();
+    this.aliases = new Map();
+
+    try {
+      const configured = new Set(entries.map((entry) => entry.name));
+
+      Object.entries(BUILTIN_COMMANDS).forEach(([name, builtin]) => {
+        if (!configured.has(name)) this.register(name, builtin);
+      });
+
+      entries
+        .filter((entry) => entry.enabled !== false)
+        .forEach((entry) => {
+          const builtin = BUILTIN_COMMANDS[entry.builtin || entry.name];
+
+          if (!entry.response && !builtin) {
+            throw new Error(`Command !${entry.name} needs a response`);
+          }
+
+          this.register(entry.name, {
+            aliases: entry.aliases,
+            permission: entry.permission || builtin?.permission,
+            cooldown: entry.cooldown || builtin?.cooldown,
+            handler: entry.response
+              ? (context) => renderResponse(entry.response, context)
+              : builtin.handler,
+          });
+        });
+    } catch (error) {
+      // Keep the previous commands when the new config is invalid
+      this.commands = commands;
+      this.aliases = aliases;
+      throw error;
+    }
+  }
+
+  /**
+   * Loads the commands file, falling back to the built-ins when it doesn't exist
+   */
+  load() {
+    const file = this.getFile();
+
+    try {
+      const content = fs.readFileSync(file, "utf8");
+      const config = /\.ya?ml$/i.test(file)
+        ? YAML.parse(content)
+        : JSON.parse(content);
+
+      this.applyConfig(config || {});
+      console.log(
+        `✅  Loaded ${this.commands.size} chat commands from ${file}`
+      );
+    } catch (error) {
+      if (error.code === "ENOENT") {
+        this.applyConfig();
+        console.log("ℹ️  No chat commands file found, using built-in commands");
+      } else {
+        console.error("❌  Error loading chat commands:", error.message);
+        if (this.commands.size === 0) this.applyConfig();
+      }
+    }
+  }
+
+  /**
+   * Returns the commands file path, TWITCH_COMMANDS_FILE or commands.json in the project root
+   * @returns {string}
+   */
+  getFile() {
+    return (
+      this.file ||
+      (process.env.TWITCH_COMMANDS_FILE
+        ? path.resolve(process.env.TWITCH_COMMANDS_FILE)
+        : DEFAULT_COMMANDS_FILE)
+    );
+  }
+
+  /**
+   * Reloads the commands whenever the config file changes
+   * The directory is watched so the file can be created or replaced after startup
+   */
+  watch() {
+    if (this.watcher) return;
+
+    const file = this.getFile();
+
+    this.watcher = fs.watch(path.dirname(file), (_event, filename) => {
+      if (filename !== path.basename(file)) return;
+
+      clearTimeout(this.reloadTimeout);
+      this.reloadTimeout = setTimeout(() => {
+        console.log("🔄  Chat commands file changed, reloading...");
+        this.load();
+      }, RELOAD_DELAY_MS);
+    });
+  }
+
+  unwatch() {
+    clearTimeout(this.reloadTimeout);
+    if (this.watcher) {
+      this.watcher.close();
+      this.watcher = null;
+    }
+  }
+
+  /**
+   * Checks and updates the cooldowns of a command
+   * @param {Object} command - Registered command
+   * @param {Object} message - Chat message
+   * @returns {boolean} True if the command can run now
+   */
+  checkCooldown(command, message) {
+    const now = Date.now();
+    const globalKey = `${message.channel}:${command.name}`;
+    const userKey = `${globalKey}:${message.user_id}`;
+
+    const globalReady =
+      now - (this.lastUsed.get(globalKey) || 0) >=
+      command.cooldown.global * 1000;
+    const userReady =
+      now - (this.lastUsed.get(userKey) || 0) >= command.cooldown.user * 1000;
+
+    if (!globalReady || !userReady) return false;
+
+    this.lastUsed.set(globalKey, now);
+    this.lastUsed.set(userKey, now);
+    this.pruneCooldowns(now);
+    return true;
+  }
+
+  /**
+   * Forgets the cooldowns that are over, so the map doesn't keep every chatter who ever ran a command
+   * Entries are kept while the longer of the two cooldowns of their command runs
+   * @param {number} now - Current timestamp
+   */
+  pruneCooldowns(now) {
+    if (now - this.lastPrunedAt < COOLDOWN_PRUNE_INTERVAL_MS) return;
+    this.lastPrunedAt = now;
+
+    this.lastUsed.forEach((usedAt, key) => {
+      // Keys are "channel:command" or "channel:command:user_id"
+      const command = this.commands.get(key.split(":")[1]);
+      const longest = command
+        ? Math.max(command.cooldown.user, command.cooldown.global) * 1000
+        : 0;
+
+      if (now - usedAt >= longest) this.lastUsed.delete(key);
+    });
+  }
+
+  /**
+   * Runs the command of a chat message, if any
+   * @async
+   * @param {Object} message - Chat message from the chat client
+   * @returns {Promise<string|null>} The reply text, or null if nothing was run
+   */
+  async handleMessage(message) {
+    if (!message.text.startsWith(COMMAND_PREFIX)) return null;
+
+    const [name, ...rest] = message.text
+      .slice(COMMAND_PREFIX.length)
+      .split(" ");
+    const command = name && this.find(name);
+    if (!command) return null;
+
+    const level = getPermissionLevel(message.badges);
+    if (!hasPermission(level, command.permission)) return null;
+
+    if (
+      !hasPermission(level, "moderator") &&
+      !this.checkCooldown(command, message)
+    ) {
+      return null;
+    }
+
+    const args = parseArguments(rest.join(" "));
+    const reply = await command.handler({ message, args, command });
+    return reply || null;
+  }
+
+  /**
+   * Listens to a chat client and answers its commands in the same channel
+   * @param {ChatClient} chatClient - Chat client to attach to
+   * @param {Object} [options] - Attach options
+   * @param {ChatFilter} [options.chatFilter] - Filter attached to the same client before, the messages it acts on are ignored
+   */
+  attach(chatClient, { chatFilter } = {}) {
+    chatClient.on("message", (message) =>
+      (chatFilter ? chatFilter.decisionFor(message) : Promise.resolve(null))
+        // A message the filter deleted or punished isn't answered
+        .then((decision) => (decision ? null : this.handleMessage(message)))
+        .then(
+          (reply) =>
+            reply &&
+            chatClient.say(message.channel, reply, { replyTo: message.id })
+        )
+        .catch((error) =>
+          console.error(
+            `❌  Error running chat command "${message.text}":`,
+            error.message
+          )
+        )
+    );
+  }
+}
+
+// Singleton instance attached to the chat client
+const commandRouter = new CommandRouter();
+
+module.exports = {
+  PERMISSION_LEVELS,
+  BUILTIN_COMMANDS,
+  CommandRouter,
+  commandRouter,
+  getPermissionLevel,
+  parseArguments,
+};
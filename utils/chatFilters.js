@@ -0,0 +1,818 @@
+const fs = require("fs");
+const crypto = require("crypto");
+const path = require("path");
+const YAML = require("yaml");
+const { getPermissionLevel } = require("./chatCommands");
+const { banUser, deleteChatMessage, moderationAudit } = require("./moderation");
+
+// Default location of the filters config file, JSON or YAML
+const DEFAULT_FILTERS_FILE = path.join(__dirname, "..", "filters.json");
+
+// File to store the filter decisions, next to the .tokens file
+const FILTER_DECISIONS_FILE = path.join(
+  __dirname,
+  "..",
+  ".chat-filter-decisions.json"
+);
+
+// Number of decisions kept, the oldest are dropped first
+const MAX_DECISIONS = 5000;
+
+// Debounce for file watcher events, editors often write a file in several steps
+const RELOAD_DELAY_MS = 300;
+
+// Users whose recent messages and strikes are remembered, the oldest are forgotten first
+const MAX_TRACKED_USERS = 10000;
+
+const RULE_TYPES = [
+  "words",
+  "regex",
+  "links",
+  "caps",
+  "emotes",
+  "symbols",
+  "repeat",
+];
+
+const FILTER_ACTIONS = ["warn", "delete", "timeout", "ban"];
+
+// Levels a rule can exempt, moderators and the broadcaster are never filtered
+const EXEMPTABLE_LEVELS = ["subscriber", "vip"];
+
+// Ladder used by rules without their own, one step per strike
+const DEFAULT_ESCALATION = [
+  "warn",
+  "delete",
+  { action: "timeout", duration: 600 },
+  "ban",
+];
+
+// Seconds without violations after which the strikes of a user are forgotten
+const DEFAULT_STRIKE_RESET = 60 * 60;
+
+const DEFAULT_TIMEOUT_DURATION = 600;
+
+const DEFAULT_WARNING = "@{user}, please follow the chat rules ({rule})";
+
+/**
+ * Escapes a text to be matched literally in a regular expression
+ * @param {string} text - Text to escape
+ * @returns {string}
+ */
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// Domains with an optional scheme and path, e.g. "https://clips.twitch.tv/abc" or "bit.ly/x"
+const LINK_PATTERN =
+  /(?:https?:\/\/)?((?:[a-z0-9](?:[a-z0-9-]*[a-z0-9])?\.)+[a-z]{2,})(?=[/:?#\s]|$)/gi;
+
+/**
+ * Removes the emotes of a chat message from its text
+ * Emote positions are in code points, so the text is split the same way
+ * @param {Object} message - Chat message
+ * @returns {string}
+ */
+const stripEmotes = ({ text, emotes = [] }) => {
+  const characters = Array.from(text);
+  emotes.forEach(({ start, end }) => {
+    for (let index = start; index <= end; index++) characters[index] = " ";
+  });
+  return characters.join("");
+};
+
+/**
+ * Normalizes a message for repeated-message detection
+ * @param {string} text - Message text
+ * @returns {string}
+ */
+const normalizeText = (text) => text.toLowerCase().replace(/\s+/g, " ").trim();
+
+/**
+ * Rounds a ratio for decision details
+ * @param {number} ratio - Ratio between 0 and 1
+ * @returns {number}
+ */
+const roundRatio = (ratio) => Math.round(ratio * 100) / 100;
+
+/**
+ * Checks of each rule type, they return a description of the violation or null
+ * They receive the compiled rule, the chat message and the recent messages of its author
+ */
+const RULE_CHECKS = {
+  words: (rule, message) => {
+    const match = message.text.match(rule.pattern);
+    return match ? `matched "${match[0]}"` : null;
+  },
+
+  regex: (rule, message) => {
+    const match = message.text.match(rule.pattern);
+    return match ? `matched "${match[0]}"` : null;
+  },
+
+  links: (rule, message) => {
+    const hosts = [...message.text.matchAll(LINK_PATTERN)].map((match) =>
+      match[1].toLowerCase()
+    );
+    const blocked = hosts.find(
+      (host) =>
+        !rule.allow.some(
+          (domain) => host === domain || host.endsWith(`.${domain}`)
+        )
+    );
+    return blocked ? `link to ${blocked}` : null;
+  },
+
+  caps: (rule, message) => {
+    const letters = stripEmotes(message).match(/\p{L}/gu) || [];
+    if (letters.length < rule.min_length) return null;
+
+    const upper = letters.filter(
+      (letter) => letter !== letter.toLowerCase()
+    ).length;
+    const ratio = upper / letters.length;
+    return ratio > rule.max_ratio
+      ? `${roundRatio(ratio)} caps ratio over ${rule.max_ratio}`
+      : null;
+  },
+
+  emotes: (rule, message) => {
+    const emotes = message.emotes || [];
+    if (rule.max_count !== null && emotes.length > rule.max_count) {
+      return `${emotes.length} emotes over ${rule.max_count}`;
+    }
+
+    const characters = Array.from(message.text).filter(
+      (character) => character.trim() !== ""
+    ).length;
+    const emoteCharacters = emotes.reduce(
+      (total, { start, end }) => total + end - start + 1,
+      0
+    );
+    const ratio = characters > 0 ? emoteCharacters / characters : 0;
+    return rule.max_ratio !== null &&
+      characters >= rule.min_length &&
+      ratio > rule.max_ratio
+      ? `${roundRatio(ratio)} emote ratio over ${rule.max_ratio}`
+      : null;
+  },
+
+  symbols: (rule, message) => {
+    const characters = Array.from(stripEmotes(message)).filter(
+      (character) => character.trim() !== ""
+    );
+    if (characters.length < rule.min_length) return null;
+
+    const symbols = characters.filter(
+      (character) => !/[\p{L}\p{N}]/u.test(character)
+    ).length;
+    const ratio = symbols / characters.length;
+    return ratio > rule.max_ratio
+      ? `${roundRatio(ratio)} symbol ratio over ${rule.max_ratio}`
+      : null;
+  },
+
+  repeat: (rule, message, history) => {
+    const text = normalizeText(message.text);
+    const since = Date.now() - rule.window * 1000;
+    const count = history.filter(
+      (entry) => entry.text === text && entry.at >= since
+    ).length;
+    return count >= rule.max_repeats
+      ? `sent ${count} times in ${rule.window} seconds`
+      : null;
+  },
+};
+
+/**
+ * Reads a number option of a rule
+ * @param {Object} entry - Rule config
+ * @param {string} option - Option name
+ * @param {number|null} fallback - Value when the option is missing
+ * @param {Object} [range] - Accepted range ({ min, max })
+ * @returns {number|null}
+ * @throws {Error} Throws if the option is out of range
+ */
+const readNumber = (
+  entry,
+  option,
+  fallback,
+  { min = 0, max = Infinity } = {}
+) => {
+  if (entry[option] === undefined || entry[option] === null) return fallback;
+
+  const value = Number(entry[option]);
+  if (Number.isNaN(value) || value < min || value > max) {
+    throw new Error(
+      `Invalid ${option} for filter ${entry.name}: ${entry[option]}. It must be between ${min} and ${max}.`
+    );
+  }
+  return value;
+};
+
+/**
+ * Validates an escalation ladder
+ * @param {Array<string|Object>} ladder - Steps, as action names or { action, duration }
+ * @param {string} owner - Rule name or "escalation", for error messages
+ * @returns {Array<Object>} Steps as { action, duration }
+ * @throws {Error} Throws on an empty ladder or an unknown action
+ */
+const compileEscalation = (ladder, owner) => {
+  if (!Array.isArray(ladder) || ladder.length === 0) {
+    throw new Error(`The escalation of ${owner} must be a non-empty list`);
+  }
+
+  return ladder.map((step) => {
+    const { action, duration } =
+      typeof step === "string" ? { action: step } : step || {};
+
+    if (!FILTER_ACTIONS.includes(action)) {
+      throw new Error(
+        `Invalid escalation action for ${owner}: ${action}. Valid options are: ${FILTER_ACTIONS.join(
+          ", "
+        )}.`
+      );
+    }
+    return action === "timeout"
+      ? {
+          action,
+          duration: readNumber(
+            { name: owner, duration },
+            "duration",
+            DEFAULT_TIMEOUT_DURATION,
+            { min: 1, max: 1209600 }
+          ),
+        }
+      : { action };
+  });
+};
+
+/**
+ * Validates a rule of the config file and prepares its check
+ * @param {Object} entry - Rule config
+ * @param {Array<Object>} escalation - Default ladder
+ * @returns {Object} Compiled rule
+ * @throws {Error} Throws on an invalid rule
+ */
+const compileRule = (entry, escalation) => {
+  if (!entry || !entry.name) {
+    throw new Error("Every filter needs a name");
+  }
+  if (!RULE_TYPES.includes(entry.type)) {
+    throw new Error(
+      `Invalid type for filter ${entry.name}: ${
+        entry.type
+      }. Valid options are: ${RULE_TYPES.join(", ")}.`
+    );
+  }
+
+  const exempt = [].concat(entry.exempt || []);
+  const invalid = exempt.filter((level) => !EXEMPTABLE_LEVELS.includes(level));
+  if (invalid.length > 0) {
+    throw new Error(
+      `Invalid exemption for filter ${entry.name}: ${invalid.join(
+        ", "
+      )}. Valid options are: ${EXEMPTABLE_LEVELS.join(", ")}.`
+    );
+  }
+
+  const rule = {
+    name: entry.name,
+    type: entry.type,
+    exempt,
+    exempt_users: []
+      .concat(entry.exempt_users || [])
+      .map((login) => login.toLowerCase()),
+    escalation: entry.escalation
+      ? compileEscalation(entry.escalation, entry.name)
+      : escalation,
+    message: entry.message || DEFAULT_WARNING,
+    reason: entry.reason || `Chat filter: ${entry.name}`,
+  };
+
+  switch (entry.type) {
+    case "words": {
+      const words = [].concat(entry.words || []).filter(Boolean);
+      if (words.length === 0) {
+        throw new Error(`Filter ${entry.name} needs a list of words`);
+      }
+      // Whole words only, so "class" doesn't match "ass"
+      rule.words = words;
+      rule.pattern = new RegExp(
+        `(?<![\\p{L}\\p{N}_])(?:${words
+          .map(escapeRegExp)
+          .join("|")})(?![\\p{L}\\p{N}_])`,
+        "iu"
+      );
+      break;
+    }
+    case "regex":
+      try {
+        rule.pattern = new RegExp(entry.pattern, entry.flags ?? "i");
+      } catch (error) {
+        throw new Error(
+          `Invalid pattern for filter ${entry.name}: ${error.message}`
+        );
+      }
+      break;
+    case "links":
+      rule.allow = []
+        .concat(entry.allow || [])
+        .map((domain) => domain.toLowerCase().replace(/^\*?\./, ""));
+      break;
+    case "caps":
+      rule.max_ratio = readNumber(entry, "max_ratio", 0.7, { max: 1 });
+      rule.min_length = readNumber(entry, "min_length", 10);
+      break;
+    case "emotes":
+      rule.max_count = readNumber(entry, "max_count", null);
+      rule.max_ratio = readNumber(entry, "max_ratio", null, { max: 1 });
+      rule.min_length = readNumber(entry, "min_length", 0);
+      if (rule.max_count === null && rule.max_ratio === null) {
+        throw new Error(`Filter ${entry.name} needs a max_count or max_ratio`);
+      }
+      break;
+    case "symbols":
+      rule.max_ratio = readNumber(entry, "max_ratio", 0.5, { max: 1 });
+      rule.min_length = readNumber(entry, "min_length", 10);
+      break;
+    case "repeat":
+      rule.max_repeats = readNumber(entry, "max_repeats", 3, { min: 2 });
+      rule.window = readNumber(entry, "window", 60, { min: 1 });
+      break;
+  }
+
+  return rule;
+};
+
+/**
+ * Loads the filter decisions from disk
+ * @returns {Promise<Array>} - Stored decisions or an empty list if not found
+ */
+async function loadDecisions() {
+  try {
+    const data = await fs.promises.readFile(FILTER_DECISIONS_FILE, "utf8");
+    return JSON.parse(data);
+  } catch (error) {
+    if (error.code !== "ENOENT") {
+      console.error("❌ Error loading chat filter decisions:", error.message);
+    }
+    return [];
+  }
+}
+
+/**
+ * Saves the filter decisions to disk
+ * Writes to a temporary file first so a crash never leaves a truncated log
+ * @param {Array} decisions - Decisions to store
+ * @returns {Promise<void>}
+ */
+async function saveDecisions(decisions) {
+  const tempFile = `${FILTER_DECISIONS_FILE}.tmp`;
+  await fs.promises.writeFile(
+    tempFile,
+    JSON.stringify(decisions, null, 2),
+    "utf8"
+  );
+  await fs.promises.rename(tempFile, FILTER_DECISIONS_FILE);
+}
+
+/**
+ * Records every decision of the chat filter with the rule that fired, for moderators to tune them
+ */
+class FilterDecisionLog {
+  constructor() {
+    this.decisions = [];
+    this.isLoaded = false;
+    this.loading = null;
+    this.writeQueue = Promise.resolve();
+  }
+
+  async initialize() {
+    if (!this.isLoaded) {
+      // Messages filtered together must all wait for the same load
+      this.loading =
+        this.loading ||
+        loadDecisions().then((decisions) => {
+          this.decisions = decisions;
+          this.isLoaded = true;
+        });
+      await this.loading;
+    }
+    return this.decisions;
+  }
+
+  /**
+   * Persists the current decisions, serializing concurrent writes
+   * @returns {Promise<void>}
+   */
+  persist() {
+    const snapshot = JSON.parse(JSON.stringify(this.decisions));
+    this.writeQueue = this.writeQueue
+      .catch(() => {})
+      .then(() => saveDecisions(snapshot));
+    return this.writeQueue;
+  }
+
+  /**
+   * Adds a decision, dropping the oldest past MAX_DECISIONS
+   * @async
+   * @param {Object} decision - Decision to record
+   * @returns {Promise<void>}
+   */
+  async record(decision) {
+    await this.initialize();
+    this.decisions.push(decision);
+    if (this.decisions.length > MAX_DECISIONS) {
+      this.decisions.splice(0, this.decisions.length - MAX_DECISIONS);
+    }
+    await this.persist().catch((error) =>
+      console.error("❌ Error saving chat filter decisions:", error.message)
+    );
+  }
+
+  /**
+   * Lists decisions, most recent first
+   * @param {Object} [filters] - Decision filters
+   * @param {string} [filters.rule] - Only decisions of this rule
+   * @param {string} [filters.action] - Only decisions with this action
+   * @param {string} [filters.user] - Only decisions about this user ID or login
+   * @param {number} [filters.limit=50] - Maximum number of decisions
+   * @returns {Promise<Array>}
+   */
+  async list({ rule, action, user, limit = 50 } = {}) {
+    await this.initialize();
+    const login = user?.toLowerCase();
+
+    return this.decisions
+      .filter(
+        (decision) =>
+          (!rule || decision.rule === rule) &&
+          (!action || decision.action === action) &&
+          (!user ||
+            decision.user.user_id === user ||
+            decision.user.login === login)
+      )
+      .slice(-limit)
+      .reverse();
+  }
+}
+
+/**
+ * AutoMod-style filter of chat messages
+ * - Rules match word lists, regular expressions, links outside an allowlist, caps, emote and
+ *   symbol spam ratios and repeated messages, and can exempt subscribers, VIPs or users
+ * - Every violation is a strike, and the strikes of a user climb an escalation ladder
+ *   (warn → delete → timeout → ban by default), forgotten after strike_reset seconds
+ * - Rules are defined in a JSON or YAML file, reloaded whenever it changes
+ */
+class ChatFilter {
+  constructor({ file } = {}) {
+    this.file = file || null;
+    this.rules = [];
+    this.strikeReset = DEFAULT_STRIKE_RESET;
+    this.escalation = [];
+    this.strikes = new Map();
+    this.history = new Map();
+    this.chatClient = null;
+    // Decisions of the messages being filtered, keyed by message ID
+    this.filtering = new Map();
+    this.watcher = null;
+    this.reloadTimeout = null;
+  }
+
+  /**
+   * Replaces the rules with the rules of a config object
+   * @param {Object} config - Parsed config ({ rules: [...], escalation, strike_reset })
+   * @throws {Error} Throws on an invalid config, the previous rules are kept
+   */
+  applyConfig(config = {}) {
+    const escalation = config.escalation
+      ? compileEscalation(config.escalation, "escalation")
+      : compileEscalation(DEFAULT_ESCALATION, "escalation");
+    const entries = (config.rules || []).filter(
+      (entry) => entry && entry.enabled !== false
+    );
+    const rules = entries.map((entry) => compileRule(entry, escalation));
+
+    const names = rules.map((rule) => rule.name);
+    const duplicate = names.find(
+      (name, index) => names.indexOf(name) !== index
+    );
+    if (duplicate) {
+      throw new Error(`Duplicate filter name: ${duplicate}`);
+    }
+
+    const strikeReset = Number(config.strike_reset ?? DEFAULT_STRIKE_RESET);
+    if (!(strikeReset > 0)) {
+      throw new Error(
+        `Invalid strike_reset: ${config.strike_reset}. It must be a number of seconds.`
+      );
+    }
+
+    this.strikeReset = strikeReset;
+    this.escalation = escalation;
+    this.rules = rules;
+  }
+
+  /**
+   * Loads the filters file, without rules when it doesn't exist
+   */
+  load() {
+    const file = this.getFile();
+
+    try {
+      const content = fs.readFileSync(file, "utf8");
+      const config = /\.ya?ml$/i.test(file)
+        ? YAML.parse(content)
+        : JSON.parse(content);
+
+      this.applyConfig(config || {});
+      console.log(`✅  Loaded ${this.rules.length} chat filters from ${file}`);
+    } catch (error) {
+      if (error.code === "ENOENT") {
+        this.applyConfig();
+        console.log("ℹ️  No chat filters file found, chat filtering is off");
+      } else {
+        console.error("❌  Error loading chat filters:", error.message);
+      }
+    }
+  }
+
+  /**
+   * Returns the filters file path, TWITCH_FILTERS_FILE or filters.json in the project root
+   * @returns {string}
+   */
+  getFile() {
+    return (
+      this.file ||
+      (process.env.TWITCH_FILTERS_FILE
+        ? path.resolve(process.env.TWITCH_FILTERS_FILE)
+        : DEFAULT_FILTERS_FILE)
+    );
+  }
+
+  /**
+   * Reloads the rules whenever the config file changes
+   * The directory is watched so the file can be created or replaced after startup
+   */
+  watch() {
+    if (this.watcher) return;
+
+    const file = this.getFile();
+
+    this.watcher = fs.watch(path.dirname(file), (_event, filename) => {
+      if (filename !== path.basename(file)) return;
+
+      clearTimeout(this.reloadTimeout);
+      this.reloadTimeout = setTimeout(() => {
+        console.log("🔄  Chat filters file changed, reloading...");
+        this.load();
+      }, RELOAD_DELAY_MS);
+    });
+  }
+
+  unwatch() {
+    clearTimeout(this.reloadTimeout);
+    if (this.watcher) {
+      this.watcher.close();
+      this.watcher = null;
+    }
+  }
+
+  /**
+   * Returns the rules with their options, for GET /moderation/filters
+   * @returns {Object} { file, strike_reset, escalation, rules }
+   */
+  describe() {
+    return {
+      file: this.getFile(),
+      strike_reset: this.strikeReset,
+      escalation: this.escalation,
+      rules: this.rules.map(({ pattern, ...rule }) => ({
+        ...rule,
+        ...(rule.type === "regex" && {
+          pattern: pattern.source,
+          flags: pattern.flags,
+        }),
+      })),
+    };
+  }
+
+  /**
+   * Remembers a value per user, forgetting the least recently active users first
+   * @param {Map} map - Strikes or history
+   * @param {string} key - Channel and user key
+   * @param {*} value - Value to store
+   */
+  remember(map, key, value) {
+    map.delete(key);
+    map.set(key, value);
+    if (map.size > MAX_TRACKED_USERS) {
+      map.delete(map.keys().next().value);
+    }
+  }
+
+  /**
+   * Adds a message to the recent messages of its author, kept as long as the longest repeat window
+   * @param {Object} message - Chat message
+   * @returns {Array<Object>} Recent messages ({ text, at }) including this one
+   */
+  trackHistory(message) {
+    const windows = this.rules
+      .filter((rule) => rule.type === "repeat")
+      .map((rule) => rule.window);
+    if (windows.length === 0) return [];
+
+    const key = `${message.channel}:${message.user_id}`;
+    const now = Date.now();
+    const since = now - Math.max(...windows) * 1000;
+    const history = (this.history.get(key) || []).filter(
+      (entry) => entry.at >= since
+    );
+
+    history.push({ text: normalizeText(message.text), at: now });
+    this.remember(this.history, key, history);
+    return history;
+  }
+
+  /**
+   * Finds the first rule a message violates
+   * @param {Object} message - Chat message
+   * @param {Array<Object>} [history] - Recent messages of its author, for repeat rules
+   * @returns {Object|null} { rule, detail }, or null if the message is allowed
+   */
+  evaluate(message, history = []) {
+    const level = getPermissionLevel(message.badges);
+    if (level === "moderator" || level === "broadcaster") return null;
+
+    for (const rule of this.rules) {
+      if (
+        rule.exempt.includes(level) ||
+        rule.exempt_users.includes(message.user_login?.toLowerCase())
+      ) {
+        continue;
+      }
+
+      const detail = RULE_CHECKS[rule.type](rule, message, history);
+      if (detail) return { rule, detail };
+    }
+    return null;
+  }
+
+  /**
+   * Counts a strike for a user and returns the escalation step it reaches
+   * @param {Object} message - Chat message
+   * @param {Object} rule - Rule that fired
+   * @returns {Object} { strike, action, duration }
+   */
+  addStrike(message, rule) {
+    const key = `${message.channel}:${message.user_id}`;
+    const now = Date.now();
+    const previous = this.strikes.get(key);
+    const count =
+      previous && now - previous.at < this.strikeReset * 1000
+        ? previous.count + 1
+        : 1;
+
+    this.remember(this.strikes, key, { count, at: now });
+    const step = rule.escalation[Math.min(count, rule.escalation.length) - 1];
+    return { strike: count, ...step };
+  }
+
+  /**
+   * Carries out an escalation step, recording moderation actions in the audit log
+   * @async
+   * @param {Object} step - { action, duration }
+   * @param {Object} message - Chat message
+   * @param {Object} rule - Rule that fired
+   * @param {string} decisionId - ID of the decision, linked from the audit log
+   * @returns {Promise<void>}
+   */
+  async enforce({ action, duration }, message, rule, decisionId) {
+    const broadcasterId = message.tags?.["room-id"];
+    const actor = { chat_filter: { rule: rule.name, decision_id: decisionId } };
+    const user = { user_id: message.user_id, login: message.user_login };
+
+    switch (action) {
+      case "warn":
+        if (!this.chatClient) throw new Error("The chat client isn't attached");
+        await this.chatClient.say(
+          message.channel,
+          rule.message
+            .replace(/\{user\}/g, message.user_name)
+            .replace(/\{rule\}/g, rule.name),
+          { replyTo: message.id }
+        );
+        break;
+      case "delete":
+        await moderationAudit.track(
+          {
+            action: "delete_message",
+            actor,
+            target: { message_id: message.id, ...user },
+            broadcasterId,
+          },
+          () => deleteChatMessage(message.id, { broadcasterId })
+        );
+        break;
+      case "timeout":
+      case "ban": {
+        const options = { duration, reason: rule.reason };
+        await moderationAudit.track(
+          { action, actor, target: user, details: options, broadcasterId },
+          () => banUser(user.user_id, { ...options, broadcasterId })
+        );
+        break;
+      }
+    }
+  }
+
+  /**
+   * Filters a chat message: finds the rule it violates, escalates and records the decision
+   * @async
+   * @param {Object} message - Chat message from the chat client
+   * @returns {Promise<Object|null>} The decision, or null if the message is allowed
+   */
+  async handleMessage(message) {
+    if (this.rules.length === 0 || !message.user_id) return null;
+
+    const match = this.evaluate(message, this.trackHistory(message));
+    if (!match) return null;
+
+    const { rule, detail } = match;
+    const step = this.addStrike(message, rule);
+    const decision = {
+      id: crypto.randomUUID(),
+      timestamp: new Date().toISOString(),
+      channel: message.channel,
+      message_id: message.id,
+      user: { user_id: message.user_id, login: message.user_login },
+      text: message.text,
+      rule: rule.name,
+      type: rule.type,
+      detail,
+      strike: step.strike,
+      action: step.action,
+      ...(step.duration && { duration: step.duration }),
+      status: "succeeded",
+    };
+
+    try {
+      await this.enforce(step, message, rule, decision.id);
+    } catch (error) {
+      decision.status = "failed";
+      decision.error = error.message;
+    }
+
+    console.log(
+      `🛡️  Chat filter ${rule.name} (${detail}): ${step.action} ${
+        message.user_login
+      } in #${message.channel}, strike ${step.strike}${
+        decision.error ? ` - failed: ${decision.error}` : ""
+      }`
+    );
+    await filterDecisions.record(decision);
+    return decision;
+  }
+
+  /**
+   * Filters every message of a chat client
+   * @param {ChatClient} chatClient - Chat client to attach to, also used to send warnings
+   */
+  attach(chatClient) {
+    this.chatClient = chatClient;
+    chatClient.on("message", (message) => {
+      const filtering = this.handleMessage(message).catch((error) => {
+        console.error("❌  Error filtering chat message:", error.message);
+        return null;
+      });
+
+      if (message.id) {
+        this.filtering.set(message.id, filtering);
+        filtering.then(() => this.filtering.delete(message.id));
+      }
+    });
+  }
+
+  /**
+   * Returns the decision on a chat message being filtered
+   * Listeners attached to the chat client after the filter get it for the message they receive.
+   * @param {Object} message - Chat message
+   * @returns {Promise<Object|null>} The decision, or null if the message is allowed
+   */
+  decisionFor(message) {
+    return this.filtering.get(message.id) || Promise.resolve(null);
+  }
+}
+
+// Singleton instances attached to the chat client
+const filterDecisions = new FilterDecisionLog();
+const chatFilter = new ChatFilter();
+
+module.exports = {
+  RULE_TYPES,
+  FILTER_ACTIONS,
+  DEFAULT_ESCALATION,
+  ChatFilter,
+  chatFilter,
+  filterDecisions,
+};
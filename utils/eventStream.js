@@ -0,0 +1,173 @@
+const { EVENTSUB_TOPICS } = require("./eventSubTopics");
+const { eventSubWebSocket } = require("./eventSubWebSocket");
+const { eventSubWebhook } = require("./eventSubWebhook");
+
+// Number of events kept in memory for Last-Event-ID resumes
+const DEFAULT_BUFFER_SIZE = 500;
+
+// Interval between heartbeat comments sent to keep proxies from closing idle streams
+const HEARTBEAT_INTERVAL_MS = 15000;
+
+// Reverse lookup of the topic each subscription type belongs to
+const TOPIC_BY_TYPE = Object.fromEntries(
+  Object.entries(EVENTSUB_TOPICS).flatMap(([topic, subscriptions]) =>
+    subscriptions.map(({ type }) => [type, topic])
+  )
+);
+
+/**
+ * Extracts the user who triggered an EventSub event
+ * Raids are triggered by the raiding broadcaster, everything else by the event user
+ * @param {Object} event - EventSub event payload
+ * @returns {Object|null} { id, login, name } or null for channel-level events
+ */
+const getEventUser = (event = {}) => {
+  if (event.from_broadcaster_user_id) {
+    return {
+      id: event.from_broadcaster_user_id,
+      login: event.from_broadcaster_user_login,
+      name: event.from_broadcaster_user_name,
+    };
+  }
+  if (event.user_id) {
+    return {
+      id: event.user_id,
+      login: event.user_login,
+      name: event.user_name,
+    };
+  }
+  return null;
+};
+
+/**
+ * Fans out normalized channel events to Server-Sent Events clients
+ * Keeps the last events in a ring buffer so reconnecting clients can resume with Last-Event-ID
+ */
+class EventStream {
+  constructor(bufferSize = DEFAULT_BUFFER_SIZE) {
+    this.bufferSize = bufferSize;
+    this.buffer = [];
+    this.lastId = 0;
+    this.clients = new Set();
+    this.heartbeatInterval = null;
+  }
+
+  /**
+   * Forwards the notifications of an event source (EventSub WebSocket or webhook)
+   * @param {EventEmitter} source - Emitter of "notification" events
+   */
+  attach(source) {
+    source.on("notification", (notification) => this.publish(notification));
+  }
+
+  /**
+   * Normalizes a notification, stores it in the buffer and sends it to the clients
+   * @param {Object} notification - { id, type, event, timestamp } from an event source
+   * @returns {Object} The normalized event
+   */
+  publish({ id, type, event, timestamp }) {
+    const normalized = {
+      id: ++this.lastId,
+      message_id: id,
+      topic: TOPIC_BY_TYPE[type] || null,
+      type,
+      user: getEventUser(event),
+      data: event,
+      timestamp,
+    };
+
+    this.buffer.push(normalized);
+    if (this.buffer.length > this.bufferSize) {
+      this.buffer.shift();
+    }
+
+    this.clients.forEach((client) => this.send(client, normalized));
+    return normalized;
+  }
+
+  /**
+   * Returns the buffered events after the given ID
+   * When the ID is ahead of the stream (the server restarted) the whole buffer is returned
+   * @param {number} lastEventId - Last event ID received by the client
+   * @returns {Array<Object>}
+   */
+  since(lastEventId) {
+    if (lastEventId > this.lastId) return [...this.buffer];
+    return this.buffer.filter((event) => event.id > lastEventId);
+  }
+
+  /**
+   * Tells whether an event passes the topic filter of a client
+   * @param {Object} client - Connected client
+   * @param {Object} event - Normalized event
+   * @returns {boolean}
+   */
+  matches(client, event) {
+    return (
+      client.topics.length === 0 ||
+      client.topics.includes(event.topic) ||
+      client.topics.includes(event.type)
+    );
+  }
+
+  /**
+   * Writes an event to a client if it passes its topic filter
+   * @param {Object} client - Connected client
+   * @param {Object} event - Normalized event
+   */
+  send(client, event) {
+    if (!this.matches(client, event)) return;
+
+    client.res.write(`id: ${event.id}\n`);
+    client.res.write(`data: ${JSON.stringify(event)}\n\n`);
+  }
+
+  /**
+   * Registers an SSE client and replays the events it missed
+   * @param {Object} res - Express response, already set up as an event stream
+   * @param {Object} [options] - Client options
+   * @param {Array<string>} [options.topics=[]] - Topics or subscription types to receive (default: all)
+   * @param {number} [options.lastEventId] - Last event ID received before reconnecting
+   * @returns {Function} Removes the client
+   */
+  addClient(res, { topics = [], lastEventId = null } = {}) {
+    const client = { res, topics };
+
+    if (lastEventId !== null) {
+      this.since(lastEventId).forEach((event) => this.send(client, event));
+    }
+
+    this.clients.add(client);
+    this.startHeartbeat();
+
+    return () => {
+      this.clients.delete(client);
+      if (this.clients.size === 0) this.stopHeartbeat();
+    };
+  }
+
+  startHeartbeat() {
+    if (this.heartbeatInterval) return;
+
+    this.heartbeatInterval = setInterval(() => {
+      this.clients.forEach((client) => client.res.write(": heartbeat\n\n"));
+    }, HEARTBEAT_INTERVAL_MS);
+  }
+
+  stopHeartbeat() {
+    clearInterval(this.heartbeatInterval);
+    this.heartbeatInterval = null;
+  }
+}
+
+// Singleton instance fed by every configured event source
+const eventStream = new EventStream(
+  parseInt(process.env.EVENTS_BUFFER_SIZE, 10) || DEFAULT_BUFFER_SIZE
+);
+eventStream.attach(eventSubWebSocket);
+eventStream.attach(eventSubWebhook);
+
+module.exports = {
+  EventStream,
+  eventStream,
+};
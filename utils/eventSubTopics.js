@@ -0,0 +1,136 @@
+/**
+ * EventSub topics that can be enabled through TWITCH_EVENTSUB_TOPICS
+ * Each topic maps to one or more subscription types with their version and condition
+ */
+const EVENTSUB_TOPICS = {
+  follows: [
+    {
+      type: "channel.follow",
+      version: "2",
+      condition: ({ broadcasterId, moderatorId }) => ({
+        broadcaster_user_id: broadcasterId,
+        moderator_user_id: moderatorId,
+      }),
+    },
+  ],
+  subs: [
+    {
+      type: "channel.subscribe",
+      version: "1",
+      condition: ({ broadcasterId }) => ({
+        broadcaster_user_id: broadcasterId,
+      }),
+    },
+    {
+      type: "channel.subscription.message",
+      version: "1",
+      condition: ({ broadcasterId }) => ({
+        broadcaster_user_id: broadcasterId,
+      }),
+    },
+    {
+      type: "channel.subscription.gift",
+      version: "1",
+      condition: ({ broadcasterId }) => ({
+        broadcaster_user_id: broadcasterId,
+      }),
+    },
+  ],
+  cheers: [
+    {
+      type: "channel.cheer",
+      version: "1",
+      condition: ({ broadcasterId }) => ({
+        broadcaster_user_id: broadcasterId,
+      }),
+    },
+  ],
+  raids: [
+    {
+      type: "channel.raid",
+      version: "1",
+      condition: ({ broadcasterId }) => ({
+        to_broadcaster_user_id: broadcasterId,
+      }),
+    },
+  ],
+  stream_online: [
+    {
+      type: "stream.online",
+      version: "1",
+      condition: ({ broadcasterId }) => ({
+        broadcaster_user_id: broadcasterId,
+      }),
+    },
+  ],
+  stream_offline: [
+    {
+      type: "stream.offline",
+      version: "1",
+      condition: ({ broadcasterId }) => ({
+        broadcaster_user_id: broadcasterId,
+      }),
+    },
+  ],
+  redemptions: [
+    {
+      type: "channel.channel_points_custom_reward_redemption.add",
+      version: "1",
+      condition: ({ broadcasterId }) => ({
+        broadcaster_user_id: broadcasterId,
+      }),
+    },
+    {
+      type: "channel.channel_points_custom_reward_redemption.update",
+      version: "1",
+      condition: ({ broadcasterId }) => ({
+        broadcaster_user_id: broadcasterId,
+      }),
+    },
+  ],
+};
+
+/**
+ * Returns the topics enabled in the comma-separated TWITCH_EVENTSUB_TOPICS env variable
+ * Unknown topics are reported and skipped
+ * @returns {Array<string>} Enabled topic names
+ */
+const getConfiguredTopics = () =>
+  (process.env.TWITCH_EVENTSUB_TOPICS || "")
+    .split(",")
+    .map((topic) => topic.trim().toLowerCase())
+    .filter(Boolean)
+    .filter((topic) => {
+      if (!EVENTSUB_TOPICS[topic]) {
+        console.log(
+          `⚠️  Unknown EventSub topic "${topic}", valid options are: ${Object.keys(
+            EVENTSUB_TOPICS
+          ).join(", ")}`
+        );
+        return false;
+      }
+      return true;
+    });
+
+/**
+ * Builds the subscription definitions (type, version, condition) of the given topics
+ * @param {Array<string>} topics - Topic names
+ * @param {Object} ids - IDs used in the conditions (see getConfiguredChannelIds)
+ * @param {string} ids.broadcasterId - Broadcaster user ID
+ * @param {string} ids.moderatorId - Moderator user ID
+ * @returns {Array<Object>} Subscription definitions
+ */
+const buildSubscriptions = (topics, { broadcasterId, moderatorId }) =>
+  topics.flatMap((topic) =>
+    EVENTSUB_TOPICS[topic].map(({ type, version, condition }) => ({
+      type,
+      version,
+      condition: condition({ broadcasterId, moderatorId }),
+    }))
+  );
+
+module.exports = {
+  EVENTSUB_TOPICS,
+  getConfiguredTopics,
+  buildSubscriptions,
+};
@@ -0,0 +1,334 @@
+const EventEmitter = require("events");
+const WebSocket = require("ws");
+const { helixClient } = require("./helixClient");
+const { tokenManager } = require("./tokenStorage");
+const { getConfiguredTopics, buildSubscriptions } = require("./eventSubTopics");
+
+const EVENTSUB_WS_URL = "wss://eventsub.wss.twitch.tv/ws";
+
+// Extra time given to Twitch on top of keepalive_timeout_seconds before the session is considered dead
+const KEEPALIVE_GRACE_MS = 5000;
+const MAX_RECONNECT_DELAY_MS = 60000;
+
+// Number of message IDs remembered to drop duplicated deliveries
+const MESSAGE_ID_HISTORY = 500;
+
+/**
+ * Tells whether an existing subscription covers a subscription definition
+ * Twitch may return extra empty condition fields, only the fields of the definition are compared
+ * @param {Object} existing - Subscription returned by Twitch
+ * @param {Object} subscription - Subscription definition (type, version, condition)
+ * @returns {boolean}
+ */
+const coversSubscription = (existing, subscription) =>
+  existing.type === subscription.type &&
+  existing.version === subscription.version &&
+  Object.entries(subscription.condition).every(
+    ([field, value]) => existing.condition?.[field] === value
+  );
+
+/**
+ * EventSub WebSocket client
+ * - Connects with the session token and subscribes to the configured topics on welcome
+ * - Watches session_keepalive messages and reconnects when the session goes silent
+ * - Follows session_reconnect messages without losing subscriptions
+ * - Re-subscribes whatever is missing after a token refresh
+ *
+ * Emits "notification" ({ id, type, event, timestamp }) for every event, plus one event
+ * named after each subscription type (e.g. "channel.follow") with the event payload
+ */
+class EventSubWebSocket extends EventEmitter {
+  constructor({ url, topics, keepaliveGraceMs = KEEPALIVE_GRACE_MS } = {}) {
+    super();
+    this.url = url || process.env.TWITCH_EVENTSUB_WS_URL || EVENTSUB_WS_URL;
+    this.topics = topics || null;
+    this.keepaliveGraceMs = keepaliveGraceMs;
+    this.ws = null;
+    this.sessionId = null;
+    this.keepaliveTimeout = null;
+    this.reconnectTimeout = null;
+    this.reconnectAttempts = 0;
+    this.recentMessageIds = [];
+    this.stopped = true;
+
+    // Subscriptions belong to the default account, other accounts don't affect them
+    this.onTokensUpdated = (tokens) => {
+      if (this.sessionId && tokens.user_id === tokenManager.defaultUserId) {
+        tokenManager.runAsDefault(() => this.syncSubscriptions());
+      }
+    };
+  }
+
+  /**
+   * Opens the connection and keeps it alive until stop() is called
+   */
+  start() {
+    if (!this.stopped) return;
+
+    this.stopped = false;
+    this.topics = this.topics || getConfiguredTopics();
+    tokenManager.on("tokensUpdated", this.onTokensUpdated);
+    this.openSocket(this.url);
+  }
+
+  /**
+   * Closes the connection and cancels every pending timer
+   */
+  stop() {
+    this.stopped = true;
+    tokenManager.off("tokensUpdated", this.onTokensUpdated);
+    clearTimeout(this.keepaliveTimeout);
+    clearTimeout(this.reconnectTimeout);
+
+    if (this.ws) {
+      this.ws.close(1000);
+      this.ws = null;
+    }
+    this.sessionId = null;
+  }
+
+  /**
+   * Opens a WebSocket to the given URL
+   * @param {string} url - EventSub URL, or the reconnect_url of a session_reconnect message
+   * @param {boolean} [isReconnect=false] - True when following a session_reconnect message
+   */
+  openSocket(url, isReconnect = false) {
+    const ws = new WebSocket(url);
+
+    ws.on("message", (data) => this.handleMessage(ws, data, isReconnect));
+
+    ws.on("close", (code) => {
+      // Sockets replaced by a session_reconnect are expected to close
+      if (ws !== this.ws || this.stopped) return;
+
+      console.log(`⚠️  EventSub WebSocket closed (code ${code})`);
+      this.ws = null;
+      this.sessionId = null;
+      clearTimeout(this.keepaliveTimeout);
+      this.emit("disconnected", code);
+      this.scheduleReconnect();
+    });
+
+    ws.on("error", (error) => {
+      console.error("❌  EventSub WebSocket error:", error.message);
+    });
+
+    if (!isReconnect) {
+      this.ws = ws;
+    }
+  }
+
+  /**
+   * Schedules a fresh connection with exponential backoff
+   */
+  scheduleReconnect() {
+    const delay = Math.min(
+      1000 * 2 ** this.reconnectAttempts,
+      MAX_RECONNECT_DELAY_MS
+    );
+    this.reconnectAttempts++;
+
+    console.log(`🔄  Reconnecting to EventSub in ${delay / 1000}s...`);
+    clearTimeout(this.reconnectTimeout);
+    this.reconnectTimeout = setTimeout(() => {
+      if (!this.stopped) this.openSocket(this.url);
+    }, delay);
+  }
+
+  /**
+   * Restarts the keepalive watchdog of the current session
+   * @param {number} timeoutSeconds - keepalive_timeout_seconds of the session
+   */
+  resetKeepalive(timeoutSeconds = this.keepaliveTimeoutSeconds) {
+    this.keepaliveTimeoutSeconds = timeoutSeconds;
+    clearTimeout(this.keepaliveTimeout);
+
+    if (!timeoutSeconds) return;
+
+    this.keepaliveTimeout = setTimeout(() => {
+      console.log("⚠️  EventSub keepalive timed out, reconnecting...");
+      const ws = this.ws;
+      this.ws = null;
+      this.sessionId = null;
+      if (ws) ws.terminate();
+      this.scheduleReconnect();
+    }, timeoutSeconds * 1000 + this.keepaliveGraceMs);
+  }
+
+  /**
+   * Remembers a message ID and tells whether it was already handled
+   * @param {string} messageId - metadata.message_id of the message
+   * @returns {boolean} True if the message is a duplicate
+   */
+  isDuplicate(messageId) {
+    if (this.recentMessageIds.includes(messageId)) return true;
+
+    this.recentMessageIds.push(messageId);
+    if (this.recentMessageIds.length > MESSAGE_ID_HISTORY) {
+      this.recentMessageIds.shift();
+    }
+    return false;
+  }
+
+  /**
+   * Handles a frame received from Twitch
+   * @param {WebSocket} ws - Socket the frame was received on
+   * @param {Buffer} data - Raw frame
+   * @param {boolean} isReconnect - True if the socket follows a session_reconnect message
+   */
+  handleMessage(ws, data, isReconnect) {
+    let message;
+    try {
+      message = JSON.parse(data.toString());
+    } catch (error) {
+      console.error("❌  Invalid EventSub message:", error.message);
+      return;
+    }
+
+    const { metadata, payload } = message || {};
+
+    // Every Twitch frame has both, anything else isn't EventSub
+    if (!metadata || typeof metadata !== "object" || !payload) {
+      console.error(
+        "❌  Invalid EventSub message: missing metadata or payload"
+      );
+      return;
+    }
+
+    if (ws === this.ws) {
+      this.resetKeepalive();
+    }
+
+    switch (metadata.message_type) {
+      case "session_welcome":
+        this.handleWelcome(ws, payload.session, isReconnect);
+        break;
+      case "session_keepalive":
+        break;
+      case "session_reconnect":
+        console.log("🔄  EventSub asked to reconnect, switching session...");
+        this.openSocket(payload.session.reconnect_url, true);
+        break;
+      case "notification":
+        if (this.isDuplicate(metadata.message_id)) return;
+        this.emit("notification", {
+          id: metadata.message_id,
+          type: metadata.subscription_type,
+          event: payload.event,
+          timestamp: metadata.message_timestamp,
+        });
+        this.emit(metadata.subscription_type, payload.event);
+        break;
+      case "revocation":
+        console.log(
+          `⚠️  EventSub subscription ${payload.subscription.type} revoked: ${payload.subscription.status}`
+        );
+        this.emit("revocation", payload.subscription);
+        break;
+      default:
+        console.log(`ℹ️  Unhandled EventSub message: ${metadata.message_type}`);
+    }
+  }
+
+  /**
+   * Handles a session_welcome message
+   * After a session_reconnect the subscriptions carry over, so the old socket is just closed
+   * @param {WebSocket} ws - Socket that received the welcome
+   * @param {Object} session - Session payload
+   * @param {boolean} isReconnect - True if the socket follows a session_reconnect message
+   */
+  handleWelcome(ws, session, isReconnect) {
+    if (isReconnect) {
+      const previous = this.ws;
+      this.ws = ws;
+      if (previous) previous.close(1000);
+    }
+
+    this.sessionId = session.id;
+    this.reconnectAttempts = 0;
+    this.resetKeepalive(session.keepalive_timeout_seconds);
+
+    console.log(`✅  EventSub session ${isReconnect ? "resumed" : "started"}`);
+    this.emit("connected", this.sessionId);
+
+    if (!isReconnect) {
+      this.syncSubscriptions();
+    }
+  }
+
+  /**
+   * Creates the subscriptions of the configured topics missing from the current session
+   * @async
+   * @returns {Promise<void>}
+   */
+  async syncSubscriptions() {
+    const sessionId = this.sessionId;
+
+    try {
+      // Required lazily to avoid a circular dependency with the Twitch routes
+      const { getConfiguredChannelIds } = require("../routes/twitch");
+      const existing = await this.listSessionSubscriptions(sessionId);
+      const missing = buildSubscriptions(
+        this.topics,
+        await getConfiguredChannelIds()
+      ).filter(
+        (subscription) =>
+          !existing.some((item) => coversSubscription(item, subscription))
+      );
+
+      for (const subscription of missing) {
+        if (sessionId !== this.sessionId) return;
+
+        try {
+          await helixClient.post("/eventsub/subscriptions", {
+            ...subscription,
+            transport: { method: "websocket", session_id: sessionId },
+          });
+          console.log(`📡  Subscribed to EventSub ${subscription.type}`);
+        } catch (error) {
+          console.error(
+            `❌  Error subscribing to EventSub ${subscription.type}:`,
+            error.message
+          );
+        }
+      }
+    } catch (error) {
+      console.error("❌  Error syncing EventSub subscriptions:", error.message);
+    }
+  }
+
+  /**
+   * Lists the enabled subscriptions bound to a WebSocket session
+   * @async
+   * @param {string} sessionId - WebSocket session ID
+   * @returns {Promise<Array>} Subscriptions of the session
+   */
+  async listSessionSubscriptions(sessionId) {
+    const subscriptions = [];
+    let cursor = null;
+
+    do {
+      const response = await helixClient.get("/eventsub/subscriptions", {
+        status: "enabled",
+        ...(cursor && { after: cursor }),
+      });
+
+      subscriptions.push(
+        ...response.data.data.filter(
+          (subscription) => subscription.transport.session_id === sessionId
+        )
+      );
+      cursor = response.data.pagination?.cursor;
+    } while (cursor);
+
+    return subscriptions;
+  }
+}
+
+// Singleton instance started once the Twitch login completes
+const eventSubWebSocket = new EventSubWebSocket();
+
+module.exports = {
+  EventSubWebSocket,
+  eventSubWebSocket,
+};
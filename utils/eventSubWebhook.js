@@ -0,0 +1,125 @@
+const EventEmitter = require("events");
+const crypto = require("crypto");
+
+// Notifications older than this are rejected as replays, as recommended by Twitch
+const MAX_MESSAGE_AGE_MS = 10 * 60 * 1000;
+
+/**
+ * EventSub webhook receiver
+ * - Verifies the Twitch-Eventsub-Message-Signature HMAC-SHA256 with TWITCH_EVENTSUB_SECRET
+ * - Rejects messages older than 10 minutes and drops message IDs already handled
+ * - Dispatches notifications to its listeners
+ *
+ * Emits the same events as the EventSub WebSocket client: "notification"
+ * ({ id, type, event, timestamp }), one event named after each subscription type,
+ * and "revocation" with the revoked subscription
+ */
+class EventSubWebhook extends EventEmitter {
+  constructor() {
+    super();
+    // Message IDs handled in the last MAX_MESSAGE_AGE_MS, mapped to when they were received
+    this.seenMessageIds = new Map();
+  }
+
+  /**
+   * Returns the configured webhook secret
+   * @returns {string|undefined}
+   */
+  getSecret() {
+    return process.env.TWITCH_EVENTSUB_SECRET;
+  }
+
+  /**
+   * Verifies the HMAC signature of a webhook request
+   * @param {Object} headers - Request headers (lowercased)
+   * @param {Buffer} rawBody - Raw request body
+   * @returns {boolean} True if the signature matches
+   */
+  verifySignature(headers, rawBody) {
+    const messageId = headers["twitch-eventsub-message-id"];
+    const timestamp = headers["twitch-eventsub-message-timestamp"];
+    const signature = headers["twitch-eventsub-message-signature"];
+
+    if (!messageId || !timestamp || !signature || !rawBody) {
+      return false;
+    }
+
+    const expected =
+      "sha256=" +
+      crypto
+        .createHmac("sha256", this.getSecret())
+        .update(messageId + timestamp)
+        .update(rawBody)
+        .digest("hex");
+
+    const expectedBuffer = Buffer.from(expected);
+    const signatureBuffer = Buffer.from(signature);
+
+    return (
+      expectedBuffer.length === signatureBuffer.length &&
+      crypto.timingSafeEqual(expectedBuffer, signatureBuffer)
+    );
+  }
+
+  /**
+   * Tells whether a message timestamp is too old to be accepted
+   * @param {string} timestamp - Twitch-Eventsub-Message-Timestamp header
+   * @returns {boolean}
+   */
+  isExpired(timestamp) {
+    const sentAt = new Date(timestamp).getTime();
+    return Number.isNaN(sentAt) || Date.now() - sentAt > MAX_MESSAGE_AGE_MS;
+  }
+
+  /**
+   * Remembers a message ID and tells whether it was already handled
+   * @param {string} messageId - Twitch-Eventsub-Message-Id header
+   * @returns {boolean} True if the message is a duplicate
+   */
+  isDuplicate(messageId) {
+    const now = Date.now();
+
+    // Forget IDs old enough to be rejected by their timestamp anyway
+    for (const [id, receivedAt] of this.seenMessageIds) {
+      if (now - receivedAt <= MAX_MESSAGE_AGE_MS) break;
+      this.seenMessageIds.delete(id);
+    }
+
+    if (this.seenMessageIds.has(messageId)) return true;
+
+    this.seenMessageIds.set(messageId, now);
+    return false;
+  }
+
+  /**
+   * Dispatches a verified webhook message to the listeners
+   * @param {Object} headers - Request headers (lowercased)
+   * @param {Object} body - Parsed request body
+   */
+  dispatch(headers, body) {
+    const messageType = headers["twitch-eventsub-message-type"];
+
+    if (messageType === "notification") {
+      this.emit("notification", {
+        id: headers["twitch-eventsub-message-id"],
+        type: body.subscription.type,
+        event: body.event,
+        timestamp: headers["twitch-eventsub-message-timestamp"],
+      });
+      this.emit(body.subscription.type, body.event);
+    } else if (messageType === "revocation") {
+      console.log(
+        `⚠️  EventSub subscription ${body.subscription.type} revoked: ${body.subscription.status}`
+      );
+      this.emit("revocation", body.subscription);
+    }
+  }
+}
+
+// Singleton instance shared by the webhook route and its listeners
+const eventSubWebhook = new EventSubWebhook();
+
+module.exports = {
+  EventSubWebhook,
+  eventSubWebhook,
+};
@@ -0,0 +1,483 @@
+const fs = require("fs").promises;
+const crypto = require("crypto");
+const path = require("path");
+const { createHttpError } = require("../middleware/errorHandler");
+
+// File to store the giveaways history, next to the .tokens file
+const GIVEAWAYS_FILE = path.join(__dirname, "..", ".giveaways.json");
+
+const GIVEAWAY_MODES = ["entries", "chatters"];
+
+/**
+ * Creates a deterministic random integer generator from a seed
+ * Each value is taken from HMAC-SHA256(seed, counter) with rejection sampling,
+ * so anyone holding the seed can replay the exact same sequence without bias
+ * @param {string} seed - Hex seed of the draw
+ * @returns {Function} Returns a uniform integer in [0, max)
+ */
+const createSeededRandomInt = (seed) => {
+  const range = 2 ** 48;
+  let counter = 0;
+
+  return (max) => {
+    const limit = range - (range % max);
+    let value;
+
+    do {
+      value = crypto
+        .createHmac("sha256", seed)
+        .update(String(counter++))
+        .digest()
+        .readUIntBE(0, 6);
+    } while (value >= limit);
+
+    return value % max;
+  };
+};
+
+/**
+ * Keeps only the public identity fields of a chatter or entrant
+ * @param {Object} user - User object with user_id, user_login and user_name
+ * @returns {Object}
+ */
+const toUser = ({ user_id, user_login, user_name }) => ({
+  user_id,
+  user_login,
+  user_name,
+});
+
+/**
+ * Loads the giveaways history from disk
+ * @returns {Promise<Array>} - Stored giveaways or an empty list if not found
+ */
+async function loadGiveaways() {
+  try {
+    const data = await fs.readFile(GIVEAWAYS_FILE, "utf8");
+    return JSON.parse(data);
+  } catch (error) {
+    if (error.code !== "ENOENT") {
+      console.error("❌ Error loading giveaways:", error.message);
+    }
+    return [];
+  }
+}
+
+/**
+ * Saves the giveaways history to disk
+ * Writes to a temporary file first so a crash never leaves a truncated history
+ * @param {Array} giveaways - Giveaways to store
+ * @returns {Promise<void>}
+ */
+async function saveGiveaways(giveaways) {
+  const tempFile = `${GIVEAWAYS_FILE}.tmp`;
+  await fs.writeFile(tempFile, JSON.stringify(giveaways, null, 2), "utf8");
+  await fs.rename(tempFile, GIVEAWAYS_FILE);
+}
+
+/**
+ * Manages giveaways: lifecycle, entries, seeded draws and their audit trail
+ */
+class GiveawayManager {
+  constructor() {
+    this.giveaways = [];
+    this.isLoaded = false;
+    this.loading = null;
+    this.writeQueue = Promise.resolve();
+  }
+
+  async initialize() {
+    if (!this.isLoaded) {
+      // !join messages can arrive together, they must all wait for the same load
+      this.loading =
+        this.loading ||
+        loadGiveaways().then((giveaways) => {
+          this.giveaways = giveaways;
+          this.isLoaded = true;
+        });
+      await this.loading;
+    }
+    return this.giveaways;
+  }
+
+  /**
+   * Persists the current state, serializing concurrent writes
+   * @returns {Promise<void>}
+   */
+  persist() {
+    const snapshot = JSON.parse(JSON.stringify(this.giveaways));
+    this.writeQueue = this.writeQueue
+      .catch(() => {})
+      .then(() => saveGiveaways(snapshot));
+    return this.writeQueue;
+  }
+
+  async list() {
+    await this.initialize();
+    return this.giveaways;
+  }
+
+  async get(id) {
+    await this.initialize();
+    const giveaway = this.giveaways.find((item) => item.id === id);
+
+    if (!giveaway) {
+      throw createHttpError(404, `Giveaway not found: ${id}`);
+    }
+    return giveaway;
+  }
+
+  /**
+   * Creates a new giveaway
+   * @param {Object} options - Giveaway options
+   * @param {string} options.title - Giveaway title
+   * @param {string} [options.mode="entries"] - "entries" draws from entrants, "chatters" from the chatters list at draw time
+   * @param {string} [options.keyword] - Chat keyword to enter (e.g. "!join")
+   * @param {Object} [options.filters] - Draw filters accepted by getRandomChatter
+   * @returns {Promise<Object>} The created giveaway
+   */
+  async create({ title, mode = "entries", keyword = null, filters = {} }) {
+    await this.initialize();
+
+    if (!title) {
+      throw createHttpError(400, "A giveaway title is required.");
+    }
+    if (!GIVEAWAY_MODES.includes(mode)) {
+      throw createHttpError(
+        400,
+        `Invalid mode value: ${mode}. Valid options are: ${GIVEAWAY_MODES.join(
+          ", "
+        )}.`
+      );
+    }
+    if (keyword !== null && typeof keyword !== "string") {
+      throw createHttpError(400, "keyword must be a string.");
+    }
+    if (!filters || typeof filters !== "object" || Array.isArray(filters)) {
+      throw createHttpError(400, "filters must be an object.");
+    }
+    if (
+      filters.exclude !== undefined &&
+      (!Array.isArray(filters.exclude) ||
+        !filters.exclude.every((login) => typeof login === "string"))
+    ) {
+      throw createHttpError(
+        400,
+        "filters.exclude must be an array of user logins."
+      );
+    }
+
+    const giveaway = {
+      id: crypto.randomUUID(),
+      title,
+      mode,
+      keyword: keyword ? keyword.trim().toLowerCase() : null,
+      status: "created",
+      filters: {
+        excludeBroadcaster: Boolean(filters.excludeBroadcaster),
+        excludeBots: Boolean(filters.excludeBots),
+        exclude: filters.exclude || [],
+        followersOnly: Boolean(filters.followersOnly),
+        subscribersOnly: Boolean(filters.subscribersOnly),
+      },
+      entrants: [],
+      winners: [],
+      draws: [],
+      created_at: new Date().toISOString(),
+      opened_at: null,
+      closed_at: null,
+    };
+
+    this.giveaways.push(giveaway);
+    await this.persist();
+    return giveaway;
+  }
+
+  async open(id) {
+    const giveaway = await this.get(id);
+
+    if (giveaway.status === "open") {
+      throw createHttpError(409, "Giveaway entries are already open.");
+    }
+
+    giveaway.status = "open";
+    giveaway.opened_at = new Date().toISOString();
+    giveaway.closed_at = null;
+    await this.persist();
+    return giveaway;
+  }
+
+  async close(id) {
+    const giveaway = await this.get(id);
+
+    if (giveaway.status !== "open") {
+      throw createHttpError(409, "Giveaway entries are not open.");
+    }
+
+    giveaway.status = "closed";
+    giveaway.closed_at = new Date().toISOString();
+    await this.persist();
+    return giveaway;
+  }
+
+  /**
+   * Adds a user to the giveaway entrants
+   * @param {string} id - Giveaway ID
+   * @param {Object} user - User entering ({ user_id, user_login, user_name })
+   * @param {string} [source="api"] - Where the entry came from ("api" or "chat")
+   * @returns {Promise<Object>} { entrant, created } where created is false for duplicate entries
+   */
+  async enter(id, user, source = "api") {
+    const giveaway = await this.get(id);
+
+    if (giveaway.mode !== "entries") {
+      throw createHttpError(
+        409,
+        "This giveaway draws from the current chatters and does not take entries."
+      );
+    }
+    if (giveaway.status !== "open") {
+      throw createHttpError(409, "Giveaway entries are not open.");
+    }
+    if (!user?.user_id || !user?.user_login) {
+      throw createHttpError(400, "user_id and user_login are required.");
+    }
+
+    const existing = giveaway.entrants.find(
+      (entrant) => entrant.user_id === user.user_id
+    );
+    if (existing) {
+      return { entrant: existing, created: false };
+    }
+
+    const entrant = {
+      ...toUser({ user_name: user.user_login, ...user }),
+      source,
+      entered_at: new Date().toISOString(),
+    };
+
+    giveaway.entrants.push(entrant);
+    await this.persist();
+    return { entrant, created: true };
+  }
+
+  /**
+   * Enters the author of a chat message in every open giveaway whose keyword matches
+   * @param {Object} message - Chat message
+   * @param {string} message.user_id - Author user ID
+   * @param {string} message.user_login - Author login
+   * @param {string} [message.user_name] - Author display name
+   * @param {string} message.text - Message text
+   * @returns {Promise<Array>} Giveaways the user was entered into
+   */
+  async handleChatMessage({ text, ...user }) {
+    await this.initialize();
+
+    const word = (text || "").trim().split(/\s+/)[0].toLowerCase();
+    const matching = this.giveaways.filter(
+      (giveaway) =>
+        giveaway.status === "open" &&
+        giveaway.mode === "entries" &&
+        giveaway.keyword &&
+        giveaway.keyword === word
+    );
+
+    const entered = [];
+    for (const giveaway of matching) {
+      const { created } = await this.enter(giveaway.id, user, "chat");
+      if (created) entered.push(giveaway);
+    }
+    return entered;
+  }
+
+  /**
+   * Draws winners with a fresh seed and records the draw in the audit trail
+   * @param {Object} giveaway - Giveaway to draw from
+   * @param {Object} options - Draw options
+   * @param {number} options.count - Number of winners to draw
+   * @param {string} options.type - "draw" or "reroll"
+   * @param {Array<string>} [options.replaced] - User IDs replaced by a reroll
+   * @returns {Promise<Object>} The recorded draw
+   */
+  async runDraw(giveaway, { count, type, replaced = [] }) {
+    const {
+      getChannelIds,
+      getAllChatters,
+      getKnownBots,
+      getRandomChatter,
+    } = require("../routes/twitch");
+
+    const entrants =
+      giveaway.mode === "chatters"
+        ? (await getAllChatters()).map(toUser)
+        : giveaway.entrants.map(toUser);
+
+    if (entrants.length === 0) {
+      throw createHttpError(409, "There are no entrants to draw from.");
+    }
+
+    // Resolve every exclusion now so the draw can be replayed later from the record alone
+    const { filters } = giveaway;
+    const excluded = new Set(
+      filters.exclude.map((login) => login.toLowerCase())
+    );
+    if (filters.excludeBots) {
+      getKnownBots().forEach((bot) => excluded.add(bot));
+    }
+    giveaway.draws
+      .flatMap((draw) => draw.winners)
+      .forEach((winner) => excluded.add(winner.user_login.toLowerCase()));
+
+    const seed = crypto.randomBytes(32).toString("hex");
+    const ineligible = [];
+
+    const winners =
+      (await getRandomChatter({
+        count,
+        chatters: entrants,
+        exclude: [...excluded],
+        excludeBroadcaster: filters.excludeBroadcaster,
+        followersOnly: filters.followersOnly,
+        subscribersOnly: filters.subscribersOnly,
+        randomInt: createSeededRandomInt(seed),
+        onIneligible: (chatter) => ineligible.push(chatter.user_id),
+      })) || [];
+
+    if (winners.length === 0) {
+      throw createHttpError(409, "No eligible entrants left to draw from.");
+    }
+
+    const draw = {
+      id: crypto.randomUUID(),
+      type,
+      seed,
+      timestamp: new Date().toISOString(),
+      count,
+      broadcaster_id: (await getChannelIds()).broadcasterId || null,
+      filters: { ...filters },
+      excluded: [...excluded],
+      entrants,
+      ineligible,
+      replaced,
+      winners: winners.map(toUser),
+    };
+
+    giveaway.draws.push(draw);
+    return draw;
+  }
+
+  /**
+   * Draws the giveaway winners
+   * @param {string} id - Giveaway ID
+   * @param {number} [count=1] - Number of winners to draw
+   * @returns {Promise<Object>} The recorded draw
+   */
+  async draw(id, count = 1) {
+    const giveaway = await this.get(id);
+
+    if (giveaway.mode === "entries" && giveaway.status === "open") {
+      throw createHttpError(409, "Close the giveaway entries before drawing.");
+    }
+
+    const draw = await this.runDraw(giveaway, { count, type: "draw" });
+    giveaway.winners = [...giveaway.winners, ...draw.winners];
+    await this.persist();
+    return draw;
+  }
+
+  /**
+   * Replaces winners with new ones, never drawing a previous winner again
+   * @param {string} id - Giveaway ID
+   * @param {Array<string>} [userIds] - Winners to replace (default: every current winner)
+   * @returns {Promise<Object>} The recorded reroll
+   */
+  async reroll(id, userIds = null) {
+    const giveaway = await this.get(id);
+
+    if (userIds && !Array.isArray(userIds)) {
+      throw createHttpError(400, "user_ids must be an array of user IDs.");
+    }
+
+    const replaced =
+      userIds || giveaway.winners.map((winner) => winner.user_id);
+
+    if (replaced.length === 0) {
+      throw createHttpError(409, "There are no winners to reroll.");
+    }
+
+    const unknown = replaced.filter(
+      (userId) => !giveaway.winners.some((winner) => winner.user_id === userId)
+    );
+    if (unknown.length > 0) {
+      throw createHttpError(400, `Not current winners: ${unknown.join(", ")}`);
+    }
+
+    const draw = await this.runDraw(giveaway, {
+      count: replaced.length,
+      type: "reroll",
+      replaced,
+    });
+
+    giveaway.winners = [
+      ...giveaway.winners.filter(
+        (winner) => !replaced.includes(winner.user_id)
+      ),
+      ...draw.winners,
+    ];
+    await this.persist();
+    return draw;
+  }
+
+  /**
+   * Replays a recorded draw from its seed and checks the recorded winners
+   * The follower/subscriber checks are not repeated: the candidates recorded as
+   * ineligible are skipped, everything else comes from the seed and the entrants
+   * @param {string} id - Giveaway ID
+   * @param {string} drawId - Draw ID
+   * @returns {Promise<Object>} { valid, expected, recorded }
+   */
+  async verify(id, drawId) {
+    const { getRandomChatter } = require("../routes/twitch");
+    const giveaway = await this.get(id);
+    const draw = giveaway.draws.find((item) => item.id === drawId);
+
+    if (!draw) {
+      throw createHttpError(404, `Draw not found: ${drawId}`);
+    }
+
+    // Replay the shuffle of the whole candidate pool with the recorded inputs
+    const order =
+      (await getRandomChatter({
+        count: draw.entrants.length,
+        chatters: draw.entrants,
+        exclude: draw.excluded,
+        excludeBroadcaster: draw.filters.excludeBroadcaster,
+        broadcasterId: draw.broadcaster_id,
+        randomInt: createSeededRandomInt(draw.seed),
+      })) || [];
+
+    const expected = order
+      .filter((chatter) => !draw.ineligible.includes(chatter.user_id))
+      .slice(0, draw.count)
+      .map((chatter) => chatter.user_id);
+    const recorded = draw.winners.map((winner) => winner.user_id);
+
+    return {
+      valid:
+        expected.length === recorded.length &&
+        expected.every((userId, index) => userId === recorded[index]),
+      expected,
+      recorded,
+    };
+  }
+}
+
+// Singleton instance of the giveaway manager
+const giveawayManager = new GiveawayManager();
+
+module.exports = {
+  GIVEAWAY_MODES,
+  createSeededRandomInt,
+  loadGiveaways,
+  saveGiveaways,
+  giveawayManager,
+};
@@ -0,0 +1,267 @@
+/**
+ * Cache of Helix GET responses
+ *
+ * - Per-endpoint TTLs: only the endpoints listed in the TTLs are cached, their answers don't
+ *   depend on the account making the request
+ * - Request coalescing: concurrent identical requests share a single upstream call
+ * - Stale on error: once an entry expires, it is still served for HELIX_CACHE_STALE_SECONDS
+ *   if Twitch fails (5xx, 429 or network error), until a request revalidates it
+ */
+
+// Seconds each Helix endpoint is cached, HELIX_CACHE_TTLS overrides them
+// e.g. HELIX_CACHE_TTLS="/clips=120,/users=86400,/streams=off"
+const DEFAULT_CACHE_TTLS = {
+  "/clips": 5 * 60,
+  "/users": 6 * 60 * 60,
+  "/channels": 10 * 60,
+  "/streams": 60,
+  "/games": 24 * 60 * 60,
+};
+
+// Seconds an expired entry can still be served while Twitch errors
+const DEFAULT_STALE_SECONDS = 60 * 60;
+
+// Maximum number of cached responses, the least recently used are evicted first
+const DEFAULT_MAX_ENTRIES = 500;
+
+/**
+ * Tells whether a Helix failure is on Twitch's side, so a stale entry can be served instead
+ * @param {Error} error - Error thrown by the Helix client
+ * @returns {boolean}
+ */
+const isUpstreamError = (error) =>
+  !error.statusCode || error.statusCode >= 500 || error.statusCode === 429;
+
+/**
+ * Parses HELIX_CACHE_TTLS, merged over the default TTLs
+ * @returns {Object} TTL in seconds keyed by endpoint, 0 for endpoints not cached
+ * @throws {Error} Throws on an invalid entry
+ */
+const getCacheTtls = () => {
+  const ttls = { ...DEFAULT_CACHE_TTLS };
+
+  (process.env.HELIX_CACHE_TTLS || "")
+    .split(",")
+    .map((entry) => entry.trim())
+    .filter(Boolean)
+    .forEach((entry) => {
+      const [endpoint, value = ""] = entry
+        .split("=")
+        .map((part) => part.trim());
+      const ttl = value.toLowerCase() === "off" ? 0 : Number(value);
+
+      if (!endpoint.startsWith("/") || !Number.isInteger(ttl) || ttl < 0) {
+        throw new Error(
+          `Invalid HELIX_CACHE_TTLS entry: ${entry}. Use "<endpoint>=<seconds>" or "<endpoint>=off".`
+        );
+      }
+      ttls[endpoint] = ttl;
+    });
+
+  return ttls;
+};
+
+/**
+ * Lists the query parameters of a request as [name, value] pairs
+ * @param {Object|URLSearchParams} [params] - Query parameters
+ * @returns {Array<Array<string>>}
+ */
+const toParamEntries = (params = {}) =>
+  (params instanceof URLSearchParams
+    ? [...params]
+    : Object.entries(params).flatMap(([name, value]) =>
+        [].concat(value).map((item) => [name, item])
+      )
+  ).filter(([, value]) => value !== undefined && value !== null);
+
+/**
+ * Builds the cache key of a request, with its parameters sorted so their order doesn't matter
+ * @param {string} url - Helix endpoint
+ * @param {Object|URLSearchParams} [params] - Query parameters
+ * @returns {string}
+ */
+const getCacheKey = (url, params) => {
+  const query = new URLSearchParams(
+    toParamEntries(params).sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0))
+  );
+  return `${url}?${query}`;
+};
+
+class HelixCache {
+  constructor() {
+    this.entries = new Map();
+    this.inflight = new Map();
+    this.ttls = null;
+    this.stats = { hits: 0, misses: 0, stale: 0, coalesced: 0 };
+  }
+
+  isEnabled() {
+    return (process.env.HELIX_CACHE || "on").toLowerCase() !== "off";
+  }
+
+  /**
+   * Returns the TTL of an endpoint in seconds, 0 if it isn't cached
+   * @param {string} url - Helix endpoint
+   * @returns {number}
+   */
+  getTtl(url) {
+    this.ttls = this.ttls || getCacheTtls();
+    return this.ttls[url.split("?")[0]] || 0;
+  }
+
+  getStaleMs() {
+    const seconds = parseInt(process.env.HELIX_CACHE_STALE_SECONDS, 10);
+    return (Number.isNaN(seconds) ? DEFAULT_STALE_SECONDS : seconds) * 1000;
+  }
+
+  getMaxEntries() {
+    return (
+      parseInt(process.env.HELIX_CACHE_MAX_ENTRIES, 10) || DEFAULT_MAX_ENTRIES
+    );
+  }
+
+  /**
+   * Copies a cached response, so callers can't modify the cached data
+   * @param {Object} entry - Cache entry
+   * @param {string} cacheStatus - "hit", "miss", "stale" or "coalesced"
+   * @returns {Object} Response with the status, headers and data of the cached one
+   */
+  toResponse(entry, cacheStatus) {
+    return {
+      status: entry.status,
+      headers: entry.headers,
+      data: structuredClone(entry.data),
+      cache: { status: cacheStatus, stored_at: entry.storedAt },
+    };
+  }
+
+  /**
+   * Stores a response, evicting the least recently used entries past the maximum
+   * @param {string} key - Cache key
+   * @param {Object} response - Axios response
+   * @param {number} ttl - TTL in seconds
+   * @returns {Object} The cache entry
+   */
+  store(key, response, ttl) {
+    const now = Date.now();
+    const entry = {
+      status: response.status,
+      headers: response.headers,
+      data: structuredClone(response.data),
+      storedAt: new Date(now).toISOString(),
+      expiresAt: now + ttl * 1000,
+    };
+
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+
+    while (this.entries.size > this.getMaxEntries()) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+    return entry;
+  }
+
+  /**
+   * Answers a Helix GET from the cache, or fetches it once for every concurrent caller
+   * @async
+   * @param {string} url - Helix endpoint
+   * @param {Object|URLSearchParams} params - Query parameters
+   * @param {Function} fetchResponse - Performs the upstream request, resolves to the axios response
+   * @returns {Promise<Object>} The response, with a cache field describing where it came from
+   * @throws {Error} Rethrows the upstream error when there is no entry to fall back on
+   */
+  async fetch(url, params, fetchResponse) {
+    const ttl = this.isEnabled() ? this.getTtl(url) : 0;
+    // Without parameters, endpoints like /users describe the user of the token
+    if (ttl === 0 || toParamEntries(params).length === 0) {
+      return fetchResponse();
+    }
+
+    const key = getCacheKey(url, params);
+    const cached = this.entries.get(key);
+
+    if (cached && cached.expiresAt > Date.now()) {
+      this.stats.hits++;
+      // Refresh its position for the least recently used eviction
+      this.entries.delete(key);
+      this.entries.set(key, cached);
+      return this.toResponse(cached, "hit");
+    }
+
+    let request = this.inflight.get(key);
+    const cacheStatus = request ? "coalesced" : "miss";
+
+    if (request) {
+      this.stats.coalesced++;
+    } else {
+      this.stats.misses++;
+      request = fetchResponse()
+        .then((response) => this.store(key, response, ttl))
+        .finally(() => this.inflight.delete(key));
+      this.inflight.set(key, request);
+    }
+
+    try {
+      return this.toResponse(await request, cacheStatus);
+    } catch (error) {
+      const staleUntil = cached && cached.expiresAt + this.getStaleMs();
+
+      if (cached && isUpstreamError(error) && staleUntil > Date.now()) {
+        this.stats.stale++;
+        console.log(
+          `⚠️  Helix ${url} failed (${error.message}), serving the response cached at ${cached.storedAt}`
+        );
+        return this.toResponse(cached, "stale");
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Removes the cached responses of an endpoint, or every cached response
+   * @param {string} [url] - Helix endpoint
+   */
+  invalidate(url) {
+    if (!url) {
+      this.entries.clear();
+      return;
+    }
+    [...this.entries.keys()]
+      .filter((key) => key.startsWith(`${url}?`))
+      .forEach((key) => this.entries.delete(key));
+  }
+
+  /**
+   * Returns the cache statistics reported by /health
+   * @returns {Object}
+   */
+  getStats() {
+    const { hits, misses, stale, coalesced } = this.stats;
+    // Stale responses are misses or coalesced requests whose upstream call failed
+    const lookups = hits + misses + coalesced;
+
+    return {
+      enabled: this.isEnabled(),
+      entries: this.entries.size,
+      hits,
+      misses,
+      stale,
+      coalesced,
+      hit_rate:
+        lookups > 0
+          ? Math.round(((hits + coalesced) / lookups) * 1000) / 1000
+          : null,
+    };
+  }
+}
+
+// Singleton instance used by the Helix client
+const helixCache = new HelixCache();
+
+module.exports = {
+  DEFAULT_CACHE_TTLS,
+  getCacheTtls,
+  getCacheKey,
+  HelixCache,
+  helixCache,
+};
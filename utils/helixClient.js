@@ -0,0 +1,368 @@
+const axios = require("axios");
+const { tokenManager } = require("./tokenStorage");
+const { createMissingScopeError } = require("../middleware/scopes");
+const { helixCache } = require("./helixCache");
+
+const HELIX_BASE_URL = "https://api.twitch.tv/helix";
+
+// Number of requests kept in reserve before the bucket is considered exhausted
+const RATE_LIMIT_RESERVE = 1;
+
+// Public GET endpoints that accept an app access token, used when no account is authorized
+const APP_TOKEN_ENDPOINTS = new Set([
+  "/clips",
+  "/users",
+  "/channels",
+  "/streams",
+  "/games",
+  "/games/top",
+  "/videos",
+  "/search/categories",
+  "/search/channels",
+  "/chat/badges",
+  "/chat/badges/global",
+  "/chat/emotes",
+  "/chat/emotes/global",
+  "/schedule",
+  "/teams",
+]);
+
+/**
+ * Error raised by the Helix client when Twitch answers with an error status
+ * Carries the HTTP status in statusCode so the error handler can forward it
+ */
+class HelixError extends Error {
+  constructor(message, statusCode, response = null) {
+    super(message);
+    this.name = "HelixError";
+    this.statusCode = statusCode;
+    this.response = response;
+  }
+}
+
+/**
+ * Waits the given amount of milliseconds
+ * @param {number} ms - Milliseconds to wait
+ * @returns {Promise<void>}
+ */
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Creates an empty rate limit bucket
+ * @returns {Object}
+ */
+const createBucket = () => ({
+  limit: null,
+  remaining: null,
+  resetAt: null,
+  slotQueue: Promise.resolve(),
+});
+
+/**
+ * Single entry point for every request made to the Twitch Helix API
+ * - Injects the Bearer token and Client-Id headers, from the user session or an app access token
+ * - Tracks the Ratelimit-* headers and queues requests before the bucket is exhausted
+ * - Refreshes the access token and retries once when Twitch answers 401, or answers 403 naming
+ *   the missing scope when the 401 is caused by one
+ * - Waits for the bucket reset and retries once when Twitch answers 429
+ * - Answers GET requests of cacheable endpoints from the Helix cache (see helixCache.js)
+ *
+ * Requests use the user token of the acting account (see tokenManager.runAs) unless their
+ * config sets tokenType: "app" or another account with userId. Public endpoints (APP_TOKEN_ENDPOINTS)
+ * fall back to the app access token when the account has no token and a client secret is set.
+ * Twitch keeps a separate rate limit bucket per token, so each account and the app have their own.
+ */
+class HelixClient {
+  constructor() {
+    this.http = axios.create({ baseURL: HELIX_BASE_URL });
+    this.buckets = new Map();
+    this.refreshPromises = new Map();
+  }
+
+  /**
+   * Returns the rate limit bucket of a token, creating it on first use
+   * @param {string} tokenType - "user" or "app"
+   * @param {string|null} userId - Account of the user token
+   * @returns {Object}
+   */
+  getBucket(tokenType, userId) {
+    const key = tokenType === "app" ? "app" : `user:${userId}`;
+
+    if (!this.buckets.has(key)) {
+      this.buckets.set(key, createBucket());
+    }
+    return this.buckets.get(key);
+  }
+
+  /**
+   * Selects the token of a request whose config didn't set tokenType
+   * @param {Object} config - Axios request config
+   * @param {string|null} userId - Account whose user token would be used
+   * @returns {string} "user" or "app"
+   */
+  resolveTokenType({ method = "get", url = "" }, userId) {
+    const isPublic =
+      method.toLowerCase() === "get" &&
+      APP_TOKEN_ENDPOINTS.has(url.split("?")[0]);
+
+    if (
+      isPublic &&
+      !tokenManager.getTokens(userId) &&
+      process.env.TWITCH_CLIENT_SECRET
+    ) {
+      return "app";
+    }
+    return "user";
+  }
+
+  /**
+   * Builds the authentication headers for the given token type
+   * @async
+   * @param {string} tokenType - "user" for an account token, "app" for an app access token
+   * @param {string|null} userId - Account whose user token is used
+   * @returns {Promise<Object>} Headers for a Helix request
+   * @throws {HelixError} Throws if there is no access token available (503 while no account is authorized)
+   */
+  async getAuthHeaders(tokenType, userId) {
+    let accessToken;
+
+    if (tokenType === "app") {
+      // Required lazily to avoid a circular dependency with the Twitch routes
+      const { getAppAccessToken } = require("../routes/twitch");
+      accessToken = await getAppAccessToken();
+    } else {
+      const tokens = tokenManager.getTokens(userId);
+
+      if (!tokens) {
+        // The server runs unauthenticated until an account is authorized
+        if (tokenManager.listAccounts().length === 0) {
+          throw new HelixError(
+            "Twitch is not authenticated yet. Authorize an account with POST /auth/device and follow GET /auth/status.",
+            503
+          );
+        }
+        throw new HelixError(
+          "No access token available. Please authenticate first.",
+          401
+        );
+      }
+      accessToken = tokens.access_token;
+    }
+
+    return {
+      Authorization: `Bearer ${accessToken}`,
+      "Client-Id": process.env.TWITCH_CLIENT_ID,
+    };
+  }
+
+  /**
+   * Updates the known rate limit state from a Helix response
+   * @param {Object} bucket - Rate limit bucket of the token used
+   * @param {Object} headers - Response headers
+   */
+  updateRateLimit(bucket, headers = {}) {
+    const limit = parseInt(headers["ratelimit-limit"], 10);
+    const remaining = parseInt(headers["ratelimit-remaining"], 10);
+    const reset = parseInt(headers["ratelimit-reset"], 10);
+
+    if (!Number.isNaN(limit)) bucket.limit = limit;
+    if (!Number.isNaN(remaining)) bucket.remaining = remaining;
+    if (!Number.isNaN(reset)) bucket.resetAt = reset * 1000;
+  }
+
+  /**
+   * Milliseconds until the rate limit bucket is refilled
+   * @param {Object} bucket - Rate limit bucket
+   * @returns {number}
+   */
+  msUntilReset(bucket) {
+    if (!bucket.resetAt) return 0;
+    return Math.max(0, bucket.resetAt - Date.now());
+  }
+
+  /**
+   * Reserves a slot in the rate limit bucket, waiting for the reset when it is nearly empty
+   * Slots are handed out in order so queued requests keep their arrival order
+   * @param {Object} bucket - Rate limit bucket
+   * @returns {Promise<void>}
+   */
+  acquireSlot(bucket) {
+    const slot = bucket.slotQueue.then(async () => {
+      const { remaining } = bucket;
+      const waitMs = this.msUntilReset(bucket);
+
+      if (remaining !== null && remaining <= RATE_LIMIT_RESERVE && waitMs > 0) {
+        console.log(
+          `⏳  Helix rate limit nearly exhausted, queuing request for ${Math.ceil(
+            waitMs / 1000
+          )}s`
+        );
+        await sleep(waitMs);
+        bucket.remaining = bucket.limit;
+        bucket.resetAt = null;
+      }
+
+      if (bucket.remaining !== null) bucket.remaining--;
+    });
+
+    bucket.slotQueue = slot.catch(() => {});
+    return slot;
+  }
+
+  /**
+   * Refreshes the given token, sharing a single refresh per account between concurrent 401s
+   * @param {string} tokenType - "user" or "app"
+   * @param {string|null} userId - Account of the user token
+   * @returns {Promise<*>} The refreshed token
+   */
+  refreshToken(tokenType, userId) {
+    // Required lazily to avoid a circular dependency with the Twitch routes
+    const { refreshSession, getAppAccessToken } = require("../routes/twitch");
+
+    if (tokenType === "app") {
+      return getAppAccessToken(true);
+    }
+
+    if (!this.refreshPromises.has(userId)) {
+      this.refreshPromises.set(
+        userId,
+        refreshSession(userId).finally(() => {
+          this.refreshPromises.delete(userId);
+        })
+      );
+    }
+    return this.refreshPromises.get(userId);
+  }
+
+  /**
+   * Performs a request against the Helix API
+   * @async
+   * @param {Object} config - Axios request config (method, url, params, data) plus an optional tokenType and userId
+   *   (tokenType defaults to the user token, or the app token for public endpoints, see resolveTokenType)
+   * @param {Object} [retries] - Internal flags marking which retries were already used
+   * @returns {Promise<Object>} The axios response
+   * @throws {HelixError} Throws if Twitch answers with an error status
+   */
+  async request(config, retries = { auth: false, rateLimit: false }) {
+    const {
+      tokenType: requestedTokenType,
+      userId = tokenManager.getActingUserId(),
+      ...axiosConfig
+    } = config;
+    const tokenType =
+      requestedTokenType || this.resolveTokenType(axiosConfig, userId);
+
+    const bucket = this.getBucket(tokenType, userId);
+
+    await this.acquireSlot(bucket);
+    const authHeaders = await this.getAuthHeaders(tokenType, userId);
+
+    try {
+      const response = await this.http.request({
+        ...axiosConfig,
+        headers: { ...axiosConfig.headers, ...authHeaders },
+      });
+
+      this.updateRateLimit(bucket, response.headers);
+      return response;
+    } catch (error) {
+      const status = error.response?.status;
+      this.updateRateLimit(bucket, error.response?.headers);
+
+      // Twitch answers 401 when the token lacks a scope, a refresh wouldn't add it
+      const missingScope = /^Missing scope: (.+)$/i.exec(
+        error.response?.data?.message || ""
+      );
+      if (status === 401 && missingScope) {
+        throw createMissingScopeError(
+          tokenManager.getTokens(userId),
+          missingScope[1].split(/[\s,]+/).filter(Boolean)
+        );
+      }
+
+      if (status === 401 && !retries.auth) {
+        console.log("🔄  Helix answered 401, refreshing access token...");
+        try {
+          await this.refreshToken(tokenType, userId);
+        } catch (refreshError) {
+          throw new HelixError(
+            "Twitch token is expired or invalid, please re-authenticate",
+            401,
+            error.response
+          );
+        }
+        return this.request(
+          { ...config, tokenType, userId },
+          { ...retries, auth: true }
+        );
+      }
+
+      if (status === 429 && !retries.rateLimit) {
+        const waitMs = this.msUntilReset(bucket);
+        console.log(
+          `⏳  Helix rate limit exceeded, retrying in ${Math.ceil(
+            waitMs / 1000
+          )}s`
+        );
+        await sleep(waitMs);
+        return this.request(
+          { ...config, tokenType, userId },
+          { ...retries, rateLimit: true }
+        );
+      }
+
+      const helixError = new HelixError(
+        error.response?.data?.message || error.message,
+        status || 500,
+        error.response
+      );
+
+      if (status === 429) {
+        helixError.retryAfter = Math.ceil(this.msUntilReset(bucket) / 1000);
+      }
+
+      throw helixError;
+    }
+  }
+
+  /**
+   * Performs a GET request, answered from the cache for cacheable endpoints
+   * @param {string} url - Helix endpoint
+   * @param {Object} [params] - Query parameters
+   * @param {Object} [config] - Request config, cache: false skips the cache
+   * @returns {Promise<Object>} The axios response, with a cache field when it went through the cache
+   */
+  get(url, params, { cache = true, ...config } = {}) {
+    const fetchResponse = () =>
+      this.request({ ...config, method: "get", url, params });
+
+    return cache
+      ? helixCache.fetch(url, params, fetchResponse)
+      : fetchResponse();
+  }
+
+  post(url, data, params, config = {}) {
+    return this.request({ ...config, method: "post", url, data, params });
+  }
+
+  patch(url, data, params, config = {}) {
+    return this.request({ ...config, method: "patch", url, data, params });
+  }
+
+  put(url, data, params, config = {}) {
+    return this.request({ ...config, method: "put", url, data, params });
+  }
+
+  delete(url, params, config = {}) {
+    return this.request({ ...config, method: "delete", url, params });
+  }
+}
+
+// Singleton instance shared by every module talking to Helix
+const helixClient = new HelixClient();
+
+module.exports = {
+  HelixClient,
+  HelixError,
+  helixClient,
+};
@@ -0,0 +1,156 @@
+/**
+ * Parser for Twitch IRC messages with IRCv3 tags
+ * Follows the message format documented at https://dev.twitch.tv/docs/irc
+ */
+
+// Escaped characters of IRCv3 tag values
+const TAG_ESCAPES = {
+  ":": ";",
+  s: " ",
+  "\\": "\\",
+  r: "\r",
+  n: "\n",
+};
+
+/**
+ * Unescapes an IRCv3 tag value
+ * @param {string} value - Raw tag value
+ * @returns {string}
+ */
+const unescapeTagValue = (value) =>
+  value.replace(/\\(.?)/g, (_match, char) =>
+    char in TAG_ESCAPES ? TAG_ESCAPES[char] : char
+  );
+
+/**
+ * Parses the tags section of a message
+ * @param {string} raw - Tags without the leading "@" (e.g. "badges=moderator/1;color=#FF0000")
+ * @returns {Object} Tag values keyed by name
+ */
+const parseTags = (raw) =>
+  Object.fromEntries(
+    raw.split(";").map((tag) => {
+      const [key, ...value] = tag.split("=");
+      return [key, unescapeTagValue(value.join("="))];
+    })
+  );
+
+/**
+ * Parses a badges tag
+ * @param {string} value - Tag value (e.g. "broadcaster/1,subscriber/12")
+ * @returns {Object} Badge versions keyed by badge name
+ */
+const parseBadges = (value) =>
+  Object.fromEntries(
+    (value || "")
+      .split(",")
+      .filter(Boolean)
+      .map((badge) => badge.split("/"))
+  );
+
+/**
+ * Parses an emotes tag
+ * @param {string} value - Tag value (e.g. "25:0-4,12-16/1902:6-10")
+ * @returns {Array<Object>} Emotes with their positions ({ id, start, end })
+ */
+const parseEmotes = (value) =>
+  (value || "")
+    .split("/")
+    .filter(Boolean)
+    .flatMap((emote) => {
+      const [id, positions] = emote.split(":");
+      return positions.split(",").map((position) => {
+        const [start, end] = position.split("-").map(Number);
+        return { id, start, end };
+      });
+    })
+    .sort((a, b) => a.start - b.start);
+
+/**
+ * Parses a raw IRC line
+ * @param {string} line - IRC line without the trailing CRLF
+ * @returns {Object} { tags, prefix, nick, command, params, trailing }
+ */
+const parseIrcMessage = (line) => {
+  let rest = line;
+  let tags = {};
+  let prefix = null;
+
+  if (rest.startsWith("@")) {
+    const end = rest.indexOf(" ");
+    tags = parseTags(rest.slice(1, end));
+    rest = rest.slice(end + 1);
+  }
+
+  if (rest.startsWith(":")) {
+    const end = rest.indexOf(" ");
+    prefix = rest.slice(1, end);
+    rest = rest.slice(end + 1);
+  }
+
+  let trailing = null;
+  const trailingStart = rest.indexOf(" :");
+  if (trailingStart !== -1) {
+    trailing = rest.slice(trailingStart + 2);
+    rest = rest.slice(0, trailingStart);
+  }
+
+  const [command, ...params] = rest.split(" ").filter(Boolean);
+
+  return {
+    tags,
+    prefix,
+    nick: prefix && prefix.includes("!") ? prefix.split("!")[0] : null,
+    command,
+    params,
+    trailing,
+  };
+};
+
+/**
+ * Builds a chat message from a parsed PRIVMSG
+ * @param {Object} parsed - Result of parseIrcMessage for a PRIVMSG
+ * @returns {Object} Chat message with its author, badges, emotes, bits and reply parent
+ */
+const toChatMessage = ({ tags, nick, params, trailing }) => {
+  let text = trailing || "";
+
+  // /me messages are wrapped in a CTCP ACTION
+  const actionMatch = text.match(/^\u0001ACTION (.*)\u0001$/);
+  if (actionMatch) text = actionMatch[1];
+
+  return {
+    id: tags.id || null,
+    channel: params[0].replace(/^#/, ""),
+    user_id: tags["user-id"] || null,
+    user_login: nick,
+    user_name: tags["display-name"] || nick,
+    text,
+    is_action: Boolean(actionMatch),
+    badges: parseBadges(tags.badges),
+    emotes: parseEmotes(tags.emotes),
+    bits: tags.bits ? parseInt(tags.bits, 10) : 0,
+    color: tags.color || null,
+    reply_parent: tags["reply-parent-msg-id"]
+      ? {
+          message_id: tags["reply-parent-msg-id"],
+          user_id: tags["reply-parent-user-id"],
+          user_login: tags["reply-parent-user-login"],
+          user_name: tags["reply-parent-display-name"],
+          text: tags["reply-parent-msg-body"],
+        }
+      : null,
+    timestamp: tags["tmi-sent-ts"]
+      ? new Date(parseInt(tags["tmi-sent-ts"], 10)).toISOString()
+      : new Date().toISOString(),
+    tags,
+  };
+};
+
+module.exports = {
+  parseIrcMessage,
+  parseTags,
+  parseBadges,
+  parseEmotes,
+  toChatMessage,
+};
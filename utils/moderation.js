@@ -0,0 +1,535 @@
+const fs = require("fs").promises;
+const crypto = require("crypto");
+const path = require("path");
+const { helixClient } = require("./helixClient");
+const { createHttpError } = require("../middleware/errorHandler");
+
+// File to store the moderation audit log, next to the .tokens file
+const MODERATION_AUDIT_FILE = path.join(
+  __dirname,
+  "..",
+  ".moderation-audit.json"
+);
+
+// Number of audit entries kept, the oldest are dropped first
+const MAX_AUDIT_ENTRIES = 5000;
+
+// Longest timeout accepted by Twitch: two weeks
+const MAX_TIMEOUT_SECONDS = 1209600;
+
+// Longest ban or timeout reason accepted by Twitch
+const MAX_REASON_LENGTH = 500;
+
+// Maximum number of users handled by a single bulk request
+const MAX_BULK_TARGETS = 100;
+
+const BULK_ACTIONS = ["ban", "timeout", "unban"];
+
+// Chat settings that can be updated, see PATCH /helix/chat/settings
+const CHAT_SETTINGS_FIELDS = [
+  "emote_mode",
+  "follower_mode",
+  "follower_mode_duration",
+  "non_moderator_chat_delay",
+  "non_moderator_chat_delay_duration",
+  "slow_mode",
+  "slow_mode_wait_time",
+  "subscriber_mode",
+  "unique_chat_mode",
+];
+
+/**
+ * Returns the broadcaster and moderator the actions are taken on and as
+ * @async
+ * @param {string} [channelId] - Broadcaster ID of another channel the moderator moderates
+ * @returns {Promise<Object>} { broadcaster_id, moderator_id } Helix query parameters
+ * @throws {Error} Throws if the channel isn't configured
+ */
+const getModerationParams = async (channelId) => {
+  // Required lazily to avoid a circular dependency with the Twitch routes
+  const { getChannelIds } = require("../routes/twitch");
+  const { broadcasterId, moderatorId } = await getChannelIds();
+
+  if (!(channelId || broadcasterId) || !moderatorId) {
+    throw new Error(
+      "TWITCH_BROADCASTER_ID and TWITCH_MODERATOR_ID must be set in environment variables."
+    );
+  }
+  return {
+    broadcaster_id: channelId || broadcasterId,
+    moderator_id: moderatorId,
+  };
+};
+
+/**
+ * Resolves the user targeted by an action
+ * @async
+ * @param {Object} target - Targeted user
+ * @param {string} [target.user_id] - User ID
+ * @param {string} [target.login] - Login name, used when there is no user_id
+ * @returns {Promise<Object>} { user_id, login }
+ * @throws {Error} Throws a 400 error without user_id nor login, or a 404 error if the login doesn't exist
+ */
+const resolveTarget = async ({ user_id, login } = {}) => {
+  if (user_id) return { user_id: String(user_id), login: login || null };
+
+  if (!login) {
+    throw createHttpError(400, "A user_id or login is required.");
+  }
+
+  const { getUserIdByLogin } = require("../routes/twitch");
+  return { user_id: await getUserIdByLogin(login), login };
+};
+
+/**
+ * Checks the reason and duration of a ban or timeout
+ * @param {Object} options - Ban options
+ * @param {number} [options.duration] - Timeout in seconds, none for a permanent ban
+ * @param {string} [options.reason] - Reason shown to moderators
+ * @returns {Object} { duration, reason } with the duration as a number
+ * @throws {Error} Throws a 400 error on an invalid duration or reason
+ */
+const validateBanOptions = ({ duration, reason = "" }) => {
+  const seconds =
+    duration === undefined || duration === null || duration === ""
+      ? undefined
+      : Number(duration);
+
+  if (
+    seconds !== undefined &&
+    (!Number.isInteger(seconds) || seconds < 1 || seconds > MAX_TIMEOUT_SECONDS)
+  ) {
+    throw createHttpError(
+      400,
+      `Invalid duration value: ${duration}. It must be between 1 and ${MAX_TIMEOUT_SECONDS} seconds.`
+    );
+  }
+  if (String(reason).length > MAX_REASON_LENGTH) {
+    throw createHttpError(
+      400,
+      `The reason is too long, the maximum is ${MAX_REASON_LENGTH} characters.`
+    );
+  }
+  return { duration: seconds, reason: String(reason) };
+};
+
+/**
+ * Bans a user, or times them out when a duration is given
+ * Requires the moderator:manage:banned_users scope
+ * @async
+ * @param {string} userId - Targeted user ID
+ * @param {Object} [options] - Ban options, see validateBanOptions
+ * @param {string} [options.broadcasterId] - Channel to ban from (default: the acting channel)
+ * @returns {Promise<Object>} The ban returned by Twitch (user_id, created_at, end_time...)
+ */
+const banUser = async (userId, options = {}) => {
+  const { duration, reason } = validateBanOptions(options);
+
+  const response = await helixClient.post(
+    "/moderation/bans",
+    {
+      data: {
+        user_id: userId,
+        ...(duration && { duration }),
+        reason,
+      },
+    },
+    await getModerationParams(options.broadcasterId)
+  );
+  return response.data.data[0];
+};
+
+/**
+ * Removes the ban or timeout of a user
+ * Requires the moderator:manage:banned_users scope
+ * @async
+ * @param {string} userId - Targeted user ID
+ * @param {Object} [options] - Unban options
+ * @param {string} [options.broadcasterId] - Channel to unban from (default: the acting channel)
+ * @returns {Promise<void>}
+ */
+const unbanUser = async (userId, { broadcasterId } = {}) => {
+  await helixClient.delete("/moderation/bans", {
+    ...(await getModerationParams(broadcasterId)),
+    user_id: userId,
+  });
+};
+
+/**
+ * Deletes a chat message
+ * Requires the moderator:manage:chat_messages scope
+ * @async
+ * @param {string} messageId - ID of the message (the id tag of the chat message)
+ * @param {Object} [options] - Delete options
+ * @param {string} [options.broadcasterId] - Channel of the message (default: the acting channel)
+ * @returns {Promise<void>}
+ */
+const deleteChatMessage = async (messageId, { broadcasterId } = {}) => {
+  await helixClient.delete("/moderation/chat", {
+    ...(await getModerationParams(broadcasterId)),
+    message_id: messageId,
+  });
+};
+
+/**
+ * Fetches the chat settings of the channel
+ * @async
+ * @returns {Promise<Object>} The Helix chat settings
+ */
+const getChatSettings = async () => {
+  const { broadcaster_id } = await getModerationParams();
+  const response = await helixClient.get("/chat/settings", { broadcaster_id });
+  return response.data.data[0];
+};
+
+/**
+ * Checks that chat settings only contain fields Twitch can update
+ * @param {Object} settings - Chat settings to update
+ * @returns {Object} The settings
+ * @throws {Error} Throws a 400 error without settings or with unknown fields
+ */
+const validateChatSettings = (settings = {}) => {
+  const fields = Object.keys(settings);
+  const unknown = fields.filter(
+    (field) => !CHAT_SETTINGS_FIELDS.includes(field)
+  );
+
+  if (fields.length === 0) {
+    throw createHttpError(400, "At least one chat setting is required.");
+  }
+  if (unknown.length > 0) {
+    throw createHttpError(
+      400,
+      `Invalid chat settings: ${unknown.join(
+        ", "
+      )}. Valid options are: ${CHAT_SETTINGS_FIELDS.join(", ")}.`
+    );
+  }
+  return settings;
+};
+
+/**
+ * Updates the chat settings of the channel, only the given fields are changed
+ * Requires the moderator:manage:chat_settings scope
+ * @async
+ * @param {Object} settings - Fields of CHAT_SETTINGS_FIELDS (e.g. { slow_mode: true, slow_mode_wait_time: 10 })
+ * @returns {Promise<Object>} The updated chat settings
+ */
+const updateChatSettings = async (settings) => {
+  const response = await helixClient.patch(
+    "/chat/settings",
+    validateChatSettings(settings),
+    await getModerationParams()
+  );
+  return response.data.data[0];
+};
+
+/**
+ * Fetches the shield mode status of the channel
+ * Requires the moderator:read:shield_mode or moderator:manage:shield_mode scope
+ * @async
+ * @returns {Promise<Object>} { is_active, moderator_id, moderator_login, last_activated_at... }
+ */
+const getShieldMode = async () => {
+  const response = await helixClient.get(
+    "/moderation/shield_mode",
+    await getModerationParams()
+  );
+  return response.data.data[0];
+};
+
+/**
+ * Activates or deactivates shield mode
+ * Requires the moderator:manage:shield_mode scope
+ * @async
+ * @param {boolean} isActive - Whether shield mode is active
+ * @returns {Promise<Object>} The updated shield mode status
+ */
+const setShieldMode = async (isActive) => {
+  const response = await helixClient.put(
+    "/moderation/shield_mode",
+    { is_active: isActive },
+    await getModerationParams()
+  );
+  return response.data.data[0];
+};
+
+/**
+ * Loads the moderation audit log from disk
+ * @returns {Promise<Array>} - Stored entries or an empty list if not found
+ */
+async function loadAuditLog() {
+  try {
+    const data = await fs.readFile(MODERATION_AUDIT_FILE, "utf8");
+    return JSON.parse(data);
+  } catch (error) {
+    if (error.code !== "ENOENT") {
+      console.error("❌ Error loading moderation audit log:", error.message);
+    }
+    return [];
+  }
+}
+
+/**
+ * Saves the moderation audit log to disk
+ * Writes to a temporary file first so a crash never leaves a truncated log
+ * @param {Array} entries - Entries to store
+ * @returns {Promise<void>}
+ */
+async function saveAuditLog(entries) {
+  const tempFile = `${MODERATION_AUDIT_FILE}.tmp`;
+  await fs.writeFile(tempFile, JSON.stringify(entries, null, 2), "utf8");
+  await fs.rename(tempFile, MODERATION_AUDIT_FILE);
+}
+
+/**
+ * Records every moderation action taken through the wrapper: what was done, to whom,
+ * who triggered it (API key and IP) and whether Twitch accepted it
+ */
+class ModerationAuditLog {
+  constructor() {
+    this.entries = [];
+    this.isLoaded = false;
+    this.loading = null;
+    this.writeQueue = Promise.resolve();
+  }
+
+  async initialize() {
+    if (!this.isLoaded) {
+      // Concurrent actions must all wait for the same load, or they would overwrite each other
+      this.loading =
+        this.loading ||
+        loadAuditLog().then((entries) => {
+          this.entries = entries;
+          this.isLoaded = true;
+        });
+      await this.loading;
+    }
+    return this.entries;
+  }
+
+  /**
+   * Persists the current entries, serializing concurrent writes
+   * @returns {Promise<void>}
+   */
+  persist() {
+    const snapshot = JSON.parse(JSON.stringify(this.entries));
+    this.writeQueue = this.writeQueue
+      .catch(() => {})
+      .then(() => saveAuditLog(snapshot));
+    return this.writeQueue;
+  }
+
+  /**
+   * Runs a moderation action and records its outcome, the action error is rethrown
+   * @async
+   * @param {Object} action - Action to record
+   * @param {string} action.action - "ban", "timeout", "unban", "delete_message", "update_chat_settings" or "shield_mode"
+   * @param {Object} action.actor - Who triggered it: { api_key, ip, account }
+   * @param {Object} [action.target] - Targeted user ({ user_id, login }) or message ({ message_id })
+   * @param {Object} [action.details] - Action parameters (duration, reason, settings...)
+   * @param {string} [action.bulkId] - ID of the bulk request the action belongs to
+   * @param {string} [action.broadcasterId] - Channel of the action (default: the acting channel)
+   * @param {Function} run - Performs the action
+   * @returns {Promise<*>} The result of run
+   */
+  async track(
+    { action, actor, target = null, details = {}, bulkId, broadcasterId },
+    run
+  ) {
+    await this.initialize();
+    // Recorded even when the channel isn't configured, the action then fails with it
+    const channel = await getModerationParams(broadcasterId).catch(() => null);
+
+    const entry = {
+      id: crypto.randomUUID(),
+      timestamp: new Date().toISOString(),
+      action,
+      target,
+      details,
+      ...(bulkId && { bulk_id: bulkId }),
+      broadcaster_id: channel?.broadcaster_id || null,
+      moderator_id: channel?.moderator_id || null,
+      triggered_by: actor,
+      status: "succeeded",
+    };
+
+    try {
+      return await run();
+    } catch (error) {
+      entry.status = "failed";
+      entry.error = error.message;
+      throw error;
+    } finally {
+      this.entries.push(entry);
+      if (this.entries.length > MAX_AUDIT_ENTRIES) {
+        this.entries.splice(0, this.entries.length - MAX_AUDIT_ENTRIES);
+      }
+      await this.persist().catch((error) =>
+        console.error("❌ Error saving moderation audit log:", error.message)
+      );
+    }
+  }
+
+  /**
+   * Lists audit entries, most recent first
+   * @param {Object} [filters] - Entry filters
+   * @param {string} [filters.action] - Only entries of this action
+   * @param {string} [filters.user] - Only entries targeting this user ID or login
+   * @param {string} [filters.apiKeyId] - Only entries triggered with this API key
+   * @param {number} [filters.limit=50] - Maximum number of entries
+   * @returns {Promise<Array>}
+   */
+  async list({ action, user, apiKeyId, limit = 50 } = {}) {
+    await this.initialize();
+    const login = user?.toLowerCase();
+
+    return this.entries
+      .filter(
+        (entry) =>
+          (!action || entry.action === action) &&
+          (!user ||
+            entry.target?.user_id === user ||
+            entry.target?.login?.toLowerCase() === login) &&
+          (!apiKeyId || entry.triggered_by?.api_key?.id === apiKeyId)
+      )
+      .slice(-limit)
+      .reverse();
+  }
+}
+
+// Singleton instance of the moderation audit log
+const moderationAudit = new ModerationAuditLog();
+
+/**
+ * Bans, times out or unbans a list of users, for example the accounts of a hate raid
+ * Logins are resolved in a single lookup and every action is recorded with the same bulk ID.
+ * A failure doesn't stop the other users, each one gets its own result.
+ * @async
+ * @param {Object} options - Bulk options
+ * @param {string} options.action - One of BULK_ACTIONS
+ * @param {Array<string|Object>} options.targets - User IDs, logins or { user_id } / { login } objects
+ * @param {number} [options.duration] - Timeout in seconds (required for "timeout")
+ * @param {string} [options.reason] - Ban or timeout reason
+ * @param {Object} actor - Who triggered it, see ModerationAuditLog.track
+ * @returns {Promise<Object>} { bulk_id, succeeded, failed, results }
+ * @throws {Error} Throws a 400 error on an invalid action, target list or option
+ */
+const runBulkAction = async ({ action, targets, duration, reason }, actor) => {
+  if (!BULK_ACTIONS.includes(action)) {
+    throw createHttpError(
+      400,
+      `Invalid action value: ${action}. Valid options are: ${BULK_ACTIONS.join(
+        ", "
+      )}.`
+    );
+  }
+  if (!Array.isArray(targets) || targets.length === 0) {
+    throw createHttpError(400, "targets must be a non-empty list of users.");
+  }
+  if (targets.length > MAX_BULK_TARGETS) {
+    throw createHttpError(
+      400,
+      `Too many targets: ${targets.length}. The maximum is ${MAX_BULK_TARGETS}.`
+    );
+  }
+  const invalidTarget = targets.findIndex(
+    (target) =>
+      !["string", "number", "object"].includes(typeof target) ||
+      target === null ||
+      Array.isArray(target)
+  );
+  if (invalidTarget !== -1) {
+    throw createHttpError(
+      400,
+      `Invalid target at index ${invalidTarget}. It must be a user ID, a login or a { user_id } / { login } object.`
+    );
+  }
+  if (action === "timeout" && !duration) {
+    throw createHttpError(400, "A duration is required to time users out.");
+  }
+
+  const options =
+    action === "unban"
+      ? {}
+      : validateBanOptions({
+          duration: action === "ban" ? undefined : duration,
+          reason,
+        });
+
+  const users = targets.map((target) =>
+    typeof target === "object"
+      ? { user_id: target.user_id || null, login: target.login || null }
+      : /^\d+$/.test(String(target))
+      ? { user_id: String(target), login: null }
+      : { user_id: null, login: String(target) }
+  );
+
+  // Resolve every login in a single Helix request
+  const logins = users.filter((user) => !user.user_id && user.login);
+  if (logins.length > 0) {
+    const { getUsers } = require("../routes/twitch");
+    const { users: found } = await getUsers({
+      logins: logins.map((user) => user.login),
+    });
+    logins.forEach((user) => {
+      user.user_id =
+        found.find((item) => item.login === user.login.toLowerCase())?.id ||
+        null;
+    });
+  }
+
+  const bulkId = crypto.randomUUID();
+  const results = [];
+
+  for (const user of users) {
+    if (!user.user_id) {
+      results.push({
+        ...user,
+        status: "failed",
+        error: user.login
+          ? `Twitch user not found: ${user.login}`
+          : "A user_id or login is required.",
+      });
+      continue;
+    }
+
+    try {
+      await moderationAudit.track(
+        { action, actor, target: user, details: options, bulkId },
+        () =>
+          action === "unban"
+            ? unbanUser(user.user_id)
+            : banUser(user.user_id, options)
+      );
+      results.push({ ...user, status: "succeeded" });
+    } catch (error) {
+      results.push({ ...user, status: "failed", error: error.message });
+    }
+  }
+
+  return {
+    bulk_id: bulkId,
+    succeeded: results.filter((result) => result.status === "succeeded").length,
+    failed: results.filter((result) => result.status === "failed").length,
+    results,
+  };
+};
+
+module.exports = {
+  BULK_ACTIONS,
+  CHAT_SETTINGS_FIELDS,
+  MAX_BULK_TARGETS,
+  resolveTarget,
+  validateBanOptions,
+  validateChatSettings,
+  banUser,
+  unbanUser,
+  deleteChatMessage,
+  getChatSettings,
+  updateChatSettings,
+  getShieldMode,
+  setShieldMode,
+  runBulkAction,
+  moderationAudit,
+};
@@ -0,0 +1,426 @@
+const { helixClient } = require("./helixClient");
+const { createHttpError } = require("../middleware/errorHandler");
+
+// Limits enforced by Twitch, checked here to answer with a clear 400
+const POLL_LIMITS = {
+  title: 60,
+  choices: { min: 2, max: 5, title: 25 },
+  duration: { min: 15, max: 1800 },
+  channelPointsPerVote: { min: 1, max: 1000000 },
+};
+const PREDICTION_LIMITS = {
+  title: 45,
+  outcomes: { min: 2, max: 10, title: 25 },
+  window: { min: 30, max: 1800 },
+};
+
+// Maximum number of polls or predictions returned per page by Twitch
+const MAX_PAGE_SIZE = 25;
+
+// Alias of the latest poll or prediction, for buttons that don't know its ID (e.g. a Stream Deck)
+const CURRENT_ID = "current";
+
+/**
+ * Returns the broadcaster whose polls and predictions are managed
+ * @async
+ * @returns {Promise<string>} Broadcaster user ID
+ * @throws {Error} Throws if the channel isn't configured
+ */
+const getBroadcasterId = async () => {
+  // Required lazily to avoid a circular dependency with the Twitch routes
+  const { getChannelIds } = require("../routes/twitch");
+  const { broadcasterId } = await getChannelIds();
+
+  if (!broadcasterId) {
+    throw new Error(
+      "TWITCH_BROADCASTER_ID must be set in environment variables."
+    );
+  }
+  return broadcasterId;
+};
+
+/**
+ * Checks a whole number option
+ * @param {string} name - Option name, for the error message
+ * @param {*} value - Option value
+ * @param {Object} range - Accepted range ({ min, max })
+ * @returns {number}
+ * @throws {Error} Throws a 400 error outside the range
+ */
+const validateRange = (name, value, { min, max }) => {
+  const number = Number(value);
+
+  if (!Number.isInteger(number) || number < min || number > max) {
+    throw createHttpError(
+      400,
+      `Invalid ${name} value: ${value}. It must be between ${min} and ${max}.`
+    );
+  }
+  return number;
+};
+
+/**
+ * Checks a title and the titles of its choices or outcomes
+ * @param {string} title - Poll or prediction title
+ * @param {Array<string|Object>} options - Choice or outcome titles, or { title } objects
+ * @param {Object} limits - { title, options: { min, max, title } } lengths
+ * @param {string} optionsName - "choices" or "outcomes", for the error messages
+ * @returns {Array<Object>} Options as { title }
+ * @throws {Error} Throws a 400 error on a missing or too long title or an invalid options list
+ */
+const validateTitles = (title, options, limits, optionsName) => {
+  if (!title || String(title).length > limits.title) {
+    throw createHttpError(
+      400,
+      `A title of at most ${limits.title} characters is required.`
+    );
+  }
+
+  const titles = Array.isArray(options)
+    ? options.map((option) => String(option?.title ?? option).trim())
+    : [];
+
+  if (
+    titles.length < limits.options.min ||
+    titles.length > limits.options.max
+  ) {
+    throw createHttpError(
+      400,
+      `Between ${limits.options.min} and ${limits.options.max} ${optionsName} are required.`
+    );
+  }
+  const invalid = titles.find(
+    (option) => !option || option.length > limits.options.title
+  );
+  if (invalid !== undefined) {
+    throw createHttpError(
+      400,
+      `Invalid ${optionsName.slice(
+        0,
+        -1
+      )}: "${invalid}". Titles must have 1 to ${
+        limits.options.title
+      } characters.`
+    );
+  }
+  return titles.map((option) => ({ title: option }));
+};
+
+/**
+ * Rounds a share of a total to a percentage with one decimal
+ * @param {number} part - Votes or points of an option
+ * @param {number} total - Votes or points of every option
+ * @returns {number}
+ */
+const toPercentage = (part, total) =>
+  total > 0 ? Math.round((part / total) * 1000) / 10 : 0;
+
+/**
+ * Adds the totals and the share of each choice to a poll
+ * @param {Object} poll - Helix poll
+ * @returns {Object} Poll with total_votes and a percentage per choice
+ */
+const withPollResults = (poll) => {
+  const totalVotes = poll.choices.reduce(
+    (total, choice) => total + choice.votes,
+    0
+  );
+
+  return {
+    ...poll,
+    total_votes: totalVotes,
+    choices: poll.choices.map((choice) => ({
+      ...choice,
+      percentage: toPercentage(choice.votes, totalVotes),
+    })),
+  };
+};
+
+/**
+ * Adds the totals and the share of each outcome to a prediction
+ * @param {Object} prediction - Helix prediction
+ * @returns {Object} Prediction with total_points, total_users and a percentage per outcome
+ */
+const withPredictionResults = (prediction) => {
+  const totalPoints = prediction.outcomes.reduce(
+    (total, outcome) => total + outcome.channel_points,
+    0
+  );
+
+  return {
+    ...prediction,
+    total_points: totalPoints,
+    total_users: prediction.outcomes.reduce(
+      (total, outcome) => total + outcome.users,
+      0
+    ),
+    outcomes: prediction.outcomes.map((outcome) => ({
+      ...outcome,
+      percentage: toPercentage(outcome.channel_points, totalPoints),
+    })),
+  };
+};
+
+/**
+ * Lists polls or predictions, most recent first
+ * @async
+ * @param {string} url - "/polls" or "/predictions"
+ * @param {Object} [options] - List options
+ * @param {Array<string>} [options.ids] - Only these IDs
+ * @param {number} [options.first=20] - Page size, at most 25
+ * @param {string} [options.cursor] - Pagination cursor from a previous response
+ * @returns {Promise<Object>} { items, cursor }
+ */
+const listItems = async (url, { ids = [], first = 20, cursor } = {}) => {
+  const params = new URLSearchParams({
+    broadcaster_id: await getBroadcasterId(),
+    first: String(
+      validateRange("first", first, { min: 1, max: MAX_PAGE_SIZE })
+    ),
+  });
+  ids.forEach((id) => params.append("id", id));
+  if (cursor) params.append("after", cursor);
+
+  const response = await helixClient.get(url, params);
+  return {
+    items: response.data.data,
+    cursor: response.data.pagination?.cursor || null,
+  };
+};
+
+/**
+ * Fetches a poll or prediction by ID, or the latest one with CURRENT_ID
+ * @async
+ * @param {string} url - "/polls" or "/predictions"
+ * @param {string} id - ID or CURRENT_ID
+ * @param {string} label - "Poll" or "Prediction", for the error message
+ * @returns {Promise<Object>} The Helix poll or prediction
+ * @throws {Error} Throws a 404 error if it doesn't exist
+ */
+const getItem = async (url, id, label) => {
+  const { items } = await listItems(url, {
+    ids: id === CURRENT_ID ? [] : [id],
+    first: 1,
+  });
+
+  if (items.length === 0) {
+    throw createHttpError(
+      404,
+      id === CURRENT_ID
+        ? `The channel has no ${label.toLowerCase()}s`
+        : `${label} not found: ${id}`
+    );
+  }
+  return items[0];
+};
+
+/**
+ * Updates the status of a poll or prediction
+ * @async
+ * @param {string} url - "/polls" or "/predictions"
+ * @param {string} id - ID
+ * @param {Object} update - { status } plus the winning_outcome_id of resolved predictions
+ * @returns {Promise<Object>} The updated Helix poll or prediction
+ */
+const updateItem = async (url, id, update) => {
+  const response = await helixClient.patch(url, {
+    broadcaster_id: await getBroadcasterId(),
+    id,
+    ...update,
+  });
+  return response.data.data[0];
+};
+
+/**
+ * Lists the polls of the channel with their results, most recent first
+ * Requires the channel:read:polls or channel:manage:polls scope
+ * @async
+ * @param {Object} [options] - See listItems
+ * @returns {Promise<Object>} { polls, cursor }
+ */
+const listPolls = async (options) => {
+  const { items, cursor } = await listItems("/polls", options);
+  return { polls: items.map(withPollResults), cursor };
+};
+
+/**
+ * Gets a poll with its results
+ * @async
+ * @param {string} id - Poll ID, or "current" for the latest poll
+ * @returns {Promise<Object>}
+ */
+const getPoll = async (id) =>
+  withPollResults(await getItem("/polls", id, "Poll"));
+
+/**
+ * Starts a poll
+ * Requires the channel:manage:polls scope
+ * @async
+ * @param {Object} options - Poll options
+ * @param {string} options.title - Question, at most 60 characters
+ * @param {Array<string|Object>} options.choices - 2 to 5 choices, at most 25 characters each
+ * @param {number} options.duration - Seconds the poll runs, from 15 to 1800
+ * @param {number} [options.channel_points_per_vote] - Enables extra votes for this many channel points
+ * @returns {Promise<Object>} The created poll
+ * @throws {Error} Throws a 400 error on invalid options
+ */
+const createPoll = async ({
+  title,
+  choices,
+  duration,
+  channel_points_per_vote,
+} = {}) => {
+  const body = {
+    broadcaster_id: await getBroadcasterId(),
+    title,
+    choices: validateTitles(
+      title,
+      choices,
+      { title: POLL_LIMITS.title, options: POLL_LIMITS.choices },
+      "choices"
+    ),
+    duration: validateRange("duration", duration, POLL_LIMITS.duration),
+  };
+
+  if (channel_points_per_vote) {
+    body.channel_points_voting_enabled = true;
+    body.channel_points_per_vote = validateRange(
+      "channel_points_per_vote",
+      channel_points_per_vote,
+      POLL_LIMITS.channelPointsPerVote
+    );
+  }
+
+  const response = await helixClient.post("/polls", body);
+  return withPollResults(response.data.data[0]);
+};
+
+/**
+ * Ends an active poll: "TERMINATED" keeps the results visible, "ARCHIVED" hides them
+ * Requires the channel:manage:polls scope
+ * @async
+ * @param {string} id - Poll ID, or "current" for the latest poll
+ * @param {string} status - "TERMINATED" or "ARCHIVED"
+ * @returns {Promise<Object>} The ended poll with its results
+ */
+const endPoll = async (id, status) => {
+  const poll = id === CURRENT_ID ? await getPoll(id) : { id };
+  return withPollResults(await updateItem("/polls", poll.id, { status }));
+};
+
+/**
+ * Lists the predictions of the channel with their results, most recent first
+ * Requires the channel:read:predictions or channel:manage:predictions scope
+ * @async
+ * @param {Object} [options] - See listItems
+ * @returns {Promise<Object>} { predictions, cursor }
+ */
+const listPredictions = async (options) => {
+  const { items, cursor } = await listItems("/predictions", options);
+  return { predictions: items.map(withPredictionResults), cursor };
+};
+
+/**
+ * Gets a prediction with its results
+ * @async
+ * @param {string} id - Prediction ID, or "current" for the latest prediction
+ * @returns {Promise<Object>}
+ */
+const getPrediction = async (id) =>
+  withPredictionResults(await getItem("/predictions", id, "Prediction"));
+
+/**
+ * Starts a prediction
+ * Requires the channel:manage:predictions scope
+ * @async
+ * @param {Object} options - Prediction options
+ * @param {string} options.title - Question, at most 45 characters
+ * @param {Array<string|Object>} options.outcomes - 2 to 10 outcomes, at most 25 characters each
+ * @param {number} options.prediction_window - Seconds viewers can predict, from 30 to 1800
+ * @returns {Promise<Object>} The created prediction
+ * @throws {Error} Throws a 400 error on invalid options
+ */
+const createPrediction = async ({
+  title,
+  outcomes,
+  prediction_window,
+} = {}) => {
+  const response = await helixClient.post("/predictions", {
+    broadcaster_id: await getBroadcasterId(),
+    title,
+    outcomes: validateTitles(
+      title,
+      outcomes,
+      { title: PREDICTION_LIMITS.title, options: PREDICTION_LIMITS.outcomes },
+      "outcomes"
+    ),
+    prediction_window: validateRange(
+      "prediction_window",
+      prediction_window,
+      PREDICTION_LIMITS.window
+    ),
+  });
+  return withPredictionResults(response.data.data[0]);
+};
+
+/**
+ * Locks, cancels (refunding every viewer) or resolves a prediction
+ * Requires the channel:manage:predictions scope
+ * @async
+ * @param {string} id - Prediction ID, or "current" for the latest prediction
+ * @param {string} status - "LOCKED", "CANCELED" or "RESOLVED"
+ * @param {Object} [winner] - Winning outcome of a resolved prediction
+ * @param {string} [winner.id] - Outcome ID
+ * @param {string|number} [winner.outcome] - Outcome title or position (1 for the first outcome)
+ * @returns {Promise<Object>} The updated prediction with its results
+ * @throws {Error} Throws a 400 error if the winning outcome isn't one of the prediction's
+ */
+const updatePrediction = async (
+  id,
+  status,
+  { id: outcomeId, outcome } = {}
+) => {
+  const needsPrediction = id === CURRENT_ID || status === "RESOLVED";
+  const prediction = needsPrediction
+    ? await getItem("/predictions", id, "Prediction")
+    : { id };
+  const update = { status };
+
+  if (status === "RESOLVED") {
+    const position = Number(outcome);
+    const winner = prediction.outcomes.find(
+      (item, index) =>
+        (outcomeId && item.id === outcomeId) ||
+        (outcome !== undefined &&
+          (item.title.toLowerCase() === String(outcome).toLowerCase() ||
+            (Number.isInteger(position) && index === position - 1)))
+    );
+
+    if (!winner) {
+      throw createHttpError(
+        400,
+        `A winning outcome is required, one of: ${prediction.outcomes
+          .map((item, index) => `${index + 1}. ${item.title} (${item.id})`)
+          .join(", ")}.`
+      );
+    }
+    update.winning_outcome_id = winner.id;
+  }
+
+  return withPredictionResults(
+    await updateItem("/predictions", prediction.id, update)
+  );
+};
+
+module.exports = {
+  CURRENT_ID,
+  MAX_PAGE_SIZE,
+  listPolls,
+  getPoll,
+  createPoll,
+  endPoll,
+  listPredictions,
+  getPrediction,
+  createPrediction,
+  updatePrediction,
+};
@@ -0,0 +1,200 @@
+/**
+ * Storage of the token buckets used to rate limit inbound requests
+ *
+ * Every store implements:
+ * - consume(key, { capacity, refillPerMs }): takes one token from the bucket of the key and
+ *   resolves to { allowed, tokens }, the tokens left after the request
+ * - close(): releases the store connection, if any
+ *
+ * A bucket starts full with capacity tokens and refills continuously at refillPerMs tokens
+ * per millisecond. The store is selected with the RATE_LIMIT_STORE env variable.
+ */
+
+// Default Redis key prefix of the buckets, stored as "<prefix>:<route>:<client>"
+const DEFAULT_REDIS_PREFIX = "twitchwrapper:ratelimit";
+
+// Time between sweeps of the memory store, removing the buckets that are full again
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+const RATE_LIMIT_STORES = ["memory", "redis"];
+
+/**
+ * Refills a bucket for the time elapsed since its last update and takes one token if possible
+ * @param {Object} bucket - { tokens, updatedAt }, or undefined for a new bucket
+ * @param {Object} limit - { capacity, refillPerMs }
+ * @param {number} now - Current time in milliseconds
+ * @returns {Object} { allowed, bucket } with the updated bucket
+ */
+const takeToken = (bucket, { capacity, refillPerMs }, now) => {
+  const elapsed = bucket ? Math.max(0, now - bucket.updatedAt) : 0;
+  let tokens = bucket
+    ? Math.min(capacity, bucket.tokens + elapsed * refillPerMs)
+    : capacity;
+
+  const allowed = tokens >= 1;
+  if (allowed) tokens -= 1;
+
+  return { allowed, bucket: { tokens, updatedAt: now } };
+};
+
+/**
+ * Keeps the buckets in process memory, each instance limits on its own
+ */
+class MemoryRateLimitStore {
+  constructor() {
+    this.buckets = new Map();
+    this.sweepTimer = null;
+  }
+
+  async consume(key, limit) {
+    const now = Date.now();
+    const { allowed, bucket } = takeToken(this.buckets.get(key), limit, now);
+
+    this.buckets.set(key, { ...bucket, ...limit });
+    this.scheduleSweep();
+
+    return { allowed, tokens: bucket.tokens };
+  }
+
+  /**
+   * Starts the periodic removal of full buckets, so idle clients don't stay in memory
+   */
+  scheduleSweep() {
+    if (this.sweepTimer) return;
+
+    this.sweepTimer = setInterval(() => {
+      const now = Date.now();
+      this.buckets.forEach((bucket, key) => {
+        const tokens =
+          bucket.tokens + (now - bucket.updatedAt) * bucket.refillPerMs;
+        if (tokens >= bucket.capacity) this.buckets.delete(key);
+      });
+    }, SWEEP_INTERVAL_MS);
+    // The sweep alone must not keep the process running
+    this.sweepTimer.unref();
+  }
+
+  close() {
+    clearInterval(this.sweepTimer);
+    this.sweepTimer = null;
+    this.buckets.clear();
+  }
+}
+
+// Refills and takes a token atomically, using the Redis clock so every instance agrees on it
+// Returns { allowed, tokens } with tokens as a string, Lua numbers are truncated to integers
+const CONSUME_SCRIPT = `
+local capacity = tonumber(ARGV[1])
+local refill_per_ms = tonumber(ARGV[2])
+local time = redis.call("TIME")
+local now = tonumber(time[1]) * 1000 + math.floor(tonumber(time[2]) / 1000)
+
+local bucket = redis.call("HMGET", KEYS[1], "tokens", "updated_at")
+local tokens = tonumber(bucket[1])
+if tokens then
+  local elapsed = math.max(0, now - tonumber(bucket[2]))
+  tokens = math.min(capacity, tokens + elapsed * refill_per_ms)
+else
+  tokens = capacity
+end
+
+local allowed = 0
+if tokens >= 1 then
+  tokens = tokens - 1
+  allowed = 1
+end
+
+redis.call("HSET", KEYS[1], "tokens", tostring(tokens), "updated_at", now)
+redis.call("PEXPIRE", KEYS[1], math.ceil((capacity - tokens) / refill_per_ms) + 1000)
+return { allowed, tostring(tokens) }`;
+
+/**
+ * Keeps the buckets in Redis (requires the ioredis package), shared by every instance
+ * connected to the same server
+ */
+class RedisRateLimitStore {
+  constructor({
+    url = process.env.REDIS_URL,
+    prefix = DEFAULT_REDIS_PREFIX,
+  } = {}) {
+    this.url = url;
+    this.prefix = prefix;
+    this.client = null;
+  }
+
+  getClient() {
+    if (this.client) return this.client;
+
+    if (!this.url) {
+      throw new Error(
+        "REDIS_URL must be set in environment variables to use the redis rate limit store."
+      );
+    }
+
+    let Redis;
+    try {
+      Redis = require("ioredis");
+    } catch (error) {
+      throw new Error(
+        'The redis rate limit store requires the "ioredis" package. Run: npm install ioredis'
+      );
+    }
+
+    this.client = new Redis(this.url);
+    this.client.on("error", (error) =>
+      console.error("❌ Redis rate limit store error:", error.message)
+    );
+    return this.client;
+  }
+
+  async consume(key, { capacity, refillPerMs }) {
+    const [allowed, tokens] = await this.getClient().eval(
+      CONSUME_SCRIPT,
+      1,
+      `${this.prefix}:${key}`,
+      capacity,
+      refillPerMs
+    );
+    return { allowed: allowed === 1, tokens: Number(tokens) };
+  }
+
+  close() {
+    if (this.client) {
+      this.client.disconnect();
+      this.client = null;
+    }
+  }
+}
+
+/**
+ * Creates the rate limit store selected by the RATE_LIMIT_STORE env variable
+ * - memory (default): buckets in process memory
+ * - redis: REDIS_URL, with the RATE_LIMIT_REDIS_PREFIX prefix (default: twitchwrapper:ratelimit)
+ * @returns {MemoryRateLimitStore|RedisRateLimitStore}
+ * @throws {Error} Throws on an unknown RATE_LIMIT_STORE value
+ */
+const createRateLimitStore = () => {
+  const type = (process.env.RATE_LIMIT_STORE || "memory").toLowerCase();
+
+  switch (type) {
+    case "memory":
+      return new MemoryRateLimitStore();
+    case "redis":
+      return new RedisRateLimitStore({
+        prefix: process.env.RATE_LIMIT_REDIS_PREFIX,
+      });
+    default:
+      throw new Error(
+        `Invalid RATE_LIMIT_STORE value: ${type}. Valid options are: ${RATE_LIMIT_STORES.join(
+          ", "
+        )}.`
+      );
+  }
+};
+
+module.exports = {
+  RATE_LIMIT_STORES,
+  MemoryRateLimitStore,
+  RedisRateLimitStore,
+  createRateLimitStore,
+};
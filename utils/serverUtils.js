@@ -1,16 +1,73 @@
 const { name, version } = require("../package.json");
-const { manageTwitchLogin } = require("../routes/twitch");
+const {
+  manageTwitchLogin,
+  checkChannelIds,
+  cancelDeviceAuthorization,
+} = require("../routes/twitch");
+const { eventSubWebSocket } = require("./eventSubWebSocket");
+const { getConfiguredTopics } = require("./eventSubTopics");
+const { chatClient, getConfiguredChannels } = require("./chatClient");
+const { giveawayManager } = require("./giveaways");
+const { redemptionQueue } = require("./channelPoints");
+const { closeTokenBackend } = require("./tokenStorage");
+const { commandRouter } = require("./chatCommands");
+const { chatFilter } = require("./chatFilters");
+const { checkRouteScopes } = require("../middleware/scopes");
+const { checkApiKeys } = require("../middleware/apiKeys");
+const { closeRateLimitStore } = require("../middleware/rateLimit");
 const net = require("net");
 
 /**
  * Function to handle server start
- * Obtains and refreshes the Twitch API access token
+ * Obtains and refreshes the Twitch API access token, and reports the routes it lacks scopes for
+ * Then connects to EventSub and chat (with its commands and filters) if they are configured
  * @param {*} port Port where the server is running
  */
 const onServerStart = async (port) => {
   logServerStart(port);
 
-  manageTwitchLogin();
+  await checkApiKeys();
+  await manageTwitchLogin();
+  checkRouteScopes();
+  await checkChannelIds();
+
+  if (getConfiguredTopics().length > 0) {
+    console.log("📡  Connecting to EventSub WebSocket...");
+    eventSubWebSocket.start();
+  }
+
+  if (getConfiguredTopics().includes("redemptions")) {
+    redemptionQueue
+      .sync()
+      .then(({ added, pending }) =>
+        console.log(
+          `🎁  Redemption queue synced: ${added} missed redemptions added, ${pending} pending`
+        )
+      )
+      .catch((error) =>
+        console.log(`⚠️  Couldn't sync the redemption queue: ${error.message}`)
+      );
+  }
+
+  const chatChannels = getConfiguredChannels();
+  if (chatChannels.length > 0) {
+    console.log("💬  Connecting to Twitch chat...");
+    chatClient.on("message", (message) =>
+      giveawayManager
+        .handleChatMessage(message)
+        .catch((error) =>
+          console.error("❌  Error handling giveaway entry:", error.message)
+        )
+    );
+    // The filter comes first, so commands skip the messages it acts on
+    chatFilter.load();
+    chatFilter.watch();
+    chatFilter.attach(chatClient);
+    commandRouter.load();
+    commandRouter.watch();
+    commandRouter.attach(chatClient, { chatFilter });
+    chatClient.start(chatChannels);
+  }
 };
 
 /**
@@ -34,18 +91,35 @@ const logServerStart = (port) => {
     "TWITCH_CLIENT_ID",
     "TWITCH_CLIENT_SECRET",
     "TWITCH_SCOPES",
+    "TWITCH_AUTH_FLOW",
+    "TWITCH_REDIRECT_URI",
+    "TOKEN_STORAGE",
+    "TWITCH_EVENTSUB_TOPICS",
+    "TWITCH_EVENTSUB_SECRET",
+    "TWITCH_EVENTSUB_CALLBACK_URL",
+    "TWITCH_CHAT_CHANNELS",
+    "TWITCH_COMMANDS_FILE",
+    "TWITCH_FILTERS_FILE",
+    "API_AUTH",
+    "CORS_ORIGINS",
+    "RATE_LIMITS",
+    "RATE_LIMIT_STORE",
+    "TRUST_PROXY",
+    "HELIX_CACHE",
+    "HELIX_CACHE_TTLS",
   ];
 
   const loadedEnvVars = envVars.filter((envVar) => process.env[envVar]);
   if (loadedEnvVars.length > 0) {
     console.log("\n📋  Environment variables status:");
     loadedEnvVars.forEach((envVar) => {
-      const value =
-        envVar.includes("SECRET") ||
-        envVar.includes("TOKEN") ||
-        envVar.includes("ID")
-          ? "🔒  SECURED"
-          : `✅  ${process.env[envVar]}`;
+      // TOKEN_STORAGE only names the storage backend, it isn't a token
+      const isSecret =
+        envVar !== "TOKEN_STORAGE" &&
+        (envVar.includes("SECRET") ||
+          envVar.includes("TOKEN") ||
+          envVar.includes("ID"));
+      const value = isSecret ? "🔒  SECURED" : `✅  ${process.env[envVar]}`;
       const varName = envVar.padEnd(19);
       const status = value.padEnd(16);
       console.log(`${varName}: ${status}`);
@@ -67,6 +141,13 @@ const onServerShutdown = () => {
 
   shutdownInProgress = true;
   console.log("\n🛑  SHUTTING DOWN SERVER");
+  cancelDeviceAuthorization();
+  eventSubWebSocket.stop();
+  chatClient.stop();
+  commandRouter.unwatch();
+  chatFilter.unwatch();
+  closeTokenBackend();
+  closeRateLimitStore();
   console.log("🔄  Graceful shutdown...");
   console.log("👋  Goodbye!");
 
@@ -0,0 +1,515 @@
+const fs = require("fs").promises;
+const crypto = require("crypto");
+const path = require("path");
+
+/**
+ * Storage backends for the encrypted token blob
+ *
+ * Every backend stores a single opaque string (the encrypted accounts) and implements:
+ * - read(): resolves to the stored string, or null if nothing is stored
+ * - write(data): replaces the stored string atomically
+ * - remove(): deletes the stored string
+ * - acquireLock(name, ttlMs): resolves to a lock token, or null if someone else holds the lock
+ * - releaseLock(name, token): releases a lock if the token still owns it
+ * - extendLock(name, token, ttlMs): restarts the TTL of a lock the token still owns
+ *
+ * Locks expire after their TTL so a crashed instance can't hold them forever; withLock
+ * extends them while its function runs.
+ * The backend is selected with the TOKEN_STORAGE env variable (see createTokenBackend).
+ */
+
+// Default location of the file backend
+const DEFAULT_TOKEN_FILE = path.join(__dirname, "..", ".tokens");
+
+// Default location of the SQLite backend database
+const DEFAULT_SQLITE_FILE = path.join(__dirname, "..", ".tokens.sqlite");
+
+// Default Redis key of the token blob, locks are stored under "<key>:lock:<name>"
+const DEFAULT_REDIS_KEY = "twitchwrapper:tokens";
+
+// Time between attempts to acquire a busy lock
+const LOCK_RETRY_MS = 100;
+
+// Number of times a held lock is extended per TTL, so it never expires between two renewals
+const LOCK_RENEWALS_PER_TTL = 3;
+
+const TOKEN_BACKENDS = ["file", "sqlite", "redis", "env", "memory"];
+
+/**
+ * Waits the given amount of milliseconds
+ * @param {number} ms - Milliseconds to wait
+ * @returns {Promise<void>}
+ */
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Base class of the token backends
+ * Holds locks in process memory, which is enough for backends that can't be shared between instances
+ */
+class TokenBackend {
+  constructor() {
+    this.locks = new Map();
+  }
+
+  async acquireLock(name, ttlMs) {
+    const lock = this.locks.get(name);
+    if (lock && lock.expiresAt > Date.now()) return null;
+
+    const token = crypto.randomUUID();
+    this.locks.set(name, { token, expiresAt: Date.now() + ttlMs });
+    return token;
+  }
+
+  async releaseLock(name, token) {
+    if (this.locks.get(name)?.token === token) {
+      this.locks.delete(name);
+    }
+  }
+
+  async extendLock(name, token, ttlMs) {
+    const lock = this.locks.get(name);
+    if (lock?.token === token) {
+      lock.expiresAt = Date.now() + ttlMs;
+    }
+  }
+
+  /**
+   * Runs a function while holding a lock, waiting for it if another holder has it
+   * The lock TTL is extended while fn runs, so a slow function keeps it until it returns
+   * @async
+   * @param {string} name - Lock name
+   * @param {Function} fn - Async function to run
+   * @param {Object} [options] - Lock options
+   * @param {number} [options.ttlMs=30000] - Time after which the lock expires if never released
+   * @param {number} [options.timeoutMs=30000] - Maximum time to wait for the lock
+   * @returns {Promise<*>} The result of fn
+   * @throws {Error} Throws if the lock isn't acquired in time
+   */
+  async withLock(name, fn, { ttlMs = 30000, timeoutMs = 30000 } = {}) {
+    const deadline = Date.now() + timeoutMs;
+    let token = await this.acquireLock(name, ttlMs);
+
+    while (!token) {
+      if (Date.now() > deadline) {
+        throw new Error(
+          `Timed out waiting for the token storage lock: ${name}`
+        );
+      }
+      await sleep(LOCK_RETRY_MS);
+      token = await this.acquireLock(name, ttlMs);
+    }
+
+    const renewal = setInterval(() => {
+      this.extendLock(name, token, ttlMs).catch((error) =>
+        console.error(
+          `❌ Error extending the token storage lock ${name}:`,
+          error.message
+        )
+      );
+    }, ttlMs / LOCK_RENEWALS_PER_TTL);
+
+    try {
+      return await fn();
+    } finally {
+      clearInterval(renewal);
+      await this.releaseLock(name, token);
+    }
+  }
+}
+
+/**
+ * Stores the tokens in a local file
+ * Writes go to a temporary file renamed over the previous one, and locks are lock files,
+ * so several processes sharing the directory stay consistent
+ */
+class FileTokenBackend extends TokenBackend {
+  constructor({ file = DEFAULT_TOKEN_FILE } = {}) {
+    super();
+    this.file = file;
+  }
+
+  async read() {
+    try {
+      return await fs.readFile(this.file, "utf8");
+    } catch (error) {
+      if (error.code === "ENOENT") return null;
+      throw error;
+    }
+  }
+
+  async write(data) {
+    const tmpFile = `${this.file}.${process.pid}.tmp`;
+    await fs.writeFile(tmpFile, data, { encoding: "utf8", mode: 0o600 });
+    await fs.rename(tmpFile, this.file);
+  }
+
+  async remove() {
+    try {
+      await fs.unlink(this.file);
+    } catch (error) {
+      if (error.code !== "ENOENT") throw error;
+    }
+  }
+
+  getLockFile(name) {
+    return `${this.file}.${name.replace(/[^\w-]/g, "_")}.lock`;
+  }
+
+  async acquireLock(name, ttlMs) {
+    const lockFile = this.getLockFile(name);
+    const token = crypto.randomUUID();
+
+    try {
+      await fs.writeFile(
+        lockFile,
+        JSON.stringify({ token, expires_at: Date.now() + ttlMs }),
+        { flag: "wx" }
+      );
+      return token;
+    } catch (error) {
+      if (error.code !== "EEXIST") throw error;
+    }
+
+    // Take over locks left behind by a crashed process
+    try {
+      const lock = JSON.parse(await fs.readFile(lockFile, "utf8"));
+      if (lock.expires_at < Date.now()) {
+        await this.removeExpiredLock(lockFile, lock.token, token);
+      }
+    } catch (error) {
+      // The holder released the lock meanwhile, or it's being written
+    }
+    return null;
+  }
+
+  /**
+   * Removes an expired lock file, unless another process replaced it meanwhile
+   * The file is moved aside with an atomic rename, so only one process gets it. If it turns
+   * out to be a lock taken since it was read, it is moved back.
+   * @param {string} lockFile - Lock file path
+   * @param {string} expiredToken - Token of the expired lock that was read
+   * @param {string} token - Token of the caller, naming the moved file
+   * @returns {Promise<void>}
+   */
+  async removeExpiredLock(lockFile, expiredToken, token) {
+    const movedFile = `${lockFile}.${token}`;
+    await fs.rename(lockFile, movedFile);
+
+    try {
+      const moved = JSON.parse(await fs.readFile(movedFile, "utf8"));
+      if (moved.token !== expiredToken) {
+        // Fails if yet another lock was taken, which then keeps it
+        await fs.link(movedFile, lockFile).catch(() => {});
+      }
+    } finally {
+      await fs.unlink(movedFile);
+    }
+  }
+
+  async releaseLock(name, token) {
+    const lockFile = this.getLockFile(name);
+
+    try {
+      const lock = JSON.parse(await fs.readFile(lockFile, "utf8"));
+      if (lock.token === token) {
+        await fs.unlink(lockFile);
+      }
+    } catch (error) {
+      // Already released or taken over after expiring
+    }
+  }
+
+  async extendLock(name, token, ttlMs) {
+    const lockFile = this.getLockFile(name);
+    const lock = JSON.parse(await fs.readFile(lockFile, "utf8"));
+    if (lock.token !== token) return;
+
+    // Replaced atomically, so a process reading the lock never sees a partial file
+    const tmpFile = `${lockFile}.${token}.tmp`;
+    await fs.writeFile(
+      tmpFile,
+      JSON.stringify({ token, expires_at: Date.now() + ttlMs })
+    );
+    await fs.rename(tmpFile, lockFile);
+  }
+}
+
+/**
+ * Stores the tokens in a SQLite database (requires the better-sqlite3 package)
+ * Every write runs in a transaction and locks are rows with an expiration,
+ * so several processes can share the database file
+ */
+class SqliteTokenBackend extends TokenBackend {
+  constructor({ file = DEFAULT_SQLITE_FILE } = {}) {
+    super();
+    this.file = file;
+    this.db = null;
+  }
+
+  getDb() {
+    if (this.db) return this.db;
+
+    let Database;
+    try {
+      Database = require("better-sqlite3");
+    } catch (error) {
+      throw new Error(
+        'The sqlite token storage requires the "better-sqlite3" package. Run: npm install better-sqlite3'
+      );
+    }
+
+    this.db = new Database(this.file);
+    this.db.pragma("journal_mode = WAL");
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS tokens (id INTEGER PRIMARY KEY CHECK (id = 1), data TEXT NOT NULL);
+      CREATE TABLE IF NOT EXISTS locks (name TEXT PRIMARY KEY, token TEXT NOT NULL, expires_at INTEGER NOT NULL);
+    `);
+    return this.db;
+  }
+
+  async read() {
+    const row = this.getDb()
+      .prepare("SELECT data FROM tokens WHERE id = 1")
+      .get();
+    return row ? row.data : null;
+  }
+
+  async write(data) {
+    this.getDb()
+      .prepare(
+        "INSERT INTO tokens (id, data) VALUES (1, ?) ON CONFLICT(id) DO UPDATE SET data = excluded.data"
+      )
+      .run(data);
+  }
+
+  async remove() {
+    this.getDb().prepare("DELETE FROM tokens WHERE id = 1").run();
+  }
+
+  async acquireLock(name, ttlMs) {
+    const db = this.getDb();
+    const token = crypto.randomUUID();
+    const now = Date.now();
+
+    const acquired = db.transaction(() => {
+      db.prepare("DELETE FROM locks WHERE name = ? AND expires_at < ?").run(
+        name,
+        now
+      );
+      return db
+        .prepare(
+          "INSERT OR IGNORE INTO locks (name, token, expires_at) VALUES (?, ?, ?)"
+        )
+        .run(name, token, now + ttlMs).changes;
+    })();
+
+    return acquired ? token : null;
+  }
+
+  async releaseLock(name, token) {
+    this.getDb()
+      .prepare("DELETE FROM locks WHERE name = ? AND token = ?")
+      .run(name, token);
+  }
+
+  async extendLock(name, token, ttlMs) {
+    this.getDb()
+      .prepare("UPDATE locks SET expires_at = ? WHERE name = ? AND token = ?")
+      .run(Date.now() + ttlMs, name, token);
+  }
+}
+
+// Deletes a lock only if it still holds the caller's token
+const RELEASE_LOCK_SCRIPT = `
+if redis.call("GET", KEYS[1]) == ARGV[1] then
+  return redis.call("DEL", KEYS[1])
+end
+return 0`;
+
+// Restarts the TTL of a lock only if it still holds the caller's token
+const EXTEND_LOCK_SCRIPT = `
+if redis.call("GET", KEYS[1]) == ARGV[1] then
+  return redis.call("PEXPIRE", KEYS[1], ARGV[2])
+end
+return 0`;
+
+/**
+ * Stores the tokens in Redis or any server speaking its protocol (requires the ioredis package)
+ * Locks use SET NX PX, so they are shared by every instance connected to the same server
+ */
+class RedisTokenBackend extends TokenBackend {
+  constructor({ url = process.env.REDIS_URL, key = DEFAULT_REDIS_KEY } = {}) {
+    super();
+    this.url = url;
+    this.key = key;
+    this.client = null;
+  }
+
+  getClient() {
+    if (this.client) return this.client;
+
+    if (!this.url) {
+      throw new Error(
+        "REDIS_URL must be set in environment variables to use the redis token storage."
+      );
+    }
+
+    let Redis;
+    try {
+      Redis = require("ioredis");
+    } catch (error) {
+      throw new Error(
+        'The redis token storage requires the "ioredis" package. Run: npm install ioredis'
+      );
+    }
+
+    this.client = new Redis(this.url);
+    this.client.on("error", (error) =>
+      console.error("❌ Redis token storage error:", error.message)
+    );
+    return this.client;
+  }
+
+  async read() {
+    return this.getClient().get(this.key);
+  }
+
+  async write(data) {
+    await this.getClient().set(this.key, data);
+  }
+
+  async remove() {
+    await this.getClient().del(this.key);
+  }
+
+  async acquireLock(name, ttlMs) {
+    const token = crypto.randomUUID();
+    const result = await this.getClient().set(
+      `${this.key}:lock:${name}`,
+      token,
+      "PX",
+      ttlMs,
+      "NX"
+    );
+    return result === "OK" ? token : null;
+  }
+
+  async releaseLock(name, token) {
+    await this.getClient().eval(
+      RELEASE_LOCK_SCRIPT,
+      1,
+      `${this.key}:lock:${name}`,
+      token
+    );
+  }
+
+  async extendLock(name, token, ttlMs) {
+    await this.getClient().eval(
+      EXTEND_LOCK_SCRIPT,
+      1,
+      `${this.key}:lock:${name}`,
+      token,
+      ttlMs
+    );
+  }
+
+  close() {
+    if (this.client) {
+      this.client.disconnect();
+      this.client = null;
+    }
+  }
+}
+
+/**
+ * Keeps the tokens in process memory
+ * Useful for tests and short-lived instances, nothing survives a restart
+ */
+class MemoryTokenBackend extends TokenBackend {
+  constructor({ data = null } = {}) {
+    super();
+    this.data = data;
+  }
+
+  async read() {
+    return this.data;
+  }
+
+  async write(data) {
+    this.data = data;
+  }
+
+  async remove() {
+    this.data = null;
+  }
+}
+
+/**
+ * Reads the tokens from the TWITCH_TOKENS env variable (the encrypted blob, as printed by
+ * `node scripts/tokenManager.js export`) and keeps refreshed tokens in memory
+ * Meant for read-only filesystems such as Vercel, where tokens are provisioned ahead of time
+ */
+class EnvTokenBackend extends MemoryTokenBackend {
+  constructor({ variable = "TWITCH_TOKENS" } = {}) {
+    super({ data: process.env[variable] || null });
+    this.variable = variable;
+    this.warned = false;
+  }
+
+  async write(data) {
+    if (!this.warned) {
+      console.log(
+        `⚠️ Tokens changed but ${this.variable} can't be updated, they are kept in memory only`
+      );
+      this.warned = true;
+    }
+    await super.write(data);
+  }
+}
+
+/**
+ * Creates the token backend selected by the TOKEN_STORAGE env variable
+ * - file (default): TOKEN_STORAGE_PATH or .tokens in the project root
+ * - sqlite: TOKEN_STORAGE_PATH or .tokens.sqlite in the project root
+ * - redis: REDIS_URL, with the TOKEN_STORAGE_KEY key (default: twitchwrapper:tokens)
+ * - env: TWITCH_TOKENS, changes are kept in memory
+ * - memory: nothing is persisted
+ * @returns {TokenBackend}
+ * @throws {Error} Throws on an unknown TOKEN_STORAGE value
+ */
+const createTokenBackend = () => {
+  const type = (process.env.TOKEN_STORAGE || "file").toLowerCase();
+  const storagePath = process.env.TOKEN_STORAGE_PATH
+    ? path.resolve(process.env.TOKEN_STORAGE_PATH)
+    : undefined;
+
+  switch (type) {
+    case "file":
+      return new FileTokenBackend({ file: storagePath });
+    case "sqlite":
+      return new SqliteTokenBackend({ file: storagePath });
+    case "redis":
+      return new RedisTokenBackend({ key: process.env.TOKEN_STORAGE_KEY });
+    case "env":
+      return new EnvTokenBackend();
+    case "memory":
+      return new MemoryTokenBackend();
+    default:
+      throw new Error(
+        `Invalid TOKEN_STORAGE value: ${type}. Valid options are: ${TOKEN_BACKENDS.join(
+          ", "
+        )}.`
+      );
+  }
+};
+
+module.exports = {
+  TOKEN_BACKENDS,
+  TokenBackend,
+  FileTokenBackend,
+  SqliteTokenBackend,
+  RedisTokenBackend,
+  MemoryTokenBackend,
+  EnvTokenBackend,
+  createTokenBackend,
+};
@@ -0,0 +1,271 @@
+const crypto = require("crypto");
+
+/**
+ * Authenticated encryption of the stored tokens
+ *
+ * Tokens are encrypted with AES-256-GCM into a versioned envelope:
+ *   v2:<key id>:<iv>:<auth tag>:<ciphertext>   (hex fields)
+ * The key id is derived from the key, so a blob encrypted with another key is reported as such
+ * instead of failing with a generic error. The version and key id are authenticated too.
+ *
+ * Blobs written by earlier versions (AES-256-CBC, "<iv>:<ciphertext>") are still decrypted,
+ * so they can be migrated to the current envelope.
+ */
+
+const ENVELOPE_VERSION = "v2";
+const GCM_IV_LENGTH = 12; // Recommended IV size for GCM
+
+// Keys are 32 random bytes in hex, as printed by scripts/generateEncryptionKey.js
+const KEY_PATTERN = /^[0-9a-f]{64}$/i;
+
+// A random 64 hex characters key uses (almost) every hex digit, fewer points to a made-up key
+const MIN_DISTINCT_KEY_CHARS = 10;
+
+// Used outside production when no key is configured, so development restarts keep their tokens
+const DEVELOPMENT_KEY_SEED = "twitchwrapper-insecure-development-key";
+
+/**
+ * Error raised when the stored tokens can't be decrypted with the configured keys
+ */
+class TokenDecryptionError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "TokenDecryptionError";
+  }
+}
+
+/**
+ * Derives the key id of a key (first 8 hex characters of its SHA-256)
+ * @param {Buffer} key - 32 bytes key
+ * @returns {string}
+ */
+const getKeyId = (key) =>
+  crypto.createHash("sha256").update(key).digest("hex").slice(0, 8);
+
+/**
+ * Tells why a configured key is unsafe, if it is
+ * @param {string} [keyHex] - Configured key
+ * @returns {string|null} The problem, or null for a valid key
+ */
+const getKeyProblem = (keyHex) => {
+  if (!keyHex) return "ENCRYPTION_KEY is not set";
+  if (!KEY_PATTERN.test(keyHex)) {
+    return "ENCRYPTION_KEY must be 64 hexadecimal characters (32 bytes)";
+  }
+  if (new Set(keyHex.toLowerCase()).size < MIN_DISTINCT_KEY_CHARS) {
+    return "ENCRYPTION_KEY doesn't look random";
+  }
+  return null;
+};
+
+/**
+ * Derives the key earlier versions used for AES-256-CBC: the first 32 bytes of the hex key
+ * @param {string} keyHex - Key in hex
+ * @returns {Buffer|null} The legacy key, or null if the key is too short to have been one
+ */
+const getLegacyKey = (keyHex) => {
+  const legacyKey = Buffer.from(keyHex, "hex").subarray(0, 32);
+  return legacyKey.length === 32 ? legacyKey : null;
+};
+
+/**
+ * Builds a key from its hex representation
+ * Outside production, keys that aren't 64 hex characters are stretched with SHA-256
+ * @param {string} keyHex - Key in hex
+ * @returns {Object} { key, id, legacyKey }, legacyKey decrypting the blobs of earlier versions
+ */
+const createKey = (keyHex) => {
+  const key = KEY_PATTERN.test(keyHex)
+    ? Buffer.from(keyHex, "hex")
+    : crypto.createHash("sha256").update(keyHex).digest();
+
+  return { key, id: getKeyId(key), legacyKey: getLegacyKey(keyHex) };
+};
+
+/**
+ * Resolves the encryption key from ENCRYPTION_KEY
+ * In production a missing or weak key is refused; elsewhere it is reported and an
+ * insecure development key is used instead of a missing one
+ * @returns {Object} { key, id }
+ * @throws {Error} Throws in production if the key is missing or weak
+ */
+const resolveEncryptionKey = () => {
+  const keyHex = process.env.ENCRYPTION_KEY;
+  const problem = getKeyProblem(keyHex);
+
+  if (problem) {
+    if (process.env.NODE_ENV === "production") {
+      throw new Error(
+        `${problem}. Generate one with: node scripts/generateEncryptionKey.js`
+      );
+    }
+
+    console.log(
+      `⚠️ ${problem}, stored tokens are not safely encrypted. Generate a key with: node scripts/generateEncryptionKey.js`
+    );
+  }
+
+  return createKey(keyHex || DEVELOPMENT_KEY_SEED);
+};
+
+// Keys resolved on first use, so scripts that don't touch tokens don't need them
+let currentKey = null;
+let previousKeys = null;
+
+/**
+ * Returns the key used to encrypt tokens
+ * @returns {Object} { key, id }
+ */
+const getEncryptionKey = () => {
+  if (!currentKey) {
+    currentKey = resolveEncryptionKey();
+  }
+  return currentKey;
+};
+
+/**
+ * Returns the keys accepted to decrypt tokens: the current key and the comma-separated
+ * ENCRYPTION_KEY_PREVIOUS keys, which keep tokens readable while rotating keys
+ * @returns {Array<Object>} Keys ({ key, id })
+ */
+const getDecryptionKeys = () => {
+  if (!previousKeys) {
+    previousKeys = (process.env.ENCRYPTION_KEY_PREVIOUS || "")
+      .split(",")
+      .map((keyHex) => keyHex.trim())
+      .filter(Boolean)
+      .map(createKey);
+  }
+  return [getEncryptionKey(), ...previousKeys];
+};
+
+/**
+ * Checks the encryption key before the server starts
+ * @throws {Error} Throws in production if the key is missing or weak
+ */
+const checkEncryptionKey = () => {
+  getEncryptionKey();
+};
+
+/**
+ * Encrypts data into the current envelope with AES-256-GCM
+ * @param {string} text - Text to encrypt
+ * @param {Object} [encryptionKey] - Key to use ({ key, id }, default: the current key)
+ * @returns {string} - Envelope in format: v2:keyId:iv:authTag:encryptedData
+ */
+function encrypt(text, { key, id } = getEncryptionKey()) {
+  const iv = crypto.randomBytes(GCM_IV_LENGTH);
+  const header = `${ENVELOPE_VERSION}:${id}`;
+  const cipher = crypto.createCipheriv("aes-256-gcm", key, iv);
+  cipher.setAAD(Buffer.from(header));
+
+  const encrypted = Buffer.concat([
+    cipher.update(text, "utf8"),
+    cipher.final(),
+  ]);
+  return [
+    header,
+    iv.toString("hex"),
+    cipher.getAuthTag().toString("hex"),
+    encrypted.toString("hex"),
+  ].join(":");
+}
+
+/**
+ * Decrypts data written by earlier versions with AES-256-CBC
+ * @param {string} text - Encrypted text in format: iv:encryptedData
+ * @param {Buffer} key - 32 bytes key
+ * @returns {string} - Decrypted text
+ */
+function decryptLegacy(text, key) {
+  const parts = text.split(":");
+  const iv = Buffer.from(parts.shift(), "hex");
+  const encryptedText = parts.join(":");
+  const decipher = crypto.createDecipheriv("aes-256-cbc", key, iv);
+  let decrypted = decipher.update(encryptedText, "hex", "utf8");
+  decrypted += decipher.final("utf8");
+  return decrypted;
+}
+
+/**
+ * Decrypts an envelope, or a legacy AES-256-CBC blob
+ * @param {string} text - Encrypted text
+ * @returns {string} - Decrypted text
+ * @throws {TokenDecryptionError} Throws if no configured key can decrypt it or it was tampered with
+ */
+function decrypt(text) {
+  const keys = getDecryptionKeys();
+
+  if (!isEnvelope(text)) {
+    // Earlier versions truncated longer keys instead of stretching them
+    for (const { legacyKey } of keys.filter((item) => item.legacyKey)) {
+      try {
+        return decryptLegacy(text, legacyKey);
+      } catch (error) {
+        // Try the next key
+      }
+    }
+    throw new TokenDecryptionError(
+      "Stored tokens can't be decrypted with the configured encryption keys"
+    );
+  }
+
+  const [version, id, ivHex, tagHex, encryptedHex] = text.trim().split(":");
+  const match = keys.find((item) => item.id === id);
+
+  if (!match) {
+    throw new TokenDecryptionError(
+      `Stored tokens are encrypted with key ${id}, but the configured key is ${
+        getEncryptionKey().id
+      }. Set the previous key in ENCRYPTION_KEY_PREVIOUS to read them.`
+    );
+  }
+
+  try {
+    const decipher = crypto.createDecipheriv(
+      "aes-256-gcm",
+      match.key,
+      Buffer.from(ivHex, "hex")
+    );
+    decipher.setAAD(Buffer.from(`${version}:${id}`));
+    decipher.setAuthTag(Buffer.from(tagHex, "hex"));
+
+    return Buffer.concat([
+      decipher.update(Buffer.from(encryptedHex, "hex")),
+      decipher.final(),
+    ]).toString("utf8");
+  } catch (error) {
+    throw new TokenDecryptionError(
+      "Stored tokens failed the integrity check, they are corrupted or were tampered with"
+    );
+  }
+}
+
+/**
+ * Tells whether encrypted text uses the versioned envelope
+ * @param {string} text - Encrypted text
+ * @returns {boolean}
+ */
+function isEnvelope(text) {
+  return text.startsWith(`${ENVELOPE_VERSION}:`);
+}
+
+/**
+ * Tells whether encrypted text must be re-encrypted: legacy CBC blobs and envelopes of previous keys
+ * @param {string} text - Encrypted text
+ * @returns {boolean}
+ */
+function needsReencryption(text) {
+  return !isEnvelope(text) || text.split(":")[1] !== getEncryptionKey().id;
+}
+
+module.exports = {
+  TokenDecryptionError,
+  checkEncryptionKey,
+  createKey,
+  getKeyProblem,
+  getEncryptionKey,
+  encrypt,
+  decrypt,
+  needsReencryption,
+};
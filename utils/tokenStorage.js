@@ -1,111 +1,209 @@
-const fs = require("fs").promises;
-const crypto = require("crypto");
-const path = require("path");
+const EventEmitter = require("events");
+const { AsyncLocalStorage } = require("async_hooks");
+const { createTokenBackend } = require("./tokenBackends");
+const {
+  TokenDecryptionError,
+  createKey,
+  encrypt,
+  decrypt,
+  needsReencryption,
+} = require("./tokenCrypto");
+
+// Lock held while writing the stored accounts, shared by every instance using the same backend
+const STORE_LOCK = "store";
+
+// A token refresh may wait for another instance refreshing the same account
+const REFRESH_LOCK_TTL_MS = 30 * 1000;
+const REFRESH_LOCK_TIMEOUT_MS = 60 * 1000;
+
+/**
+ * Builds the record stored for an account from Twitch token data
+ * @param {Object} tokenData - Access token data, with the user_id and login of its account
+ * @returns {Object} - Stored token record
+ */
+function toTokenRecord(tokenData) {
+  return {
+    user_id: tokenData.user_id,
+    login: tokenData.login,
+    access_token: tokenData.access_token,
+    refresh_token: tokenData.refresh_token,
+    expires_in: tokenData.expires_in,
+    expires_at: Date.now() + tokenData.expires_in * 1000,
+    scopes: tokenData.scope || tokenData.scopes || process.env.TWITCH_SCOPES,
+    saved_at: Date.now(),
+  };
+}
 
-// File to store encrypted tokens
-const TOKEN_FILE = path.join(__dirname, "..", ".tokens");
-const ENCRYPTION_KEY_HEX =
-  process.env.ENCRYPTION_KEY || "your-32-char-secret-key-here!!!";
-const ENCRYPTION_KEY = Buffer.from(ENCRYPTION_KEY_HEX, "hex").subarray(0, 32); // Ensure 32 bytes for AES-256
-const IV_LENGTH = 16; // For AES, this is always 16
+// Backend selected by TOKEN_STORAGE, created on first use
+let tokenBackend = null;
 
 /**
- * Encrypt data using AES-256-CBC
- * @param {string} text - Text to encrypt
- * @returns {string} - Encrypted text in format: iv:encryptedData (both in hex)
+ * Returns the token storage backend selected by the TOKEN_STORAGE env variable
+ * @returns {TokenBackend}
  */
-function encrypt(text) {
-  const iv = crypto.randomBytes(IV_LENGTH);
-  const cipher = crypto.createCipheriv("aes-256-cbc", ENCRYPTION_KEY, iv);
-  let encrypted = cipher.update(text, "utf8", "hex");
-  encrypted += cipher.final("hex");
-  return iv.toString("hex") + ":" + encrypted;
+function getTokenBackend() {
+  if (!tokenBackend) {
+    tokenBackend = createTokenBackend();
+  }
+  return tokenBackend;
 }
 
 /**
- * Decrypt data using AES-256-CBC
- * @param {string} text - Encrypted text in format: iv:encryptedData
- * @returns {string} - Decrypted text
+ * Closes the connection of the token storage backend, if it has one
  */
-function decrypt(text) {
-  const parts = text.split(":");
-  const iv = Buffer.from(parts.shift(), "hex");
-  const encryptedText = parts.join(":");
-  const decipher = crypto.createDecipheriv("aes-256-cbc", ENCRYPTION_KEY, iv);
-  let decrypted = decipher.update(encryptedText, "hex", "utf8");
-  decrypted += decipher.final("utf8");
-  return decrypted;
+function closeTokenBackend() {
+  tokenBackend?.close?.();
 }
 
 /**
- * Saves the access token securely and encrypted
- * @param {Object} tokenData - Access token data
+ * Reads and decrypts the stored accounts
+ * Files written before multi-account support hold a single token set, which is read as the only account
+ * @param {TokenBackend} backend - Token storage backend
+ * @returns {Promise<Object|null>} - { accounts, default_user_id }, or null if nothing is stored
+ */
+async function readStore(backend) {
+  const encryptedData = await backend.read();
+  if (!encryptedData) return null;
+
+  const tokenData = JSON.parse(decrypt(encryptedData));
+  return tokenData.accounts
+    ? tokenData
+    : { accounts: [tokenData], default_user_id: tokenData.user_id || null };
+}
+
+/**
+ * Saves the tokens of every account securely and encrypted
+ * @param {Object} store - Stored accounts
+ * @param {Array<Object>} store.accounts - Token records, one per account
+ * @param {string|null} store.default_user_id - Account used when no account is selected
+ * @param {TokenBackend} [backend] - Token storage backend (default: the one selected by TOKEN_STORAGE)
  * @returns {Promise<void>}
  */
-async function saveTokens(tokenData) {
+async function saveTokens(
+  { accounts, default_user_id },
+  backend = getTokenBackend()
+) {
   try {
-    const dataToSave = {
-      access_token: tokenData.access_token,
-      refresh_token: tokenData.refresh_token,
-      expires_in: tokenData.expires_in,
-      expires_at: Date.now() + tokenData.expires_in * 1000,
-      scopes: tokenData.scope || process.env.TWITCH_SCOPES,
-      saved_at: Date.now(),
-    };
-
-    const encryptedData = encrypt(JSON.stringify(dataToSave));
-    await fs.writeFile(TOKEN_FILE, encryptedData, "utf8");
-
-    console.log("🔐 Tokens saved securely to disk");
+    const encryptedData = encrypt(
+      JSON.stringify({ version: 2, default_user_id, accounts })
+    );
+    await backend.write(encryptedData);
+
+    console.log("🔐 Tokens saved securely to storage");
   } catch (error) {
     console.error("❌ Error saving tokens:", error.message);
   }
 }
 
 /**
- * Loads and decrypts the access token from disk
- * @returns {Promise<Object|null>} - Token data or null if not found
+ * Loads and decrypts the tokens of every account from storage
+ * Expired access tokens are kept, their refresh token can still renew them
+ * @param {TokenBackend} [backend] - Token storage backend (default: the one selected by TOKEN_STORAGE)
+ * @returns {Promise<Object>} - { accounts, default_user_id }, with no accounts if nothing is stored
  */
-async function loadTokens() {
+async function loadTokens(backend = getTokenBackend()) {
   try {
-    const encryptedData = await fs.readFile(TOKEN_FILE, "utf8");
-    const decryptedData = decrypt(encryptedData);
-    const tokenData = JSON.parse(decryptedData);
-
-    // Check if the token has not expired
-    if (tokenData.expires_at && Date.now() < tokenData.expires_at) {
-      console.log("✅ Valid tokens loaded from disk");
-      return tokenData;
-    } else {
-      console.log("⚠️ Stored tokens have expired, will authenticate again");
-      await deleteTokens(); // Clear expired tokens
-      return null;
-    }
-  } catch (error) {
-    if (error.code === "ENOENT") {
+    const store = await readStore(backend);
+
+    if (!store) {
       console.log("ℹ️ No stored tokens found, will authenticate");
-    } else {
-      console.error("❌ Error loading tokens:", error.message);
+      return { accounts: [], default_user_id: null };
     }
-    return null;
+
+    console.log(
+      `✅ Tokens of ${store.accounts.length} account(s) loaded from storage`
+    );
+    return store;
+  } catch (error) {
+    console.error("❌ Error loading tokens:", error.message);
+    return { accounts: [], default_user_id: null };
   }
 }
 
 /**
- * Deletes the stored tokens from disk
+ * Deletes the stored tokens of every account from storage
+ * @param {TokenBackend} [backend] - Token storage backend (default: the one selected by TOKEN_STORAGE)
  * @returns {Promise<void>}
  */
-async function deleteTokens() {
+async function deleteTokens(backend = getTokenBackend()) {
   try {
-    await fs.unlink(TOKEN_FILE);
+    await backend.remove();
     console.log("🗑️ Stored tokens deleted");
   } catch (error) {
-    if (error.code !== "ENOENT") {
-      console.error("❌ Error deleting tokens:", error.message);
-    }
+    console.error("❌ Error deleting tokens:", error.message);
   }
 }
 
+/**
+ * Applies a change to the stored accounts
+ * The latest stored accounts are read and written back under the store lock, so processes
+ * sharing the backend don't overwrite each other's accounts
+ * @param {Function} update - Receives the stored { accounts, default_user_id } and returns the new store
+ * @param {TokenBackend} [backend] - Token storage backend (default: the one selected by TOKEN_STORAGE)
+ * @returns {Promise<Object>} - The new store
+ */
+async function updateTokens(update, backend = getTokenBackend()) {
+  return backend.withLock(STORE_LOCK, async () => {
+    const stored = await readStore(backend).catch((error) => {
+      // Never overwrite tokens that another key may still decrypt
+      if (error instanceof TokenDecryptionError) throw error;
+
+      console.error(
+        "❌ Stored tokens are unreadable, replacing them:",
+        error.message
+      );
+      return null;
+    });
+    const store = update(stored || { accounts: [], default_user_id: null });
+
+    if (store.accounts.length > 0) {
+      await saveTokens(store, backend);
+    } else {
+      await deleteTokens(backend);
+    }
+    return store;
+  });
+}
+
+/**
+ * Re-encrypts the stored tokens with the current key
+ * Migrates legacy AES-256-CBC blobs and blobs encrypted with a key of ENCRYPTION_KEY_PREVIOUS
+ * @param {TokenBackend} [backend] - Token storage backend (default: the one selected by TOKEN_STORAGE)
+ * @returns {Promise<boolean>} - True if the tokens were re-encrypted
+ */
+async function migrateTokens(backend = getTokenBackend()) {
+  return backend.withLock(STORE_LOCK, async () => {
+    const encryptedData = await backend.read();
+    if (!encryptedData || !needsReencryption(encryptedData)) return false;
+
+    await backend.write(encrypt(decrypt(encryptedData)));
+    console.log("🔐 Stored tokens re-encrypted with the current key");
+    return true;
+  });
+}
+
+/**
+ * Re-encrypts the stored tokens with a new key
+ * @param {string} newKeyHex - New key, 64 hexadecimal characters
+ * @param {TokenBackend} [backend] - Token storage backend (default: the one selected by TOKEN_STORAGE)
+ * @returns {Promise<string>} - Key id of the new key
+ * @throws {Error} Throws if there are no stored tokens or they can't be decrypted
+ */
+async function rotateTokens(newKeyHex, backend = getTokenBackend()) {
+  const newKey = createKey(newKeyHex);
+
+  await backend.withLock(STORE_LOCK, async () => {
+    const encryptedData = await backend.read();
+    if (!encryptedData) {
+      throw new Error("No stored tokens to re-encrypt");
+    }
+
+    await backend.write(encrypt(decrypt(encryptedData), newKey));
+  });
+
+  return newKey.id;
+}
+
 /**
  * Verifies if the token needs to be refreshed
  * @param {Object} tokenData - Token data
@@ -119,39 +217,227 @@ function needsRefresh(tokenData) {
 }
 
 /**
- * Stores tokens in memory securely (alternative to global)
+ * Stores the tokens of every authenticated account in memory, keyed by Twitch user ID
+ * - One account is the default, used when a request doesn't select another one
+ * - runAs() selects the acting account for everything called within it (e.g. one HTTP request)
+ *
+ * Emits "tokensUpdated" with the new token data whenever the tokens of an account change
  */
-class TokenManager {
+class TokenManager extends EventEmitter {
   constructor() {
-    this.tokens = null;
+    super();
+    this.accounts = new Map();
+    this.defaultUserId = null;
     this.isLoaded = false;
+    this.context = new AsyncLocalStorage();
+    this.saveQueue = Promise.resolve();
   }
 
+  /**
+   * Loads the stored accounts
+   * Records without a user ID (legacy single-account files) are returned but only
+   * become accounts once validated and set again with setTokens()
+   * @async
+   * @returns {Promise<Array<Object>>} Every stored token record
+   */
   async initialize() {
-    if (!this.isLoaded) {
-      this.tokens = await loadTokens();
-      this.isLoaded = true;
+    if (this.isLoaded) return this.listAccounts();
+
+    const { accounts, default_user_id } = await loadTokens();
+    if (accounts.length > 0) {
+      await migrateTokens().catch((error) =>
+        console.error("❌ Error re-encrypting tokens:", error.message)
+      );
     }
-    return this.tokens;
+
+    accounts
+      .filter((record) => record.user_id)
+      .forEach((record) => this.accounts.set(record.user_id, record));
+    this.defaultUserId = this.accounts.has(default_user_id)
+      ? default_user_id
+      : this.accounts.keys().next().value || null;
+    this.isLoaded = true;
+
+    return accounts;
+  }
+
+  /**
+   * Applies a change to the stored accounts, one write at a time (see updateTokens)
+   * @param {Function} update - Receives the stored { accounts, default_user_id } and returns the new store
+   * @returns {Promise<void>}
+   */
+  persist(update) {
+    this.saveQueue = this.saveQueue
+      .then(() => updateTokens(update))
+      .catch((error) =>
+        console.error("❌ Error saving tokens:", error.message)
+      );
+    return this.saveQueue;
+  }
+
+  /**
+   * Resolves once every pending write has been stored
+   * @returns {Promise<void>}
+   */
+  whenSaved() {
+    return this.saveQueue;
   }
 
+  /**
+   * Stores the tokens of an account, which becomes the default if there was none
+   * @param {Object} tokenData - Access token data, including the user_id and login of the account
+   * @returns {Object} The stored token record
+   */
   setTokens(tokenData) {
-    this.tokens = tokenData;
-    // Also save to disk
-    saveTokens(tokenData);
+    if (!tokenData.user_id) {
+      throw new Error("Token data must include the user_id of its account.");
+    }
+
+    const record = toTokenRecord(tokenData);
+    this.accounts.set(record.user_id, record);
+    if (!this.defaultUserId) this.defaultUserId = record.user_id;
+
+    // Also save to storage, dropping legacy records without a user ID
+    this.persist(({ accounts, default_user_id }) => ({
+      accounts: [
+        ...accounts.filter(
+          (item) => item.user_id && item.user_id !== record.user_id
+        ),
+        record,
+      ],
+      default_user_id: default_user_id || record.user_id,
+    }));
+    this.emit("tokensUpdated", record);
+    return record;
+  }
+
+  /**
+   * Returns the tokens of an account
+   * @param {string} [userId] - Twitch user ID (default: the acting account)
+   * @returns {Object|null}
+   */
+  getTokens(userId = this.getActingUserId()) {
+    return this.accounts.get(userId) || null;
+  }
+
+  /**
+   * Returns the stored token records of every account
+   * @returns {Array<Object>}
+   */
+  listAccounts() {
+    return [...this.accounts.values()];
+  }
+
+  /**
+   * Finds an account by user ID or login
+   * @param {string} idOrLogin - Twitch user ID or login
+   * @returns {Object|null}
+   */
+  findAccount(idOrLogin) {
+    const value = String(idOrLogin).toLowerCase();
+    return (
+      this.accounts.get(value) ||
+      this.listAccounts().find((record) => record.login === value) ||
+      null
+    );
   }
 
-  getTokens() {
-    return this.tokens;
+  /**
+   * Removes an account, the next remaining account becomes the default if it was
+   * @param {string} userId - Twitch user ID
+   * @returns {boolean} True if the account existed
+   */
+  removeAccount(userId) {
+    const existed = this.accounts.delete(userId);
+
+    if (this.defaultUserId === userId) {
+      this.defaultUserId = this.accounts.keys().next().value || null;
+    }
+    if (existed) {
+      this.persist(({ accounts, default_user_id }) => {
+        const remaining = accounts.filter((item) => item.user_id !== userId);
+        return {
+          accounts: remaining,
+          default_user_id:
+            default_user_id === userId
+              ? remaining[0]?.user_id || null
+              : default_user_id,
+        };
+      });
+    }
+    return existed;
   }
 
   clearTokens() {
-    this.tokens = null;
-    deleteTokens();
+    this.accounts.clear();
+    this.defaultUserId = null;
+    this.persist(() => ({ accounts: [], default_user_id: null }));
+  }
+
+  needsRefresh(userId = this.getActingUserId()) {
+    const tokens = this.getTokens(userId);
+    return tokens ? needsRefresh(tokens) : true;
+  }
+
+  /**
+   * Runs the token refresh of an account while holding its refresh lock
+   * Only one instance refreshes an account at a time, since using a refresh token may invalidate
+   * the tokens another instance holds. The function receives the latest stored tokens of the
+   * account, so an instance that waited for the lock can reuse the tokens refreshed meanwhile.
+   * @async
+   * @param {string} userId - Twitch user ID of the account
+   * @param {Function} fn - Async function receiving the stored token record (or null)
+   * @returns {Promise<*>} The result of fn
+   */
+  async withRefreshLock(userId, fn) {
+    const backend = getTokenBackend();
+
+    return backend.withLock(
+      `refresh-${userId}`,
+      async () => {
+        const store = await readStore(backend).catch(() => null);
+        const stored =
+          store?.accounts.find((record) => record.user_id === userId) || null;
+        return fn(stored);
+      },
+      { ttlMs: REFRESH_LOCK_TTL_MS, timeoutMs: REFRESH_LOCK_TIMEOUT_MS }
+    );
+  }
+
+  /**
+   * Returns the account selected with runAs(), if any
+   * @returns {string|null}
+   */
+  getSelectedUserId() {
+    return this.context.getStore() || null;
+  }
+
+  /**
+   * Returns the account selected with runAs(), or the default account
+   * @returns {string|null}
+   */
+  getActingUserId() {
+    return this.getSelectedUserId() || this.defaultUserId;
+  }
+
+  /**
+   * Runs a function acting as the given account
+   * Every token lookup made within it, synchronously or asynchronously, uses that account
+   * @param {string} userId - Twitch user ID
+   * @param {Function} fn - Function to run
+   * @returns {*} The result of fn
+   */
+  runAs(userId, fn) {
+    return this.context.run(userId, fn);
   }
 
-  needsRefresh() {
-    return this.tokens ? needsRefresh(this.tokens) : true;
+  /**
+   * Runs a function acting as the default account, ignoring any selected account
+   * @param {Function} fn - Function to run
+   * @returns {*} The result of fn
+   */
+  runAsDefault(fn) {
+    return this.context.exit(fn);
   }
 }
 
@@ -162,7 +448,13 @@ module.exports = {
   saveTokens,
   loadTokens,
   deleteTokens,
+  updateTokens,
+  migrateTokens,
+  rotateTokens,
   needsRefresh,
+  toTokenRecord,
+  getTokenBackend,
+  closeTokenBackend,
   tokenManager,
   encrypt,
   decrypt,